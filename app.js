@@ -1,29 +1,64 @@
 // Forteil Hackathon Bot - Production Ready Version with Daily Reminder Toggle
-const { App } = require('@slack/bolt');
+const { App, subtype } = require('@slack/bolt');
+const { WebClient } = require('@slack/web-api');
 const { Pool } = require('pg');
 const cron = require('node-cron');
+const crypto = require('crypto');
+const { migrateUp } = require('./migrate');
+const metrics = require('./metrics');
+const { DEFAULT_CATEGORIES, DEFAULT_REMINDER } = require('./defaults');
 require('dotenv').config();
 
+// Numeric settings where 0 is a valid value - `parseFloat(...) || default` would turn 0 into the default
+const numberFromEnv = (value, fallback) => {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? fallback : number;
+};
+
 // Configuration - alle settings samlet
 const CONFIG = {
   dadJokeChance: parseFloat(process.env.DAD_JOKE_CHANCE) || 0.25,
   adminUserId: process.env.ADMIN_USER_ID || 'U07M4BA86LF',
   maxRetries: parseInt(process.env.MAX_RETRIES) || 3,
   dbTimeout: parseInt(process.env.DB_TIMEOUT) || 10000,
+  maxTeamSize: parseInt(process.env.MAX_TEAM_SIZE) || 5,
+  similarityThreshold: parseFloat(process.env.SIMILARITY_THRESHOLD) || 0.5,
+  judgeOutlierThreshold: parseFloat(process.env.JUDGE_OUTLIER_THRESHOLD) || 2,
   rateLimitWindow: parseInt(process.env.RATE_LIMIT_WINDOW) || 60000, // 1 min
-  rateLimitMax: parseInt(process.env.RATE_LIMIT_MAX) || 10
+  rateLimitMax: parseInt(process.env.RATE_LIMIT_MAX) || 10,
+  scoreWeightIdea: numberFromEnv(process.env.SCORE_WEIGHT_IDEA, 10),
+  scoreWeightVote: numberFromEnv(process.env.SCORE_WEIGHT_VOTE, 3),
+  scoreWeightComment: numberFromEnv(process.env.SCORE_WEIGHT_COMMENT, 2),
+  scoreWeightCommentReceived: numberFromEnv(process.env.SCORE_WEIGHT_COMMENT_RECEIVED, 1),
+  scoreWeightTeam: numberFromEnv(process.env.SCORE_WEIGHT_TEAM, 5),
+  scoreHalfLifeDays: numberFromEnv(process.env.SCORE_HALF_LIFE_DAYS, 0), // 0 = no time decay
+  digestCron: process.env.DIGEST_CRON || '0 9 * * 1', // Mondays at 09:00
+  digestTimezone: process.env.DIGEST_TIMEZONE || 'Europe/Copenhagen',
+  digestMaxIdeas: parseInt(process.env.DIGEST_MAX_IDEAS) || 25,
+  nudgeCron: process.env.NUDGE_CRON || '0 10 * * 1-5', // weekdays at 10:00 - each person is still nudged at most once per interval
+  nudgeTimezone: process.env.NUDGE_TIMEZONE || 'Europe/Copenhagen',
+  nudgeIntervalDays: Math.floor(numberFromEnv(process.env.NUDGE_INTERVAL_DAYS, 7)),
+  nudgeMaxPerRun: parseInt(process.env.NUDGE_MAX_PER_RUN) || 50,
+  healthCheckTimeout: parseInt(process.env.HEALTH_CHECK_TIMEOUT) || 2000,
+  slackAuthCheckInterval: parseInt(process.env.SLACK_AUTH_CHECK_INTERVAL) || 60000 // 1 min
 };
 
 // Daily reminder state - will be loaded from database on startup
 let dailyReminderEnabled = true;
 
+// Category cache - loaded from database on startup and after every /category change
+let categoryCache = [];
+
+// Active event - loaded from database on startup and after every /event change
+let activeEvent = null;
+
+// Hackathon phase - loaded from database on startup and after every /phase or /event change
+let currentPhase = 'idea_collection';
+
 // Request tracking for debugging
 let requestCounter = 0;
 const generateRequestId = () => `req_${Date.now()}_${++requestCounter}`;
 
-// Rate limiting storage
-const rateLimitStore = new Map();
-
 // Database connection with optimized settings
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -40,49 +75,119 @@ process.on('SIGINT', async () => {
   process.exit(0);
 });
 
+// Metrics - exposed on /metrics, see metrics.js
+const ideasSavedTotal = metrics.counter('hackathon_ideas_saved_total', 'Ideas saved to the database', ['source']);
+const commandsTotal = metrics.counter('hackathon_commands_total', 'Slash commands handled', ['command', 'status']);
+const commandDuration = metrics.histogram('hackathon_command_duration_seconds', 'Time spent handling slash commands', ['command']);
+const dbRetriesTotal = metrics.counter('hackathon_db_retries_total', 'Database operations retried after a failed attempt');
+const dbErrorsTotal = metrics.counter('hackathon_db_errors_total', 'Database operations that failed on every attempt');
+const slackApiDuration = metrics.histogram('hackathon_slack_api_duration_seconds', 'Slack Web API call latency', ['method', 'status']);
+const cronRunsTotal = metrics.counter('hackathon_cron_runs_total', 'Scheduled job runs by outcome', ['job', 'status']);
+
+metrics.gauge('hackathon_db_pool_connections', 'Postgres pool connections by state', ['state'], () => [
+  { labels: { state: 'total' }, value: pool.totalCount },
+  { labels: { state: 'idle' }, value: pool.idleCount },
+  { labels: { state: 'waiting' }, value: pool.waitingCount }
+]);
+
+// Every WebClient - app.client and the per-request clients Bolt hands to listeners - goes through apiCall.
+// Clients bind their methods when constructed, so this has to run before the App below is created
+const slackApiCall = WebClient.prototype.apiCall;
+WebClient.prototype.apiCall = async function (method, options) {
+  const end = slackApiDuration.startTimer({ method });
+
+  try {
+    const result = await slackApiCall.call(this, method, options);
+    end({ status: 'ok' });
+    return result;
+  } catch (error) {
+    end({ status: 'error' });
+    throw error;
+  }
+};
+
 // Initialize Slack app
 const app = new App({
   token: process.env.SLACK_BOT_TOKEN,
   signingSecret: process.env.SLACK_SIGNING_SECRET,
   socketMode: false,
-  port: process.env.PORT || 3000
+  port: process.env.PORT || 3000,
+  // Read-only REST API for the intranet dashboard - handlers live in the REST API section
+  customRoutes: [
+    { path: '/api/ideas', method: ['GET'], handler: (req, res) => handleApiRequest(req, res, apiListIdeas) },
+    { path: '/api/ideas/:id', method: ['GET'], handler: (req, res) => handleApiRequest(req, res, apiGetIdea) },
+    { path: '/api/stats', method: ['GET'], handler: (req, res) => handleApiRequest(req, res, apiGetStats) },
+    { path: '/api/leaderboard', method: ['GET'], handler: (req, res) => handleApiRequest(req, res, apiGetLeaderboard) },
+    // Operations endpoints - handlers live in the Health & Metrics section
+    { path: '/metrics', method: ['GET'], handler: (req, res) => handleMetricsRequest(req, res) },
+    { path: '/healthz', method: ['GET'], handler: (req, res) => handleHealthRequest(req, res, 'liveness') },
+    { path: '/readyz', method: ['GET'], handler: (req, res) => handleHealthRequest(req, res, 'readiness') }
+  ]
 });
 
-// Shared constants
-const MOTIVATIONAL_MESSAGES = [
-  (total) => `🌅 God morgen, idé-maskiner, alle jer vidunderlige Forteilees! Vi har ${total} fantastiske idéer indtil nu!`,
-  (total) => `☕ Kaffe-tid! Vores idé-tæller står på ${total} - skal vi runde op, kære Forteilees?`,
-  (total) => `🧠 Dagens brainstorm-update: ${total} idéer og counting, fantastiske Forteilees!`,
-  (total) => `⚡ Lightning round! Vi har ${total} idéer - hvad kommer der næst, dygtige Forteilees?`,
-  (total) => `🎯 Målrettet opdatering: ${total} idéer på tavlen, vidunderlige Forteilees!`
-];
+// Handlers catch their own errors, so status is only 'error' when one escapes to Bolt
+app.use(async ({ body, next }) => {
+  if (!body.command) {
+    await next();
+    return;
+  }
 
-const FUNNY_RESPONSES = [
-  "🚀 Den idé fik lige min indre nørd til at juble!",
-  "💡 *Chef's kiss* - det er simpelt og smart!",
-  "🤖 Beep boop! Min algoritme siger: GENIAL!",
-  "⚡ Den idé sparkler som fresh commits på fredag eftermiddag!",
-  "🎯 Bulls-eye! Det rammer lige i Forteil-filosofien!",
-  "🔥 Hot take alert! Den her idé er 🔥🔥🔥",
-  "🎪 *Standing ovation fra alle mine virtuelle personligheder*",
-  "💎 Rare gem spotted! Den her går direkte til favorit-listen!",
-  "🎨 Kreativitet level: Over 9000!",
-  "🍕 Den idé fortjener pizza som belønning!"
-];
+  const end = commandDuration.startTimer({ command: body.command });
 
-const DAD_JOKES = [
-  "Hvorfor elsker programmører mørke? Fordi lys tiltrækker bugs! 🐛",
-  "Hvad siger en AI når den er træt? 'Jeg trænger til at reboote!' 💤",
-  "Hvorfor gik API'et til tandlægen? Det havde dårlige endpoints! 🦷",
-  "Hvad kalder man en hacker der laver kaffe? En Java developer! ☕",
-  "Hvorfor blev robotten fyret? Den havde for mange glitches i sin performance review! 🤖",
-  "Hvad er forskellen på en programmør og en almindelig person? Programmøren tænker der er 10 typer mennesker i verden!",
-  "Hvorfor gik udvikler til psykologen? Hun havde for mange issues!",
-  "Hvad siger en database til en anden? Skal vi JOIN sammen?"
-];
+  try {
+    await next();
+    commandsTotal.inc({ command: body.command, status: 'ok' });
+  } catch (error) {
+    commandsTotal.inc({ command: body.command, status: 'error' });
+    throw error;
+  } finally {
+    end();
+  }
+});
+
+// Localization - message catalogs per language, Danish is the default and fallback
+const LOCALES = {
+  da: require('./locales/da'),
+  en: require('./locales/en')
+};
+
+const LANGUAGES = Object.keys(LOCALES);
+const DEFAULT_LANGUAGE = 'da';
+
+const getLocale = (language) => LOCALES[language] || LOCALES[DEFAULT_LANGUAGE];
+
+// Looks up a message in the language's catalog - entries with placeholders are functions of params
+const t = (language, key, params = {}) => {
+  const messages = getLocale(language).messages;
+  const message = key in messages ? messages[key] : LOCALES[DEFAULT_LANGUAGE].messages[key];
+  
+  if (message === undefined) {
+    logWithContext('warn', 'Missing translation', { language, key });
+    return key;
+  }
+  
+  return typeof message === 'function' ? message(params) : message;
+};
+
+const languageName = (language) => getLocale(language).name;
+
+// Channel broadcast language - loaded from database on startup and after every /event or /language change
+let broadcastLanguage = DEFAULT_LANGUAGE;
 
+// Resolved language per user - cleared for a user when they run /language
+const userLanguageCache = new Map();
+
+// Slack locales look like "en-US" - only the language part matters here
+const languageFromLocale = (locale) => {
+  const language = (locale || '').split('-')[0].toLowerCase();
+  return LANGUAGES.includes(language) ? language : null;
+};
+
+// Shared constants
 const REACTIONS = ['rocket', 'bulb', 'zap', 'dart', 'fire', 'gem', 'star', 'clap', 'tada', 'muscle'];
 
+const FALLBACK_CATEGORY = { name: '💡 Kreative Løsninger', emoji: 'bulb' };
+
 // Utility functions
 const logWithContext = (level, message, context = {}) => {
   const timestamp = new Date().toISOString();
@@ -98,20 +203,94 @@ const logWithContext = (level, message, context = {}) => {
 
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-// Rate limiting
-const isRateLimited = (userId) => {
-  const now = Date.now();
-  const userHistory = rateLimitStore.get(userId) || [];
-  
-  const validEntries = userHistory.filter(time => now - time < CONFIG.rateLimitWindow);
-  
-  if (validEntries.length >= CONFIG.rateLimitMax) {
-    return true;
+// Delayed thread replies - tracked so offline replay can wait for them, and sent without delay in offline mode
+const pendingFollowUps = new Set();
+let followUpDelaysEnabled = true;
+
+const scheduleFollowUp = (work, delayMs) => {
+  const followUp = sleep(followUpDelaysEnabled ? delayMs : 0)
+    .then(work)
+    .finally(() => pendingFollowUps.delete(followUp));
+  pendingFollowUps.add(followUp);
+};
+
+const waitForFollowUps = async () => {
+  while (pendingFollowUps.size > 0) {
+    await Promise.all([...pendingFollowUps]);
   }
+};
+
+// Rate limiting - fixed windows per user and action, stored in Postgres so limits survive
+// deploys and are shared between instances
+const RATE_LIMIT_POLICIES = {
+  idea_post: { max: CONFIG.rateLimitMax, windowMs: CONFIG.rateLimitWindow },
+  stats: { max: 5, windowMs: 60000 },
+  leaderboard: { max: 5, windowMs: 60000 },
+  admin_broadcast: { max: 3, windowMs: 10 * 60000 }
+};
+
+// Returns { limited, count, max, retryAt } - fails open so a database hiccup doesn't block everyone
+const checkRateLimit = async (userId, action, requestId) => {
+  const policy = RATE_LIMIT_POLICIES[action];
   
-  validEntries.push(now);
-  rateLimitStore.set(userId, validEntries);
-  return false;
+  try {
+    const query = `
+      INSERT INTO rate_limits (user_id, action, window_start, count)
+      VALUES ($1, $2, NOW(), 1)
+      ON CONFLICT (user_id, action) DO UPDATE SET
+        count = CASE WHEN rate_limits.window_start <= NOW() - make_interval(secs => $3 / 1000.0) THEN 1 ELSE rate_limits.count + 1 END,
+        window_start = CASE WHEN rate_limits.window_start <= NOW() - make_interval(secs => $3 / 1000.0) THEN NOW() ELSE rate_limits.window_start END
+      RETURNING count, window_start
+    `;
+    const result = await pool.query(query, [userId, action, policy.windowMs]);
+    const { count, window_start } = result.rows[0];
+    const limited = count > policy.max;
+    
+    if (limited) {
+      logWithContext('warn', 'User rate limited', { requestId, userId, action, count, max: policy.max });
+    }
+    
+    return { limited, count, max: policy.max, retryAt: new Date(new Date(window_start).getTime() + policy.windowMs) };
+  } catch (error) {
+    logWithContext('warn', 'Rate limit check failed, allowing request', { requestId, userId, action, error: error.message });
+    return { limited: false, count: 0, max: policy.max, retryAt: null };
+  }
+};
+
+const formatRetryTime = (retryAt, language = DEFAULT_LANGUAGE) => {
+  const seconds = Math.max(1, Math.ceil((retryAt - Date.now()) / 1000));
+  const wait = seconds < 60 ? t(language, 'time.seconds', { count: seconds }) : t(language, 'time.minutes', { count: Math.ceil(seconds / 60) });
+  const time = retryAt.toLocaleTimeString(getLocale(language).dateLocale, { timeZone: 'Europe/Copenhagen' });
+  return t(language, 'time.wait_until', { wait, time });
+};
+
+const rateLimitText = (rateLimit, language) =>
+  t(language, 'rate_limit.text', { retry: formatRetryTime(rateLimit.retryAt, language) });
+
+// Windows still running - expired rows are ignored here and reset on the next check
+const getRateLimits = async (userId, requestId) => {
+  return executeWithRetry(async () => {
+    const result = await pool.query(
+      'SELECT user_id, action, window_start, count FROM rate_limits WHERE ($1::varchar IS NULL OR user_id = $1) ORDER BY count DESC, user_id, action',
+      [userId]
+    );
+    
+    return result.rows
+      .filter(row => RATE_LIMIT_POLICIES[row.action])
+      .map(row => ({ ...row, retryAt: new Date(new Date(row.window_start).getTime() + RATE_LIMIT_POLICIES[row.action].windowMs) }))
+      .filter(row => row.retryAt > new Date());
+  });
+};
+
+const resetRateLimits = async (userId, action, requestId) => {
+  return executeWithRetry(async () => {
+    const result = await pool.query(
+      'DELETE FROM rate_limits WHERE user_id = $1 AND ($2::varchar IS NULL OR action = $2)',
+      [userId, action]
+    );
+    logWithContext('info', 'Rate limits reset', { requestId, userId, action, count: result.rowCount });
+    return result.rowCount;
+  });
 };
 
 // Database functions with error handling
@@ -126,9 +305,11 @@ const executeWithRetry = async (operation, maxRetries = CONFIG.maxRetries) => {
       });
       
       if (attempt === maxRetries) {
+        dbErrorsTotal.inc();
         throw error;
       }
       
+      dbRetriesTotal.inc();
       await sleep(1000 * attempt);
     }
   }
@@ -136,82 +317,461 @@ const executeWithRetry = async (operation, maxRetries = CONFIG.maxRetries) => {
 
 // Daily reminder toggle functions
 const getDailyReminderStatus = async (requestId) => {
+  logWithContext('info', 'Fetching daily reminder status', { requestId });
+  
+  const value = await getEventSetting('daily_reminder_enabled');
+  return value === null ? true : value === 'true';
+};
+
+const setDailyReminderStatus = async (enabled, requestId) => {
+  logWithContext('info', 'Setting daily reminder status', { 
+    requestId, 
+    enabled 
+  });
+  
+  await setEventSetting('daily_reminder_enabled', enabled);
+  
+  dailyReminderEnabled = enabled;
+  
+  logWithContext('info', 'Daily reminder status updated', { 
+    requestId, 
+    enabled 
+  });
+};
+
+// Roles and permissions - ADMIN_USER_ID is always admin so the bot can't lock itself out
+const ROLES = ['admin', 'organizer', 'judge'];
+
+const PERMISSIONS = {
+  'motivation.send': ['admin', 'organizer'],
+  'reminders.manage': ['admin', 'organizer'],
+  'ideas.view_all': ['admin', 'organizer', 'judge'],
+  'ideas.view_duplicates': ['admin', 'organizer'],
+  'categories.manage': ['admin'],
+  'roles.manage': ['admin'],
+  'events.manage': ['admin', 'organizer'],
+  'ideas.export': ['admin', 'organizer'],
+  'api.manage': ['admin'],
+  'judging.manage': ['admin', 'organizer'],
+  'phase.manage': ['admin', 'organizer'],
+  'ratelimits.manage': ['admin'],
+  'ideas.link': ['admin', 'organizer'],
+  'leaderboard.manage': ['admin', 'organizer'],
+  'nudges.manage': ['admin', 'organizer'],
+  'ideas.view_anonymous': ['admin']
+};
+
+// A single attempt - permission checks run before Slack's 3 second ack deadline, so no retry sleeps here
+const getUserRoles = async (userId, requestId) => {
   return executeWithRetry(async () => {
-    logWithContext('info', 'Fetching daily reminder status', { requestId });
+    const result = await pool.query('SELECT role FROM user_roles WHERE user_id = $1', [userId]);
+    const roles = result.rows.map(row => row.role);
+    
+    if (userId === CONFIG.adminUserId && !roles.includes('admin')) {
+      roles.push('admin');
+    }
     
+    return roles;
+  }, 1);
+};
+
+const hasPermission = async (userId, permission, requestId) => {
+  const allowedRoles = PERMISSIONS[permission] || [];
+  
+  try {
+    const roles = await getUserRoles(userId, requestId);
+    return roles.some(role => allowedRoles.includes(role));
+  } catch (error) {
+    logWithContext('error', 'Permission lookup failed, falling back to bootstrap admin', { requestId, userId, permission, error: error.message });
+    return userId === CONFIG.adminUserId;
+  }
+};
+
+// Listener middleware - acks before the role lookup and answers ephemerally when the user lacks the permission.
+// Listeners behind it must not call ack() themselves
+const requirePermission = (permission) => async ({ body, ack, respond, next }) => {
+  const userId = body.user_id || (body.user && body.user.id);
+  const requestId = generateRequestId();
+  
+  await ack();
+  
+  if (await hasPermission(userId, permission, requestId)) {
+    await next();
+    return;
+  }
+  
+  logWithContext('warn', 'Permission denied', { requestId, userId, permission });
+  
+  if (respond) {
+    const language = await getUserLanguage(userId, requestId);
+    await respond({
+      text: t(language, 'common.permission_denied', { roles: PERMISSIONS[permission] }),
+      response_type: 'ephemeral',
+      replace_original: false
+    });
+  }
+};
+
+const grantRole = async (userId, role, grantedBy, requestId) => {
+  return executeWithRetry(async () => {
     const query = `
-      SELECT setting_value 
-      FROM bot_settings 
-      WHERE setting_key = 'daily_reminder_enabled'
-      LIMIT 1
+      INSERT INTO user_roles (user_id, role, granted_by, granted_at)
+      VALUES ($1, $2, $3, NOW())
+      ON CONFLICT (user_id, role) DO NOTHING
+      RETURNING id
     `;
+    const result = await pool.query(query, [userId, role, grantedBy]);
+    logWithContext('info', 'Role granted', { requestId, userId, role, grantedBy, created: result.rows.length > 0 });
+    return result.rows.length > 0;
+  });
+};
+
+const revokeRole = async (userId, role, requestId) => {
+  return executeWithRetry(async () => {
+    const result = await pool.query('DELETE FROM user_roles WHERE user_id = $1 AND role = $2 RETURNING id', [userId, role]);
+    logWithContext('info', 'Role revoked', { requestId, userId, role, removed: result.rows.length > 0 });
+    return result.rows.length > 0;
+  });
+};
+
+const listRoles = async (requestId) => {
+  return executeWithRetry(async () => {
+    const result = await pool.query('SELECT user_id, role, granted_by, granted_at FROM user_roles ORDER BY role, granted_at');
+    return result.rows;
+  });
+};
+
+const getUsersWithRole = async (role, requestId) => {
+  return executeWithRetry(async () => {
+    const result = await pool.query('SELECT user_id FROM user_roles WHERE role = $1', [role]);
+    const userIds = result.rows.map(row => row.user_id);
     
-    const result = await pool.query(query);
-    
-    if (result.rows.length === 0) {
-      return true;
+    if (role === 'admin' && !userIds.includes(CONFIG.adminUserId)) {
+      userIds.push(CONFIG.adminUserId);
     }
     
-    return result.rows[0].setting_value === 'true';
+    return userIds;
   });
 };
 
-const setDailyReminderStatus = async (enabled, requestId) => {
+// Event functions - every hackathon round gets its own idea pool
+const currentEventId = () => (activeEvent ? activeEvent.id : null);
+
+const getHackathonChannelId = () => (activeEvent && activeEvent.channel_id) || process.env.HACKATHON_CHANNEL_ID;
+
+// Settings are stored per event ("key:event_3") and fall back to the global key
+const eventSettingKey = (key, eventId) => (eventId ? `${key}:event_${eventId}` : key);
+
+// The active event's own setting wins over the global one - null when neither is stored
+const getEventSetting = async (key) => {
+  return executeWithRetry(async () => {
+    const query = `
+      SELECT setting_value
+      FROM bot_settings
+      WHERE setting_key IN ($1, $2)
+      ORDER BY (setting_key = $1) DESC
+      LIMIT 1
+    `;
+    const result = await pool.query(query, [eventSettingKey(key, currentEventId()), key]);
+    return result.rows[0] ? result.rows[0].setting_value : null;
+  });
+};
+
+// Always written for the active event (or globally without one)
+const setEventSetting = async (key, value) => {
   return executeWithRetry(async () => {
-    logWithContext('info', 'Setting daily reminder status', { 
-      requestId, 
-      enabled 
-    });
-    
     const query = `
       INSERT INTO bot_settings (setting_key, setting_value, updated_at)
-      VALUES ('daily_reminder_enabled', $1, NOW())
-      ON CONFLICT (setting_key) 
-      DO UPDATE SET 
-        setting_value = $1,
-        updated_at = NOW()
+      VALUES ($1, $2, NOW())
+      ON CONFLICT (setting_key)
+      DO UPDATE SET setting_value = $2, updated_at = NOW()
     `;
-    
-    await pool.query(query, [enabled.toString()]);
-    
-    dailyReminderEnabled = enabled;
-    
-    logWithContext('info', 'Daily reminder status updated', { 
-      requestId, 
-      enabled 
-    });
+    await pool.query(query, [eventSettingKey(key, currentEventId()), String(value)]);
+  });
+};
+
+const loadActiveEvent = async (requestId) => {
+  return executeWithRetry(async () => {
+    const result = await pool.query(`SELECT * FROM events WHERE status = 'active' LIMIT 1`);
+    activeEvent = result.rows[0] || null;
+    logWithContext('info', 'Active event loaded', { requestId, eventId: currentEventId(), name: activeEvent && activeEvent.name });
+    return activeEvent;
+  });
+};
+
+const getEventById = async (eventId, requestId) => {
+  return executeWithRetry(async () => {
+    const result = await pool.query('SELECT * FROM events WHERE id = $1', [eventId]);
+    return result.rows[0] || null;
+  });
+};
+
+const listEvents = async (requestId) => {
+  return executeWithRetry(async () => {
+    const query = `
+      SELECT e.*, (SELECT COUNT(*) FROM ideas i WHERE i.event_id = e.id AND i.deleted_at IS NULL) as idea_count
+      FROM events e
+      ORDER BY e.starts_on DESC NULLS LAST, e.id DESC
+    `;
+    const result = await pool.query(query);
+    return result.rows;
+  });
+};
+
+const createEvent = async ({ name, startsOn, endsOn, channelId }, createdBy, requestId) => {
+  return executeWithRetry(async () => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      
+      const result = await client.query(
+        `INSERT INTO events (name, starts_on, ends_on, channel_id, status, created_by, created_at)
+         VALUES ($1, $2, $3, $4, 'planned', $5, NOW())
+         RETURNING *`,
+        [name, startsOn, endsOn, channelId, createdBy]
+      );
+      const event = result.rows[0];
+      
+      // The first event adopts ideas collected before events existed
+      const adopted = await client.query(
+        `UPDATE ideas SET event_id = $1
+         WHERE event_id IS NULL AND NOT EXISTS (SELECT 1 FROM events WHERE id <> $1)`,
+        [event.id]
+      );
+      
+      await client.query('COMMIT');
+      logWithContext('info', 'Event created', { requestId, eventId: event.id, name, adoptedIdeas: adopted.rowCount });
+      return { event, adoptedIdeas: adopted.rowCount };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  });
+};
+
+const setEventStatus = async (eventId, status, requestId) => {
+  return executeWithRetry(async () => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      
+      if (status === 'active') {
+        await client.query(`UPDATE events SET status = 'planned' WHERE status = 'active' AND id <> $1`, [eventId]);
+      }
+      
+      const result = await client.query('UPDATE events SET status = $2 WHERE id = $1 RETURNING *', [eventId, status]);
+      
+      await client.query('COMMIT');
+      logWithContext('info', 'Event status changed', { requestId, eventId, status, found: result.rows.length > 0 });
+      return result.rows[0] || null;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  });
+};
+
+// Commands accept "event:<id>" to look at another (e.g. archived) event; default is the active one
+const parseEventScope = async (text, language, requestId) => {
+  const tokens = (text || '').trim().split(/\s+/).filter(Boolean);
+  const eventToken = tokens.find(token => /^event:\d+$/i.test(token));
+  const rest = tokens.filter(token => token !== eventToken).join(' ');
+  
+  if (!eventToken) {
+    return { eventId: currentEventId(), event: activeEvent, text: rest };
+  }
+  
+  const requestedId = parseInt(eventToken.split(':')[1]);
+  const event = await getEventById(requestedId, requestId);
+  
+  if (!event) {
+    return { error: t(language, 'common.event_not_found', { id: requestedId }) };
+  }
+  
+  return { eventId: event.id, event, text: rest };
+};
+
+const eventLabel = (event) => (event ? ` - ${event.name}` : '');
+
+// ends_on is inclusive, so an event is over once its last day has passed
+const isEventOver = (event) => {
+  if (!event || !event.ends_on) return false;
+  const lastDay = new Date(event.ends_on);
+  lastDay.setHours(23, 59, 59, 999);
+  return new Date() > lastDay;
+};
+
+// Phase functions - the hackathon moves through fixed phases that gate what the bot accepts.
+// Labels and descriptions live in the locale catalogs
+const PHASES = {
+  idea_collection: { ideas: true, votes: true, teams: true, judging: false, reminders: true },
+  voting: { ideas: false, votes: true, teams: true, judging: false, reminders: true },
+  team_forming: { ideas: false, votes: false, teams: true, judging: false, reminders: true },
+  hacking: { ideas: false, votes: false, teams: false, judging: false, reminders: true },
+  judging: { ideas: false, votes: false, teams: false, judging: true, reminders: false },
+  closed: { ideas: false, votes: false, teams: false, judging: false, reminders: false }
+};
+
+const PHASE_KEYS = Object.keys(PHASES);
+
+const isPhaseAllowed = (capability) => PHASES[currentPhase][capability];
+
+const phaseLabel = (phase, language) => getLocale(language).phases[phase].label;
+const phaseDescription = (phase, language) => getLocale(language).phases[phase].description;
+
+// capability is ideas, teams or judging
+const phaseClosedText = (capability, language) => t(language, 'phase.closed', {
+  what: t(language, `phase.closed.${capability}`),
+  label: phaseLabel(currentPhase, language),
+  description: phaseDescription(currentPhase, language)
+});
+
+const loadPhase = async (requestId) => {
+  const phase = await getEventSetting('hackathon_phase');
+
+  // Installations from before phases existed keep collecting ideas
+  currentPhase = PHASES[phase] ? phase : 'idea_collection';
+  logWithContext('info', 'Hackathon phase loaded', { requestId, phase: currentPhase, eventId: currentEventId() });
+  return currentPhase;
+};
+
+const setPhase = async (phase, requestId) => {
+  await setEventSetting('hackathon_phase', phase);
+
+  const previousPhase = currentPhase;
+  currentPhase = phase;
+  logWithContext('info', 'Hackathon phase changed', { requestId, from: previousPhase, to: phase, eventId: currentEventId() });
+  return previousPhase;
+};
+
+// Language functions - users pick their own with /language, otherwise their Slack locale is used.
+// Channel broadcasts use the event's language
+const loadBroadcastLanguage = async (requestId) => {
+  const language = await getEventSetting('broadcast_language');
+
+  broadcastLanguage = LOCALES[language] ? language : DEFAULT_LANGUAGE;
+  logWithContext('info', 'Broadcast language loaded', { requestId, language: broadcastLanguage, eventId: currentEventId() });
+  return broadcastLanguage;
+};
+
+const setBroadcastLanguage = async (language, requestId) => {
+  await setEventSetting('broadcast_language', language);
+
+  broadcastLanguage = language;
+  logWithContext('info', 'Broadcast language changed', { requestId, language, eventId: currentEventId() });
+};
+
+// Returns { language, source } - language is null when neither a preference nor a supported Slack locale exists
+const lookupUserLanguage = async (userId, requestId) => {
+  const result = await executeWithRetry(async () => {
+    return pool.query('SELECT language FROM user_preferences WHERE user_id = $1', [userId]);
+  });
+
+  if (result.rows[0] && LOCALES[result.rows[0].language]) {
+    return { language: result.rows[0].language, source: 'preference' };
+  }
+
+  try {
+    const userInfo = await app.client.users.info({ user: userId, include_locale: true });
+    const language = languageFromLocale(userInfo.user.locale);
+
+    if (language) {
+      return { language, source: 'slack' };
+    }
+  } catch (error) {
+    logWithContext('warn', 'Could not fetch Slack locale', { requestId, userId, error: error.message });
+  }
+
+  return { language: null, source: 'default' };
+};
+
+const getUserLanguageInfo = async (userId, requestId) => {
+  if (!userLanguageCache.has(userId)) {
+    userLanguageCache.set(userId, await lookupUserLanguage(userId, requestId));
+  }
+
+  const info = userLanguageCache.get(userId);
+  return { language: info.language || broadcastLanguage, source: info.source };
+};
+
+// Never throws - a failed lookup just means the user gets the broadcast language
+const getUserLanguage = async (userId, requestId) => {
+  try {
+    return (await getUserLanguageInfo(userId, requestId)).language;
+  } catch (error) {
+    logWithContext('warn', 'User language lookup failed, using broadcast language', { requestId, userId, error: error.message });
+    return broadcastLanguage;
+  }
+};
+
+// Cache only, never queries - for replies that must go out before Slack's 3 second ack deadline
+const getCachedUserLanguage = (userId) => {
+  const info = userLanguageCache.get(userId);
+  return (info && info.language) || broadcastLanguage;
+};
+
+// language null goes back to following the Slack locale
+const setUserLanguage = async (userId, language, requestId) => {
+  return executeWithRetry(async () => {
+    const query = `
+      INSERT INTO user_preferences (user_id, language, updated_at)
+      VALUES ($1, $2, NOW())
+      ON CONFLICT (user_id)
+      DO UPDATE SET language = $2, updated_at = NOW()
+    `;
+    await pool.query(query, [userId, language]);
+
+    userLanguageCache.delete(userId);
+    logWithContext('info', 'User language changed', { requestId, userId, language });
   });
 };
 
 // Database query functions
-const getIdeaStats = async (requestId) => {
+const getIdeaStats = async (eventId, requestId) => {
   return executeWithRetry(async () => {
-    logWithContext('info', 'Fetching idea statistics', { requestId });
+    logWithContext('info', 'Fetching idea statistics', { requestId, eventId });
     
     const query = `
-      WITH category_stats AS (
-        SELECT category, COUNT(*) as count
-        FROM ideas 
+      WITH scoped_ideas AS (
+        SELECT * FROM ideas
+        WHERE deleted_at IS NULL AND ($1::int IS NULL OR event_id = $1)
+      ),
+      labels AS (
+        SELECT category, true as is_primary FROM scoped_ideas
+        UNION ALL
+        SELECT unnest(tags), false FROM scoped_ideas
+      ),
+      category_stats AS (
+        SELECT 
+          category, 
+          COUNT(*) FILTER (WHERE is_primary) as count,
+          COUNT(*) FILTER (WHERE NOT is_primary) as tagged
+        FROM labels 
         GROUP BY category 
-        ORDER BY count DESC
+        ORDER BY count DESC, tagged DESC
       ),
       user_stats AS (
         SELECT username, COUNT(*) as idea_count
-        FROM ideas 
+        FROM scoped_ideas 
+        WHERE NOT anonymous
         GROUP BY username 
         ORDER BY idea_count DESC
         LIMIT 5
       ),
       total_stats AS (
-        SELECT COUNT(*) as total FROM ideas
+        SELECT COUNT(*) as total FROM scoped_ideas
       )
       SELECT 
         (SELECT total FROM total_stats) as total,
-        (SELECT json_agg(json_build_object('category', category, 'count', count)) FROM category_stats) as categories,
+        (SELECT json_agg(json_build_object('category', category, 'count', count, 'tagged', tagged)) FROM category_stats) as categories,
         (SELECT json_agg(json_build_object('username', username, 'idea_count', idea_count)) FROM user_stats) as top_users
     `;
     
-    const result = await pool.query(query);
+    const result = await pool.query(query, [eventId]);
     const stats = result.rows[0];
     
     return {
@@ -222,22 +782,50 @@ const getIdeaStats = async (requestId) => {
   });
 };
 
-const saveIdea = async (userId, username, text, category, messageTs, channelId, requestId) => {
+// Anonymous ideas are saved under a placeholder author - details.anonymousAuthorId keeps the real one for admins
+const ANONYMOUS_USER_ID = 'ANONYMOUS';
+
+const isIdeaAuthor = (idea, userId) => idea.user_id === userId || idea.anonymous_author_id === userId;
+
+const saveIdea = async (userId, username, text, category, tags, messageTs, channelId, details, requestId) => {
   return executeWithRetry(async () => {
     logWithContext('info', 'Saving new idea', { 
       requestId, 
       userId, 
       username, 
       category,
+      tags,
+      source: details.source || 'message',
       textLength: text.length 
     });
     
     const query = `
-      INSERT INTO ideas (user_id, username, idea_text, category, message_ts, channel_id, created_at)
-      VALUES ($1, $2, $3, $4, $5, $6, NOW())
+      INSERT INTO ideas (
+        user_id, username, idea_text, category, tags, message_ts, channel_id,
+        title, problem, solution, skills, source, event_id, parent_id, anonymous, anonymous_author_id, created_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, NOW())
       RETURNING id
     `;
-    const result = await pool.query(query, [userId, username, text, category, messageTs, channelId]);
+    const result = await pool.query(query, [
+      userId,
+      username,
+      text,
+      category,
+      tags,
+      messageTs,
+      channelId,
+      details.title || null,
+      details.problem || null,
+      details.solution || null,
+      details.skills || null,
+      details.source || 'message',
+      currentEventId(),
+      details.parentId || null,
+      Boolean(details.anonymousAuthorId),
+      details.anonymousAuthorId || null
+    ]);
+    ideasSavedTotal.inc({ source: details.source || 'message' });
     return result.rows[0].id;
   });
 };
@@ -253,914 +841,6470 @@ const saveReaction = async (ideaId, reactionType, responseText, requestId) => {
   });
 };
 
-// Enhanced categorization
-const categorizeIdea = (text) => {
-  const lowerText = text.toLowerCase();
+// Edit/delete functions - keep stored ideas in sync with Slack messages
+const updateIdeaText = async (ideaId, newText, newCategory, newTags, requestId) => {
+  return executeWithRetry(async () => {
+    logWithContext('info', 'Updating edited idea', {
+      requestId,
+      ideaId,
+      newCategory,
+      textLength: newText.length
+    });
+
+    // Single statement so the history row and the update can't drift apart
+    const query = `
+      WITH previous AS (
+        SELECT id, idea_text, category
+        FROM ideas
+        WHERE id = $1
+        FOR UPDATE
+      ),
+      history AS (
+        INSERT INTO idea_edits (idea_id, previous_text, previous_category, new_text, new_category, edited_at)
+        SELECT id, idea_text, category, $2, $3, NOW() FROM previous
+      )
+      UPDATE ideas
+      SET idea_text = $2, category = $3, tags = $4, updated_at = NOW()
+      WHERE id = $1
+    `;
+    await pool.query(query, [ideaId, newText, newCategory, newTags]);
+  });
+};
+
+const softDeleteIdea = async (ideaId, requestId) => {
+  return executeWithRetry(async () => {
+    const query = `
+      UPDATE ideas
+      SET deleted_at = NOW()
+      WHERE id = $1 AND deleted_at IS NULL
+    `;
+    await pool.query(query, [ideaId]);
+    logWithContext('info', 'Idea soft-deleted', { requestId, ideaId });
+  });
+};
+
+const getDeletedIdeas = async (eventId, requestId) => {
+  return executeWithRetry(async () => {
+    logWithContext('info', 'Fetching deleted ideas', { requestId, eventId });
+
+    const query = `
+      SELECT
+        i.id,
+        i.username,
+        i.idea_text,
+        i.category,
+        i.deleted_at,
+        i.anonymous_author_id,
+        (SELECT COUNT(*) FROM idea_edits e WHERE e.idea_id = i.id) as edit_count
+      FROM ideas i
+      WHERE i.deleted_at IS NOT NULL AND ($1::int IS NULL OR i.event_id = $1)
+      ORDER BY i.deleted_at DESC
+    `;
+    const result = await pool.query(query, [eventId]);
+    return result.rows;
+  });
+};
+
+// Leaderboard scoring - every idea, vote, comment and team membership earns points, optionally
+// fading with age. Weights are per event and loaded on startup and after every /event change.
+// Labels are the scoring.key.* translations
+const SCORING_KEYS = ['idea', 'vote', 'comment', 'comment_received', 'team', 'half_life'];
+
+// Shorter half-lives make old activity worth practically nothing anyway
+const SCORING_MIN_HALF_LIFE_DAYS = 1;
+
+const DEFAULT_SCORING = {
+  idea: CONFIG.scoreWeightIdea,
+  vote: CONFIG.scoreWeightVote,
+  comment: CONFIG.scoreWeightComment,
+  comment_received: CONFIG.scoreWeightCommentReceived,
+  team: CONFIG.scoreWeightTeam,
+  half_life: CONFIG.scoreHalfLifeDays > 0 ? Math.max(CONFIG.scoreHalfLifeDays, SCORING_MIN_HALF_LIFE_DAYS) : 0
+};
+
+let leaderboardScoring = { ...DEFAULT_SCORING };
+
+const loadLeaderboardScoring = async (requestId) => {
+  const stored = await getEventSetting('leaderboard_scoring');
+
+  leaderboardScoring = { ...DEFAULT_SCORING, ...(stored ? JSON.parse(stored) : {}) };
+  logWithContext('info', 'Leaderboard scoring loaded', { requestId, scoring: leaderboardScoring, eventId: currentEventId() });
+  return leaderboardScoring;
+};
+
+const setLeaderboardScoring = async (scoring, requestId) => {
+  await setEventSetting('leaderboard_scoring', JSON.stringify(scoring));
+
+  leaderboardScoring = { ...DEFAULT_SCORING, ...scoring };
+  logWithContext('info', 'Leaderboard scoring changed', { requestId, scoring: leaderboardScoring, eventId: currentEventId() });
+  return leaderboardScoring;
+};
+
+// Leaderboard - shared by /leaderboard and the App Home tab (limit null = everyone)
+// filters: { eventId, category, period } - period 'week' only counts activity since Monday (Copenhagen time).
+// Votes are human emoji reactions from idea_votes; the bot's own replies in the reactions table don't count.
+// Anonymous ideas earn nobody points, but comments and team memberships on them still count
+const getLeaderboard = async (limit, filters, requestId) => {
+  return executeWithRetry(async () => {
+    logWithContext('info', 'Fetching leaderboard', { requestId, limit, ...filters });
+    
+    const query = `
+      WITH scoped_ideas AS (
+        SELECT id, user_id, username, category, created_at, anonymous
+        FROM ideas
+        WHERE deleted_at IS NULL AND ($2::int IS NULL OR event_id = $2) AND ($3::text IS NULL OR category = $3)
+      ),
+      activity AS (
+        SELECT user_id, username, 'idea' as kind, created_at as happened_at, category
+        FROM scoped_ideas
+        WHERE NOT anonymous
+        UNION ALL
+        SELECT i.user_id, i.username, 'vote', MIN(v.created_at), NULL
+        FROM idea_votes v
+        JOIN scoped_ideas i ON i.id = v.idea_id
+        WHERE v.user_id <> i.user_id AND NOT i.anonymous
+        GROUP BY i.id, i.user_id, i.username, v.user_id
+        UNION ALL
+        SELECT c.user_id, c.username, 'comment', c.created_at, NULL
+        FROM idea_comments c
+        JOIN scoped_ideas i ON i.id = c.idea_id
+        UNION ALL
+        SELECT i.user_id, i.username, 'comment_received', c.created_at, NULL
+        FROM idea_comments c
+        JOIN scoped_ideas i ON i.id = c.idea_id
+        WHERE c.user_id <> i.user_id AND NOT i.anonymous
+        UNION ALL
+        SELECT m.user_id, m.username, 'team', m.joined_at, NULL
+        FROM team_members m
+        JOIN teams t ON t.id = m.team_id
+        JOIN scoped_ideas i ON i.id = t.idea_id
+      )
+      SELECT
+        user_id,
+        MAX(username) as username,
+        SUM(
+          CASE kind
+            WHEN 'idea' THEN $5::float
+            WHEN 'vote' THEN $6::float
+            WHEN 'comment' THEN $7::float
+            WHEN 'comment_received' THEN $8::float
+            WHEN 'team' THEN $9::float
+          END *
+          -- The exponent is capped so very old activity scores ~0 instead of a float underflow error
+          CASE WHEN $10::float > 0 THEN POWER(0.5, LEAST(GREATEST(EXTRACT(EPOCH FROM NOW() - happened_at), 0) / 86400.0 / $10::float, 1000)) ELSE 1 END
+        ) as points,
+        COUNT(*) FILTER (WHERE kind = 'idea') as idea_count,
+        COUNT(*) FILTER (WHERE kind = 'vote') as votes_received,
+        COUNT(*) FILTER (WHERE kind = 'comment') as comments_written,
+        COUNT(*) FILTER (WHERE kind = 'comment_received') as comments_received,
+        COUNT(*) FILTER (WHERE kind = 'team') as team_count,
+        STRING_AGG(DISTINCT category, ', ') as categories,
+        MAX(happened_at) FILTER (WHERE kind = 'idea') as last_idea,
+        MAX(happened_at) as last_activity
+      FROM activity
+      WHERE $4::text IS NULL OR happened_at >= date_trunc($4, NOW() AT TIME ZONE 'Europe/Copenhagen') AT TIME ZONE 'Europe/Copenhagen'
+      GROUP BY user_id
+      ORDER BY points DESC, idea_count DESC, last_activity DESC
+      LIMIT $1
+    `;
+    const scoring = leaderboardScoring;
+    const result = await pool.query(query, [
+      limit,
+      filters.eventId,
+      filters.category || null,
+      filters.period || null,
+      scoring.idea,
+      scoring.vote,
+      scoring.comment,
+      scoring.comment_received,
+      scoring.team,
+      scoring.half_life
+    ]);
+    return result.rows;
+  });
+};
+
+// Personal idea list for the App Home tab - includes the user's anonymous ideas, since only they see it
+const getUserIdeas = async (userId, eventId, requestId) => {
+  return executeWithRetry(async () => {
+    const query = `
+      SELECT 
+        i.id,
+        i.idea_text,
+        i.category,
+        i.created_at,
+        (SELECT COUNT(DISTINCT v.user_id) FROM idea_votes v WHERE v.idea_id = i.id) as vote_count,
+        (SELECT COUNT(*) FROM reactions r WHERE r.idea_id = i.id) as reaction_count
+      FROM ideas i
+      WHERE COALESCE(i.anonymous_author_id, i.user_id) = $1 AND i.deleted_at IS NULL AND ($2::int IS NULL OR i.event_id = $2)
+      ORDER BY i.created_at DESC
+    `;
+    const result = await pool.query(query, [userId, eventId]);
+    logWithContext('info', 'Fetched user ideas', { requestId, userId, count: result.rows.length });
+    return result.rows;
+  });
+};
+
+// Vote functions - human emoji reactions on idea messages
+const getIdeaByMessage = async (channelId, messageTs, requestId) => {
+  return executeWithRetry(async () => {
+    const query = `
+      SELECT id, user_id, username, idea_text, category, anonymous_author_id
+      FROM ideas
+      WHERE channel_id = $1 AND message_ts = $2 AND deleted_at IS NULL
+      LIMIT 1
+    `;
+    const result = await pool.query(query, [channelId, messageTs]);
+    return result.rows[0] || null;
+  });
+};
+
+const saveVote = async (ideaId, userId, emoji, requestId) => {
+  return executeWithRetry(async () => {
+    const query = `
+      INSERT INTO idea_votes (idea_id, user_id, emoji, created_at)
+      VALUES ($1, $2, $3, NOW())
+      ON CONFLICT (idea_id, user_id, emoji) DO NOTHING
+    `;
+    await pool.query(query, [ideaId, userId, emoji]);
+    logWithContext('info', 'Vote saved', { requestId, ideaId, userId, emoji });
+  });
+};
+
+const removeVote = async (ideaId, userId, emoji, requestId) => {
+  return executeWithRetry(async () => {
+    const query = `
+      DELETE FROM idea_votes
+      WHERE idea_id = $1 AND user_id = $2 AND emoji = $3
+    `;
+    await pool.query(query, [ideaId, userId, emoji]);
+    logWithContext('info', 'Vote removed', { requestId, ideaId, userId, emoji });
+  });
+};
+
+const getTopIdeas = async (limit, eventId, requestId) => {
+  return executeWithRetry(async () => {
+    logWithContext('info', 'Fetching top voted ideas', { requestId, limit, eventId });
+
+    const query = `
+      SELECT
+        i.id,
+        i.username,
+        i.idea_text,
+        i.category,
+        i.created_at,
+        COUNT(DISTINCT v.user_id) as vote_count
+      FROM ideas i
+      JOIN idea_votes v ON i.id = v.idea_id
+      WHERE i.deleted_at IS NULL AND ($2::int IS NULL OR i.event_id = $2)
+      GROUP BY i.id, i.username, i.idea_text, i.category, i.created_at
+      ORDER BY vote_count DESC, i.created_at ASC
+      LIMIT $1
+    `;
+    const result = await pool.query(query, [limit, eventId]);
+    return result.rows;
+  });
+};
+
+// Export functions - full idea dump for /export-ideas and the REST API
+const getIdeasForExport = async ({ eventId, category, from, to, ideaId = null, limit = null, offset = 0 }, requestId) => {
+  return executeWithRetry(async () => {
+    logWithContext('info', 'Fetching ideas for export', { requestId, eventId, category, from, to, ideaId, limit, offset });
+
+    // Dates are whole days in Danish time; a category matches as primary or secondary tag
+    const query = `
+      SELECT
+        i.id,
+        i.user_id,
+        i.username,
+        i.title,
+        i.idea_text,
+        i.problem,
+        i.solution,
+        i.skills,
+        i.category,
+        i.tags,
+        i.source,
+        i.created_at,
+        i.updated_at,
+        e.name as event_name,
+        (SELECT COUNT(DISTINCT v.user_id) FROM idea_votes v WHERE v.idea_id = i.id) as vote_count,
+        (
+          SELECT COALESCE(json_object_agg(x.emoji, x.count), '{}'::json)
+          FROM (SELECT emoji, COUNT(*) as count FROM idea_votes v WHERE v.idea_id = i.id GROUP BY emoji) x
+        ) as vote_reactions,
+        (SELECT COALESCE(array_agg(r.reaction_type ORDER BY r.id), '{}') FROM reactions r WHERE r.idea_id = i.id) as bot_reactions,
+        COUNT(*) OVER() as total_count
+      FROM ideas i
+      LEFT JOIN events e ON e.id = i.event_id
+      WHERE i.deleted_at IS NULL
+        AND ($1::int IS NULL OR i.event_id = $1)
+        AND ($2::text IS NULL OR i.category = $2 OR $2 = ANY(i.tags))
+        AND ($3::date IS NULL OR (i.created_at AT TIME ZONE 'Europe/Copenhagen')::date >= $3::date)
+        AND ($4::date IS NULL OR (i.created_at AT TIME ZONE 'Europe/Copenhagen')::date <= $4::date)
+        AND ($5::int IS NULL OR i.id = $5)
+      ORDER BY i.created_at ASC, i.id ASC
+      LIMIT $6 OFFSET $7
+    `;
+    const result = await pool.query(query, [eventId, category, from, to, ideaId, limit, offset]);
+    return result.rows;
+  });
+};
+
+const EXPORT_FORMATS = ['csv', 'json', 'md'];
+
+const EXPORT_COLUMNS = [
+  'id', 'created_at', 'updated_at', 'author', 'author_id', 'event', 'title', 'text', 'problem',
+  'solution', 'skills', 'category', 'tags', 'votes', 'vote_reactions', 'bot_reactions', 'source'
+];
+
+const toExportRecord = (idea) => ({
+  id: idea.id,
+  created_at: new Date(idea.created_at).toISOString(),
+  updated_at: idea.updated_at ? new Date(idea.updated_at).toISOString() : null,
+  author: idea.username,
+  author_id: idea.user_id,
+  event: idea.event_name || null,
+  title: idea.title || null,
+  text: idea.idea_text,
+  problem: idea.problem || null,
+  solution: idea.solution || null,
+  skills: idea.skills || null,
+  category: idea.category,
+  tags: idea.tags || [],
+  votes: parseInt(idea.vote_count),
+  vote_reactions: idea.vote_reactions || {},
+  bot_reactions: idea.bot_reactions || [],
+  source: idea.source
+});
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatVoteReactions = (voteReactions) =>
+  Object.entries(voteReactions).map(([emoji, count]) => `:${emoji}: ${count}`).join(' ');
+
+const buildIdeasExport = (ideas, format, filterText, language = DEFAULT_LANGUAGE) => {
+  const records = ideas.map(toExportRecord);
+
+  if (format === 'json') {
+    return JSON.stringify({ exported_at: new Date().toISOString(), filters: filterText, count: records.length, ideas: records }, null, 2);
+  }
+
+  if (format === 'md') {
+    const label = (key) => t(language, `export.md.${key}`);
+    const formatTime = (date) => new Date(date).toLocaleString(getLocale(language).dateLocale, { timeZone: 'Europe/Copenhagen' });
+
+    const sections = records.map(record => [
+      `## #${record.id} ${record.title || record.text.substring(0, 80)}`,
+      '',
+      `- **${label('author')}:** ${record.author}`,
+      `- **${label('created')}:** ${formatTime(record.created_at)}`,
+      `- **${label('category')}:** ${record.category}${record.tags.length > 0 ? ` (+ ${record.tags.join(', ')})` : ''}`,
+      `- **${label('votes')}:** ${record.votes}${Object.keys(record.vote_reactions).length > 0 ? ` (${formatVoteReactions(record.vote_reactions)})` : ''}`,
+      `- **${label('bot_reactions')}:** ${record.bot_reactions.map(reaction => `:${reaction}:`).join(' ') || '-'}`,
+      record.event ? `- **${label('event')}:** ${record.event}` : null,
+      '',
+      record.text,
+      record.problem ? `\n**${label('problem')}:** ${record.problem}` : null,
+      record.solution ? `\n**${label('solution')}:** ${record.solution}` : null,
+      record.skills ? `\n**${label('skills')}:** ${record.skills}` : null
+    ].filter(line => line !== null).join('\n'));
+
+    const summary = t(language, 'export.md.summary', { count: records.length, filters: filterText, time: formatTime(new Date()) });
+
+    return `# ${label('title')}\n\n_${summary}_\n\n${sections.join('\n\n---\n\n')}\n`;
+  }
+
+  const rows = records.map(record => EXPORT_COLUMNS.map(column => {
+    if (column === 'tags') return escapeCsvValue(record.tags.join(', '));
+    if (column === 'vote_reactions') return escapeCsvValue(formatVoteReactions(record.vote_reactions));
+    if (column === 'bot_reactions') return escapeCsvValue(record.bot_reactions.join(', '));
+    return escapeCsvValue(record[column]);
+  }).join(','));
+
+  // BOM so Excel reads æøå correctly
+  return '\ufeff' + [EXPORT_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+};
+
+// Comment and lineage functions - thread replies on ideas, and ideas that build on earlier ones
+const saveComment = async (ideaId, userId, username, text, messageTs, channelId, requestId) => {
+  return executeWithRetry(async () => {
+    const query = `
+      INSERT INTO idea_comments (idea_id, user_id, username, comment_text, message_ts, channel_id, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, NOW())
+      ON CONFLICT (channel_id, message_ts) DO NOTHING
+    `;
+    await pool.query(query, [ideaId, userId, username, text, messageTs, channelId]);
+    logWithContext('info', 'Comment saved', { requestId, ideaId, userId });
+  });
+};
+
+// Both return false when the message isn't a stored comment
+const updateCommentText = async (channelId, messageTs, text, requestId) => {
+  return executeWithRetry(async () => {
+    const result = await pool.query(
+      'UPDATE idea_comments SET comment_text = $3, updated_at = NOW() WHERE channel_id = $1 AND message_ts = $2',
+      [channelId, messageTs, text]
+    );
+    logWithContext('info', 'Comment edit processed', { requestId, found: result.rowCount > 0 });
+    return result.rowCount > 0;
+  });
+};
+
+const deleteComment = async (channelId, messageTs, requestId) => {
+  return executeWithRetry(async () => {
+    const result = await pool.query(
+      'DELETE FROM idea_comments WHERE channel_id = $1 AND message_ts = $2',
+      [channelId, messageTs]
+    );
+    logWithContext('info', 'Comment delete processed', { requestId, found: result.rowCount > 0 });
+    return result.rowCount > 0;
+  });
+};
+
+// "bygger på #12", "bygger videre på idé #12" or "builds on #12" -> 12
+const PARENT_REFERENCE_PATTERN = /(?:bygger(?:\s+videre)?\s+på|builds?\s+on)\s+(?:id[eé]\s+|idea\s+)?#(\d+)/i;
+
+const parseParentReference = (text) => {
+  const match = (text || '').match(PARENT_REFERENCE_PATTERN);
+  return match ? parseInt(match[1]) : null;
+};
+
+// Returns linked, not_found, self or cycle - an idea can't build on one of its own descendants
+const linkIdeaParent = async (ideaId, parentId, requestId) => {
+  if (ideaId === parentId) {
+    return 'self';
+  }
+
+  return executeWithRetry(async () => {
+    const query = `
+      WITH RECURSIVE ancestors AS (
+        SELECT id, parent_id FROM ideas WHERE id = $2 AND deleted_at IS NULL
+        UNION
+        SELECT i.id, i.parent_id FROM ideas i JOIN ancestors a ON i.id = a.parent_id
+      )
+      SELECT
+        EXISTS (SELECT 1 FROM ancestors WHERE id = $2) as parent_exists,
+        EXISTS (SELECT 1 FROM ancestors WHERE id = $1) as creates_cycle
+    `;
+    const check = (await pool.query(query, [ideaId, parentId])).rows[0];
+
+    if (!check.parent_exists) return 'not_found';
+    if (check.creates_cycle) return 'cycle';
+
+    await pool.query('UPDATE ideas SET parent_id = $2 WHERE id = $1', [ideaId, parentId]);
+    logWithContext('info', 'Idea linked to parent', { requestId, ideaId, parentId });
+    return 'linked';
+  });
+};
+
+// The whole family of an idea - walks up to the root, then lists every descendant depth-first
+const getIdeaTree = async (ideaId, requestId) => {
+  return executeWithRetry(async () => {
+    const query = `
+      WITH RECURSIVE ancestors AS (
+        SELECT id, parent_id, 0 as depth FROM ideas WHERE id = $1
+        UNION
+        SELECT i.id, i.parent_id, a.depth + 1 FROM ideas i JOIN ancestors a ON i.id = a.parent_id
+        WHERE a.depth < 100
+      ),
+      root AS (
+        SELECT id FROM ancestors ORDER BY depth DESC LIMIT 1
+      ),
+      tree AS (
+        SELECT id, 0 as depth, ARRAY[id] as path FROM root
+        UNION ALL
+        SELECT i.id, t.depth + 1, t.path || i.id
+        FROM ideas i JOIN tree t ON i.parent_id = t.id
+        WHERE NOT i.id = ANY(t.path)
+      )
+      SELECT
+        t.depth,
+        i.id,
+        i.parent_id,
+        i.username,
+        i.title,
+        i.idea_text,
+        i.deleted_at,
+        (SELECT COUNT(*) FROM idea_comments c WHERE c.idea_id = i.id) as comment_count
+      FROM tree t
+      JOIN ideas i ON i.id = t.id
+      ORDER BY t.path
+    `;
+    const result = await pool.query(query, [ideaId]);
+    logWithContext('info', 'Fetched idea tree', { requestId, ideaId, size: result.rows.length });
+    return result.rows;
+  });
+};
+
+// Team functions - teams form around ideas
+const getIdeaById = async (ideaId, requestId) => {
+  return executeWithRetry(async () => {
+    const query = `
+      SELECT id, user_id, username, idea_text, category, message_ts, channel_id
+      FROM ideas
+      WHERE id = $1 AND deleted_at IS NULL
+      LIMIT 1
+    `;
+    const result = await pool.query(query, [ideaId]);
+    return result.rows[0] || null;
+  });
+};
+
+const joinTeam = async (ideaId, userId, username, requestId) => {
+  return executeWithRetry(async () => {
+    logWithContext('info', 'Joining team', { requestId, ideaId, userId });
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const idea = await client.query(`SELECT event_id FROM ideas WHERE id = $1`, [ideaId]);
+      const eventId = idea.rows[0] ? idea.rows[0].event_id : null;
+
+      // One team per person per event - past events don't block joining a new one
+      const currentTeam = await client.query(
+        `SELECT t.idea_id FROM team_members m JOIN teams t ON t.id = m.team_id
+         WHERE m.user_id = $1 AND m.event_id IS NOT DISTINCT FROM $2`,
+        [userId, eventId]
+      );
+
+      if (currentTeam.rows.length > 0) {
+        await client.query('ROLLBACK');
+        const status = currentTeam.rows[0].idea_id === ideaId ? 'already_member' : 'in_other_team';
+        return { status, currentIdeaId: currentTeam.rows[0].idea_id };
+      }
+
+      await client.query(
+        `INSERT INTO teams (idea_id, created_at) VALUES ($1, NOW()) ON CONFLICT (idea_id) DO NOTHING`,
+        [ideaId]
+      );
+
+      // Lock the team row so concurrent joins can't exceed the max size
+      const team = await client.query(`SELECT id FROM teams WHERE idea_id = $1 FOR UPDATE`, [ideaId]);
+      const teamId = team.rows[0].id;
+
+      const memberCount = await client.query(`SELECT COUNT(*) as count FROM team_members WHERE team_id = $1`, [teamId]);
+
+      if (parseInt(memberCount.rows[0].count) >= CONFIG.maxTeamSize) {
+        await client.query('ROLLBACK');
+        return { status: 'full', memberCount: parseInt(memberCount.rows[0].count) };
+      }
+
+      await client.query(
+        `INSERT INTO team_members (team_id, user_id, username, event_id, joined_at) VALUES ($1, $2, $3, $4, NOW())`,
+        [teamId, userId, username, eventId]
+      );
+
+      await client.query('COMMIT');
+      return { status: 'joined', memberCount: parseInt(memberCount.rows[0].count) + 1 };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  });
+};
+
+// Memberships are scoped by the idea's event (like joinTeam), so leaving goes by idea - without one, the
+// active event's team wins and otherwise the newest membership, e.g. from an event that is no longer active
+const leaveTeam = async (userId, ideaId, requestId) => {
+  return executeWithRetry(async () => {
+    const query = `
+      DELETE FROM team_members m
+      USING teams t
+      WHERE m.team_id = t.id AND m.id = (
+        SELECT mm.id FROM team_members mm
+        JOIN teams tt ON tt.id = mm.team_id
+        WHERE mm.user_id = $1 AND ($2::int IS NULL OR tt.idea_id = $2)
+        ORDER BY (mm.event_id IS NOT DISTINCT FROM $3) DESC, mm.joined_at DESC
+        LIMIT 1
+      )
+      RETURNING t.idea_id
+    `;
+    const result = await pool.query(query, [userId, ideaId, currentEventId()]);
+    logWithContext('info', 'Left team', { requestId, userId, ideaId, left: result.rows.length > 0 });
+    return result.rows[0] ? result.rows[0].idea_id : null;
+  });
+};
+
+const getTeams = async (eventId, requestId) => {
+  return executeWithRetry(async () => {
+    logWithContext('info', 'Fetching teams', { requestId, eventId });
+
+    const query = `
+      SELECT
+        i.id as idea_id,
+        i.idea_text,
+        i.username as idea_author,
+        json_agg(json_build_object('user_id', m.user_id, 'username', m.username) ORDER BY m.joined_at) as members
+      FROM teams t
+      JOIN ideas i ON i.id = t.idea_id
+      JOIN team_members m ON m.team_id = t.id
+      WHERE i.deleted_at IS NULL AND ($1::int IS NULL OR i.event_id = $1)
+      GROUP BY i.id, i.idea_text, i.username
+      ORDER BY COUNT(m.id) DESC, i.id ASC
+    `;
+    const result = await pool.query(query, [eventId]);
+    return result.rows;
+  });
+};
+
+// Judging functions - rubric criteria and judges belong to an event, scores to an idea (and thereby its team)
+const JUDGING_SCORES = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+const getJudgingCriteria = async (eventId, requestId) => {
+  return executeWithRetry(async () => {
+    const result = await pool.query(
+      `SELECT id, name, description, weight FROM judging_criteria
+       WHERE event_id IS NOT DISTINCT FROM $1
+       ORDER BY sort_order ASC, id ASC`,
+      [eventId]
+    );
+    return result.rows.map(row => ({ ...row, weight: parseFloat(row.weight) }));
+  });
+};
+
+const addJudgingCriterion = async (eventId, { name, weight, description }, requestId) => {
+  return executeWithRetry(async () => {
+    const query = `
+      INSERT INTO judging_criteria (event_id, name, description, weight, sort_order, created_at)
+      VALUES ($1, $2, $3, $4, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM judging_criteria WHERE event_id IS NOT DISTINCT FROM $1), NOW())
+      RETURNING id
+    `;
+    const result = await pool.query(query, [eventId, name, description, weight]);
+    logWithContext('info', 'Judging criterion added', { requestId, eventId, criterionId: result.rows[0].id, name, weight });
+    return result.rows[0].id;
+  });
+};
+
+const removeJudgingCriterion = async (eventId, criterionId, requestId) => {
+  return executeWithRetry(async () => {
+    const result = await pool.query(
+      `DELETE FROM judging_criteria WHERE id = $1 AND event_id IS NOT DISTINCT FROM $2 RETURNING name`,
+      [criterionId, eventId]
+    );
+    logWithContext('info', 'Judging criterion removed', { requestId, eventId, criterionId, found: result.rows.length > 0 });
+    return result.rows[0] ? result.rows[0].name : null;
+  });
+};
+
+const getJudges = async (eventId, requestId) => {
+  return executeWithRetry(async () => {
+    const result = await pool.query(
+      `SELECT user_id FROM judge_assignments WHERE event_id IS NOT DISTINCT FROM $1 ORDER BY assigned_at ASC`,
+      [eventId]
+    );
+    return result.rows.map(row => row.user_id);
+  });
+};
+
+// Assigned judges also get the judge role so they can see all ideas
+const assignJudge = async (eventId, userId, assignedBy, requestId) => {
+  const created = await executeWithRetry(async () => {
+    const result = await pool.query(
+      `INSERT INTO judge_assignments (event_id, user_id, assigned_by, assigned_at)
+       VALUES ($1, $2, $3, NOW())
+       ON CONFLICT DO NOTHING
+       RETURNING id`,
+      [eventId, userId, assignedBy]
+    );
+    return result.rows.length > 0;
+  });
+
+  await grantRole(userId, 'judge', assignedBy, requestId);
+  logWithContext('info', 'Judge assigned', { requestId, eventId, userId, created });
+  return created;
+};
+
+const unassignJudge = async (eventId, userId, requestId) => {
+  return executeWithRetry(async () => {
+    const result = await pool.query(
+      `DELETE FROM judge_assignments WHERE user_id = $1 AND event_id IS NOT DISTINCT FROM $2`,
+      [userId, eventId]
+    );
+    logWithContext('info', 'Judge unassigned', { requestId, eventId, userId, removed: result.rowCount > 0 });
+    return result.rowCount > 0;
+  });
+};
+
+const getJudgingIdeas = async (eventId, judgeId, requestId) => {
+  return executeWithRetry(async () => {
+    const query = `
+      SELECT
+        i.id,
+        i.username,
+        i.title,
+        i.idea_text,
+        COALESCE((
+          SELECT json_agg(m.user_id ORDER BY m.joined_at)
+          FROM teams t JOIN team_members m ON m.team_id = t.id
+          WHERE t.idea_id = i.id
+        ), '[]'::json) as members,
+        (SELECT COUNT(*) FROM judge_scores s WHERE s.idea_id = i.id AND s.judge_id = $2) as scored_count
+      FROM ideas i
+      WHERE i.deleted_at IS NULL AND ($1::int IS NULL OR i.event_id = $1)
+      ORDER BY i.id ASC
+    `;
+    const result = await pool.query(query, [eventId, judgeId]);
+    return result.rows;
+  });
+};
+
+const getJudgeScores = async (ideaId, judgeId, requestId) => {
+  return executeWithRetry(async () => {
+    const result = await pool.query(
+      `SELECT criterion_id, score, comment FROM judge_scores WHERE idea_id = $1 AND judge_id = $2`,
+      [ideaId, judgeId]
+    );
+    return result.rows;
+  });
+};
+
+const saveJudgeScores = async (ideaId, judgeId, scores, requestId) => {
+  return executeWithRetry(async () => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      for (const { criterionId, score, comment } of scores) {
+        await client.query(
+          `INSERT INTO judge_scores (idea_id, judge_id, criterion_id, score, comment, created_at, updated_at)
+           VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+           ON CONFLICT (idea_id, judge_id, criterion_id)
+           DO UPDATE SET score = $4, comment = $5, updated_at = NOW()`,
+          [ideaId, judgeId, criterionId, score, comment]
+        );
+      }
+
+      await client.query('COMMIT');
+      logWithContext('info', 'Judge scores saved', { requestId, ideaId, judgeId, criteria: scores.length });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  });
+};
+
+// Weighted total per judge, averaged across judges. A judge is an outlier when their
+// scores sit consistently above or below the panel's median for the same ideas.
+const getJudgingResults = async (eventId, requestId) => {
+  const [criteria, ideas] = await Promise.all([
+    getJudgingCriteria(eventId, requestId),
+    getJudgingIdeas(eventId, null, requestId)
+  ]);
+
+  const scores = await executeWithRetry(async () => {
+    const result = await pool.query(
+      `SELECT s.idea_id, s.judge_id, s.criterion_id, s.score
+       FROM judge_scores s
+       JOIN judging_criteria c ON c.id = s.criterion_id
+       WHERE c.event_id IS NOT DISTINCT FROM $1`,
+      [eventId]
+    );
+    return result.rows;
+  });
+
+  const weights = new Map(criteria.map(criterion => [criterion.id, criterion.weight]));
+  const judgeTotals = new Map();
+
+  scores.forEach(({ idea_id, judge_id, criterion_id, score }) => {
+    const key = `${idea_id}:${judge_id}`;
+    const entry = judgeTotals.get(key) || { ideaId: idea_id, judgeId: judge_id, weighted: 0, weight: 0 };
+    entry.weighted += score * weights.get(criterion_id);
+    entry.weight += weights.get(criterion_id);
+    judgeTotals.set(key, entry);
+  });
+
+  const byIdea = new Map();
+  judgeTotals.forEach(({ ideaId, judgeId, weighted, weight }) => {
+    if (weight === 0) return;
+    const list = byIdea.get(ideaId) || [];
+    list.push({ judgeId, score: weighted / weight });
+    byIdea.set(ideaId, list);
+  });
+
+  const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+  };
+
+  const ranking = ideas
+    .filter(idea => byIdea.has(idea.id))
+    .map(idea => {
+      const judgeScores = byIdea.get(idea.id);
+      return { ...idea, score: average(judgeScores.map(entry => entry.score)), judgeCount: judgeScores.length };
+    })
+    .sort((a, b) => b.score - a.score || b.judgeCount - a.judgeCount);
+
+  const deviations = new Map();
+  byIdea.forEach(judgeScores => {
+    if (judgeScores.length < 2) return;
+    const panelMedian = median(judgeScores.map(entry => entry.score));
+    judgeScores.forEach(({ judgeId, score }) => {
+      const list = deviations.get(judgeId) || [];
+      list.push(score - panelMedian);
+      deviations.set(judgeId, list);
+    });
+  });
+
+  const judges = [...deviations.entries()].map(([judgeId, list]) => {
+    const meanDeviation = average(list);
+    return {
+      judgeId,
+      comparedIdeas: list.length,
+      meanDeviation,
+      outlier: Math.abs(meanDeviation) >= CONFIG.judgeOutlierThreshold
+    };
+  });
+
+  return { criteria, ranking, judges };
+};
+
+// Category functions - admin-managed categories
+const loadCategories = async (requestId) => {
+  return executeWithRetry(async () => {
+    const query = `
+      SELECT id, name, emoji, keywords, sort_order
+      FROM categories
+      ORDER BY sort_order ASC, id ASC
+    `;
+    const result = await pool.query(query);
+    categoryCache = result.rows;
+    logWithContext('info', 'Categories loaded', { requestId, count: categoryCache.length });
+    return categoryCache;
+  });
+};
+
+const addCategory = async ({ name, emoji, keywords, sortOrder }, requestId) => {
+  return executeWithRetry(async () => {
+    const query = `
+      INSERT INTO categories (name, emoji, keywords, sort_order, created_at, updated_at)
+      VALUES ($1, $2, $3, COALESCE($4, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM categories)), NOW(), NOW())
+      RETURNING id
+    `;
+    const result = await pool.query(query, [name, emoji, keywords, sortOrder]);
+    logWithContext('info', 'Category added', { requestId, categoryId: result.rows[0].id, name });
+    return result.rows[0].id;
+  });
+};
+
+const updateCategory = async (categoryId, { name, emoji, keywords, sortOrder }, requestId) => {
+  return executeWithRetry(async () => {
+    const query = `
+      UPDATE categories
+      SET
+        name = COALESCE($2, name),
+        emoji = COALESCE($3, emoji),
+        keywords = COALESCE($4, keywords),
+        sort_order = COALESCE($5, sort_order),
+        updated_at = NOW()
+      WHERE id = $1
+      RETURNING id
+    `;
+    const result = await pool.query(query, [categoryId, name, emoji, keywords, sortOrder]);
+    logWithContext('info', 'Category updated', { requestId, categoryId, found: result.rows.length > 0 });
+    return result.rows.length > 0;
+  });
+};
+
+const removeCategory = async (categoryId, requestId) => {
+  return executeWithRetry(async () => {
+    const result = await pool.query('DELETE FROM categories WHERE id = $1 RETURNING name', [categoryId]);
+    logWithContext('info', 'Category removed', { requestId, categoryId, found: result.rows.length > 0 });
+    return result.rows[0] ? result.rows[0].name : null;
+  });
+};
+
+const recategorizeIdeas = async (requestId) => {
+  return executeWithRetry(async () => {
+    logWithContext('info', 'Recategorizing existing ideas', { requestId });
+
+    const result = await pool.query('SELECT id, idea_text, category, tags FROM ideas WHERE deleted_at IS NULL');
+    let changed = 0;
+
+    for (const idea of result.rows) {
+      const category = categorizeIdea(idea.idea_text);
+      const tags = category.secondary.map(tag => tag.name);
+
+      if (category.name !== idea.category || tags.join('|') !== (idea.tags || []).join('|')) {
+        await pool.query('UPDATE ideas SET category = $2, tags = $3 WHERE id = $1', [idea.id, category.name, tags]);
+        changed++;
+      }
+    }
+
+    logWithContext('info', 'Recategorization completed', { requestId, total: result.rows.length, changed });
+    return { total: result.rows.length, changed };
+  });
+};
+
+// Danish-aware stemming - a light variant of the Snowball Danish stemmer,
+// extended with -ering/-ing forms so "automatisering" meets "automatiseret"
+const DANISH_VOWELS = 'aeiouyæøå';
+const VALID_S_ENDINGS = 'abcdfghjklmnoprtvyzå';
+const DANISH_SUFFIXES = [
+  'erendes', 'eringer', 'eringen', 'erende', 'ethed', 'heden', 'heder', 'hedens', 'erede', 'erets', 'endes',
+  'ering', 'ernes', 'erens', 'inger', 'ingen', 'ende', 'enes', 'erne', 'eres', 'ered', 'eren', 'erer',
+  'heds', 'eret', 'hed', 'ene', 'ere', 'ens', 'ers', 'ets', 'ing', 'en', 'er', 'es', 'et', 'e'
+].sort((a, b) => b.length - a.length);
+
+const stemWord = (word) => {
+  if (word.length <= 3) return word;
+  
+  let r1 = word.length;
+  for (let i = 1; i < word.length; i++) {
+    if (!DANISH_VOWELS.includes(word[i]) && DANISH_VOWELS.includes(word[i - 1])) {
+      r1 = Math.max(i + 1, 3);
+      break;
+    }
+  }
+  
+  let stem = word;
+  const suffix = DANISH_SUFFIXES.find(candidate => stem.endsWith(candidate) && stem.length - candidate.length >= r1);
+  
+  if (suffix) {
+    stem = stem.slice(0, -suffix.length);
+  } else if (stem.endsWith('s') && stem.length - 1 >= r1 && VALID_S_ENDINGS.includes(stem[stem.length - 2])) {
+    stem = stem.slice(0, -1);
+  }
+  
+  if (/(gd|dt|gt|kt)$/.test(stem) && stem.length - 2 >= r1) {
+    stem = stem.slice(0, -1);
+  }
+  
+  if (/([^aeiouyæøå])\1$/.test(stem) && stem.length - 2 >= r1) {
+    stem = stem.slice(0, -1);
+  }
+  
+  return stem;
+};
+
+const tokenize = (text) => text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+// Stems match exactly, or when one is the other plus a short inflection ("proc"/"proces")
+const stemsMatch = (tokenStem, keywordStem) => {
+  if (tokenStem === keywordStem) return true;
+  
+  const [shorter, longer] = tokenStem.length < keywordStem.length ? [tokenStem, keywordStem] : [keywordStem, tokenStem];
+  return shorter.length >= 4 && longer.length - shorter.length <= 2 && longer.startsWith(shorter);
+};
+
+// Keywords may carry a weight: "machine learning:2"
+const parseKeyword = (keyword) => {
+  const match = keyword.match(/^(.*?)(?::(\d+(?:\.\d+)?))?$/);
+  return {
+    stems: tokenize(match[1]).map(stemWord),
+    weight: match[2] ? parseFloat(match[2]) : 1
+  };
+};
+
+const MAX_SECONDARY_CATEGORIES = 2;
+
+// Enhanced categorization - scores every category and returns the best one,
+// with runners-up scoring at least half as much attached as secondary tags
+const categorizeIdea = (text) => {
+  const tokenStems = tokenize(text).map(stemWord);
+  const categories = categoryCache.length > 0 ? categoryCache : DEFAULT_CATEGORIES;
+  
+  const scored = categories
+    .map((category, index) => {
+      const score = category.keywords.reduce((sum, keyword) => {
+        const { stems, weight } = parseKeyword(keyword);
+        if (stems.length === 0) return sum;
+        
+        const found = tokenStems.some((_, start) =>
+          stems.every((stem, offset) => tokenStems[start + offset] && stemsMatch(tokenStems[start + offset], stem))
+        );
+        
+        return found ? sum + weight : sum;
+      }, 0);
+      
+      return { category, score, index };
+    })
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score || a.index - b.index);
+  
+  if (scored.length === 0) {
+    return { ...FALLBACK_CATEGORY, score: 0, secondary: [] };
+  }
+  
+  const [primary, ...rest] = scored;
+  const secondary = rest
+    .filter(entry => entry.score >= primary.score / 2)
+    .slice(0, MAX_SECONDARY_CATEGORIES)
+    .map(entry => entry.category);
+  
+  return { ...primary.category, score: primary.score, secondary };
+};
+
+// Similarity detection - TF-IDF over stemmed words, compared with cosine similarity
+const DANISH_STOPWORDS = new Set([
+  'ide', 'idé', 'og', 'i', 'til', 'at', 'en', 'et', 'det', 'der', 'den', 'de', 'for', 'med', 'af', 'på',
+  'som', 'vi', 'kan', 'er', 'om', 'så', 'fra', 'har', 'man', 'skal', 'vil', 'eller', 'alle', 'os', 'the', 'a', 'to', 'of'
+]);
+
+const ideaTerms = (text) => tokenize(text)
+  .filter(token => !DANISH_STOPWORDS.has(token))
+  .map(stemWord);
+
+const buildTfIdfVectors = (documents) => {
+  const termLists = documents.map(document => ideaTerms(document.text));
+  const documentFrequency = new Map();
+  
+  termLists.forEach(terms => {
+    new Set(terms).forEach(term => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+  });
+  
+  return termLists.map(terms => {
+    const vector = new Map();
+    terms.forEach(term => vector.set(term, (vector.get(term) || 0) + 1));
+    
+    let norm = 0;
+    for (const [term, count] of vector.entries()) {
+      const weight = count * Math.log((1 + documents.length) / (1 + documentFrequency.get(term))) + count;
+      vector.set(term, weight);
+      norm += weight * weight;
+    }
+    
+    norm = Math.sqrt(norm) || 1;
+    for (const [term, weight] of vector.entries()) {
+      vector.set(term, weight / norm);
+    }
+    
+    return vector;
+  });
+};
+
+const cosineSimilarity = (a, b) => {
+  const [smaller, larger] = a.size < b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [term, weight] of smaller.entries()) {
+    dot += weight * (larger.get(term) || 0);
+  }
+  return dot;
+};
+
+const getIdeasForSimilarity = async (eventId, requestId) => {
+  return executeWithRetry(async () => {
+    const query = `
+      SELECT id, user_id, username, idea_text, message_ts, channel_id, created_at
+      FROM ideas
+      WHERE deleted_at IS NULL AND ($1::int IS NULL OR event_id = $1)
+      ORDER BY id ASC
+    `;
+    const result = await pool.query(query, [eventId]);
+    logWithContext('info', 'Fetched ideas for similarity check', { requestId, count: result.rows.length });
+    return result.rows;
+  });
+};
+
+const findSimilarIdeas = async (ideaId, text, eventId, requestId) => {
+  const ideas = (await getIdeasForSimilarity(eventId, requestId)).filter(idea => idea.id !== ideaId);
+  
+  if (ideas.length === 0) return [];
+  
+  const vectors = buildTfIdfVectors([{ text }, ...ideas.map(idea => ({ text: idea.idea_text }))]);
+  const [target, ...others] = vectors;
+  
+  return others
+    .map((vector, index) => ({ idea: ideas[index], similarity: cosineSimilarity(target, vector) }))
+    .filter(match => match.similarity >= CONFIG.similarityThreshold)
+    .sort((a, b) => b.similarity - a.similarity);
+};
+
+// Groups likely duplicates with union-find over every pair above the threshold
+const findDuplicateClusters = async (eventId, requestId) => {
+  const ideas = await getIdeasForSimilarity(eventId, requestId);
+  const vectors = buildTfIdfVectors(ideas.map(idea => ({ text: idea.idea_text })));
+  const parent = ideas.map((_, index) => index);
+  const bestSimilarity = new Map();
+  
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+  
+  for (let i = 0; i < ideas.length; i++) {
+    for (let j = i + 1; j < ideas.length; j++) {
+      const similarity = cosineSimilarity(vectors[i], vectors[j]);
+      
+      if (similarity >= CONFIG.similarityThreshold) {
+        parent[find(j)] = find(i);
+        bestSimilarity.set(i, Math.max(bestSimilarity.get(i) || 0, similarity));
+        bestSimilarity.set(j, Math.max(bestSimilarity.get(j) || 0, similarity));
+      }
+    }
+  }
+  
+  const clusters = new Map();
+  ideas.forEach((idea, index) => {
+    if (!bestSimilarity.has(index)) return;
+    const root = find(index);
+    clusters.set(root, [...(clusters.get(root) || []), { ...idea, similarity: bestSimilarity.get(index) }]);
+  });
+  
+  return [...clusters.values()].sort((a, b) => b.length - a.length);
+};
+
+// Generate motivational message - channel broadcasts, so the broadcast language is the default
+const generateMotivationalMessage = (stats, language = broadcastLanguage) => {
+  const { motivationalMessages } = getLocale(language);
+  const messageGenerator = motivationalMessages[Math.floor(Math.random() * motivationalMessages.length)];
+  const randomMessage = messageGenerator(stats.total);
+  
+  const topCategory = stats.categories.length > 0 ? stats.categories[0] : null;
+  const categoryText = topCategory ? 
+    t(language, 'motivation.top_category', { category: topCategory.category, count: topCategory.count }) : '';
+  
+  return `${randomMessage}${categoryText}${t(language, 'motivation.footer')}`;
+};
+
+// Reminder text for the current phase - only called when the phase allows reminders
+const generatePhaseReminder = (stats, language = broadcastLanguage) => {
+  switch (currentPhase) {
+    case 'idea_collection':
+      return generateMotivationalMessage(stats, language);
+    case 'voting':
+      return t(language, 'motivation.voting', { total: stats.total });
+    case 'team_forming':
+      return t(language, 'motivation.team_forming');
+    default:
+      return t(language, 'motivation.hacking');
+  }
+};
+
+// Helper function for time formatting
+function getTimeAgo(date, language = DEFAULT_LANGUAGE) {
+  const now = new Date();
+  const diffInSeconds = Math.floor((now - date) / 1000);
+  
+  if (diffInSeconds < 60) return t(language, 'time.just_now');
+  if (diffInSeconds < 3600) return t(language, 'time.minutes_ago', { count: Math.floor(diffInSeconds / 60) });
+  if (diffInSeconds < 86400) return t(language, 'time.hours_ago', { count: Math.floor(diffInSeconds / 3600) });
+  if (diffInSeconds < 2592000) return t(language, 'time.days_ago', { count: Math.floor(diffInSeconds / 86400) });
+  return date.toLocaleDateString(getLocale(language).dateLocale);
+}
+
+// Helper function for resolving display names
+const getUsername = async (client, userId, requestId) => {
+  try {
+    const userInfo = await client.users.info({ user: userId });
+    return userInfo.user.display_name || userInfo.user.real_name || userInfo.user.name || 'Anonymous';
+  } catch (error) {
+    logWithContext('warn', 'Could not fetch user info, using fallback', { requestId, error: error.message });
+    return 'Anonymous';
+  }
+};
+
+// Shared join flow for /join-idea and the "Join team" button
+const handleJoinTeam = async (client, ideaId, userId, language, requestId) => {
+  if (!isPhaseAllowed('teams')) {
+    return phaseClosedText('teams', language);
+  }
+
+  const idea = await getIdeaById(ideaId, requestId);
+
+  if (!idea) {
+    return t(language, 'teams.idea_not_found', { id: ideaId });
+  }
+
+  const username = await getUsername(client, userId, requestId);
+  const result = await joinTeam(idea.id, userId, username, requestId);
+
+  if (result.status === 'already_member') {
+    return t(language, 'teams.already_member', { id: idea.id });
+  }
+
+  if (result.status === 'in_other_team') {
+    return t(language, 'teams.in_other_team', { id: result.currentIdeaId });
+  }
+
+  if (result.status === 'full') {
+    return t(language, 'teams.full', { id: idea.id, max: CONFIG.maxTeamSize });
+  }
+
+  try {
+    await client.chat.postMessage({
+      channel: idea.channel_id,
+      thread_ts: idea.message_ts,
+      text: t(broadcastLanguage, 'teams.joined_thread', { userId, count: result.memberCount, max: CONFIG.maxTeamSize })
+    });
+  } catch (error) {
+    logWithContext('warn', 'Could not post team join in thread', { requestId, ideaId: idea.id, error: error.message });
+  }
+
+  logWithContext('info', 'Team joined', { requestId, ideaId: idea.id, userId, memberCount: result.memberCount });
+
+  return t(language, 'teams.joined', { id: idea.id, count: result.memberCount, max: CONFIG.maxTeamSize });
+};
+
+// Shared bot response for new ideas - reactions, similarity hint, thread reply and dad joke.
+// The thread replies talk to the author, so they use the author's language
+// threadTs differs from ts when the idea itself was posted as a reply in another idea's thread
+const reactToIdea = async (client, { ideaId, channel, ts, threadTs = ts, text, category, language }, requestId) => {
+  const { funnyResponses, dadJokes } = getLocale(language);
+
+  const randomReaction = REACTIONS[Math.floor(Math.random() * REACTIONS.length)];
+  
+  await Promise.all([
+    client.reactions.add({
+      channel,
+      timestamp: ts,
+      name: randomReaction
+    }),
+    client.reactions.add({
+      channel,
+      timestamp: ts,
+      name: category.emoji
+    })
+  ]);
+  
+  logWithContext('info', 'Reactions added successfully', { requestId, ideaId });
+  
+  try {
+    const [closestMatch] = await findSimilarIdeas(ideaId, text, currentEventId(), requestId);
+    
+    if (closestMatch) {
+      const { permalink } = await client.chat.getPermalink({
+        channel: closestMatch.idea.channel_id,
+        message_ts: closestMatch.idea.message_ts
+      });
+      
+      await client.chat.postMessage({
+        channel,
+        thread_ts: threadTs,
+        text: t(language, 'idea.similar', {
+          id: closestMatch.idea.id,
+          username: closestMatch.idea.username,
+          percent: Math.round(closestMatch.similarity * 100),
+          permalink
+        })
+      });
+      
+      logWithContext('info', 'Similar idea found', {
+        requestId,
+        ideaId,
+        similarIdeaId: closestMatch.idea.id,
+        similarity: closestMatch.similarity
+      });
+    }
+  } catch (error) {
+    logWithContext('warn', 'Similarity check failed', { requestId, ideaId, error: error.message });
+  }
+  
+  scheduleFollowUp(async () => {
+    try {
+      const randomResponse = funnyResponses[Math.floor(Math.random() * funnyResponses.length)];
+      
+      await client.chat.postMessage({
+        channel,
+        text: randomResponse,
+        thread_ts: threadTs,
+        blocks: [
+          {
+            "type": "section",
+            "text": {
+              "type": "mrkdwn",
+              "text": randomResponse
+            }
+          },
+          {
+            "type": "actions",
+            "elements": [
+              {
+                "type": "button",
+                "action_id": "join_team",
+                "text": {
+                  "type": "plain_text",
+                  "text": t(language, 'idea.join_button'),
+                  "emoji": true
+                },
+                "value": String(ideaId)
+              }
+            ]
+          }
+        ]
+      });
+      
+      await saveReaction(ideaId, 'response', randomResponse, requestId);
+      
+      if (Math.random() < CONFIG.dadJokeChance) {
+        scheduleFollowUp(async () => {
+          try {
+            const randomJoke = dadJokes[Math.floor(Math.random() * dadJokes.length)];
+            await client.chat.postMessage({
+              channel,
+              text: t(language, 'idea.dad_joke', { joke: randomJoke }),
+              thread_ts: threadTs
+            });
+            
+            await saveReaction(ideaId, 'dad_joke', randomJoke, requestId);
+            logWithContext('info', 'Dad joke sent', { requestId, ideaId });
+          } catch (error) {
+            logWithContext('error', 'Dad joke failed', { requestId, error: error.message });
+          }
+        }, 2000);
+      }
+      
+      logWithContext('info', 'Message processing completed successfully', { requestId, ideaId });
+      
+    } catch (error) {
+      logWithContext('error', 'Response sending failed', { requestId, error: error.message });
+    }
+  }, Math.random() * 3000 + 1000);
+};
+
+// Main message handler
+const announceIdeaParent = async (client, { ideaId, channel, threadTs }, parentId, requestId) => {
+  try {
+    await client.chat.postMessage({
+      channel,
+      thread_ts: threadTs,
+      text: t(broadcastLanguage, 'lineage.linked', { id: ideaId, parentId })
+    });
+  } catch (error) {
+    logWithContext('warn', 'Could not announce idea lineage', { requestId, ideaId, parentId, error: error.message });
+  }
+};
+
+// Human replies in an idea's thread are comments - "bygger på #id" from the author (or an organizer) also links a parent
+const COMMENT_SUBTYPES = [undefined, 'thread_broadcast', 'file_share'];
+
+const handleThreadReply = async (client, message, requestId) => {
+  if (!COMMENT_SUBTYPES.includes(message.subtype) || !message.user) return;
+
+  const idea = await getIdeaByMessage(message.channel, message.thread_ts, requestId);
+
+  if (!idea) return;
+
+  const username = await getUsername(client, message.user, requestId);
+  await saveComment(idea.id, message.user, username, message.text || '', message.ts, message.channel, requestId);
+
+  const parentId = parseParentReference(message.text);
+
+  if (!parentId) return;
+
+  if (!isIdeaAuthor(idea, message.user) && !(await hasPermission(message.user, 'ideas.link', requestId))) {
+    logWithContext('info', 'Parent reference ignored, not the idea author', { requestId, ideaId: idea.id, userId: message.user });
+    return;
+  }
+
+  const status = await linkIdeaParent(idea.id, parentId, requestId);
+
+  if (status === 'linked') {
+    await announceIdeaParent(client, { ideaId: idea.id, channel: message.channel, threadTs: message.thread_ts }, parentId, requestId);
+    return;
+  }
+
+  const lang = await getUserLanguage(message.user, requestId);
+  await client.chat.postEphemeral({
+    channel: message.channel,
+    user: message.user,
+    thread_ts: message.thread_ts,
+    text: t(lang, `lineage.${status}`, { id: idea.id, parentId })
+  });
+};
+
+// "Ide: ..." sent as a DM to the bot is posted anonymously in the hackathon channel under the bot's name
+const handleDirectMessageIdea = async (client, message, requestId) => {
+  if (message.subtype || !message.user || !message.text) return;
+
+  const lang = await getUserLanguage(message.user, requestId);
+
+  const replyInDm = (text) => client.chat.postMessage({ channel: message.channel, text });
+
+  if (!message.text.toLowerCase().startsWith('ide')) {
+    await replyInDm(t(lang, 'anonymous.dm_help'));
+    return;
+  }
+
+  if (!getHackathonChannelId()) {
+    await replyInDm(t(lang, 'idea.modal_no_channel'));
+    return;
+  }
+
+  if (!isPhaseAllowed('ideas')) {
+    logWithContext('info', 'Anonymous idea rejected outside idea collection', { requestId, phase: currentPhase });
+    await replyInDm(phaseClosedText('ideas', lang));
+    return;
+  }
+
+  const rateLimit = await checkRateLimit(message.user, 'idea_post', requestId);
+
+  if (rateLimit.limited) {
+    await replyInDm(`${rateLimitText(rateLimit, lang)}\n${t(lang, 'idea.not_saved_hint')}`);
+    return;
+  }
+
+  logWithContext('info', 'Processing anonymous idea', { requestId, messageLength: message.text.length });
+
+  const category = categorizeIdea(message.text);
+  const parentId = parseParentReference(message.text);
+  const parent = parentId ? await getIdeaById(parentId, requestId) : null;
+
+  const posted = await client.chat.postMessage({
+    channel: getHackathonChannelId(),
+    text: message.text,
+    blocks: [
+      {
+        "type": "section",
+        "text": { "type": "mrkdwn", "text": message.text.substring(0, 3000) }
+      },
+      {
+        "type": "context",
+        "elements": [
+          { "type": "mrkdwn", "text": t(broadcastLanguage, 'idea_blocks.shared_anonymously', { category: category.name }) },
+          ...(parent ? [{ "type": "mrkdwn", "text": t(broadcastLanguage, 'idea_blocks.builds_on', { id: parent.id }) }] : [])
+        ]
+      }
+    ]
+  });
+
+  const ideaId = await saveIdea(
+    ANONYMOUS_USER_ID,
+    t(broadcastLanguage, 'anonymous.username'),
+    message.text,
+    category.name,
+    category.secondary.map(tag => tag.name),
+    posted.ts,
+    posted.channel,
+    { source: 'dm', parentId: parent ? parent.id : null, anonymousAuthorId: message.user },
+    requestId
+  );
+
+  if (!ideaId) {
+    throw new Error('Failed to save anonymous idea to database');
+  }
+
+  await reactToIdea(client, {
+    ideaId,
+    channel: posted.channel,
+    ts: posted.ts,
+    text: message.text,
+    category,
+    language: broadcastLanguage
+  }, requestId);
+
+  if (parent) {
+    await announceIdeaParent(client, { ideaId, channel: posted.channel, threadTs: posted.ts }, parent.id, requestId);
+  }
+
+  const { permalink } = await client.chat.getPermalink({ channel: posted.channel, message_ts: posted.ts });
+  await replyInDm(t(lang, 'anonymous.posted', { id: ideaId, permalink }));
+};
+
+app.message(async ({ message, client }) => {
+  const requestId = generateRequestId();
+  
+  try {
+    if (message.bot_id) return;
+    
+    if (message.channel_type === 'im') {
+      await handleDirectMessageIdea(client, message, requestId);
+      return;
+    }
+    
+    if (getHackathonChannelId() && message.channel !== getHackathonChannelId()) {
+      return;
+    }
+    
+    const isThreadReply = Boolean(message.thread_ts) && message.thread_ts !== message.ts;
+    const isIdea = Boolean(message.text) && message.text.toLowerCase().startsWith('ide');
+    
+    if (isThreadReply && !isIdea) {
+      await handleThreadReply(client, message, requestId);
+      return;
+    }
+    
+    if (!isIdea) {
+      return;
+    }
+    
+    const lang = await getUserLanguage(message.user, requestId);
+    
+    if (!isPhaseAllowed('ideas')) {
+      logWithContext('info', 'Idea rejected outside idea collection', { requestId, userId: message.user, phase: currentPhase });
+      await client.chat.postEphemeral({
+        channel: message.channel,
+        user: message.user,
+        text: phaseClosedText('ideas', lang)
+      });
+      return;
+    }
+    
+    const rateLimit = await checkRateLimit(message.user, 'idea_post', requestId);
+    
+    if (rateLimit.limited) {
+      await client.chat.postEphemeral({
+        channel: message.channel,
+        user: message.user,
+        text: `${rateLimitText(rateLimit, lang)}\n${t(lang, 'idea.not_saved_hint')}`
+      });
+      return;
+    }
+    
+    logWithContext('info', 'Processing idea message', { 
+      requestId, 
+      userId: message.user, 
+      messageLength: message.text.length 
+    });
+    
+    const username = await getUsername(client, message.user, requestId);
+    
+    const category = categorizeIdea(message.text);
+    
+    // An idea posted in another idea's thread builds on that one, otherwise "bygger på #id" in the text decides
+    const threadIdea = isThreadReply ? await getIdeaByMessage(message.channel, message.thread_ts, requestId) : null;
+    const parentId = threadIdea ? threadIdea.id : parseParentReference(message.text);
+    const parent = parentId ? await getIdeaById(parentId, requestId) : null;
+    
+    const ideaId = await saveIdea(
+      message.user,
+      username,
+      message.text,
+      category.name,
+      category.secondary.map(tag => tag.name),
+      message.ts,
+      message.channel,
+      { parentId: parent ? parent.id : null },
+      requestId
+    );
+    
+    if (!ideaId) {
+      throw new Error('Failed to save idea to database');
+    }
+    
+    const threadTs = message.thread_ts || message.ts;
+    
+    await reactToIdea(client, {
+      ideaId,
+      channel: message.channel,
+      ts: message.ts,
+      threadTs,
+      text: message.text,
+      category,
+      language: lang
+    }, requestId);
+    
+    if (parent) {
+      await announceIdeaParent(client, { ideaId, channel: message.channel, threadTs }, parent.id, requestId);
+    }
+    
+  } catch (error) {
+    logWithContext('error', 'Message processing failed', { 
+      requestId, 
+      userId: message.user,
+      error: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// Edited idea messages - update text, recategorize and keep history (edited comments just get the new text)
+app.message(subtype('message_changed'), async ({ message, client }) => {
+  const requestId = generateRequestId();
+
+  try {
+    const edited = message.message;
+
+    if (!edited || edited.bot_id) return;
+
+    const idea = await getIdeaByMessage(message.channel, edited.ts, requestId);
+
+    if (!idea) {
+      if (edited.text && edited.subtype !== 'tombstone') {
+        await updateCommentText(message.channel, edited.ts, edited.text, requestId);
+      }
+      return;
+    }
+
+    // Slack replaces a deleted message that has thread replies with a tombstone
+    if (edited.subtype === 'tombstone') {
+      await softDeleteIdea(idea.id, requestId);
+      return;
+    }
+
+    if (!edited.text || edited.text === idea.idea_text) return;
+
+    const previousCategory = categoryCache.find(category => category.name === idea.category) ||
+      categorizeIdea(idea.idea_text);
+    const newCategory = categorizeIdea(edited.text);
+
+    await updateIdeaText(idea.id, edited.text, newCategory.name, newCategory.secondary.map(tag => tag.name), requestId);
+
+    if (newCategory.emoji !== previousCategory.emoji) {
+      try {
+        await client.reactions.remove({
+          channel: message.channel,
+          timestamp: edited.ts,
+          name: previousCategory.emoji
+        });
+      } catch (error) {
+        logWithContext('warn', 'Could not remove old category reaction', { requestId, error: error.message });
+      }
+
+      await client.reactions.add({
+        channel: message.channel,
+        timestamp: edited.ts,
+        name: newCategory.emoji
+      });
+    }
+
+    logWithContext('info', 'Edited idea processed', {
+      requestId,
+      ideaId: idea.id,
+      previousCategory: previousCategory.name,
+      newCategory: newCategory.name
+    });
+
+  } catch (error) {
+    logWithContext('error', 'Edited idea processing failed', {
+      requestId,
+      error: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// Deleted idea messages - soft-delete so admins can still see them (deleted comments are removed)
+app.message(subtype('message_deleted'), async ({ message }) => {
+  const requestId = generateRequestId();
+
+  try {
+    const idea = await getIdeaByMessage(message.channel, message.deleted_ts, requestId);
+
+    if (!idea) {
+      await deleteComment(message.channel, message.deleted_ts, requestId);
+      return;
+    }
+
+    await softDeleteIdea(idea.id, requestId);
+
+  } catch (error) {
+    logWithContext('error', 'Deleted idea processing failed', {
+      requestId,
+      error: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// Structured idea submission - /idea command and global shortcut open a modal, the "build on" message action
+// opens the same modal with the parent idea stored in private_metadata
+const IDEA_TITLE_MAX_LENGTH = 150;
+const IDEA_FIELD_MAX_LENGTH = 2900;
+
+const buildIdeaModal = (initialText = '', language = DEFAULT_LANGUAGE, parent = null) => {
+  const categories = [...(categoryCache.length > 0 ? categoryCache : DEFAULT_CATEGORIES), FALLBACK_CATEGORY];
+  const categoryOptions = categories.map(category => ({
+    "text": { "type": "plain_text", "text": category.name, "emoji": true },
+    "value": category.name
+  }));
+
+  const categorySelect = {
+    "type": "static_select",
+    "action_id": "category",
+    "placeholder": { "type": "plain_text", "text": t(language, 'idea_modal.category_placeholder') },
+    "options": categoryOptions
+  };
+
+  if (initialText) {
+    const suggested = categorizeIdea(initialText);
+    categorySelect.initial_option = categoryOptions.find(option => option.value === suggested.name);
+  }
+
+  // Section blocks take at most 3000 characters - max_length keeps the posted idea inside that with room for the heading
+  const textInput = (blockId, label, placeholder, { multiline = false, optional = false, initialValue, maxLength = IDEA_FIELD_MAX_LENGTH } = {}) => ({
+    "type": "input",
+    "block_id": blockId,
+    "optional": optional,
+    "label": { "type": "plain_text", "text": label, "emoji": true },
+    "element": {
+      "type": "plain_text_input",
+      "action_id": "value",
+      "multiline": multiline,
+      "max_length": maxLength,
+      "placeholder": { "type": "plain_text", "text": placeholder },
+      ...(initialValue ? { "initial_value": initialValue } : {})
+    }
+  });
+
+  const parentBlocks = parent ? [
+    {
+      "type": "context",
+      "elements": [
+        { "type": "mrkdwn", "text": t(language, 'lineage.modal_context', { id: parent.id, title: ideaTitle(parent).substring(0, 150) }) }
+      ]
+    }
+  ] : [];
+
+  return {
+    "type": "modal",
+    "callback_id": "idea_modal",
+    "private_metadata": parent ? JSON.stringify({ parentId: parent.id }) : '',
+    "title": { "type": "plain_text", "text": t(language, 'idea_modal.title'), "emoji": true },
+    "submit": { "type": "plain_text", "text": t(language, 'idea_modal.submit') },
+    "close": { "type": "plain_text", "text": t(language, 'common.cancel') },
+    "blocks": [
+      ...parentBlocks,
+      textInput('title', t(language, 'idea_modal.title_label'), t(language, 'idea_modal.title_placeholder'), { initialValue: initialText.substring(0, IDEA_TITLE_MAX_LENGTH), maxLength: IDEA_TITLE_MAX_LENGTH }),
+      textInput('problem', t(language, 'idea_modal.problem_label'), t(language, 'idea_modal.problem_placeholder'), { multiline: true }),
+      textInput('solution', t(language, 'idea_modal.solution_label'), t(language, 'idea_modal.solution_placeholder'), { multiline: true }),
+      {
+        "type": "input",
+        "block_id": "category",
+        "optional": true,
+        "label": { "type": "plain_text", "text": t(language, 'idea_modal.category_label'), "emoji": true },
+        "element": categorySelect
+      },
+      textInput('skills', t(language, 'idea_modal.skills_label'), t(language, 'idea_modal.skills_placeholder'), { optional: true }),
+      {
+        "type": "input",
+        "block_id": "anonymous",
+        "optional": true,
+        "label": { "type": "plain_text", "text": t(language, 'idea_modal.anonymous_label'), "emoji": true },
+        "element": {
+          "type": "checkboxes",
+          "action_id": "anonymous",
+          "options": [
+            {
+              "text": { "type": "plain_text", "text": t(language, 'idea_modal.anonymous_option'), "emoji": true },
+              "value": "anonymous"
+            }
+          ]
+        }
+      }
+    ]
+  };
+};
+
+const buildIdeaMessageBlocks = (userId, { title, problem, solution, skills, parentId, anonymousAuthorId }, category, language) => {
+  const blocks = [
+    {
+      "type": "header",
+      "text": { "type": "plain_text", "text": `💡 ${title}`.substring(0, 150), "emoji": true }
+    },
+    {
+      "type": "section",
+      "text": { "type": "mrkdwn", "text": `${t(language, 'idea_blocks.problem')}\n${problem}`.substring(0, 3000) }
+    },
+    {
+      "type": "section",
+      "text": { "type": "mrkdwn", "text": `${t(language, 'idea_blocks.solution')}\n${solution}`.substring(0, 3000) }
+    }
+  ];
+
+  if (skills) {
+    blocks.push({
+      "type": "section",
+      "text": { "type": "mrkdwn", "text": `${t(language, 'idea_blocks.skills')}\n${skills}`.substring(0, 3000) }
+    });
+  }
+
+  blocks.push({
+    "type": "context",
+    "elements": [
+      {
+        "type": "mrkdwn",
+        "text": anonymousAuthorId ?
+          t(language, 'idea_blocks.shared_anonymously', { category: category.name }) :
+          t(language, 'idea_blocks.shared_by', { userId, category: category.name })
+      },
+      ...(parentId ? [{ "type": "mrkdwn", "text": t(language, 'idea_blocks.builds_on', { id: parentId }) }] : [])
+    ]
+  });
+
+  return blocks;
+};
+
+app.command('/idea', async ({ command, ack, respond, client }) => {
+  const requestId = generateRequestId();
+  await ack();
+  const lang = await getUserLanguage(command.user_id, requestId);
+
+  try {
+    if (!getHackathonChannelId()) {
+      await respond({
+        text: t(lang, 'common.no_channel'),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+
+    if (!isPhaseAllowed('ideas')) {
+      await respond({ text: phaseClosedText('ideas', lang), response_type: 'ephemeral' });
+      return;
+    }
+
+    await client.views.open({
+      trigger_id: command.trigger_id,
+      view: buildIdeaModal((command.text || '').trim(), lang)
+    });
+
+    logWithContext('info', 'Idea modal opened', { requestId, userId: command.user_id, source: 'command' });
+
+  } catch (error) {
+    logWithContext('error', 'Idea modal failed to open', { requestId, error: error.message });
+    await respond({
+      text: t(lang, 'idea.modal_failed', { error: error.message }),
+      response_type: 'ephemeral'
+    });
+  }
+});
+
+app.shortcut('submit_idea', async ({ shortcut, ack, client }) => {
+  const requestId = generateRequestId();
+  await ack();
+
+  try {
+    const lang = await getUserLanguage(shortcut.user.id, requestId);
+
+    // Shortcuts have no response_url, so a closed phase is explained in a small modal instead
+    await client.views.open({
+      trigger_id: shortcut.trigger_id,
+      view: isPhaseAllowed('ideas') ? buildIdeaModal('', lang) : {
+        "type": "modal",
+        "title": { "type": "plain_text", "text": t(lang, 'idea_modal.title'), "emoji": true },
+        "close": { "type": "plain_text", "text": t(lang, 'common.ok') },
+        "blocks": [
+          { "type": "section", "text": { "type": "mrkdwn", "text": phaseClosedText('ideas', lang) } }
+        ]
+      }
+    });
+
+    logWithContext('info', 'Idea modal opened', { requestId, userId: shortcut.user.id, source: 'shortcut' });
+
+  } catch (error) {
+    logWithContext('error', 'Idea modal failed to open', { requestId, error: error.message });
+  }
+});
+
+// "Byg videre på idéen" message action on an idea message
+app.shortcut('build_on_idea', async ({ shortcut, ack, respond, client }) => {
+  const requestId = generateRequestId();
+  await ack();
+  const lang = await getUserLanguage(shortcut.user.id, requestId);
+
+  try {
+    const parent = await getIdeaByMessage(shortcut.channel.id, shortcut.message.ts, requestId);
+
+    if (!parent) {
+      await respond({ text: t(lang, 'lineage.not_an_idea'), response_type: 'ephemeral' });
+      return;
+    }
+
+    if (!isPhaseAllowed('ideas')) {
+      await respond({ text: phaseClosedText('ideas', lang), response_type: 'ephemeral' });
+      return;
+    }
+
+    await client.views.open({
+      trigger_id: shortcut.trigger_id,
+      view: buildIdeaModal('', lang, parent)
+    });
+
+    logWithContext('info', 'Idea modal opened', { requestId, userId: shortcut.user.id, source: 'build_on', parentId: parent.id });
+
+  } catch (error) {
+    logWithContext('error', 'Idea modal failed to open', { requestId, error: error.message });
+    await respond({
+      text: t(lang, 'idea.modal_failed', { error: error.message }),
+      response_type: 'ephemeral'
+    });
+  }
+});
+
+app.view('idea_modal', async ({ ack, body, view, client }) => {
+  const requestId = generateRequestId();
+  const userId = body.user.id;
+  const values = view.state.values;
+
+  const details = {
+    title: values.title.value.value.trim(),
+    problem: values.problem.value.value.trim(),
+    solution: values.solution.value.value.trim(),
+    skills: values.skills.value.value ? values.skills.value.value.trim() : null,
+    source: 'modal',
+    parentId: view.private_metadata ? JSON.parse(view.private_metadata).parentId : null,
+    // Older modals without the checkbox block are never anonymous
+    anonymousAuthorId: values.anonymous && values.anonymous.anonymous.selected_options.length > 0 ? userId : null
+  };
+  // Validation errors are shown in the modal, so they have to be sent with the ack - only in-memory checks
+  // and the single-attempt rate limit query (which never throws) run before it
+  let lang = getCachedUserLanguage(userId);
+
+  if (!getHackathonChannelId()) {
+    await ack({
+      response_action: 'errors',
+      errors: { title: t(lang, 'idea.modal_no_channel') }
+    });
+    return;
+  }
+
+  if (!isPhaseAllowed('ideas')) {
+    await ack({
+      response_action: 'errors',
+      errors: { title: t(lang, 'idea.modal_closed', { label: phaseLabel(currentPhase, lang) }) }
+    });
+    return;
+  }
+
+  const rateLimit = await checkRateLimit(userId, 'idea_post', requestId);
+
+  if (rateLimit.limited) {
+    await ack({
+      response_action: 'errors',
+      errors: { title: rateLimitText(rateLimit, lang) }
+    });
+    return;
+  }
+
+  await ack();
+
+  try {
+    lang = await getUserLanguage(userId, requestId);
+
+    // The parent may have been deleted while the modal was open - the idea is still saved, just unlinked
+    if (details.parentId && !(await getIdeaById(details.parentId, requestId))) {
+      details.parentId = null;
+    }
+
+    const ideaText = `Ide: ${details.title}\nProblem: ${details.problem}\nLøsning: ${details.solution}`;
+    const suggested = categorizeIdea(ideaText);
+    const selectedOption = values.category.category.selected_option;
+    const categories = [...(categoryCache.length > 0 ? categoryCache : DEFAULT_CATEGORIES), FALLBACK_CATEGORY];
+    const selected = selectedOption && categories.find(candidate => candidate.name === selectedOption.value);
+    
+    // A manually chosen category wins; the categorizer's other matches stay as secondary tags
+    const category = selected ?
+      { ...selected, secondary: suggested.secondary.filter(tag => tag.name !== selected.name) } :
+      suggested;
+
+    logWithContext('info', 'Processing idea modal submission', { requestId, userId, category: category.name });
+
+    const posted = await client.chat.postMessage({
+      channel: getHackathonChannelId(),
+      text: details.anonymousAuthorId ?
+        t(broadcastLanguage, 'idea.posted_anonymously_fallback', { title: details.title }) :
+        t(broadcastLanguage, 'idea.posted_fallback', { title: details.title, userId }),
+      blocks: buildIdeaMessageBlocks(userId, details, category, broadcastLanguage)
+    });
+
+    const username = details.anonymousAuthorId ?
+      t(broadcastLanguage, 'anonymous.username') :
+      await getUsername(client, userId, requestId);
+
+    const ideaId = await saveIdea(
+      details.anonymousAuthorId ? ANONYMOUS_USER_ID : userId,
+      username,
+      ideaText,
+      category.name,
+      category.secondary.map(tag => tag.name),
+      posted.ts,
+      posted.channel,
+      details,
+      requestId
+    );
+
+    await reactToIdea(client, {
+      ideaId,
+      channel: posted.channel,
+      ts: posted.ts,
+      text: ideaText,
+      category,
+      // The bot's thread reply is public, so an anonymous idea shouldn't give away the author's language
+      language: details.anonymousAuthorId ? broadcastLanguage : lang
+    }, requestId);
+
+  } catch (error) {
+    logWithContext('error', 'Idea modal submission failed', {
+      requestId,
+      userId,
+      error: error.message,
+      stack: error.stack
+    });
+
+    try {
+      await client.chat.postMessage({
+        channel: userId,
+        text: t(lang, 'idea.save_failed', { title: details.title, error: error.message })
+      });
+    } catch (notifyError) {
+      logWithContext('error', 'Could not notify user about failed submission', { requestId, error: notifyError.message });
+    }
+  }
+});
+
+// Vote handlers - human emoji reactions on idea messages count as votes
+const handleVoteReaction = async ({ event, context }, action) => {
+  const requestId = generateRequestId();
+
+  try {
+    if (!event.item || event.item.type !== 'message') return;
+
+    if (event.user === context.botUserId) return;
+
+    if (REACTIONS.includes(event.reaction)) return;
+
+    const idea = await getIdeaByMessage(event.item.channel, event.item.ts, requestId);
+
+    if (!idea) return;
+
+    if (isIdeaAuthor(idea, event.user)) {
+      logWithContext('info', 'Ignoring self-vote', { requestId, ideaId: idea.id, userId: event.user });
+      return;
+    }
+
+    // Removing a vote is always allowed so nobody gets stuck with a vote they regret
+    if (action === 'add' && !isPhaseAllowed('votes')) {
+      logWithContext('info', 'Ignoring vote outside voting phases', { requestId, ideaId: idea.id, phase: currentPhase });
+      return;
+    }
+
+    if (action === 'add') {
+      await saveVote(idea.id, event.user, event.reaction, requestId);
+    } else {
+      await removeVote(idea.id, event.user, event.reaction, requestId);
+    }
+
+  } catch (error) {
+    logWithContext('error', 'Vote processing failed', {
+      requestId,
+      userId: event.user,
+      action,
+      error: error.message
+    });
+  }
+};
+
+app.event('reaction_added', async (args) => handleVoteReaction(args, 'add'));
+app.event('reaction_removed', async (args) => handleVoteReaction(args, 'remove'));
+
+// Stats command
+app.command('/hackathon-stats', async ({ command, ack, respond }) => {
+  const requestId = generateRequestId();
+  await ack();
+  const lang = await getUserLanguage(command.user_id, requestId);
+  
+  try {
+    const rateLimit = await checkRateLimit(command.user_id, 'stats', requestId);
+    
+    if (rateLimit.limited) {
+      await respond({
+        text: rateLimitText(rateLimit, lang),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    logWithContext('info', 'Stats command requested', { requestId, userId: command.user_id });
+    
+    const scope = await parseEventScope(command.text, lang, requestId);
+    
+    if (scope.error) {
+      await respond({ text: scope.error, response_type: 'ephemeral' });
+      return;
+    }
+    
+    const stats = await getIdeaStats(scope.eventId, requestId);
+    
+    if (!stats) {
+      await respond({
+        text: t(lang, 'stats.db_error'),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    const categoryText = stats.categories.length > 0 ? 
+      stats.categories.map(cat => `${cat.category}: ${cat.count}${cat.tagged > 0 ? t(lang, 'stats.secondary', { count: cat.tagged }) : ''}`).join('\n') : 
+      t(lang, 'stats.no_categories');
+    
+    const topUsersText = stats.topUsers.length > 0 ? 
+      stats.topUsers.map((user, index) => t(lang, 'stats.user_line', { rank: index + 1, username: user.username, count: user.idea_count })).join('\n') :
+      t(lang, 'stats.no_users');
+    
+    const statsMessage = t(lang, 'stats.message', {
+      eventLabel: eventLabel(scope.event),
+      total: stats.total,
+      categories: categoryText,
+      users: topUsersText,
+      status: t(lang, stats.total > 10 ? 'stats.status_ready' : 'stats.status_need_more')
+    });
+    
+    await respond({
+      text: statsMessage,
+      response_type: 'in_channel'
+    });
+    
+    logWithContext('info', 'Stats command completed', { requestId, totalIdeas: stats.total });
+    
+  } catch (error) {
+    logWithContext('error', 'Stats command failed', { requestId, error: error.message });
+    await respond({
+      text: t(lang, 'stats.failed'),
+      response_type: 'ephemeral'
+    });
+  }
+});
+
+// Shared by /motivate-now and the App Home admin button - returns null when there is nothing to post
+const postMotivationNow = async (requestId) => {
+  const stats = await getIdeaStats(currentEventId(), requestId);
+  
+  if (!stats || stats.total === 0) {
+    return null;
+  }
+  
+  await app.client.chat.postMessage({
+    channel: getHackathonChannelId(),
+    text: generatePhaseReminder(stats, broadcastLanguage)
+  });
+  
+  return stats;
+};
+
+// Shared by /toggle-daily-reminder and the App Home admin button
+const announceReminderChange = async (enabled, requestId) => {
+  if (!getHackathonChannelId()) return;
+  
+  const channelMessage = enabled ? 
+    t(broadcastLanguage, 'reminder.enabled_announcement', { next: describeNextReminder(broadcastLanguage) }) :
+    t(broadcastLanguage, 'reminder.disabled_announcement');
+  
+  try {
+    await app.client.chat.postMessage({
+      channel: getHackathonChannelId(),
+      text: channelMessage
+    });
+  } catch (error) {
+    logWithContext('warn', 'Could not send channel notification', { 
+      requestId, 
+      error: error.message 
+    });
+  }
+};
+
+// Manual motivation command
+app.command('/motivate-now', requirePermission('motivation.send'), async ({ command, respond }) => {
+  const requestId = generateRequestId();
+  const lang = await getUserLanguage(command.user_id, requestId);
+  
+  try {
+    const rateLimit = await checkRateLimit(command.user_id, 'admin_broadcast', requestId);
+    
+    if (rateLimit.limited) {
+      await respond({
+        text: `${rateLimitText(rateLimit, lang)}\n${t(lang, 'motivate.rate_limited_hint')}`,
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    logWithContext('info', 'Manual motivation triggered', { requestId, adminId: command.user_id });
+    
+    if (!getHackathonChannelId()) {
+      await respond({
+        text: t(lang, 'common.no_channel'),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    if (!isPhaseAllowed('reminders')) {
+      await respond({
+        text: t(lang, 'motivate.phase_blocked', { label: phaseLabel(currentPhase, lang) }),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    const stats = await postMotivationNow(requestId);
+    
+    if (!stats) {
+      await respond({
+        text: t(lang, 'motivate.no_ideas'),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    await respond({
+      text: t(lang, 'motivate.sent', {
+        total: stats.total,
+        time: new Date().toLocaleTimeString(getLocale(lang).dateLocale, {timeZone: 'Europe/Copenhagen'})
+      }),
+      response_type: 'ephemeral'
+    });
+    
+    logWithContext('info', 'Manual motivation sent successfully', { requestId, totalIdeas: stats.total });
+    
+  } catch (error) {
+    logWithContext('error', 'Manual motivation failed', { requestId, error: error.message });
+    await respond({
+      text: t(lang, 'motivate.failed', { error: error.message }),
+      response_type: 'ephemeral'
+    });
+  }
+});
+
+// Toggle daily reminder command
+app.command('/toggle-daily-reminder', requirePermission('reminders.manage'), async ({ command, respond }) => {
+  const requestId = generateRequestId();
+  const lang = await getUserLanguage(command.user_id, requestId);
+  
+  try {
+    logWithContext('info', 'Daily reminder toggle requested', { 
+      requestId, 
+      adminId: command.user_id 
+    });
+    
+    const currentStatus = await getDailyReminderStatus(requestId);
+    const newStatus = !currentStatus;
+    
+    await setDailyReminderStatus(newStatus, requestId);
+    
+    const statusEmoji = newStatus ? '✅' : '❌';
+    const statusText = t(lang, newStatus ? 'reminder.status_on' : 'reminder.status_off');
+    const nextAction = newStatus ? 
+      describeNextReminder(lang) : 
+      t(lang, 'reminder.none_sent');
+    
+    const responseBlocks = {
+      "blocks": [
+        {
+          "type": "header",
+          "text": {
+            "type": "plain_text",
+            "text": t(lang, 'reminder.header'),
+            "emoji": true
+          }
+        },
+        {
+          "type": "section",
+          "text": {
+            "type": "mrkdwn",
+            "text": t(lang, 'reminder.toggle_status', { emoji: statusEmoji, status: statusText, next: nextAction })
+          }
+        },
+        {
+          "type": "divider"
+        },
+        {
+          "type": "section",
+          "text": {
+            "type": "mrkdwn",
+            "text": t(lang, 'reminder.admin_info', {
+              userId: command.user_id,
+              time: new Date().toLocaleString(getLocale(lang).dateLocale, {timeZone: 'Europe/Copenhagen'}),
+              channel: getHackathonChannelId() ? `<#${getHackathonChannelId()}>` : t(lang, 'reminder.channel_missing')
+            })
+          }
+        }
+      ]
+    };
+    
+    await respond({
+      "response_type": "ephemeral",
+      ...responseBlocks
+    });
+    
+    logWithContext('info', 'Daily reminder status toggled successfully', { 
+      requestId,
+      previousStatus: currentStatus,
+      newStatus: newStatus,
+      adminId: command.user_id
+    });
+    
+    if (newStatus !== currentStatus) {
+      await announceReminderChange(newStatus, requestId);
+    }
+    
+  } catch (error) {
+    logWithContext('error', 'Daily reminder toggle failed', { 
+      requestId, 
+      error: error.message,
+      stack: error.stack
+    });
+    
+    await respond({
+      text: t(lang, 'reminder.toggle_failed', { error: error.message }),
+      response_type: 'ephemeral'
+    });
+  }
+});
+
+// Check reminder status command
+app.command('/reminder-status', async ({ command, ack, respond }) => {
+  const requestId = generateRequestId();
+  await ack();
+  const lang = await getUserLanguage(command.user_id, requestId);
+  
+  try {
+    const currentStatus = await getDailyReminderStatus(requestId);
+    const statusEmoji = currentStatus ? '✅' : '❌';
+    const statusText = t(lang, currentStatus ? 'reminder.status_on' : 'reminder.status_off');
+    const nextAction = currentStatus ? 
+      describeNextReminder(lang) : 
+      t(lang, 'reminder.none_planned');
+    
+    const canManage = await hasPermission(command.user_id, 'reminders.manage', requestId);
+    const adminInfo = canManage ? t(lang, 'reminder.admin_hint') : '';
+    
+    await respond({
+      text: t(lang, 'reminder.status_message', { emoji: statusEmoji, status: statusText, next: nextAction, adminInfo }),
+      response_type: 'ephemeral'
+    });
+    
+    logWithContext('info', 'Reminder status checked', { 
+      requestId, 
+      userId: command.user_id,
+      currentStatus 
+    });
+    
+  } catch (error) {
+    logWithContext('error', 'Reminder status check failed', { 
+      requestId, 
+      error: error.message 
+    });
+    
+    await respond({
+      text: t(lang, 'reminder.status_failed', { error: error.message }),
+      response_type: 'ephemeral'
+    });
+  }
+});
+
+// Reminder schedules command - /reminders add|list|pause|resume|remove
+app.command('/reminders', async ({ command, ack, respond }) => {
+  const requestId = generateRequestId();
+  await ack();
+  const lang = await getUserLanguage(command.user_id, requestId);
+
+  try {
+    const text = (command.text || '').trim();
+    const [subcommand, ...rest] = text.split(/\s+/);
+    const action = (subcommand || 'list').toLowerCase();
+    const argument = rest.join(' ').trim();
+    const usage = t(lang, 'reminders.usage', { timezone: DEFAULT_REMINDER.timezone });
+
+    logWithContext('info', 'Reminders command requested', { requestId, userId: command.user_id, action });
+
+    if (action === 'list') {
+      const reminders = await getReminders(requestId);
+
+      const reminderLines = reminders.map(reminder => {
+        const nextRun = reminder.paused ? null : getNextCronRun(reminder.cron_expression, reminder.timezone);
+        const status = reminder.paused ?
+          t(lang, 'reminders.paused') :
+          t(lang, 'reminders.next', { time: nextRun ? formatReminderTime(nextRun, reminder.timezone, lang) : t(lang, 'reminders.never') });
+        return `${reminder.paused ? '⏸️' : '▶️'} *${reminder.id}.* \`${reminder.cron_expression}\` (${reminder.timezone})` +
+          ` → ${reminder.channel_id ? `<#${reminder.channel_id}>` : t(lang, 'reminders.default_channel')}\n` +
+          `   _${status}${reminder.template ? ` • "${reminder.template.substring(0, 60)}${reminder.template.length > 60 ? '...' : ''}"` : ''}_`;
+      });
+
+      await respond({
+        text: reminders.length > 0 ?
+          t(lang, 'reminders.list', { lines: reminderLines.join('\n'), allOff: !dailyReminderEnabled }) :
+          t(lang, 'reminders.empty', { usage }),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+
+    if (!['add', 'pause', 'resume', 'remove'].includes(action)) {
+      await respond({ text: usage, response_type: 'ephemeral' });
+      return;
+    }
+
+    if (!(await hasPermission(command.user_id, 'reminders.manage', requestId))) {
+      logWithContext('warn', 'Permission denied', { requestId, userId: command.user_id, permission: 'reminders.manage' });
+      await respond({ text: t(lang, 'reminders.no_permission'), response_type: 'ephemeral' });
+      return;
+    }
+
+    if (action === 'add') {
+      // Pipes inside <#C123|kanal> belong to the channel mention, not the field separator
+      const [cronExpression, timezone, channel, template] = argument.split(/\|(?![^<>]*>)/).map(segment => (segment || '').trim());
+      const channelMatch = (channel || '').match(/^<#([A-Z0-9]+)(?:\|[^>]*)?>$/);
+      const fields = {
+        cronExpression,
+        timezone: timezone || DEFAULT_REMINDER.timezone,
+        channelId: channelMatch ? channelMatch[1] : null,
+        template: template || null
+      };
+
+      try {
+        parseCronExpression(cronExpression || '');
+      } catch (error) {
+        await respond({ text: t(lang, 'reminders.invalid_cron', { error: error.message, usage }), response_type: 'ephemeral' });
+        return;
+      }
+
+      if (!cron.validate(cronExpression) || !isValidTimezone(fields.timezone) || (channel && !channelMatch)) {
+        await respond({ text: t(lang, 'reminders.invalid', { usage }), response_type: 'ephemeral' });
+        return;
+      }
+
+      const reminderId = await addReminder(fields, command.user_id, requestId);
+      await loadReminderSchedules(requestId);
+
+      const nextRun = getNextCronRun(cronExpression, fields.timezone);
+
+      await respond({
+        text: t(lang, 'reminders.created', {
+          id: reminderId,
+          cron: cronExpression,
+          timezone: fields.timezone,
+          first: nextRun ? formatReminderTime(nextRun, fields.timezone, lang) : t(lang, 'reminders.never')
+        }),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+
+    const reminderId = parseInt(argument);
+
+    if (isNaN(reminderId)) {
+      await respond({ text: usage, response_type: 'ephemeral' });
+      return;
+    }
+
+    const found = action === 'remove' ?
+      await removeReminder(reminderId, requestId) :
+      await setReminderPaused(reminderId, action === 'pause', requestId);
+
+    if (!found) {
+      await respond({ text: t(lang, 'reminders.not_found', { id: reminderId }), response_type: 'ephemeral' });
+      return;
+    }
+
+    await loadReminderSchedules(requestId);
+
+    await respond({
+      text: `${t(lang, `reminders.done.${action}`, { id: reminderId })}\n📅 ${describeNextReminder(lang)}`,
+      response_type: 'ephemeral'
+    });
+
+  } catch (error) {
+    logWithContext('error', 'Reminders command failed', { requestId, error: error.message });
+    await respond({
+      text: t(lang, 'reminders.failed', { error: error.message }),
+      response_type: 'ephemeral'
+    });
+  }
+});
+
+// Help command
+app.command('/hackathon-help', async ({ command, ack, respond }) => {
+  const requestId = generateRequestId();
+  await ack();
+  const lang = await getUserLanguage(command.user_id, requestId);
+  
+  const categories = categoryCache.length > 0 ? categoryCache : DEFAULT_CATEGORIES;
+  const categoryText = [...categories, FALLBACK_CATEGORY].map(category => category.name).join(' • ');
+  
+  const helpMessage = t(lang, 'help.message', {
+    phaseLabel: phaseLabel(currentPhase, lang),
+    phaseDescription: phaseDescription(currentPhase, lang),
+    phaseKeys: PHASE_KEYS.join(' → '),
+    categories: categoryText
+  });
+  
+  await respond({
+    text: helpMessage,
+    response_type: 'ephemeral'
+  });
+});
+
+// Leaderboard scoring - /leaderboard scoring [key=value ...|reset] for admins and organizers
+const describeScoring = (scoring, language) => SCORING_KEYS
+  .map(key => t(language, 'scoring.line', {
+    key,
+    label: t(language, `scoring.key.${key}`, { min: SCORING_MIN_HALF_LIFE_DAYS }),
+    value: scoring[key],
+    defaultValue: scoring[key] !== DEFAULT_SCORING[key] ? DEFAULT_SCORING[key] : null
+  }))
+  .join('\n');
+
+const isValidScoringValue = (key, value) =>
+  Number.isFinite(value) && value >= 0 && (key !== 'half_life' || value === 0 || value >= SCORING_MIN_HALF_LIFE_DAYS);
+
+const handleLeaderboardScoring = async (command, args, respond, language, requestId) => {
+  if (!(await hasPermission(command.user_id, 'leaderboard.manage', requestId))) {
+    logWithContext('warn', 'Permission denied', { requestId, userId: command.user_id, permission: 'leaderboard.manage' });
+    await respond({ text: t(language, 'scoring.denied'), response_type: 'ephemeral' });
+    return;
+  }
+
+  if (args.length === 0) {
+    await respond({
+      text: t(language, 'scoring.current', {
+        eventLabel: eventLabel(activeEvent),
+        description: describeScoring(leaderboardScoring, language),
+        usage: t(language, 'scoring.usage')
+      }),
+      response_type: 'ephemeral'
+    });
+    return;
+  }
+
+  if (args.length === 1 && args[0].toLowerCase() === 'reset') {
+    const scoring = await setLeaderboardScoring({}, requestId);
+    await respond({ text: t(language, 'scoring.reset', { description: describeScoring(scoring, language) }), response_type: 'ephemeral' });
+    return;
+  }
+
+  const changes = {};
+
+  for (const arg of args) {
+    const [key, value] = arg.split('=');
+    const weight = Number(value);
+
+    if (!SCORING_KEYS.includes(key) || value === undefined || value === '' || !isValidScoringValue(key, weight)) {
+      await respond({ text: t(language, 'scoring.invalid', { arg, min: SCORING_MIN_HALF_LIFE_DAYS, usage: t(language, 'scoring.usage') }), response_type: 'ephemeral' });
+      return;
+    }
+
+    changes[key] = weight;
+  }
+
+  const scoring = await setLeaderboardScoring({ ...leaderboardScoring, ...changes }, requestId);
+  await respond({
+    text: t(language, 'scoring.updated', { eventLabel: eventLabel(activeEvent), description: describeScoring(scoring, language) }),
+    response_type: 'ephemeral'
+  });
+};
+
+// Leaderboard command - /leaderboard [week] [category:<id>] [event:<id>]
+app.command('/leaderboard', async ({ command, ack, respond }) => {
+  const requestId = generateRequestId();
+  await ack();
+  const lang = await getUserLanguage(command.user_id, requestId);
   
-  const categories = [
+  try {
+    const [subcommand, ...args] = command.text.trim().split(/\s+/).filter(Boolean);
+
+    if (subcommand && subcommand.toLowerCase() === 'scoring') {
+      await handleLeaderboardScoring(command, args, respond, lang, requestId);
+      return;
+    }
+
+    const rateLimit = await checkRateLimit(command.user_id, 'leaderboard', requestId);
+    
+    if (rateLimit.limited) {
+      await respond({
+        text: rateLimitText(rateLimit, lang),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    logWithContext('info', 'Leaderboard requested', { requestId, userId: command.user_id });
+    
+    const scope = await parseEventScope(command.text, lang, requestId);
+    
+    if (scope.error) {
+      await respond({ text: scope.error, response_type: 'ephemeral' });
+      return;
+    }
+    
+    const filters = { eventId: scope.eventId, category: null, period: null };
+
+    for (const token of scope.text.split(/\s+/).filter(Boolean)) {
+      const [key, value] = token.split(':');
+
+      if (['week', 'uge'].includes(token.toLowerCase())) {
+        filters.period = 'week';
+      } else if (key === 'category' && categoryCache.some(category => category.id === parseInt(value))) {
+        filters.category = categoryCache.find(category => category.id === parseInt(value)).name;
+      } else {
+        await respond({ text: t(lang, 'leaderboard.usage', { token }), response_type: 'ephemeral' });
+        return;
+      }
+    }
+
+    const leaderboard = await getLeaderboard(10, filters, requestId);
+    const viewLabel = [
+      filters.period ? t(lang, 'leaderboard.view_week') : null,
+      filters.category
+    ].filter(Boolean).map(label => ` - ${label}`).join('');
+    
+    if (leaderboard.length === 0) {
+      await respond({
+        text: t(lang, 'leaderboard.empty'),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+    
+    const getTrophy = (index) => {
+      if (index === 0) return '🏆';
+      if (index === 1) return '🥈';
+      if (index === 2) return '🥉';
+      return '🏅';
+    };
+    
+    const leaderboardBlocks = {
+      "blocks": [
+        {
+          "type": "header",
+          "text": {
+            "type": "plain_text",
+            "text": t(lang, 'leaderboard.header', { eventLabel: `${eventLabel(scope.event)}${viewLabel}` }),
+            "emoji": true
+          }
+        },
+        {
+          "type": "section",
+          "text": {
+            "type": "mrkdwn",
+            "text": t(lang, 'leaderboard.subtitle')
+          }
+        },
+        {
+          "type": "context",
+          "elements": [
+            {
+              "type": "mrkdwn",
+              "text": t(lang, 'leaderboard.scoring', leaderboardScoring)
+            }
+          ]
+        },
+        {
+          "type": "divider"
+        }
+      ]
+    };
+    
+    leaderboard.forEach((user, index) => {
+      const trophy = getTrophy(index);
+      const timeAgo = getTimeAgo(new Date(user.last_activity), lang);
+      
+      leaderboardBlocks.blocks.push({
+        "type": "section",
+        "text": {
+          "type": "mrkdwn",
+          "text": t(lang, 'leaderboard.entry', {
+            trophy,
+            rank: index + 1,
+            username: user.username,
+            points: Math.round(user.points),
+            count: parseInt(user.idea_count),
+            votes: parseInt(user.votes_received),
+            commentsWritten: parseInt(user.comments_written),
+            commentsReceived: parseInt(user.comments_received),
+            onTeam: parseInt(user.team_count) > 0,
+            categories: user.categories,
+            timeAgo
+          })
+        }
+      });
+    });
+    
+    const motivationMessages = t(lang, 'leaderboard.tips');
+    
+    leaderboardBlocks.blocks.push(
+      {
+        "type": "divider"
+      },
+      {
+        "type": "section",
+        "text": {
+          "type": "mrkdwn",
+          "text": motivationMessages[Math.floor(Math.random() * motivationMessages.length)]
+        }
+      },
+      {
+        "type": "context",
+        "elements": [
+          {
+            "type": "mrkdwn",
+            "text": t(lang, 'leaderboard.updated', { time: new Date().toLocaleTimeString(getLocale(lang).dateLocale, {timeZone: 'Europe/Copenhagen'}) })
+          }
+        ]
+      }
+    );
+    
+    await respond({
+      "response_type": "in_channel",
+      ...leaderboardBlocks
+    });
+    
+    logWithContext('info', 'Leaderboard displayed', { 
+      requestId,
+      totalUsers: leaderboard.length,
+      topUser: leaderboard[0]?.username,
+      ...filters
+    });
+    
+  } catch (error) {
+    logWithContext('error', 'Leaderboard failed', { requestId, error: error.message });
+    await respond({
+      text: t(lang, 'leaderboard.failed', { error: error.message }),
+      response_type: 'ephemeral'
+    });
+  }
+});
+
+// Top ideas command - ranked by human votes
+app.command('/top-ideas', async ({ command, ack, respond }) => {
+  const requestId = generateRequestId();
+  await ack();
+  const lang = await getUserLanguage(command.user_id, requestId);
+
+  try {
+    const rateLimit = await checkRateLimit(command.user_id, 'leaderboard', requestId);
+
+    if (rateLimit.limited) {
+      await respond({
+        text: rateLimitText(rateLimit, lang),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+
+    logWithContext('info', 'Top ideas requested', { requestId, userId: command.user_id });
+
+    const scope = await parseEventScope(command.text, lang, requestId);
+
+    if (scope.error) {
+      await respond({ text: scope.error, response_type: 'ephemeral' });
+      return;
+    }
+
+    const topIdeas = await getTopIdeas(10, scope.eventId, requestId);
+
+    if (topIdeas.length === 0) {
+      await respond({
+        text: t(lang, 'top_ideas.empty'),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+
+    const topIdeasBlocks = {
+      "blocks": [
+        {
+          "type": "header",
+          "text": {
+            "type": "plain_text",
+            "text": t(lang, 'top_ideas.header', { eventLabel: eventLabel(scope.event) }),
+            "emoji": true
+          }
+        },
+        {
+          "type": "section",
+          "text": {
+            "type": "mrkdwn",
+            "text": t(lang, 'top_ideas.subtitle')
+          }
+        },
+        {
+          "type": "divider"
+        }
+      ]
+    };
+
+    topIdeas.forEach((idea, index) => {
+      const voteLabel = t(lang, 'top_ideas.votes', { count: idea.vote_count });
+
+      topIdeasBlocks.blocks.push({
+        "type": "section",
+        "text": {
+          "type": "mrkdwn",
+          "text": `*${index + 1}.* ${idea.idea_text.substring(0, 150)}${idea.idea_text.length > 150 ? '...' : ''}\n🗳️ *${voteLabel}* • ${idea.category} • ${idea.username} • #${idea.id}`
+        }
+      });
+    });
+
+    topIdeasBlocks.blocks.push(
+      {
+        "type": "divider"
+      },
+      {
+        "type": "context",
+        "elements": [
+          {
+            "type": "mrkdwn",
+            "text": t(lang, 'top_ideas.updated', { time: new Date().toLocaleTimeString(getLocale(lang).dateLocale, {timeZone: 'Europe/Copenhagen'}) })
+          }
+        ]
+      }
+    );
+
+    await respond({
+      "response_type": "in_channel",
+      ...topIdeasBlocks
+    });
+
+    logWithContext('info', 'Top ideas displayed', {
+      requestId,
+      totalIdeas: topIdeas.length,
+      topIdeaId: topIdeas[0]?.id
+    });
+
+  } catch (error) {
+    logWithContext('error', 'Top ideas failed', { requestId, error: error.message });
+    await respond({
+      text: t(lang, 'top_ideas.failed', { error: error.message }),
+      response_type: 'ephemeral'
+    });
+  }
+});
+
+// Idea tree command - the idea, what it builds on and everything that builds on it
+const IDEA_TREE_MAX_NODES = 50;
+
+app.command('/idea-tree', async ({ command, ack, respond }) => {
+  const requestId = generateRequestId();
+  await ack();
+  const lang = await getUserLanguage(command.user_id, requestId);
+
+  try {
+    const ideaId = parseInt(command.text.trim().replace(/^#/, ''));
+
+    if (!ideaId) {
+      await respond({ text: t(lang, 'tree.usage'), response_type: 'ephemeral' });
+      return;
+    }
+
+    const tree = await getIdeaTree(ideaId, requestId);
+
+    if (tree.length === 0) {
+      await respond({ text: t(lang, 'tree.not_found', { id: ideaId }), response_type: 'ephemeral' });
+      return;
+    }
+
+    const lines = tree.slice(0, IDEA_TREE_MAX_NODES).map(node => {
+      const indent = node.depth > 0 ? `${'    '.repeat(node.depth - 1)}└ ` : '';
+      const marker = node.id === ideaId ? '👉 ' : '';
+      const title = ideaTitle(node).substring(0, 80);
+      const deleted = node.deleted_at ? t(lang, 'tree.deleted') : '';
+
+      return `${indent}${marker}${t(lang, 'tree.node', { id: node.id, title, username: node.username, comments: node.comment_count })}${deleted}`;
+    });
+
+    if (tree.length > IDEA_TREE_MAX_NODES) {
+      lines.push(t(lang, 'tree.more', { count: tree.length - IDEA_TREE_MAX_NODES }));
+    }
+
+    await respond({
+      "response_type": "ephemeral",
+      "blocks": [
+        {
+          "type": "section",
+          "text": {
+            "type": "mrkdwn",
+            "text": t(lang, 'tree.header', { id: ideaId })
+          }
+        },
+        {
+          "type": "section",
+          "text": {
+            "type": "mrkdwn",
+            "text": lines.join('\n').substring(0, 3000)
+          }
+        }
+      ],
+      "text": t(lang, 'tree.header', { id: ideaId })
+    });
+
+    logWithContext('info', 'Idea tree displayed', { requestId, ideaId, size: tree.length });
+
+  } catch (error) {
+    logWithContext('error', 'Idea tree failed', { requestId, error: error.message });
+    await respond({
+      text: t(lang, 'tree.failed', { error: error.message }),
+      response_type: 'ephemeral'
+    });
+  }
+});
+
+// Join team command
+app.command('/join-idea', async ({ command, ack, respond, client }) => {
+  const requestId = generateRequestId();
+  await ack();
+  const lang = await getUserLanguage(command.user_id, requestId);
+
+  try {
+    const ideaId = parseInt((command.text || '').trim().replace(/^#/, ''));
+
+    if (!ideaId) {
+      await respond({
+        text: t(lang, 'teams.join_usage'),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+
+    logWithContext('info', 'Join team requested', { requestId, userId: command.user_id, ideaId });
+
+    const responseText = await handleJoinTeam(client, ideaId, command.user_id, lang, requestId);
+
+    await respond({
+      text: responseText,
+      response_type: 'ephemeral'
+    });
+
+  } catch (error) {
+    logWithContext('error', 'Join team failed', { requestId, error: error.message });
+    await respond({
+      text: t(lang, 'teams.join_failed', { error: error.message }),
+      response_type: 'ephemeral'
+    });
+  }
+});
+
+// "Join team" button in the bot's thread reply
+app.action('join_team', async ({ action, body, ack, respond, client }) => {
+  const requestId = generateRequestId();
+  await ack();
+  const lang = await getUserLanguage(body.user.id, requestId);
+
+  try {
+    const ideaId = parseInt(action.value);
+
+    logWithContext('info', 'Join team button clicked', { requestId, userId: body.user.id, ideaId });
+
+    const responseText = await handleJoinTeam(client, ideaId, body.user.id, lang, requestId);
+
+    await respond({
+      text: responseText,
+      response_type: 'ephemeral',
+      replace_original: false
+    });
+
+  } catch (error) {
+    logWithContext('error', 'Join team button failed', { requestId, error: error.message });
+    await respond({
+      text: t(lang, 'teams.join_failed', { error: error.message }),
+      response_type: 'ephemeral',
+      replace_original: false
+    });
+  }
+});
+
+// Leave team command
+app.command('/leave-idea', async ({ command, ack, respond, client }) => {
+  const requestId = generateRequestId();
+  await ack();
+  const lang = await getUserLanguage(command.user_id, requestId);
+
+  try {
+    if (!isPhaseAllowed('teams')) {
+      await respond({ text: phaseClosedText('teams', lang), response_type: 'ephemeral' });
+      return;
+    }
+
+    const requestedIdeaId = parseInt((command.text || '').trim().replace(/^#/, ''));
+    const ideaId = await leaveTeam(command.user_id, isNaN(requestedIdeaId) ? null : requestedIdeaId, requestId);
+
+    if (!ideaId) {
+      await respond({
+        text: t(lang, 'teams.not_in_team'),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+
+    const idea = await getIdeaById(ideaId, requestId);
+
+    if (idea) {
+      try {
+        await client.chat.postMessage({
+          channel: idea.channel_id,
+          thread_ts: idea.message_ts,
+          text: t(broadcastLanguage, 'teams.left_thread', { userId: command.user_id })
+        });
+      } catch (error) {
+        logWithContext('warn', 'Could not post team leave in thread', { requestId, ideaId, error: error.message });
+      }
+    }
+
+    await respond({
+      text: t(lang, 'teams.left', { id: ideaId }),
+      response_type: 'ephemeral'
+    });
+
+  } catch (error) {
+    logWithContext('error', 'Leave team failed', { requestId, error: error.message });
+    await respond({
+      text: t(lang, 'teams.leave_failed', { error: error.message }),
+      response_type: 'ephemeral'
+    });
+  }
+});
+
+// Teams overview command
+app.command('/teams', async ({ command, ack, respond }) => {
+  const requestId = generateRequestId();
+  await ack();
+  const lang = await getUserLanguage(command.user_id, requestId);
+
+  try {
+    logWithContext('info', 'Teams overview requested', { requestId, userId: command.user_id });
+
+    const scope = await parseEventScope(command.text, lang, requestId);
+
+    if (scope.error) {
+      await respond({ text: scope.error, response_type: 'ephemeral' });
+      return;
+    }
+
+    const teams = await getTeams(scope.eventId, requestId);
+
+    if (teams.length === 0) {
+      await respond({
+        text: t(lang, 'teams.empty'),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+
+    const teamsBlocks = {
+      "blocks": [
+        {
+          "type": "header",
+          "text": {
+            "type": "plain_text",
+            "text": t(lang, 'teams.header', { eventLabel: eventLabel(scope.event) }),
+            "emoji": true
+          }
+        },
+        {
+          "type": "divider"
+        }
+      ]
+    };
+
+    teams.forEach((team) => {
+      const memberList = team.members.map(member => `<@${member.user_id}>`).join(', ');
+      const isFull = team.members.length >= CONFIG.maxTeamSize;
+
+      teamsBlocks.blocks.push({
+        "type": "section",
+        "text": {
+          "type": "mrkdwn",
+          "text": `*#${team.idea_id}* ${team.idea_text.substring(0, 100)}${team.idea_text.length > 100 ? '...' : ''}\n👥 ${team.members.length}/${CONFIG.maxTeamSize}${isFull ? t(lang, 'teams.full_suffix') : ''} • ${memberList}`
+        }
+      });
+    });
+
+    teamsBlocks.blocks.push({
+      "type": "context",
+      "elements": [
+        {
+          "type": "mrkdwn",
+          "text": t(lang, 'teams.footer', { max: CONFIG.maxTeamSize })
+        }
+      ]
+    });
+
+    await respond({
+      "response_type": "ephemeral",
+      ...teamsBlocks
+    });
+
+    logWithContext('info', 'Teams overview displayed', { requestId, totalTeams: teams.length });
+
+  } catch (error) {
+    logWithContext('error', 'Teams overview failed', { requestId, error: error.message });
+    await respond({
+      text: t(lang, 'teams.failed', { error: error.message }),
+      response_type: 'ephemeral'
+    });
+  }
+});
+
+// Category admin command - /category add|edit|remove|list|recategorize
+const parseCategoryFields = (segments) => {
+  const [name, emoji, keywords, sortOrder] = segments.map(segment => (segment || '').trim());
+
+  return {
+    name: name || null,
+    emoji: emoji ? emoji.replace(/:/g, '') : null,
+    keywords: keywords ?
+      keywords.split(',').map(keyword => keyword.trim().toLowerCase()).filter(Boolean) :
+      null,
+    sortOrder: sortOrder && !isNaN(parseInt(sortOrder)) ? parseInt(sortOrder) : null
+  };
+};
+
+app.command('/category', async ({ command, ack, respond }) => {
+  const requestId = generateRequestId();
+  await ack();
+  const lang = await getUserLanguage(command.user_id, requestId);
+
+  try {
+    const text = (command.text || '').trim();
+    const [subcommand, ...rest] = text.split(/\s+/);
+    const action = (subcommand || 'list').toLowerCase();
+    const usage = t(lang, 'category.usage');
+
+    if (action !== 'list' && !(await hasPermission(command.user_id, 'categories.manage', requestId))) {
+      await respond({
+        text: t(lang, 'category.no_permission'),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+
+    logWithContext('info', 'Category command requested', { requestId, userId: command.user_id, action });
+
+    const argsText = rest.join(' ');
+    const segments = argsText.split('|');
+
+    if (action === 'list') {
+      const categories = await loadCategories(requestId);
+
+      const categoryLines = categories.map(category => t(lang, 'category.line', {
+        id: category.id,
+        name: category.name,
+        emoji: category.emoji,
+        sortOrder: category.sort_order,
+        keywords: category.keywords.join(', ')
+      }));
+
+      await respond({
+        text: t(lang, 'category.list', { lines: categoryLines.join('\n\n') || t(lang, 'category.none'), fallback: FALLBACK_CATEGORY.name }),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+
+    if (action === 'add') {
+      const fields = parseCategoryFields(segments);
+
+      if (!fields.name || !fields.emoji || !fields.keywords || fields.keywords.length === 0) {
+        await respond({ text: usage, response_type: 'ephemeral' });
+        return;
+      }
+
+      const categoryId = await addCategory(fields, requestId);
+      await loadCategories(requestId);
+
+      await respond({
+        text: t(lang, 'category.added', { id: categoryId, name: fields.name, emoji: fields.emoji }),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+
+    if (action === 'edit') {
+      const categoryId = parseInt(segments[0]);
+      const fields = parseCategoryFields(segments.slice(1));
+
+      if (!categoryId) {
+        await respond({ text: usage, response_type: 'ephemeral' });
+        return;
+      }
+
+      const found = await updateCategory(categoryId, fields, requestId);
+      await loadCategories(requestId);
+
+      await respond({
+        text: t(lang, found ? 'category.updated' : 'category.not_found', { id: categoryId }),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+
+    if (action === 'remove') {
+      const categoryId = parseInt(argsText);
+
+      if (!categoryId) {
+        await respond({ text: usage, response_type: 'ephemeral' });
+        return;
+      }
+
+      const removedName = await removeCategory(categoryId, requestId);
+      await loadCategories(requestId);
+
+      await respond({
+        text: removedName ?
+          t(lang, 'category.removed', { name: removedName }) :
+          t(lang, 'category.not_found', { id: categoryId }),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+
+    if (action === 'recategorize') {
+      await loadCategories(requestId);
+      const result = await recategorizeIdeas(requestId);
+
+      await respond({
+        text: t(lang, 'category.recategorized', { changed: result.changed, total: result.total }),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+
+    await respond({ text: usage, response_type: 'ephemeral' });
+
+  } catch (error) {
+    logWithContext('error', 'Category command failed', { requestId, error: error.message });
+    await respond({
+      text: t(lang, 'category.failed', { error: error.message }),
+      response_type: 'ephemeral'
+    });
+  }
+});
+
+// Similar ideas report - likely duplicate clusters
+app.command('/similar-ideas', requirePermission('ideas.view_duplicates'), async ({ command, respond }) => {
+  const requestId = generateRequestId();
+  const lang = await getUserLanguage(command.user_id, requestId);
+
+  try {
+    logWithContext('info', 'Similar ideas report requested', { requestId, adminId: command.user_id });
+
+    const clusters = await findDuplicateClusters(currentEventId(), requestId);
+
+    if (clusters.length === 0) {
+      await respond({
+        text: t(lang, 'similar.none', { threshold: Math.round(CONFIG.similarityThreshold * 100) }),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+
+    const similarBlocks = {
+      "blocks": [
+        {
+          "type": "header",
+          "text": {
+            "type": "plain_text",
+            "text": t(lang, 'similar.header', { count: clusters.length }),
+            "emoji": true
+          }
+        },
+        {
+          "type": "divider"
+        }
+      ]
+    };
+
+    clusters.slice(0, 15).forEach((cluster, index) => {
+      const ideaLines = cluster.map(idea =>
+        `• *#${idea.id}* ${idea.idea_text.substring(0, 80)}${idea.idea_text.length > 80 ? '...' : ''} _(${idea.username}, ${Math.round(idea.similarity * 100)}%)_`
+      );
+
+      similarBlocks.blocks.push({
+        "type": "section",
+        "text": {
+          "type": "mrkdwn",
+          "text": t(lang, 'similar.group', { number: index + 1, lines: ideaLines.join('\n') })
+        }
+      });
+    });
+
+    similarBlocks.blocks.push({
+      "type": "context",
+      "elements": [
+        {
+          "type": "mrkdwn",
+          "text": t(lang, 'similar.footer', { threshold: Math.round(CONFIG.similarityThreshold * 100) })
+        }
+      ]
+    });
+
+    await respond({
+      "response_type": "ephemeral",
+      ...similarBlocks
+    });
+
+    logWithContext('info', 'Similar ideas report completed', { requestId, clusters: clusters.length });
+
+  } catch (error) {
+    logWithContext('error', 'Similar ideas report failed', { requestId, error: error.message });
+    await respond({
+      text: t(lang, 'similar.failed', { error: error.message }),
+      response_type: 'ephemeral'
+    });
+  }
+});
+
+// Roles command - /roles grant|revoke|list
+app.command('/roles', requirePermission('roles.manage'), async ({ command, respond }) => {
+  const requestId = generateRequestId();
+  const lang = await getUserLanguage(command.user_id, requestId);
+
+  try {
+    const [subcommand, userArg, roleArg] = (command.text || '').trim().split(/\s+/);
+    const action = (subcommand || 'list').toLowerCase();
+
+    logWithContext('info', 'Roles command requested', { requestId, adminId: command.user_id, action });
+
+    if (action === 'list') {
+      const roles = await listRoles(requestId);
+
+      const roleLines = ROLES.map(role => {
+        const members = roles.filter(entry => entry.role === role).map(entry => `<@${entry.user_id}>`);
+        if (role === 'admin' && !roles.some(entry => entry.role === 'admin' && entry.user_id === CONFIG.adminUserId)) {
+          members.unshift(`<@${CONFIG.adminUserId}> _(ADMIN_USER_ID)_`);
+        }
+        return `*${role}:* ${members.length > 0 ? members.join(', ') : t(lang, 'roles.none')}`;
+      });
+
+      await respond({
+        text: t(lang, 'roles.list', { lines: roleLines.join('\n') }),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+
+    const userMatch = (userArg || '').match(/^<@([A-Z0-9]+)(?:\|[^>]*)?>$/);
+    const role = (roleArg || '').toLowerCase();
+
+    if (!['grant', 'revoke'].includes(action) || !userMatch || !ROLES.includes(role)) {
+      await respond({ text: t(lang, 'roles.usage', { roles: ROLES.join(', ') }), response_type: 'ephemeral' });
+      return;
+    }
+
+    const targetUserId = userMatch[1];
+
+    if (action === 'grant') {
+      const created = await grantRole(targetUserId, role, command.user_id, requestId);
+
+      await respond({
+        text: t(lang, created ? 'roles.granted' : 'roles.already_granted', { userId: targetUserId, role }),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+
+    if (targetUserId === CONFIG.adminUserId && role === 'admin') {
+      await respond({
+        text: t(lang, 'roles.admin_protected'),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+
+    const removed = await revokeRole(targetUserId, role, requestId);
+
+    await respond({
+      text: t(lang, removed ? 'roles.revoked' : 'roles.not_granted', { userId: targetUserId, role }),
+      response_type: 'ephemeral'
+    });
+
+  } catch (error) {
+    logWithContext('error', 'Roles command failed', { requestId, error: error.message });
+    await respond({
+      text: t(lang, 'roles.failed', { error: error.message }),
+      response_type: 'ephemeral'
+    });
+  }
+});
+
+// Event command - /event create|activate|archive|list
+const formatEventDate = (date, language = DEFAULT_LANGUAGE) => (date ? new Date(date).toLocaleDateString(getLocale(language).dateLocale) : '?');
+
+const parseEventDate = (value) => {
+  const trimmed = (value || '').trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(trimmed) || isNaN(new Date(trimmed).getTime())) return null;
+  return trimmed;
+};
+
+// Reload everything that depends on the active event
+const refreshActiveEvent = async (requestId) => {
+  await loadActiveEvent(requestId);
+  await loadPhase(requestId);
+  await loadBroadcastLanguage(requestId);
+  await loadLeaderboardScoring(requestId);
+  await loadNudgeInterval(requestId);
+  dailyReminderEnabled = await getDailyReminderStatus(requestId);
+};
+
+app.command('/event', async ({ command, ack, respond }) => {
+  const requestId = generateRequestId();
+  await ack();
+  const lang = await getUserLanguage(command.user_id, requestId);
+
+  try {
+    const text = (command.text || '').trim();
+    const [subcommand, ...rest] = text.split(/\s+/);
+    const action = (subcommand || 'list').toLowerCase();
+    const argument = rest.join(' ');
+    const usage = t(lang, 'event.usage');
+
+    logWithContext('info', 'Event command requested', { requestId, userId: command.user_id, action });
+
+    if (action === 'list') {
+      const events = await listEvents(requestId);
+
+      if (events.length === 0) {
+        await respond({
+          text: t(lang, 'event.empty', { usage }),
+          response_type: 'ephemeral'
+        });
+        return;
+      }
+
+      const eventLines = events.map(event => t(lang, 'event.line', {
+        id: event.id,
+        name: event.name,
+        status: t(lang, `event.status.${event.status}`),
+        from: formatEventDate(event.starts_on, lang),
+        to: formatEventDate(event.ends_on, lang),
+        ideas: event.idea_count,
+        channel: event.channel_id
+      }));
+
+      await respond({
+        text: t(lang, 'event.list', { lines: eventLines.join('\n') }),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+
+    if (!['create', 'activate', 'archive'].includes(action)) {
+      await respond({ text: usage, response_type: 'ephemeral' });
+      return;
+    }
+
+    if (!(await hasPermission(command.user_id, 'events.manage', requestId))) {
+      logWithContext('warn', 'Permission denied', { requestId, userId: command.user_id, permission: 'events.manage' });
+      await respond({
+        text: t(lang, 'event.no_permission'),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+
+    if (action === 'create') {
+      // Pipes inside <#C123|kanal> belong to the channel mention, not the field separator
+      const [name, startsOn, endsOn, channel] = argument.split(/\|(?![^<>]*>)/).map(segment => segment.trim());
+      const channelMatch = (channel || '').match(/^<#([A-Z0-9]+)(?:\|[^>]*)?>$/);
+      const fields = {
+        name,
+        startsOn: parseEventDate(startsOn),
+        endsOn: parseEventDate(endsOn),
+        channelId: channelMatch ? channelMatch[1] : null
+      };
+
+      if (!name || !fields.startsOn || !fields.endsOn || (channel && !channelMatch)) {
+        await respond({ text: t(lang, 'event.invalid', { usage }), response_type: 'ephemeral' });
+        return;
+      }
+
+      if (fields.endsOn < fields.startsOn) {
+        await respond({ text: t(lang, 'event.end_before_start'), response_type: 'ephemeral' });
+        return;
+      }
+
+      const { event, adoptedIdeas } = await createEvent(fields, command.user_id, requestId);
+
+      await respond({
+        text: t(lang, 'event.created', {
+          id: event.id,
+          name: event.name,
+          from: formatEventDate(event.starts_on, lang),
+          to: formatEventDate(event.ends_on, lang),
+          adoptedIdeas
+        }),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+
+    const eventId = parseInt(argument);
+
+    if (isNaN(eventId)) {
+      await respond({ text: usage, response_type: 'ephemeral' });
+      return;
+    }
+
+    const event = await setEventStatus(eventId, action === 'activate' ? 'active' : 'archived', requestId);
+
+    if (!event) {
+      await respond({ text: t(lang, 'common.event_not_found', { id: eventId }), response_type: 'ephemeral' });
+      return;
+    }
+
+    await refreshActiveEvent(requestId);
+
+    if (action === 'activate') {
+      if (getHackathonChannelId()) {
+        await app.client.chat.postMessage({
+          channel: getHackathonChannelId(),
+          text: t(broadcastLanguage, 'event.announcement', {
+            name: event.name,
+            from: formatEventDate(event.starts_on, broadcastLanguage),
+            to: formatEventDate(event.ends_on, broadcastLanguage)
+          })
+        });
+      }
+
+      await respond({
+        text: t(lang, 'event.activated', { name: event.name }),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+
+    await respond({
+      text: t(lang, 'event.archived', { id: event.id, name: event.name, noActive: !activeEvent }),
+      response_type: 'ephemeral'
+    });
+
+  } catch (error) {
+    logWithContext('error', 'Event command failed', { requestId, error: error.message });
+    await respond({
+      text: t(lang, 'event.failed', { error: error.message }),
+      response_type: 'ephemeral'
+    });
+  }
+});
+
+// Phase command - /phase shows the current phase, /phase set <fase> moves the hackathon along
+const buildPhaseOverview = (language) => PHASE_KEYS.map((key, index) =>
+  `${key === currentPhase ? '👉' : '▫️'} *${index + 1}. ${phaseLabel(key, language)}* \`${key}\``
+).join('\n');
+
+app.command('/phase', async ({ command, ack, respond, client }) => {
+  const requestId = generateRequestId();
+  await ack();
+  const lang = await getUserLanguage(command.user_id, requestId);
+
+  try {
+    const [subcommand, phaseArg] = (command.text || '').trim().split(/\s+/);
+    const action = (subcommand || 'show').toLowerCase();
+
+    if (action !== 'set') {
+      await respond({
+        text: t(lang, 'phase.show', {
+          eventLabel: eventLabel(activeEvent),
+          label: phaseLabel(currentPhase, lang),
+          description: phaseDescription(currentPhase, lang),
+          overview: buildPhaseOverview(lang)
+        }),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+
+    if (!(await hasPermission(command.user_id, 'phase.manage', requestId))) {
+      logWithContext('warn', 'Permission denied', { requestId, userId: command.user_id, permission: 'phase.manage' });
+      await respond({ text: t(lang, 'phase.no_permission'), response_type: 'ephemeral' });
+      return;
+    }
+
+    const requested = (phaseArg || '').toLowerCase();
+    const phase = PHASES[requested] ? requested : PHASE_KEYS[parseInt(requested) - 1];
+
+    if (!phase) {
+      await respond({ text: t(lang, 'phase.unknown', { phase: phaseArg || '', overview: buildPhaseOverview(lang) }), response_type: 'ephemeral' });
+      return;
+    }
+
+    if (phase === currentPhase) {
+      await respond({ text: t(lang, 'phase.already', { label: phaseLabel(phase, lang) }), response_type: 'ephemeral' });
+      return;
+    }
+
+    const previousPhase = await setPhase(phase, requestId);
+
+    logWithContext('info', 'Phase set by command', { requestId, userId: command.user_id, from: previousPhase, to: phase });
+
+    if (getHackathonChannelId()) {
+      await client.chat.postMessage({
+        channel: getHackathonChannelId(),
+        text: t(broadcastLanguage, 'phase.announcement', { label: phaseLabel(phase, broadcastLanguage) }),
+        blocks: [
+          {
+            "type": "header",
+            "text": { "type": "plain_text", "text": t(broadcastLanguage, 'phase.announcement', { label: phaseLabel(phase, broadcastLanguage) }), "emoji": true }
+          },
+          {
+            "type": "section",
+            "text": { "type": "mrkdwn", "text": `${phaseDescription(phase, broadcastLanguage)}\n\n<!channel>` }
+          },
+          {
+            "type": "context",
+            "elements": [
+              { "type": "mrkdwn", "text": t(broadcastLanguage, 'phase.changed_by', {
+                from: phaseLabel(previousPhase, broadcastLanguage),
+                to: phaseLabel(phase, broadcastLanguage),
+                userId: command.user_id
+              }) }
+            ]
+          }
+        ]
+      });
+    }
+
+    await respond({
+      text: t(lang, 'phase.set', { label: phaseLabel(phase, lang), announced: Boolean(getHackathonChannelId()) }),
+      response_type: 'ephemeral'
+    });
+
+  } catch (error) {
+    logWithContext('error', 'Phase command failed', { requestId, error: error.message });
+    await respond({
+      text: t(lang, 'phase.failed', { error: error.message }),
+      response_type: 'ephemeral'
+    });
+  }
+});
+
+// Language command - /language [da|en|auto] for yourself, /language channel <da|en> for channel posts
+app.command('/language', async ({ command, ack, respond }) => {
+  const requestId = generateRequestId();
+  await ack();
+  const lang = await getUserLanguage(command.user_id, requestId);
+
+  try {
+    const [subcommand, languageArg] = (command.text || '').trim().toLowerCase().split(/\s+/);
+
+    if (!subcommand) {
+      const info = await getUserLanguageInfo(command.user_id, requestId);
+      await respond({
+        text: t(info.language, 'language.current', {
+          language: languageName(info.language),
+          source: t(info.language, `language.source.${info.source}`),
+          channelLanguage: languageName(broadcastLanguage)
+        }),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+
+    if (LANGUAGES.includes(subcommand)) {
+      await setUserLanguage(command.user_id, subcommand, requestId);
+      await respond({ text: t(subcommand, 'language.set', { language: languageName(subcommand) }), response_type: 'ephemeral' });
+      return;
+    }
+
+    if (subcommand === 'auto') {
+      await setUserLanguage(command.user_id, null, requestId);
+      const resolved = await getUserLanguage(command.user_id, requestId);
+      await respond({ text: t(resolved, 'language.reset', { language: languageName(resolved) }), response_type: 'ephemeral' });
+      return;
+    }
+
+    if (subcommand === 'channel' && LANGUAGES.includes(languageArg)) {
+      if (!(await hasPermission(command.user_id, 'events.manage', requestId))) {
+        logWithContext('warn', 'Permission denied', { requestId, userId: command.user_id, permission: 'events.manage' });
+        await respond({ text: t(lang, 'language.channel_no_permission'), response_type: 'ephemeral' });
+        return;
+      }
+
+      await setBroadcastLanguage(languageArg, requestId);
+      await respond({
+        text: t(lang, 'language.channel_set', { language: languageName(languageArg), eventLabel: eventLabel(activeEvent) }),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+
+    await respond({ text: t(lang, 'language.usage', { languages: LANGUAGES.join('|') }), response_type: 'ephemeral' });
+
+  } catch (error) {
+    logWithContext('error', 'Language command failed', { requestId, error: error.message });
+    await respond({
+      text: t(lang, 'language.failed', { error: error.message }),
+      response_type: 'ephemeral'
+    });
+  }
+});
+
+// Judging - /judge for judges, /judging for admins and organizers
+const ideaTitle = (idea) => idea.title || idea.idea_text.replace(/^ide:\s*/i, '').split('\n')[0];
+
+const buildJudgeModal = (idea, criteria, existingScores, language) => {
+  const existing = new Map(existingScores.map(entry => [entry.criterion_id, entry]));
+  const scoreOptions = JUDGING_SCORES.map(score => ({
+    "text": { "type": "plain_text", "text": String(score) },
+    "value": String(score)
+  }));
+  const teamText = idea.members.length > 0 ? idea.members.map(member => `<@${member}>`).join(', ') : t(language, 'judge.no_team');
+
+  const blocks = [
+    {
+      "type": "section",
+      "text": {
+        "type": "mrkdwn",
+        "text": `*#${idea.id} ${ideaTitle(idea)}*\n_${idea.username}_ • 👥 ${teamText}`
+      }
+    },
+    {
+      "type": "divider"
+    }
+  ];
+
+  criteria.forEach(criterion => {
+    const previous = existing.get(criterion.id);
+    const select = {
+      "type": "static_select",
+      "action_id": "value",
+      "placeholder": { "type": "plain_text", "text": t(language, 'judge.score_placeholder', { min: JUDGING_SCORES[0], max: JUDGING_SCORES[JUDGING_SCORES.length - 1] }) },
+      "options": scoreOptions
+    };
+
+    if (previous) {
+      select.initial_option = scoreOptions.find(option => option.value === String(previous.score));
+    }
+
+    blocks.push(
+      {
+        "type": "input",
+        "block_id": `score_${criterion.id}`,
+        "label": { "type": "plain_text", "text": t(language, 'judge.criterion_label', { name: criterion.name, weight: criterion.weight }).substring(0, 2000), "emoji": true },
+        ...(criterion.description ? { "hint": { "type": "plain_text", "text": criterion.description } } : {}),
+        "element": select
+      },
+      {
+        "type": "input",
+        "block_id": `comment_${criterion.id}`,
+        "optional": true,
+        "label": { "type": "plain_text", "text": t(language, 'judge.comment_label', { name: criterion.name }).substring(0, 2000), "emoji": true },
+        "element": {
+          "type": "plain_text_input",
+          "action_id": "value",
+          "multiline": true,
+          ...(previous && previous.comment ? { "initial_value": previous.comment } : {})
+        }
+      }
+    );
+  });
+
+  return {
+    "type": "modal",
+    "callback_id": "judge_modal",
+    "private_metadata": JSON.stringify({ ideaId: idea.id }),
+    "title": { "type": "plain_text", "text": t(language, 'judge.modal_title', { id: idea.id }), "emoji": true },
+    "submit": { "type": "plain_text", "text": t(language, 'judge.submit') },
+    "close": { "type": "plain_text", "text": t(language, 'common.cancel') },
+    "blocks": blocks
+  };
+};
+
+// Returns an error text when the judge can't score right now, otherwise the rubric
+const getJudgingContext = async (userId, language, requestId) => {
+  const [criteria, judges] = await Promise.all([
+    getJudgingCriteria(currentEventId(), requestId),
+    getJudges(currentEventId(), requestId)
+  ]);
+
+  if (!judges.includes(userId)) {
+    return { error: t(language, 'judge.not_judge') };
+  }
+
+  if (!isPhaseAllowed('judging')) {
+    return { error: phaseClosedText('judging', language) };
+  }
+
+  if (criteria.length === 0) {
+    return { error: t(language, 'judge.no_criteria') };
+  }
+
+  return { criteria };
+};
+
+const openJudgeModal = async (client, triggerId, ideaId, userId, language, requestId) => {
+  const context = await getJudgingContext(userId, language, requestId);
+
+  if (context.error) {
+    return context.error;
+  }
+
+  const ideas = await getJudgingIdeas(currentEventId(), userId, requestId);
+  const idea = ideas.find(candidate => candidate.id === ideaId);
+
+  if (!idea) {
+    return t(language, 'judge.idea_not_found', { id: ideaId });
+  }
+
+  const existingScores = await getJudgeScores(ideaId, userId, requestId);
+
+  await client.views.open({
+    trigger_id: triggerId,
+    view: buildJudgeModal(idea, context.criteria, existingScores, language)
+  });
+
+  logWithContext('info', 'Judge modal opened', { requestId, userId, ideaId, rescoring: existingScores.length > 0 });
+  return null;
+};
+
+app.command('/judge', async ({ command, ack, respond, client }) => {
+  const requestId = generateRequestId();
+  await ack();
+  const lang = await getUserLanguage(command.user_id, requestId);
+
+  try {
+    const ideaId = parseInt((command.text || '').trim().replace(/^#/, ''));
+
+    if (!isNaN(ideaId)) {
+      const errorText = await openJudgeModal(client, command.trigger_id, ideaId, command.user_id, lang, requestId);
+
+      if (errorText) {
+        await respond({ text: errorText, response_type: 'ephemeral' });
+      }
+      return;
+    }
+
+    const context = await getJudgingContext(command.user_id, lang, requestId);
+
+    if (context.error) {
+      await respond({ text: context.error, response_type: 'ephemeral' });
+      return;
+    }
+
+    const ideas = await getJudgingIdeas(currentEventId(), command.user_id, requestId);
+
+    if (ideas.length === 0) {
+      await respond({ text: t(lang, 'judge.no_ideas'), response_type: 'ephemeral' });
+      return;
+    }
+
+    const scoredCount = ideas.filter(idea => parseInt(idea.scored_count) > 0).length;
+
+    const judgeBlocks = {
+      "blocks": [
+        {
+          "type": "header",
+          "text": {
+            "type": "plain_text",
+            "text": t(lang, 'judge.header', { eventLabel: eventLabel(activeEvent) }),
+            "emoji": true
+          }
+        },
+        {
+          "type": "context",
+          "elements": [
+            {
+              "type": "mrkdwn",
+              "text": t(lang, 'judge.progress', {
+                scored: scoredCount,
+                total: ideas.length,
+                criteria: context.criteria.map(criterion => `${criterion.name} (×${criterion.weight})`).join(', ')
+              })
+            }
+          ]
+        },
+        {
+          "type": "divider"
+        }
+      ]
+    };
+
+    // Slack allows 50 blocks per message
+    ideas.slice(0, 45).forEach(idea => {
+      const scored = parseInt(idea.scored_count) > 0;
+      judgeBlocks.blocks.push({
+        "type": "section",
+        "text": {
+          "type": "mrkdwn",
+          "text": `${scored ? '✅' : '⬜'} *#${idea.id}* ${ideaTitle(idea).substring(0, 100)}\n_${idea.username} • 👥 ${idea.members.length}_`
+        },
+        "accessory": {
+          "type": "button",
+          "action_id": "judge_idea",
+          "text": { "type": "plain_text", "text": t(lang, scored ? 'judge.rescore_button' : 'judge.score_button'), "emoji": true },
+          "value": String(idea.id)
+        }
+      });
+    });
+
+    await respond({
+      "response_type": "ephemeral",
+      ...judgeBlocks
+    });
+
+  } catch (error) {
+    logWithContext('error', 'Judge command failed', { requestId, error: error.message });
+    await respond({
+      text: t(lang, 'judge.failed', { error: error.message }),
+      response_type: 'ephemeral'
+    });
+  }
+});
+
+app.action('judge_idea', async ({ action, body, ack, respond, client }) => {
+  const requestId = generateRequestId();
+  await ack();
+  const lang = await getUserLanguage(body.user.id, requestId);
+
+  try {
+    const errorText = await openJudgeModal(client, body.trigger_id, parseInt(action.value), body.user.id, lang, requestId);
+
+    if (errorText) {
+      await respond({ text: errorText, response_type: 'ephemeral', replace_original: false });
+    }
+
+  } catch (error) {
+    logWithContext('error', 'Judge button failed', { requestId, error: error.message });
+    await respond({
+      text: t(lang, 'judge.open_failed', { error: error.message }),
+      response_type: 'ephemeral',
+      replace_original: false
+    });
+  }
+});
+
+app.view('judge_modal', async ({ ack, body, view, client }) => {
+  const requestId = generateRequestId();
+  const userId = body.user.id;
+  const { ideaId } = JSON.parse(view.private_metadata);
+  const values = view.state.values;
+
+  // Ack before any database work - the judging context is checked afterwards and problems are sent as a DM
+  await ack();
+
+  const lang = await getUserLanguage(userId, requestId);
+
+  const context = await getJudgingContext(userId, lang, requestId).catch(error => ({ error: error.message }));
+
+  if (context.error) {
+    await client.chat.postMessage({
+      channel: userId,
+      text: t(lang, 'judge.save_failed', { id: ideaId, error: context.error })
+    }).catch(() => {});
+    return;
+  }
+
+  // Criteria removed while the modal was open are skipped; new ones must be scored next time
+  const scores = context.criteria
+    .filter(criterion => values[`score_${criterion.id}`])
+    .map(criterion => ({
+      criterionId: criterion.id,
+      score: parseInt(values[`score_${criterion.id}`].value.selected_option.value),
+      comment: (values[`comment_${criterion.id}`].value.value || '').trim() || null
+    }));
+
+  try {
+    await saveJudgeScores(ideaId, userId, scores, requestId);
+
+    await client.chat.postMessage({
+      channel: userId,
+      text: t(lang, 'judge.saved', { id: ideaId })
+    });
+
+  } catch (error) {
+    logWithContext('error', 'Saving judge scores failed', { requestId, ideaId, error: error.message });
+    await client.chat.postMessage({
+      channel: userId,
+      text: t(lang, 'judge.save_failed', { id: ideaId, error: error.message })
+    }).catch(() => {});
+  }
+});
+
+const formatJudgingScore = (score, language = DEFAULT_LANGUAGE) =>
+  score.toLocaleString(getLocale(language).dateLocale, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+app.command('/judging', requirePermission('judging.manage'), async ({ command, respond, client }) => {
+  const requestId = generateRequestId();
+  const lang = await getUserLanguage(command.user_id, requestId);
+
+  try {
+    const [subcommand, ...rest] = (command.text || '').trim().split(/\s+/);
+    const action = (subcommand || 'rubric').toLowerCase();
+    const argument = rest.join(' ').trim();
+    const eventId = currentEventId();
+    const usage = t(lang, 'judging.usage');
+
+    logWithContext('info', 'Judging command requested', { requestId, userId: command.user_id, action, eventId });
+
+    if (action === 'rubric') {
+      const [criteria, judges] = await Promise.all([getJudgingCriteria(eventId, requestId), getJudges(eventId, requestId)]);
+      const totalWeight = criteria.reduce((sum, criterion) => sum + criterion.weight, 0);
+
+      const criteriaText = criteria.length > 0 ?
+        criteria.map(criterion => t(lang, 'judging.criterion_line', {
+          id: criterion.id,
+          name: criterion.name,
+          weight: criterion.weight,
+          percent: Math.round(criterion.weight / totalWeight * 100),
+          description: criterion.description
+        })).join('\n') :
+        t(lang, 'judging.no_criteria');
+
+      await respond({
+        text: t(lang, 'judging.rubric', {
+          eventLabel: eventLabel(activeEvent),
+          criteria: criteriaText,
+          judges: judges.length > 0 ? judges.map(judge => `<@${judge}>`).join(', ') : t(lang, 'judging.no_judges'),
+          usage
+        }),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+
+    if (action === 'criterion') {
+      const [criterionAction, ...criterionRest] = argument.split(/\s+/);
+      const criterionArgument = criterionRest.join(' ');
+
+      if (criterionAction === 'add') {
+        const [name, weightText, description] = criterionArgument.split('|').map(segment => (segment || '').trim());
+        const weight = parseFloat((weightText || '').replace(',', '.'));
+
+        if (!name || isNaN(weight) || weight <= 0) {
+          await respond({ text: t(lang, 'judging.criterion_invalid', { usage }), response_type: 'ephemeral' });
+          return;
+        }
+
+        const criterionId = await addJudgingCriterion(eventId, { name, weight, description: description || null }, requestId);
+
+        await respond({ text: t(lang, 'judging.criterion_added', { id: criterionId, name, weight }), response_type: 'ephemeral' });
+        return;
+      }
+
+      if (criterionAction === 'remove' && !isNaN(parseInt(criterionArgument))) {
+        const removed = await removeJudgingCriterion(eventId, parseInt(criterionArgument), requestId);
+
+        await respond({
+          text: removed ?
+            t(lang, 'judging.criterion_removed', { name: removed }) :
+            t(lang, 'judging.criterion_not_found', { id: criterionArgument }),
+          response_type: 'ephemeral'
+        });
+        return;
+      }
+
+      await respond({ text: usage, response_type: 'ephemeral' });
+      return;
+    }
+
+    if (['assign', 'unassign'].includes(action)) {
+      const userMatch = argument.match(/^<@([A-Z0-9]+)(?:\|[^>]*)?>$/);
+
+      if (!userMatch) {
+        await respond({ text: usage, response_type: 'ephemeral' });
+        return;
+      }
+
+      const judgeId = userMatch[1];
+
+      if (action === 'assign') {
+        const created = await assignJudge(eventId, judgeId, command.user_id, requestId);
+
+        if (created) {
+          const judgeLang = await getUserLanguage(judgeId, requestId);
+
+          await client.chat.postMessage({
+            channel: judgeId,
+            text: t(judgeLang, 'judging.assigned_dm', { eventLabel: eventLabel(activeEvent) })
+          });
+        }
+
+        await respond({
+          text: t(lang, created ? 'judging.assigned' : 'judging.already_assigned', { userId: judgeId }),
+          response_type: 'ephemeral'
+        });
+        return;
+      }
+
+      const removed = await unassignJudge(eventId, judgeId, requestId);
+
+      await respond({
+        text: t(lang, removed ? 'judging.unassigned' : 'judging.not_assigned', { userId: judgeId }),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+
+    if (!['results', 'publish'].includes(action)) {
+      await respond({ text: usage, response_type: 'ephemeral' });
+      return;
+    }
+
+    const { criteria, ranking, judges } = await getJudgingResults(eventId, requestId);
+
+    if (ranking.length === 0) {
+      await respond({ text: t(lang, 'judging.no_scores'), response_type: 'ephemeral' });
+      return;
+    }
+
+    if (action === 'results') {
+      const rankingText = ranking.slice(0, 15).map((idea, index) => t(lang, 'judging.result_line', {
+        rank: index + 1,
+        id: idea.id,
+        title: ideaTitle(idea).substring(0, 60),
+        score: formatJudgingScore(idea.score, lang),
+        judges: idea.judgeCount
+      })).join('\n');
+
+      const judgesText = judges.length > 0 ?
+        judges.map(judge => t(lang, 'judging.deviation_line', {
+          outlier: judge.outlier,
+          userId: judge.judgeId,
+          deviation: `${judge.meanDeviation >= 0 ? '+' : ''}${formatJudgingScore(judge.meanDeviation, lang)}`,
+          ideas: judge.comparedIdeas
+        })).join('\n') :
+        t(lang, 'judging.deviation_needs_two');
+
+      await respond({
+        text: t(lang, 'judging.results', {
+          eventLabel: eventLabel(activeEvent),
+          min: JUDGING_SCORES[0],
+          max: JUDGING_SCORES[JUDGING_SCORES.length - 1],
+          ranking: rankingText,
+          threshold: formatJudgingScore(CONFIG.judgeOutlierThreshold, lang),
+          judges: judgesText
+        }),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+
+    if (!getHackathonChannelId()) {
+      await respond({ text: t(lang, 'common.no_channel'), response_type: 'ephemeral' });
+      return;
+    }
+
+    const medals = ['🥇', '🥈', '🥉'];
+    const resultBlocks = [
+      {
+        "type": "header",
+        "text": { "type": "plain_text", "text": t(broadcastLanguage, 'judging.winners_header', { eventLabel: eventLabel(activeEvent) }), "emoji": true }
+      },
+      {
+        "type": "section",
+        "text": {
+          "type": "mrkdwn",
+          "text": t(broadcastLanguage, 'judging.winners_intro', { criteria: criteria.map(criterion => criterion.name).join(', ') })
+        }
+      },
+      {
+        "type": "divider"
+      }
+    ];
+
+    ranking.slice(0, 3).forEach((idea, index) => {
+      const teamText = idea.members.length > 0 ? idea.members.map(member => `<@${member}>`).join(', ') : idea.username;
+      resultBlocks.push({
+        "type": "section",
+        "text": {
+          "type": "mrkdwn",
+          "text": t(broadcastLanguage, 'judging.winner', {
+            medal: medals[index],
+            id: idea.id,
+            title: ideaTitle(idea),
+            team: teamText,
+            score: formatJudgingScore(idea.score, broadcastLanguage)
+          })
+        }
+      });
+    });
+
+    resultBlocks.push({
+      "type": "context",
+      "elements": [
+        { "type": "mrkdwn", "text": t(broadcastLanguage, 'judging.winners_thanks', { count: ranking.length }) }
+      ]
+    });
+
+    await client.chat.postMessage({
+      channel: getHackathonChannelId(),
+      text: t(broadcastLanguage, 'judging.winners_fallback', { id: ranking[0].id, title: ideaTitle(ranking[0]) }),
+      blocks: resultBlocks
+    });
+
+    logWithContext('info', 'Judging results published', { requestId, eventId, winnerId: ranking[0].id });
+
+    await respond({ text: t(lang, 'judging.published'), response_type: 'ephemeral' });
+
+  } catch (error) {
+    logWithContext('error', 'Judging command failed', { requestId, error: error.message });
+    await respond({
+      text: t(lang, 'judging.failed', { error: error.message }),
+      response_type: 'ephemeral'
+    });
+  }
+});
+
+// Show ideas command
+app.command('/show-ideas', requirePermission('ideas.view_all'), async ({ command, respond }) => {
+  const requestId = generateRequestId();
+  const lang = await getUserLanguage(command.user_id, requestId);
+
+  try {
+    const scope = await parseEventScope(command.text, lang, requestId);
+    
+    if (scope.error) {
+      await respond({ text: scope.error, response_type: 'ephemeral' });
+      return;
+    }
+    
+    // Judges and organizers see anonymous ideas as anonymous - only admins see who wrote them
+    const canSeeAnonymous = await hasPermission(command.user_id, 'ideas.view_anonymous', requestId);
+    const authorText = (idea) => {
+      if (!idea.anonymous_author_id) return idea.username;
+      return canSeeAnonymous ? `🕶️ <@${idea.anonymous_author_id}>` : t(lang, 'show_ideas.anonymous');
+    };
+    
+    if (scope.text.toLowerCase() === 'deleted') {
+      const deletedIdeas = await getDeletedIdeas(scope.eventId, requestId);
+      
+      if (deletedIdeas.length === 0) {
+        await respond({
+          text: t(lang, 'show_ideas.deleted_empty'),
+          response_type: 'ephemeral'
+        });
+        return;
+      }
+      
+      const deletedBlocks = {
+        "blocks": [
+          {
+            "type": "header",
+            "text": {
+              "type": "plain_text",
+              "text": t(lang, 'show_ideas.deleted_header', { count: deletedIdeas.length }),
+              "emoji": true
+            }
+          },
+          {
+            "type": "divider"
+          }
+        ]
+      };
+      
+      deletedIdeas.slice(0, 20).forEach((idea) => {
+        deletedBlocks.blocks.push({
+          "type": "section",
+          "text": {
+            "type": "mrkdwn",
+            "text": `*#${idea.id}* ${idea.idea_text.substring(0, 100)}${idea.idea_text.length > 100 ? '...' : ''}\n_${t(lang, 'show_ideas.deleted_meta', {
+              category: idea.category,
+              author: authorText(idea),
+              timeAgo: getTimeAgo(new Date(idea.deleted_at), lang),
+              edits: idea.edit_count
+            })}_`
+          }
+        });
+      });
+      
+      await respond({
+        "response_type": "ephemeral",
+        ...deletedBlocks
+      });
+      
+      logWithContext('info', 'Deleted ideas listed', { requestId, adminId: command.user_id, count: deletedIdeas.length });
+      return;
+    }
+    
+    logWithContext('info', 'Visual ideas export requested', { requestId, adminId: command.user_id });
+    
+    await respond({
+      text: t(lang, 'show_ideas.generating'),
+      response_type: 'ephemeral'
+    });
+    
+    const ideasQuery = `
+      SELECT 
+        i.id,
+        i.username,
+        i.idea_text,
+        i.category,
+        i.tags,
+        i.created_at,
+        i.parent_id,
+        i.anonymous_author_id,
+        COUNT(r.id) as reaction_count,
+        (SELECT COUNT(*) FROM idea_edits e WHERE e.idea_id = i.id) as edit_count,
+        (SELECT COUNT(*) FROM idea_comments c WHERE c.idea_id = i.id) as comment_count
+      FROM ideas i
+      LEFT JOIN reactions r ON i.id = r.idea_id
+      WHERE i.deleted_at IS NULL AND ($1::int IS NULL OR i.event_id = $1)
+      GROUP BY i.id, i.username, i.idea_text, i.category, i.tags, i.created_at
+      ORDER BY i.created_at DESC
+    `;
+    
+    const result = await executeWithRetry(async () => {
+      return await pool.query(ideasQuery, [scope.eventId]);
+    });
+    
+    const ideas = result.rows;
+    
+    if (ideas.length === 0) {
+      await respond({
+        text: t(lang, 'show_ideas.empty'),
+        response_type: 'ephemeral',
+        replace_original: true
+      });
+      return;
+    }
+    
+    const totalIdeas = ideas.length;
+    const uniqueUsers = new Set(ideas.map(i => i.username)).size;
+    const totalReactions = ideas.reduce((sum, idea) => sum + parseInt(idea.reaction_count), 0);
+    const totalComments = ideas.reduce((sum, idea) => sum + parseInt(idea.comment_count), 0);
+    const mostDiscussed = ideas
+      .filter(idea => parseInt(idea.comment_count) > 0)
+      .sort((a, b) => parseInt(b.comment_count) - parseInt(a.comment_count))
+      .slice(0, 3);
+    
+    const categoryStats = ideas.reduce((acc, idea) => {
+      acc[idea.category] = acc[idea.category] || { primary: 0, tagged: 0 };
+      acc[idea.category].primary++;
+      (idea.tags || []).forEach(tag => {
+        acc[tag] = acc[tag] || { primary: 0, tagged: 0 };
+        acc[tag].tagged++;
+      });
+      return acc;
+    }, {});
+    
+    const userStats = ideas.filter(idea => !idea.anonymous_author_id).reduce((acc, idea) => {
+      acc[idea.username] = (acc[idea.username] || 0) + 1;
+      return acc;
+    }, {});
+    
+    const topUsers = Object.entries(userStats)
+      .sort(([,a], [,b]) => b - a)
+      .slice(0, 5);
+    
+    // Ideas come newest first, so reversing the insertion order lists the days oldest first
+    const dailyStats = ideas.reduce((acc, idea) => {
+      const date = new Date(idea.created_at).toLocaleDateString(getLocale(lang).dateLocale);
+      acc[date] = (acc[date] || 0) + 1;
+      return acc;
+    }, {});
+    
+    const visualOverview = {
+      "blocks": [
+        {
+          "type": "header",
+          "text": {
+            "type": "plain_text",
+            "text": t(lang, 'show_ideas.header', { name: scope.event ? scope.event.name : 'Forteil Hackathon' }),
+            "emoji": true
+          }
+        },
+        {
+          "type": "section",
+          "fields": [
+            {
+              "type": "mrkdwn",
+              "text": t(lang, 'show_ideas.total', { value: totalIdeas })
+            },
+            {
+              "type": "mrkdwn",
+              "text": t(lang, 'show_ideas.users', { value: uniqueUsers })
+            },
+            {
+              "type": "mrkdwn",
+              "text": t(lang, 'show_ideas.reactions', { value: totalReactions })
+            },
+            {
+              "type": "mrkdwn",
+              "text": t(lang, 'show_ideas.average', { value: (totalIdeas / uniqueUsers).toFixed(1) })
+            },
+            {
+              "type": "mrkdwn",
+              "text": t(lang, 'show_ideas.comments', { value: totalComments })
+            },
+            {
+              "type": "mrkdwn",
+              "text": t(lang, 'show_ideas.builds_on', { value: ideas.filter(idea => idea.parent_id).length })
+            }
+          ]
+        },
+        {
+          "type": "divider"
+        },
+        {
+          "type": "section",
+          "text": {
+            "type": "mrkdwn",
+            "text": t(lang, 'show_ideas.categories', { lines: Object.entries(categoryStats)
+              .sort(([,a], [,b]) => b.primary - a.primary || b.tagged - a.tagged)
+              .map(([cat, count]) => t(lang, 'show_ideas.category_line', { category: cat, count: count.primary, percent: Math.round(count.primary/totalIdeas*100), tagged: count.tagged }))
+              .join('\n') })
+          }
+        },
+        {
+          "type": "divider"
+        },
+        {
+          "type": "section",
+          "text": {
+            "type": "mrkdwn",
+            "text": t(lang, 'show_ideas.top_users', { lines: topUsers
+              .map(([user, count], index) => t(lang, 'show_ideas.user_line', { rank: index + 1, user, count }))
+              .join('\n') })
+          }
+        },
+        {
+          "type": "divider"
+        },
+        {
+          "type": "section",
+          "text": {
+            "type": "mrkdwn",
+            "text": t(lang, 'show_ideas.daily', { lines: Object.entries(dailyStats)
+              .reverse()
+              .map(([date, count]) => t(lang, 'show_ideas.day_line', { date, count }))
+              .join('\n') })
+          }
+        },
+        {
+          "type": "divider"
+        }
+      ]
+    };
+    
+    if (mostDiscussed.length > 0) {
+      visualOverview.blocks.push(
+        {
+          "type": "section",
+          "text": {
+            "type": "mrkdwn",
+            "text": t(lang, 'show_ideas.most_discussed', { lines: mostDiscussed
+              .map((idea, index) => t(lang, 'show_ideas.discussed_line', {
+                rank: index + 1,
+                id: idea.id,
+                text: `${idea.idea_text.substring(0, 80)}${idea.idea_text.length > 80 ? '...' : ''}`,
+                count: idea.comment_count
+              }))
+              .join('\n') })
+          }
+        },
+        {
+          "type": "divider"
+        }
+      );
+    }
+    
+    const recentIdeas = ideas.slice(0, 10);
+    
+    visualOverview.blocks.push({
+      "type": "section",
+      "text": {
+        "type": "mrkdwn",
+        "text": t(lang, 'show_ideas.recent', { count: Math.min(10, ideas.length) })
+      }
+    });
+    
+    recentIdeas.forEach((idea, index) => {
+      const metaText = t(lang, 'show_ideas.idea_meta', {
+        category: idea.category,
+        tags: idea.tags && idea.tags.length > 0 ? idea.tags.join(', ') : null,
+        author: authorText(idea),
+        timeAgo: getTimeAgo(new Date(idea.created_at), lang),
+        reactions: idea.reaction_count,
+        comments: idea.comment_count,
+        edits: parseInt(idea.edit_count),
+        parentId: idea.parent_id
+      });
+
+      visualOverview.blocks.push({
+        "type": "section",
+        "text": {
+          "type": "mrkdwn",
+          "text": `*${index + 1}.* ${idea.idea_text.substring(0, 100)}${idea.idea_text.length > 100 ? '...' : ''}\n_${metaText}_`
+        }
+      });
+    });
+    
+    visualOverview.blocks.push(
+      {
+        "type": "divider"
+      },
+      {
+        "type": "context",
+        "elements": [
+          {
+            "type": "mrkdwn",
+            "text": t(lang, 'show_ideas.footer', { time: new Date().toLocaleString(getLocale(lang).dateLocale, {timeZone: 'Europe/Copenhagen'}) })
+          }
+        ]
+      }
+    );
+    
+    await respond({
+      "replace_original": true,
+      "response_type": "ephemeral",
+      ...visualOverview
+    });
+    
+    logWithContext('info', 'Visual ideas export completed', { 
+      requestId, 
+      totalIdeas,
+      uniqueUsers,
+      totalReactions
+    });
+    
+  } catch (error) {
+    logWithContext('error', 'Visual ideas export failed', { requestId, error: error.message });
+    await respond({
+      text: t(lang, 'show_ideas.failed', { error: error.message }),
+      response_type: 'ephemeral',
+      replace_original: true
+    });
+  }
+});
+
+// Export ideas command - /export-ideas [csv|json|md] [category:<id>] [from:YYYY-MM-DD] [to:YYYY-MM-DD] [event:<id>]
+app.command('/export-ideas', requirePermission('ideas.export'), async ({ command, respond, client }) => {
+  const requestId = generateRequestId();
+  const lang = await getUserLanguage(command.user_id, requestId);
+
+  try {
+    const scope = await parseEventScope(command.text, lang, requestId);
+
+    if (scope.error) {
+      await respond({ text: scope.error, response_type: 'ephemeral' });
+      return;
+    }
+
+    const filters = { eventId: scope.eventId, category: null, from: null, to: null };
+    let format = 'csv';
+
+    for (const token of scope.text.split(/\s+/).filter(Boolean)) {
+      const [key, ...valueParts] = token.split(':');
+      const value = valueParts.join(':');
+
+      if (EXPORT_FORMATS.includes(token.toLowerCase())) {
+        format = token.toLowerCase();
+      } else if (key === 'category' && categoryCache.some(category => category.id === parseInt(value))) {
+        filters.category = categoryCache.find(category => category.id === parseInt(value)).name;
+      } else if (['from', 'to'].includes(key) && parseEventDate(value)) {
+        filters[key] = parseEventDate(value);
+      } else {
+        await respond({ text: t(lang, 'export.unknown_filter', { token, usage: t(lang, 'export.usage') }), response_type: 'ephemeral' });
+        return;
+      }
+    }
+
+    logWithContext('info', 'Ideas export requested', { requestId, userId: command.user_id, format, ...filters });
+
+    const ideas = await getIdeasForExport(filters, requestId);
+
+    const filterText = t(lang, 'export.filters', {
+      event: scope.event ? scope.event.name : null,
+      category: filters.category,
+      from: filters.from,
+      to: filters.to
+    });
+
+    if (ideas.length === 0) {
+      await respond({ text: t(lang, 'export.no_match', { filters: filterText }), response_type: 'ephemeral' });
+      return;
+    }
+
+    const content = buildIdeasExport(ideas, format, filterText, lang);
+    const filename = `hackathon-ideas-${new Date().toISOString().split('T')[0]}.${format}`;
+
+    // Upload to the requester's DM so the file isn't shared with the whole channel
+    const dm = await client.conversations.open({ users: command.user_id });
+
+    await client.files.uploadV2({
+      channel_id: dm.channel.id,
+      filename,
+      title: t(lang, 'export.file_title', { filters: filterText }),
+      content,
+      initial_comment: t(lang, 'export.file_comment', { count: ideas.length, filters: filterText })
+    });
+
+    await respond({
+      text: t(lang, 'export.sent', { count: ideas.length, filename }),
+      response_type: 'ephemeral'
+    });
+
+    logWithContext('info', 'Ideas export uploaded', { requestId, userId: command.user_id, format, count: ideas.length });
+
+  } catch (error) {
+    logWithContext('error', 'Ideas export failed', { requestId, error: error.message });
+    await respond({
+      text: t(lang, 'export.failed', { error: error.message }),
+      response_type: 'ephemeral'
+    });
+  }
+});
+
+// App Home tab - personal hackathon dashboard
+const publishHomeView = async (client, userId, requestId) => {
+  const [stats, userIdeas, leaderboard, reminderEnabled, canMotivate, canManageReminders, lang] = await Promise.all([
+    getIdeaStats(currentEventId(), requestId),
+    getUserIdeas(userId, currentEventId(), requestId),
+    getLeaderboard(null, { eventId: currentEventId() }, requestId),
+    getDailyReminderStatus(requestId),
+    hasPermission(userId, 'motivation.send', requestId),
+    hasPermission(userId, 'reminders.manage', requestId),
+    getUserLanguage(userId, requestId)
+  ]);
+
+  // The leaderboard also ranks people who only voted, commented or joined a team, so generators are counted separately
+  const ideaGenerators = leaderboard.filter(entry => parseInt(entry.idea_count) > 0).length;
+  const position = leaderboard.findIndex(entry => entry.user_id === userId);
+  const positionText = position >= 0 ?
+    t(lang, 'home.position', { position: position + 1, total: leaderboard.length }) :
+    t(lang, 'home.not_on_leaderboard');
+
+  const topCategory = stats.categories.length > 0 ? stats.categories[0] : null;
+
+  const blocks = [
+    {
+      "type": "header",
+      "text": { "type": "plain_text", "text": t(lang, 'home.header'), "emoji": true }
+    },
     {
-      name: '🤖 AI & Automatisering',
-      emoji: 'robot_face',
-      keywords: ['ai', 'chatbot', 'automatiser', 'machine learning', 'intelligent', 'smart']
+      "type": "context",
+      "elements": [
+        { "type": "mrkdwn", "text": `🧭 *${phaseLabel(currentPhase, lang)}* - ${phaseDescription(currentPhase, lang)}` }
+      ]
     },
     {
-      name: '🔗 Integrationer',
-      emoji: 'link',
-      keywords: ['slack', 'integration', 'api', 'connect', 'sync', 'webhook']
+      "type": "section",
+      "fields": [
+        { "type": "mrkdwn", "text": t(lang, 'home.total_ideas', { total: stats.total }) },
+        { "type": "mrkdwn", "text": t(lang, 'home.generators', { count: ideaGenerators }) },
+        { "type": "mrkdwn", "text": t(lang, 'home.top_category', { value: topCategory ? `${topCategory.category} (${topCategory.count})` : t(lang, 'home.none_yet') }) },
+        { "type": "mrkdwn", "text": t(lang, 'home.reminder', { value: reminderEnabled ? t(lang, 'home.reminder_on', { next: describeNextReminder(lang) }) : t(lang, 'home.reminder_off') }) }
+      ]
     },
     {
-      name: '⚙️ Procesoptimering',
-      emoji: 'gear',
-      keywords: ['process', 'workflow', 'effektiv', 'optimering', 'automation', 'streamline']
+      "type": "divider"
     },
     {
-      name: '📊 Data & Visualisering',
-      emoji: 'bar_chart',
-      keywords: ['dashboard', 'rapporter', 'data', 'analytics', 'metrics', 'visualization']
+      "type": "section",
+      "text": { "type": "mrkdwn", "text": t(lang, 'home.your_status', { text: positionText }) }
     },
     {
-      name: '🎨 UI/UX Forbedringer',
-      emoji: 'art',
-      keywords: ['interface', 'design', 'bruger', 'frontend', 'ui', 'ux', 'mobile']
+      "type": "section",
+      "text": { "type": "mrkdwn", "text": t(lang, 'home.your_ideas', { count: userIdeas.length }) }
     }
   ];
-  
-  for (const category of categories) {
-    if (category.keywords.some(keyword => lowerText.includes(keyword))) {
-      return category;
+
+  if (userIdeas.length === 0) {
+    blocks.push({
+      "type": "context",
+      "elements": [
+        { "type": "mrkdwn", "text": t(lang, 'home.no_ideas') }
+      ]
+    });
+  }
+
+  userIdeas.slice(0, 15).forEach((idea) => {
+    blocks.push({
+      "type": "section",
+      "text": {
+        "type": "mrkdwn",
+        "text": `*#${idea.id}* ${idea.idea_text.substring(0, 120)}${idea.idea_text.length > 120 ? '...' : ''}\n_${t(lang, 'home.idea_meta', {
+          category: idea.category,
+          votes: idea.vote_count,
+          reactions: idea.reaction_count,
+          timeAgo: getTimeAgo(new Date(idea.created_at), lang)
+        })}_`
+      }
+    });
+  });
+
+  const adminButtons = [];
+
+  if (canMotivate) {
+    adminButtons.push({
+      "type": "button",
+      "action_id": "home_motivate_now",
+      "text": { "type": "plain_text", "text": t(lang, 'home.motivate_button'), "emoji": true },
+      "confirm": {
+        "title": { "type": "plain_text", "text": t(lang, 'home.motivate_confirm_title') },
+        "text": { "type": "mrkdwn", "text": t(lang, 'home.motivate_confirm_text') },
+        "confirm": { "type": "plain_text", "text": t(lang, 'home.send') },
+        "deny": { "type": "plain_text", "text": t(lang, 'common.cancel') }
+      }
+    });
+  }
+
+  if (canManageReminders) {
+    adminButtons.push({
+      "type": "button",
+      "action_id": "home_toggle_reminder",
+      "style": reminderEnabled ? "danger" : "primary",
+      "text": { "type": "plain_text", "text": t(lang, reminderEnabled ? 'home.reminders_off_button' : 'home.reminders_on_button'), "emoji": true }
+    });
+  }
+
+  if (adminButtons.length > 0) {
+    blocks.push(
+      {
+        "type": "divider"
+      },
+      {
+        "type": "section",
+        "text": { "type": "mrkdwn", "text": t(lang, 'home.admin') }
+      },
+      {
+        "type": "actions",
+        "elements": adminButtons
+      }
+    );
+  }
+
+  blocks.push({
+    "type": "context",
+    "elements": [
+      { "type": "mrkdwn", "text": t(lang, 'home.updated', { time: new Date().toLocaleString(getLocale(lang).dateLocale, {timeZone: 'Europe/Copenhagen'}) }) }
+    ]
+  });
+
+  await client.views.publish({
+    user_id: userId,
+    view: {
+      "type": "home",
+      "blocks": blocks
     }
+  });
+
+  logWithContext('info', 'Home view published', { requestId, userId, ideas: userIdeas.length });
+};
+
+app.event('app_home_opened', async ({ event, client }) => {
+  const requestId = generateRequestId();
+
+  try {
+    if (event.tab !== 'home') return;
+
+    await publishHomeView(client, event.user, requestId);
+
+  } catch (error) {
+    logWithContext('error', 'Home view failed', { requestId, userId: event.user, error: error.message });
   }
-  
-  return { name: '💡 Kreative Løsninger', emoji: 'bulb' };
+});
+
+app.action('home_motivate_now', requirePermission('motivation.send'), async ({ body, client }) => {
+  const requestId = generateRequestId();
+
+  try {
+    if (!getHackathonChannelId() || !isPhaseAllowed('reminders')) return;
+
+    const rateLimit = await checkRateLimit(body.user.id, 'admin_broadcast', requestId);
+
+    if (rateLimit.limited) {
+      const lang = await getUserLanguage(body.user.id, requestId);
+      await client.chat.postMessage({ channel: body.user.id, text: rateLimitText(rateLimit, lang) });
+      return;
+    }
+
+    const stats = await postMotivationNow(requestId);
+
+    logWithContext('info', 'Manual motivation sent from App Home', { requestId, totalIdeas: stats ? stats.total : 0 });
+
+    await publishHomeView(client, body.user.id, requestId);
+
+  } catch (error) {
+    logWithContext('error', 'Manual motivation from App Home failed', { requestId, error: error.message });
+  }
+});
+
+app.action('home_toggle_reminder', requirePermission('reminders.manage'), async ({ body, client }) => {
+  const requestId = generateRequestId();
+
+  try {
+    const newStatus = !(await getDailyReminderStatus(requestId));
+    await setDailyReminderStatus(newStatus, requestId);
+    await announceReminderChange(newStatus, requestId);
+
+    logWithContext('info', 'Daily reminder toggled from App Home', { requestId, newStatus, adminId: body.user.id });
+
+    await publishHomeView(client, body.user.id, requestId);
+
+  } catch (error) {
+    logWithContext('error', 'Daily reminder toggle from App Home failed', { requestId, error: error.message });
+  }
+});
+
+// REST API - read-only JSON endpoints protected by database-stored API tokens
+const API_MAX_PER_PAGE = 100;
+
+// Only the hash is stored, so a leaked database doesn't leak usable tokens
+const hashApiToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const createApiToken = async (name, createdBy, requestId) => {
+  return executeWithRetry(async () => {
+    const token = `fhb_${crypto.randomBytes(24).toString('hex')}`;
+    const result = await pool.query(
+      `INSERT INTO api_tokens (name, token_hash, created_by, created_at) VALUES ($1, $2, $3, NOW()) RETURNING id`,
+      [name, hashApiToken(token), createdBy]
+    );
+    logWithContext('info', 'API token created', { requestId, tokenId: result.rows[0].id, name, createdBy });
+    return { id: result.rows[0].id, token };
+  });
 };
 
-// Generate motivational message
-const generateMotivationalMessage = (stats) => {
-  const messageGenerator = MOTIVATIONAL_MESSAGES[Math.floor(Math.random() * MOTIVATIONAL_MESSAGES.length)];
-  const randomMessage = messageGenerator(stats.total);
-  
-  const topCategory = stats.categories.length > 0 ? stats.categories[0] : null;
-  const categoryText = topCategory ? 
-    `\n🏆 Mest populære kategori: ${topCategory.category} (${topCategory.count} idéer)` : '';
-  
-  return `${randomMessage}${categoryText}\n\n💡 Brug /hackathon-stats for fuld oversigt!\n\n<!channel> Få delt flere idéer! 🚀`;
+const listApiTokens = async (requestId) => {
+  return executeWithRetry(async () => {
+    const result = await pool.query(
+      `SELECT id, name, created_by, created_at, last_used_at FROM api_tokens WHERE revoked_at IS NULL ORDER BY id ASC`
+    );
+    return result.rows;
+  });
 };
 
-// Helper function for time formatting
-function getTimeAgo(date) {
-  const now = new Date();
-  const diffInSeconds = Math.floor((now - date) / 1000);
-  
-  if (diffInSeconds < 60) return 'lige nu';
-  if (diffInSeconds < 3600) return `${Math.floor(diffInSeconds / 60)} min siden`;
-  if (diffInSeconds < 86400) return `${Math.floor(diffInSeconds / 3600)} timer siden`;
-  if (diffInSeconds < 2592000) return `${Math.floor(diffInSeconds / 86400)} dage siden`;
-  return date.toLocaleDateString('da-DK');
-}
+const revokeApiToken = async (tokenId, requestId) => {
+  return executeWithRetry(async () => {
+    const result = await pool.query(
+      `UPDATE api_tokens SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL RETURNING name`,
+      [tokenId]
+    );
+    logWithContext('info', 'API token revoked', { requestId, tokenId, found: result.rows.length > 0 });
+    return result.rows[0] || null;
+  });
+};
 
-// Main message handler
-app.message(async ({ message, client }) => {
+const verifyApiToken = async (token, requestId) => {
+  return executeWithRetry(async () => {
+    const result = await pool.query(
+      `UPDATE api_tokens SET last_used_at = NOW() WHERE token_hash = $1 AND revoked_at IS NULL RETURNING id, name`,
+      [hashApiToken(token)]
+    );
+    return result.rows[0] || null;
+  });
+};
+
+// Errors carrying a statusCode are client errors and are returned as-is
+const apiError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+// Weak ETag over the serialized body - dashboards polling with If-None-Match get a cheap 304
+const sendApiJson = (req, res, statusCode, body) => {
+  const payload = JSON.stringify(body);
+  const etag = `W/"${crypto.createHash('sha1').update(payload).digest('hex')}"`;
+  const headers = {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'private, no-cache',
+    'ETag': etag
+  };
+
+  if (statusCode === 200 && req.headers['if-none-match'] === etag) {
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+
+  res.writeHead(statusCode, headers);
+  res.end(payload);
+};
+
+const parsePositiveInt = (value, name, defaultValue, max) => {
+  if (value === null || value === undefined || value === '') return defaultValue;
+  const parsed = parseInt(value);
+  if (isNaN(parsed) || parsed < 1 || String(parsed) !== value.trim()) {
+    throw apiError(400, `${name} must be a positive integer`);
+  }
+  return max ? Math.min(parsed, max) : parsed;
+};
+
+// Shared query parameters: event, category, from, to, page, per_page
+const parseApiFilters = async (searchParams, requestId) => {
+  const eventParam = searchParams.get('event');
+  let eventId = currentEventId();
+
+  if (eventParam) {
+    const event = await getEventById(parsePositiveInt(eventParam, 'event'), requestId);
+    if (!event) throw apiError(404, `Event ${eventParam} not found`);
+    eventId = event.id;
+  }
+
+  const categoryParam = searchParams.get('category');
+  let category = null;
+
+  if (categoryParam) {
+    const match = categoryCache.find(entry =>
+      String(entry.id) === categoryParam || entry.name.toLowerCase() === categoryParam.toLowerCase()
+    );
+    if (!match) throw apiError(400, `Unknown category: ${categoryParam}`);
+    category = match.name;
+  }
+
+  const dates = {};
+  for (const key of ['from', 'to']) {
+    const value = searchParams.get(key);
+    if (value && !parseEventDate(value)) throw apiError(400, `${key} must be a date (YYYY-MM-DD)`);
+    dates[key] = value || null;
+  }
+
+  return {
+    eventId,
+    category,
+    from: dates.from,
+    to: dates.to,
+    page: parsePositiveInt(searchParams.get('page'), 'page', 1),
+    perPage: parsePositiveInt(searchParams.get('per_page'), 'per_page', 25, API_MAX_PER_PAGE)
+  };
+};
+
+const apiListIdeas = async (req, searchParams, requestId) => {
+  const { page, perPage, ...filters } = await parseApiFilters(searchParams, requestId);
+  const ideas = await getIdeasForExport({ ...filters, limit: perPage, offset: (page - 1) * perPage }, requestId);
+
+  // Past the last page there are no rows to carry the window count, so ask for it separately
+  let total = ideas.length > 0 ? parseInt(ideas[0].total_count) : 0;
+  if (ideas.length === 0 && page > 1) {
+    const [first] = await getIdeasForExport({ ...filters, limit: 1 }, requestId);
+    total = first ? parseInt(first.total_count) : 0;
+  }
+
+  return {
+    data: ideas.map(toExportRecord),
+    pagination: { page, per_page: perPage, total, total_pages: Math.ceil(total / perPage) }
+  };
+};
+
+const apiGetIdea = async (req, searchParams, requestId) => {
+  const ideaId = parsePositiveInt(req.params.id, 'id');
+  const [idea] = await getIdeasForExport({ eventId: null, category: null, from: null, to: null, ideaId }, requestId);
+
+  if (!idea) throw apiError(404, `Idea ${ideaId} not found`);
+
+  return { data: toExportRecord(idea) };
+};
+
+const apiGetStats = async (req, searchParams, requestId) => {
+  const { eventId } = await parseApiFilters(searchParams, requestId);
+  const stats = await getIdeaStats(eventId, requestId);
+
+  return {
+    data: {
+      event_id: eventId,
+      total: stats.total,
+      categories: stats.categories.map(entry => ({ category: entry.category, count: parseInt(entry.count), tagged: parseInt(entry.tagged) })),
+      top_users: stats.topUsers.map(entry => ({ username: entry.username, idea_count: parseInt(entry.idea_count) }))
+    }
+  };
+};
+
+const apiGetLeaderboard = async (req, searchParams, requestId) => {
+  const { eventId, category } = await parseApiFilters(searchParams, requestId);
+  const limit = parsePositiveInt(searchParams.get('limit'), 'limit', 10, API_MAX_PER_PAGE);
+  const period = searchParams.get('period');
+
+  if (period && period !== 'week') throw apiError(400, 'period must be week');
+
+  const leaderboard = await getLeaderboard(limit, { eventId, category, period }, requestId);
+
+  return {
+    data: leaderboard.map((entry, index) => ({
+      rank: index + 1,
+      user_id: entry.user_id,
+      username: entry.username,
+      points: Math.round(entry.points * 10) / 10,
+      idea_count: parseInt(entry.idea_count),
+      votes_received: parseInt(entry.votes_received),
+      comments_written: parseInt(entry.comments_written),
+      comments_received: parseInt(entry.comments_received),
+      team_count: parseInt(entry.team_count),
+      categories: entry.categories ? entry.categories.split(', ') : [],
+      last_idea_at: entry.last_idea ? new Date(entry.last_idea).toISOString() : null,
+      last_activity_at: new Date(entry.last_activity).toISOString()
+    })),
+    scoring: leaderboardScoring
+  };
+};
+
+const handleApiRequest = async (req, res, handler) => {
   const requestId = generateRequestId();
-  
+  const url = new URL(req.url, 'http://localhost');
+
   try {
-    if (message.bot_id) return;
-    
-    if (process.env.HACKATHON_CHANNEL_ID && message.channel !== process.env.HACKATHON_CHANNEL_ID) {
-      return;
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      throw apiError(401, 'Missing bearer token');
     }
-    
-    if (!message.text || !message.text.toLowerCase().startsWith('ide')) {
-      return;
+
+    const apiToken = await verifyApiToken(token, requestId);
+
+    if (!apiToken) {
+      res.setHeader('WWW-Authenticate', 'Bearer error="invalid_token"');
+      throw apiError(401, 'Invalid or revoked token');
     }
-    
-    if (isRateLimited(message.user)) {
-      logWithContext('warn', 'User rate limited', { requestId, userId: message.user });
+
+    logWithContext('info', 'API request', { requestId, path: url.pathname, tokenId: apiToken.id });
+
+    const body = await handler(req, url.searchParams, requestId);
+    sendApiJson(req, res, 200, body);
+
+  } catch (error) {
+    if (error.statusCode) {
+      logWithContext('warn', 'API request rejected', { requestId, path: url.pathname, status: error.statusCode, error: error.message });
+      sendApiJson(req, res, error.statusCode, { error: error.message });
       return;
     }
-    
-    logWithContext('info', 'Processing idea message', { 
-      requestId, 
-      userId: message.user, 
-      messageLength: message.text.length 
-    });
-    
-    let username = 'Anonymous';
-    try {
-      const userInfo = await client.users.info({ user: message.user });
-      username = userInfo.user.display_name || userInfo.user.real_name || userInfo.user.name || 'Anonymous';
-    } catch (error) {
-      logWithContext('warn', 'Could not fetch user info, using fallback', { requestId, error: error.message });
+
+    logWithContext('error', 'API request failed', { requestId, path: url.pathname, error: error.message });
+    sendApiJson(req, res, 500, { error: 'Internal server error', request_id: requestId });
+  }
+};
+
+// Health & Metrics - /metrics for Prometheus, /healthz and /readyz for the orchestrator
+let botReady = false;
+
+// Last auth.test result - refreshed at most once per slackAuthCheckInterval so probes don't hammer Slack
+let slackAuthState = { ok: false, checkedAt: null, error: 'Not checked yet' };
+
+const withTimeout = (promise, ms, label) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms} ms`)), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// No executeWithRetry here - a hanging or failing pool is exactly what the probe should report
+const checkDatabase = async () => {
+  try {
+    await withTimeout(pool.query('SELECT 1'), CONFIG.healthCheckTimeout, 'Database check');
+    return { ok: true };
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+};
+
+const checkSlackAuth = async (requestId) => {
+  if (slackAuthState.checkedAt && Date.now() - slackAuthState.checkedAt < CONFIG.slackAuthCheckInterval) {
+    return slackAuthState;
+  }
+
+  try {
+    const auth = await withTimeout(app.client.auth.test(), CONFIG.healthCheckTimeout, 'Slack auth check');
+    slackAuthState = { ok: true, checkedAt: Date.now(), team: auth.team, botUserId: auth.user_id };
+  } catch (error) {
+    slackAuthState = { ok: false, checkedAt: Date.now(), error: error.message };
+    logWithContext('warn', 'Slack auth check failed', { requestId, error: error.message });
+  }
+
+  return slackAuthState;
+};
+
+// Liveness only fails on the database - a restart won't fix a revoked Slack token, so that only affects readiness
+const handleHealthRequest = async (req, res, probe) => {
+  const requestId = generateRequestId();
+  const [database, slack] = await Promise.all([
+    checkDatabase(),
+    probe === 'readiness' ? checkSlackAuth(requestId) : slackAuthState
+  ]);
+  const healthy = probe === 'readiness' ? botReady && database.ok && slack.ok : database.ok;
+
+  if (!healthy) {
+    logWithContext('warn', 'Health check failed', { requestId, probe, ready: botReady, database: database.error, slack: slack.error });
+  }
+
+  res.writeHead(healthy ? 200 : 503, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify({
+    status: healthy ? 'ok' : 'unavailable',
+    ready: botReady,
+    checks: {
+      database,
+      slack: {
+        ok: slack.ok,
+        checked_at: slack.checkedAt ? new Date(slack.checkedAt).toISOString() : null,
+        ...(slack.error ? { error: slack.error } : { team: slack.team, bot_user_id: slack.botUserId })
+      }
     }
-    
-    const category = categorizeIdea(message.text);
-    
-    const ideaId = await saveIdea(
-      message.user,
-      username,
-      message.text,
-      category.name,
-      message.ts,
-      message.channel,
-      requestId
-    );
-    
-    if (!ideaId) {
-      throw new Error('Failed to save idea to database');
+  }));
+};
+
+// Open by default for in-cluster scraping - set METRICS_TOKEN to require "Authorization: Bearer <token>"
+const handleMetricsRequest = (req, res) => {
+  const expected = process.env.METRICS_TOKEN;
+
+  if (expected) {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    const valid = scheme === 'Bearer' && token &&
+      crypto.timingSafeEqual(Buffer.from(hashApiToken(token)), Buffer.from(hashApiToken(expected)));
+
+    if (!valid) {
+      res.writeHead(401, { 'Content-Type': 'text/plain; charset=utf-8', 'WWW-Authenticate': 'Bearer' });
+      res.end('Unauthorized\n');
+      return;
     }
-    
-    const randomReaction = REACTIONS[Math.floor(Math.random() * REACTIONS.length)];
-    
-    await Promise.all([
-      client.reactions.add({
-        channel: message.channel,
-        timestamp: message.ts,
-        name: randomReaction
-      }),
-      client.reactions.add({
-        channel: message.channel,
-        timestamp: message.ts,
-        name: category.emoji
-      })
-    ]);
-    
-    logWithContext('info', 'Reactions added successfully', { requestId, ideaId });
-    
-    setTimeout(async () => {
-      try {
-        const randomResponse = FUNNY_RESPONSES[Math.floor(Math.random() * FUNNY_RESPONSES.length)];
-        
-        await client.chat.postMessage({
-          channel: message.channel,
-          text: randomResponse,
-          thread_ts: message.ts
-        });
-        
-        await saveReaction(ideaId, 'response', randomResponse, requestId);
-        
-        if (Math.random() < CONFIG.dadJokeChance) {
-          setTimeout(async () => {
-            try {
-              const randomJoke = DAD_JOKES[Math.floor(Math.random() * DAD_JOKES.length)];
-              await client.chat.postMessage({
-                channel: message.channel,
-                text: `Bonus dad joke: ${randomJoke}`,
-                thread_ts: message.ts
-              });
-              
-              await saveReaction(ideaId, 'dad_joke', randomJoke, requestId);
-              logWithContext('info', 'Dad joke sent', { requestId, ideaId });
-            } catch (error) {
-              logWithContext('error', 'Dad joke failed', { requestId, error: error.message });
-            }
-          }, 2000);
-        }
-        
-        logWithContext('info', 'Message processing completed successfully', { requestId, ideaId });
-        
-      } catch (error) {
-        logWithContext('error', 'Response sending failed', { requestId, error: error.message });
-      }
-    }, Math.random() * 3000 + 1000);
-    
-  } catch (error) {
-    logWithContext('error', 'Message processing failed', { 
-      requestId, 
-      userId: message.user,
-      error: error.message,
-      stack: error.stack
-    });
   }
-});
 
-// Stats command
-app.command('/hackathon-stats', async ({ command, ack, respond }) => {
+  res.writeHead(200, { 'Content-Type': metrics.CONTENT_TYPE, 'Cache-Control': 'no-store' });
+  res.end(metrics.renderMetrics());
+};
+
+// API token command - /api-tokens create|list|revoke
+app.command('/api-tokens', requirePermission('api.manage'), async ({ command, respond }) => {
   const requestId = generateRequestId();
-  await ack();
-  
+  const lang = await getUserLanguage(command.user_id, requestId);
+
   try {
-    if (isRateLimited(command.user_id)) {
+    const [subcommand, ...rest] = (command.text || '').trim().split(/\s+/);
+    const action = (subcommand || 'list').toLowerCase();
+    const argument = rest.join(' ').trim();
+
+    logWithContext('info', 'API tokens command requested', { requestId, adminId: command.user_id, action });
+
+    if (action === 'list') {
+      const tokens = await listApiTokens(requestId);
+
+      const tokenLines = tokens.map(token => t(lang, 'api_tokens.line', {
+        id: token.id,
+        name: token.name,
+        userId: token.created_by,
+        created: getTimeAgo(new Date(token.created_at), lang),
+        lastUsed: token.last_used_at ? getTimeAgo(new Date(token.last_used_at), lang) : null
+      }));
+
       await respond({
-        text: '⏳ Hold lige! Du spørger lidt for hurtigt. Prøv igen om lidt.',
+        text: tokens.length > 0 ?
+          t(lang, 'api_tokens.list', { lines: tokenLines.join('\n') }) :
+          t(lang, 'api_tokens.empty', { usage: t(lang, 'api_tokens.usage') }),
         response_type: 'ephemeral'
       });
       return;
     }
-    
-    logWithContext('info', 'Stats command requested', { requestId, userId: command.user_id });
-    
-    const stats = await getIdeaStats(requestId);
-    
-    if (!stats) {
+
+    if (action === 'create' && argument) {
+      const { id, token } = await createApiToken(argument, command.user_id, requestId);
+
       await respond({
-        text: '❌ Kunne ikke hente statistikker. Database fejl - kontakt admin.',
+        text: t(lang, 'api_tokens.created', { id, name: argument, token }),
         response_type: 'ephemeral'
       });
       return;
     }
-    
-    const categoryText = stats.categories.length > 0 ? 
-      stats.categories.map(cat => `${cat.category}: ${cat.count}`).join('\n') : 
-      'Ingen kategorier endnu';
-    
-    const topUsersText = stats.topUsers.length > 0 ? 
-      stats.topUsers.map((user, index) => `${index + 1}. ${user.username}: ${user.idea_count} idéer`).join('\n') :
-      'Ingen brugere endnu';
-    
-    const statsMessage = `
-🎯 *Hackathon Idé-Status*
 
-📈 *Total idéer:* ${stats.total}
+    if (action === 'revoke' && !isNaN(parseInt(argument))) {
+      const revoked = await revokeApiToken(parseInt(argument), requestId);
 
-📊 *Kategorier:*
-${categoryText}
-
-🏆 *Top Idé-Generatorer:*
-${topUsersText}
+      await respond({
+        text: revoked ?
+          t(lang, 'api_tokens.revoked', { name: revoked.name }) :
+          t(lang, 'api_tokens.not_found', { id: argument }),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
 
-💪 *Status:* ${stats.total > 10 ? 'Vi er klar til at rocke hackathon! 🚀' : 'Vi har brug for flere idéer! Kom nu, folk! <!channel>'}
+    await respond({ text: t(lang, 'api_tokens.usage'), response_type: 'ephemeral' });
 
-_Fortsæt med at dele idéer i #hackathon-ideas!_
-    `;
-    
-    await respond({
-      text: statsMessage,
-      response_type: 'in_channel'
-    });
-    
-    logWithContext('info', 'Stats command completed', { requestId, totalIdeas: stats.total });
-    
   } catch (error) {
-    logWithContext('error', 'Stats command failed', { requestId, error: error.message });
+    logWithContext('error', 'API tokens command failed', { requestId, error: error.message });
     await respond({
-      text: '❌ Ups! Noget gik galt ved hentning af statistikker. Prøv igen om lidt! 🤖',
+      text: t(lang, 'api_tokens.failed', { error: error.message }),
       response_type: 'ephemeral'
     });
   }
 });
 
-// Manual motivation command
-app.command('/motivate-now', async ({ command, ack, respond }) => {
+// Rate limit command - /rate-limits [@bruger] | reset @bruger [handling]
+const rateLimitLabel = (action, language) => t(language, `rate_limits.policy.${action}`);
+
+const rateLimitsUsage = (language) => t(language, 'rate_limits.usage', {
+  policies: Object.entries(RATE_LIMIT_POLICIES).map(([action, policy]) => t(language, 'rate_limits.policy_line', {
+    action,
+    label: rateLimitLabel(action, language),
+    max: policy.max,
+    window: policy.windowMs >= 60000 ?
+      t(language, 'time.minutes', { count: Math.round(policy.windowMs / 60000) }) :
+      t(language, 'time.seconds', { count: Math.round(policy.windowMs / 1000) })
+  })).join('\n')
+});
+
+app.command('/rate-limits', requirePermission('ratelimits.manage'), async ({ command, respond }) => {
   const requestId = generateRequestId();
-  await ack();
-  
+  const lang = await getUserLanguage(command.user_id, requestId);
+
   try {
-    if (command.user_id !== CONFIG.adminUserId) {
-      await respond({
-        text: '❌ Kun admin kan sende manuel motivationsbesked!',
-        response_type: 'ephemeral'
-      });
-      return;
-    }
-    
-    if (isRateLimited(`admin_${command.user_id}`)) {
+    const text = (command.text || '').trim();
+    const resetMatch = text.match(/^reset\s+<@([A-Z0-9]+)(?:\|[^>]*)?>(?:\s+(\w+))?$/i);
+    const userMatch = text.match(/^<@([A-Z0-9]+)(?:\|[^>]*)?>$/);
+
+    logWithContext('info', 'Rate limits command requested', { requestId, adminId: command.user_id, text });
+
+    if (resetMatch) {
+      const [, userId, action] = resetMatch;
+
+      if (action && !RATE_LIMIT_POLICIES[action]) {
+        await respond({ text: t(lang, 'rate_limits.unknown_action', { action, usage: rateLimitsUsage(lang) }), response_type: 'ephemeral' });
+        return;
+      }
+
+      const count = await resetRateLimits(userId, action || null, requestId);
+
       await respond({
-        text: '⏳ Vent lidt med at sende flere motivationsbeskeder.',
+        text: count > 0
+          ? t(lang, 'rate_limits.reset', { userId, label: action ? rateLimitLabel(action, lang) : null })
+          : t(lang, 'rate_limits.nothing_to_reset', { userId }),
         response_type: 'ephemeral'
       });
       return;
     }
-    
-    logWithContext('info', 'Manual motivation triggered', { requestId, adminId: command.user_id });
-    
-    if (!process.env.HACKATHON_CHANNEL_ID) {
-      await respond({
-        text: '❌ HACKATHON_CHANNEL_ID ikke konfigureret!',
-        response_type: 'ephemeral'
+
+    if (!text || userMatch) {
+      const windows = await getRateLimits(userMatch ? userMatch[1] : null, requestId);
+
+      const windowLines = windows.map(window => {
+        const policy = RATE_LIMIT_POLICIES[window.action];
+        return t(lang, 'rate_limits.window_line', {
+          userId: window.user_id,
+          label: rateLimitLabel(window.action, lang),
+          count: Math.min(window.count, policy.max),
+          max: policy.max,
+          blocked: window.count > policy.max,
+          retry: formatRetryTime(window.retryAt, lang)
+        });
       });
-      return;
-    }
-    
-    const stats = await getIdeaStats(requestId);
-    
-    if (!stats || stats.total === 0) {
+
       await respond({
-        text: '⚠️ Ingen idéer i database endnu - post nogle "Ide:" beskeder først!',
+        text: windows.length > 0
+          ? t(lang, 'rate_limits.list', { lines: windowLines.join('\n') })
+          : t(lang, 'rate_limits.empty', { userId: userMatch ? userMatch[1] : null, usage: rateLimitsUsage(lang) }),
         response_type: 'ephemeral'
       });
       return;
     }
-    
-    const motivationMessage = generateMotivationalMessage(stats);
-    
-    await app.client.chat.postMessage({
-      channel: process.env.HACKATHON_CHANNEL_ID,
-      text: motivationMessage
-    });
-    
-    await respond({
-      text: `✅ **Manuel motivationsbesked sendt!**\n\n📊 Stats: ${stats.total} idéer\n🕐 Tid: ${new Date().toLocaleTimeString('da-DK', {timeZone: 'Europe/Copenhagen'})}\n🎯 Besked sendt til #hackathon-ideas`,
-      response_type: 'ephemeral'
-    });
-    
-    logWithContext('info', 'Manual motivation sent successfully', { requestId, totalIdeas: stats.total });
-    
+
+    await respond({ text: rateLimitsUsage(lang), response_type: 'ephemeral' });
+
   } catch (error) {
-    logWithContext('error', 'Manual motivation failed', { requestId, error: error.message });
+    logWithContext('error', 'Rate limits command failed', { requestId, error: error.message });
     await respond({
-      text: `❌ **Fejl ved afsendelse:**\n\n\`\`\`${error.message}\`\`\``,
+      text: t(lang, 'rate_limits.failed', { error: error.message }),
       response_type: 'ephemeral'
     });
   }
 });
 
-// Toggle daily reminder command
-app.command('/toggle-daily-reminder', async ({ command, ack, respond }) => {
-  const requestId = generateRequestId();
-  await ack();
-  
-  try {
-    if (command.user_id !== CONFIG.adminUserId) {
-      await respond({
-        text: '❌ Kun admin kan ændre daglige påmindelser!',
-        response_type: 'ephemeral'
-      });
-      return;
-    }
-    
-    logWithContext('info', 'Daily reminder toggle requested', { 
-      requestId, 
-      adminId: command.user_id 
+// Reminder schedules - each row in the reminders table gets its own cron job
+// Active cron jobs by reminder id, replaced wholesale on every reload
+const scheduledReminders = new Map();
+let reminderCache = [];
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const parseCronValue = (value, field) => {
+  const nameIndex = field.names ? field.names.indexOf(value.toLowerCase().substring(0, 3)) : -1;
+  if (nameIndex !== -1) return nameIndex + (field.name === 'month' ? 1 : 0);
+  const parsed = parseInt(value);
+  if (isNaN(parsed) || parsed < field.min || parsed > field.max) throw new Error(`Invalid value "${value}" in ${field.name}`);
+  return parsed;
+};
+
+// Five-field cron expressions with lists, ranges, steps and month/weekday names
+const parseCronExpression = (expression) => {
+  const parts = expression.trim().split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new Error('A cron expression needs 5 fields: minute hour day month weekday');
+  }
+
+  const fields = {};
+
+  CRON_FIELDS.forEach((field, index) => {
+    const values = new Set();
+
+    parts[index].split(',').forEach(part => {
+      const [range, stepText] = part.split('/');
+      const step = stepText ? parseInt(stepText) : 1;
+      if (isNaN(step) || step < 1) throw new Error(`Invalid step "${part}" in ${field.name}`);
+
+      let [from, to] = [field.min, field.max];
+      if (range !== '*') {
+        const [start, end] = range.split('-');
+        from = parseCronValue(start, field);
+        to = end !== undefined ? parseCronValue(end, field) : (stepText ? field.max : from);
+      }
+
+      for (let value = from; value <= to; value += step) {
+        values.add(field.name === 'dayOfWeek' && value === 7 ? 0 : value);
+      }
     });
+
+    fields[field.name] = { values, restricted: parts[index] !== '*' };
+  });
+
+  return fields;
+};
+
+const getZonedParts = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', weekday: 'short'
+  }).formatToParts(date).reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+
+  return {
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+  };
+};
+
+// Walks forward from "after" in the schedule's timezone, skipping whole days and hours that can't match
+const getNextCronRun = (expression, timezone, after = new Date()) => {
+  const fields = parseCronExpression(expression);
+  const minuteMs = 60 * 1000;
+  let candidate = new Date(Math.floor(after.getTime() / minuteMs) * minuteMs + minuteMs);
+
+  // Cron semantics: when both day fields are restricted, either one may match
+  const dayMatches = ({ day, weekday }) => {
+    const domMatch = fields.dayOfMonth.values.has(day);
+    const dowMatch = fields.dayOfWeek.values.has(weekday);
+    if (fields.dayOfMonth.restricted && fields.dayOfWeek.restricted) return domMatch || dowMatch;
+    return domMatch && dowMatch;
+  };
+
+  for (let steps = 0; steps < 5000; steps++) {
+    const parts = getZonedParts(candidate, timezone);
+
+    if (!fields.month.values.has(parts.month) || !dayMatches(parts)) {
+      candidate = new Date(candidate.getTime() + ((24 - parts.hour) * 60 - parts.minute) * minuteMs);
+    } else if (!fields.hour.values.has(parts.hour)) {
+      candidate = new Date(candidate.getTime() + (60 - parts.minute) * minuteMs);
+    } else if (!fields.minute.values.has(parts.minute)) {
+      candidate = new Date(candidate.getTime() + minuteMs);
+    } else {
+      return candidate;
+    }
+  }
+
+  return null;
+};
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const formatReminderTime = (date, timezone, language = DEFAULT_LANGUAGE) =>
+  date.toLocaleString(getLocale(language).dateLocale, { timeZone: timezone, weekday: 'short', day: 'numeric', month: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+// The soonest upcoming run across all active schedules, or null when nothing is scheduled
+const getNextReminder = () => {
+  return reminderCache
+    .filter(reminder => !reminder.paused)
+    .map(reminder => ({ reminder, nextRun: getNextCronRun(reminder.cron_expression, reminder.timezone) }))
+    .filter(entry => entry.nextRun)
+    .sort((a, b) => a.nextRun - b.nextRun)[0] || null;
+};
+
+const describeNextReminder = (language = DEFAULT_LANGUAGE) => {
+  const next = getNextReminder();
+  if (!next) return t(language, 'reminder.none_scheduled');
+  return t(language, 'reminder.next', {
+    time: formatReminderTime(next.nextRun, next.reminder.timezone, language),
+    timezone: next.reminder.timezone,
+    id: next.reminder.id
+  });
+};
+
+const getReminders = async (requestId) => {
+  return executeWithRetry(async () => {
+    const result = await pool.query('SELECT * FROM reminders ORDER BY id ASC');
+    return result.rows;
+  });
+};
+
+const addReminder = async ({ cronExpression, timezone, channelId, template }, createdBy, requestId) => {
+  return executeWithRetry(async () => {
+    const result = await pool.query(
+      `INSERT INTO reminders (cron_expression, timezone, channel_id, template, created_by, created_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())
+       RETURNING id`,
+      [cronExpression, timezone, channelId, template, createdBy]
+    );
+    logWithContext('info', 'Reminder schedule added', { requestId, reminderId: result.rows[0].id, cronExpression, timezone });
+    return result.rows[0].id;
+  });
+};
+
+const setReminderPaused = async (reminderId, paused, requestId) => {
+  return executeWithRetry(async () => {
+    const result = await pool.query('UPDATE reminders SET paused = $2 WHERE id = $1 RETURNING id', [reminderId, paused]);
+    logWithContext('info', 'Reminder schedule paused state changed', { requestId, reminderId, paused, found: result.rows.length > 0 });
+    return result.rows.length > 0;
+  });
+};
+
+const removeReminder = async (reminderId, requestId) => {
+  return executeWithRetry(async () => {
+    const result = await pool.query('DELETE FROM reminders WHERE id = $1', [reminderId]);
+    logWithContext('info', 'Reminder schedule removed', { requestId, reminderId, found: result.rowCount > 0 });
+    return result.rowCount > 0;
+  });
+};
+
+// {motivation} is the phase's normal reminder, so a template can wrap it with its own text
+const renderReminderTemplate = (template, stats) => {
+  const topCategory = stats.categories.length > 0 ? stats.categories[0].category : t(broadcastLanguage, 'motivation.no_top_category');
+  const values = {
+    total: stats.total,
+    top_category: topCategory,
+    phase: phaseLabel(currentPhase, broadcastLanguage),
+    event: activeEvent ? activeEvent.name : 'Hackathon',
+    motivation: generatePhaseReminder(stats, broadcastLanguage)
+  };
+
+  return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match));
+};
+
+const runReminder = async (reminderId) => {
+  const requestId = generateRequestId();
+  const reminder = reminderCache.find(entry => entry.id === reminderId);
+  // Every early return below is a skip - counted once in finally
+  let status = 'skipped';
+  
+  try {
+    logWithContext('info', 'Reminder cron job triggered', { requestId, reminderId });
     
-    const currentStatus = await getDailyReminderStatus(requestId);
-    const newStatus = !currentStatus;
-    
-    await setDailyReminderStatus(newStatus, requestId);
-    
-    const statusEmoji = newStatus ? '✅' : '❌';
-    const statusText = newStatus ? 'AKTIVERET' : 'DEAKTIVERET';
-    const nextAction = newStatus ? 
-      'Næste påmindelse sendes i morgen kl. 09:00' : 
-      'Ingen automatiske påmindelser sendes';
-    
-    const responseBlocks = {
-      "blocks": [
-        {
-          "type": "header",
-          "text": {
-            "type": "plain_text",
-            "text": "🔔 Daglige Påmindelser",
-            "emoji": true
-          }
-        },
-        {
-          "type": "section",
-          "text": {
-            "type": "mrkdwn",
-            "text": `${statusEmoji} **Status: ${statusText}**\n\n📅 ${nextAction}\n\n_Brug \`/toggle-daily-reminder\` for at skifte igen_`
-          }
-        },
-        {
-          "type": "divider"
-        },
-        {
-          "type": "section",
-          "text": {
-            "type": "mrkdwn",
-            "text": `*⚙️ Admin Info:*\n• Ændret af: <@${command.user_id}>\n• Tidspunkt: ${new Date().toLocaleString('da-DK', {timeZone: 'Europe/Copenhagen'})}\n• Kanal: ${process.env.HACKATHON_CHANNEL_ID ? `<#${process.env.HACKATHON_CHANNEL_ID}>` : 'Ikke konfigureret'}`
-          }
-        }
-      ]
-    };
-    
-    await respond({
-      "response_type": "ephemeral",
-      ...responseBlocks
-    });
+    if (!reminder || reminder.paused) {
+      return;
+    }
     
-    logWithContext('info', 'Daily reminder status toggled successfully', { 
-      requestId,
-      previousStatus: currentStatus,
-      newStatus: newStatus,
-      adminId: command.user_id
-    });
+    const isEnabled = await getDailyReminderStatus(requestId);
     
-    if (process.env.HACKATHON_CHANNEL_ID && newStatus !== currentStatus) {
-      const channelMessage = newStatus ? 
-        '🔔 Daglige påmindelser er nu aktiveret! I får besked hver dag kl. 09:00 🌅' :
-        '🔕 Daglige påmindelser er nu deaktiveret. Brug `/motivate-now` for manuel motivation 💪';
-      
-      try {
-        await app.client.chat.postMessage({
-          channel: process.env.HACKATHON_CHANNEL_ID,
-          text: channelMessage
-        });
-      } catch (error) {
-        logWithContext('warn', 'Could not send channel notification', { 
-          requestId, 
-          error: error.message 
-        });
-      }
+    if (!isEnabled) {
+      logWithContext('info', 'Daily reminders disabled, skipping cron job', { requestId, reminderId });
+      return;
     }
     
-  } catch (error) {
-    logWithContext('error', 'Daily reminder toggle failed', { 
-      requestId, 
-      error: error.message,
-      stack: error.stack
-    });
+    const channel = reminder.channel_id || getHackathonChannelId();
     
-    await respond({
-      text: `❌ **Fejl ved ændring af påmindelser:**\n\n\`\`\`${error.message}\`\`\`\n\nPrøv igen eller kontakt tech support.`,
-      response_type: 'ephemeral'
-    });
-  }
-});
-
-// Check reminder status command
-app.command('/reminder-status', async ({ command, ack, respond }) => {
-  const requestId = generateRequestId();
-  await ack();
-  
-  try {
-    const currentStatus = await getDailyReminderStatus(requestId);
-    const statusEmoji = currentStatus ? '✅' : '❌';
-    const statusText = currentStatus ? 'AKTIVERET' : 'DEAKTIVERET';
-    const nextAction = currentStatus ? 
-      'Næste påmindelse: I morgen kl. 09:00' : 
-      'Ingen automatiske påmindelser planlagt';
+    if (!channel) {
+      logWithContext('warn', 'No channel for reminder and no HACKATHON_CHANNEL_ID set, skipping', { requestId, reminderId });
+      return;
+    }
     
-    const isAdmin = command.user_id === CONFIG.adminUserId;
-    const adminInfo = isAdmin ? 
-      '\n\n🔧 _Som admin kan du bruge `/toggle-daily-reminder` for at ændre status_' : 
-      '';
+    if (isEventOver(activeEvent)) {
+      logWithContext('info', 'Active event has ended, skipping reminder', { requestId, reminderId, eventId: activeEvent.id });
+      return;
+    }
     
-    await respond({
-      text: `🔔 **Daglige Påmindelser**\n\n${statusEmoji} Status: **${statusText}**\n📅 ${nextAction}${adminInfo}`,
-      response_type: 'ephemeral'
+    if (!isPhaseAllowed('reminders')) {
+      logWithContext('info', 'Current phase sends no reminders, skipping', { requestId, reminderId, phase: currentPhase });
+      return;
+    }
+    
+    const stats = await getIdeaStats(currentEventId(), requestId);
+    
+    if (!stats || stats.total === 0) {
+      logWithContext('info', 'No ideas available, skipping reminder', { requestId, reminderId });
+      return;
+    }
+    
+    await app.client.chat.postMessage({
+      channel,
+      text: reminder.template ? renderReminderTemplate(reminder.template, stats) : generatePhaseReminder(stats)
     });
     
-    logWithContext('info', 'Reminder status checked', { 
+    await executeWithRetry(async () => {
+      await pool.query('UPDATE reminders SET last_run_at = NOW() WHERE id = $1', [reminderId]);
+    });
+    
+    status = 'sent';
+    logWithContext('info', 'Reminder sent successfully', { 
       requestId, 
-      userId: command.user_id,
-      currentStatus 
+      reminderId,
+      totalIdeas: stats.total 
     });
     
   } catch (error) {
-    logWithContext('error', 'Reminder status check failed', { 
+    status = 'failed';
+    logWithContext('error', 'Reminder cron job failed', { 
       requestId, 
-      error: error.message 
+      reminderId,
+      error: error.message,
+      stack: error.stack
     });
     
-    await respond({
-      text: `❌ Kunne ikke hente påmindelse status: ${error.message}`,
-      response_type: 'ephemeral'
-    });
+    try {
+      const adminIds = await getUsersWithRole('admin', requestId).catch(() => [CONFIG.adminUserId]);
+      
+      for (const adminId of adminIds) {
+        const adminLang = await getUserLanguage(adminId, requestId);
+
+        await app.client.chat.postMessage({
+          channel: adminId,
+          text: t(adminLang, 'reminders.failed_alert', {
+            id: reminderId,
+            time: new Date().toISOString(),
+            error: error.message,
+            requestId
+          })
+        });
+      }
+    } catch (alertError) {
+      logWithContext('error', 'Failed to send admin alert', { requestId, error: alertError.message });
+    }
+  } finally {
+    cronRunsTotal.inc({ job: 'reminder', status });
   }
-});
+};
 
-// Help command
-app.command('/hackathon-help', async ({ command, ack, respond }) => {
-  await ack();
+const loadReminderSchedules = async (requestId) => {
+  const reminders = await getReminders(requestId);
+  
+  scheduledReminders.forEach(task => task.stop());
+  scheduledReminders.clear();
+  reminderCache = reminders;
+  
+  reminders.filter(reminder => !reminder.paused).forEach(reminder => {
+    if (!cron.validate(reminder.cron_expression) || !isValidTimezone(reminder.timezone)) {
+      logWithContext('warn', 'Skipping invalid reminder schedule', { requestId, reminderId: reminder.id, cronExpression: reminder.cron_expression });
+      return;
+    }
+    
+    scheduledReminders.set(reminder.id, cron.schedule(reminder.cron_expression, () => runReminder(reminder.id), {
+      timezone: reminder.timezone
+    }));
+  });
   
-  const helpMessage = `
-🤖 **Forteil Hackathon Bot - Hjælp**
+  logWithContext('info', 'Reminder schedules loaded', { requestId, total: reminders.length, scheduled: scheduledReminders.size });
+};
 
-**📝 Sådan Poster Du en Idé:**
-Start din besked med "Ide:" efterfulgt af din idé:
-\`Ide: AI chatbot til HR-spørgsmål\`
+// Weekly digest - new ideas since the last digest, the most voted and discussed ideas and the
+// categories that grew. Posted to the channel and sent by DM to users who opted in with /digest on.
+// Every run is claimed in digest_runs first, so a restart never sends the same week twice
+let digestTask = null;
 
-**🎯 Bot Reaktioner:**
-- 2 emoji reactions (random + kategori)
-- Vittigt svar i thread
-- 25% chance for bonus dad joke
-- Automatisk kategorisering og database lagring
+const DIGEST_HIGHLIGHTS = 3;
 
-**📊 Available Commands:**
-- \`/hackathon-stats\` - Se alle statistikker
-- \`/hackathon-help\` - Denne hjælp besked
-- \`/leaderboard\` - Live rangliste (alle kan se)
-- \`/motivate-now\` - Admin: Send motivation nu
-- \`/show-ideas\` - Admin: Visuelt overblik
+const setDigestOptIn = async (userId, optIn, requestId) => {
+  return executeWithRetry(async () => {
+    const query = `
+      INSERT INTO user_preferences (user_id, digest_opt_in, updated_at)
+      VALUES ($1, $2, NOW())
+      ON CONFLICT (user_id)
+      DO UPDATE SET digest_opt_in = $2, updated_at = NOW()
+    `;
+    await pool.query(query, [userId, optIn]);
+    logWithContext('info', 'Digest opt-in changed', { requestId, userId, optIn });
+  });
+};
 
-**🔔 Reminder Commands:**
-- \`/toggle-daily-reminder\` - Admin: Skru daglige påmindelser til/fra
-- \`/reminder-status\` - Se status for daglige påmindelser
+const getDigestOptIn = async (userId, requestId) => {
+  return executeWithRetry(async () => {
+    const result = await pool.query('SELECT digest_opt_in FROM user_preferences WHERE user_id = $1', [userId]);
+    return result.rows.length > 0 && result.rows[0].digest_opt_in;
+  });
+};
 
-**🏷️ Kategorier:**
-🤖 AI & Automatisering • 🔗 Integrationer • ⚙️ Procesoptimering
-📊 Data & Visualisering • 🎨 UI/UX • 💡 Kreative Løsninger
+const getDigestSubscribers = async (requestId) => {
+  return executeWithRetry(async () => {
+    const result = await pool.query('SELECT user_id FROM user_preferences WHERE digest_opt_in ORDER BY user_id');
+    return result.rows.map(row => row.user_id);
+  });
+};
 
-**💡 Tips:**
-- Vær specifik i dine idé-beskrivelser
-- Byg videre på andres idéer
-- Brug /hackathon-stats for at se fremgang
-- Check /leaderboard for at se din ranking
+// The last digest that went out (or had nothing to say) - the next one starts where it ended
+const getLastDigestRun = async (eventId, requestId) => {
+  return executeWithRetry(async () => {
+    const query = `
+      SELECT *
+      FROM digest_runs
+      WHERE COALESCE(event_id, 0) = COALESCE($1::int, 0) AND status IN ('sent', 'empty')
+      ORDER BY period_end DESC
+      LIMIT 1
+    `;
+    const result = await pool.query(query, [eventId]);
+    return result.rows[0] || null;
+  });
+};
 
-**🚀 Ready to innovate? Start med "Ide:" og lad kreativiteten flyde!**
-  `;
-  
-  await respond({
-    text: helpMessage,
-    response_type: 'ephemeral'
+const getDigestRuns = async (limit, requestId) => {
+  return executeWithRetry(async () => {
+    const result = await pool.query('SELECT * FROM digest_runs ORDER BY started_at DESC LIMIT $1', [limit]);
+    return result.rows;
   });
-});
+};
 
-// Leaderboard command
-app.command('/leaderboard', async ({ command, ack, respond }) => {
-  const requestId = generateRequestId();
-  await ack();
-  
-  try {
-    logWithContext('info', 'Leaderboard requested', { requestId, userId: command.user_id });
-    
-    const leaderboardQuery = `
-      SELECT 
-        username,
-        COUNT(*) as idea_count,
-        STRING_AGG(DISTINCT category, ', ') as categories,
-        MAX(created_at) as last_idea,
-        AVG(reaction_count) as avg_reactions
-      FROM (
-        SELECT 
-          i.username,
-          i.category,
-          i.created_at,
-          COUNT(r.id) as reaction_count
-        FROM ideas i
-        LEFT JOIN reactions r ON i.id = r.idea_id
-        GROUP BY i.id, i.username, i.category, i.created_at
-      ) stats
-      GROUP BY username
-      ORDER BY idea_count DESC, last_idea DESC
-      LIMIT 10
+// Returns the new run, or null when this week's digest was already sent or is being sent.
+// A failed run may be claimed again so /digest send can retry it
+const claimDigestRun = async (eventId, periodStart, triggeredBy, requestId) => {
+  return executeWithRetry(async () => {
+    const query = `
+      INSERT INTO digest_runs (event_id, week_start, period_start, period_end, triggered_by)
+      VALUES ($1, (date_trunc('week', NOW() AT TIME ZONE $3))::date, $2, NOW(), $4)
+      ON CONFLICT ((COALESCE(event_id, 0)), week_start) DO UPDATE SET
+        status = 'sending',
+        period_start = EXCLUDED.period_start,
+        period_end = EXCLUDED.period_end,
+        triggered_by = EXCLUDED.triggered_by,
+        error = NULL,
+        started_at = NOW(),
+        finished_at = NULL
+      WHERE digest_runs.status = 'failed'
+      RETURNING *
     `;
-    
-    const result = await executeWithRetry(async () => {
-      return await pool.query(leaderboardQuery);
-    });
-    
-    const leaderboard = result.rows;
-    
-    if (leaderboard.length === 0) {
-      await respond({
-        text: '📊 Ingen data til leaderboard endnu!\n\nStart med at poste en idé: `Ide: Min fantastiske idé`',
-        response_type: 'ephemeral'
-      });
-      return;
-    }
-    
-    const getTrophy = (index) => {
-      if (index === 0) return '🏆';
-      if (index === 1) return '🥈';
-      if (index === 2) return '🥉';
-      return '🏅';
+    const result = await pool.query(query, [eventId, periodStart, CONFIG.digestTimezone, triggeredBy]);
+    return result.rows[0] || null;
+  });
+};
+
+const finishDigestRun = async (runId, { status, ideaCount = 0, channelId = null, messageTs = null, dmCount = 0, error = null }, requestId) => {
+  return executeWithRetry(async () => {
+    const query = `
+      UPDATE digest_runs
+      SET status = $2, idea_count = $3, channel_id = $4, message_ts = $5, dm_count = $6, error = $7, finished_at = NOW()
+      WHERE id = $1
+    `;
+    await pool.query(query, [runId, status, ideaCount, channelId, messageTs, dmCount, error]);
+    logWithContext('info', 'Digest run finished', { requestId, runId, status, ideaCount, dmCount });
+  });
+};
+
+const getDigestData = async (periodStart, periodEnd, eventId, requestId) => {
+  return executeWithRetry(async () => {
+    const params = [periodStart, periodEnd, eventId];
+    const scope = `i.deleted_at IS NULL AND ($3::int IS NULL OR i.event_id = $3)`;
+
+    const [newIdeas, mostVoted, mostDiscussed, categories] = await Promise.all([
+      pool.query(`
+        SELECT i.id, i.title, i.idea_text, i.username, i.category, i.channel_id, i.message_ts
+        FROM ideas i
+        WHERE ${scope} AND i.created_at >= $1 AND i.created_at < $2
+        ORDER BY i.created_at ASC
+      `, params),
+      pool.query(`
+        SELECT i.id, i.title, i.idea_text, i.username, i.channel_id, i.message_ts, COUNT(DISTINCT v.user_id) as vote_count
+        FROM ideas i
+        JOIN idea_votes v ON v.idea_id = i.id
+        WHERE ${scope} AND v.created_at >= $1 AND v.created_at < $2
+        GROUP BY i.id
+        ORDER BY vote_count DESC, i.created_at ASC
+        LIMIT ${DIGEST_HIGHLIGHTS}
+      `, params),
+      pool.query(`
+        SELECT i.id, i.title, i.idea_text, i.username, i.channel_id, i.message_ts, COUNT(c.id) as comment_count
+        FROM ideas i
+        JOIN idea_comments c ON c.idea_id = i.id
+        WHERE ${scope} AND c.created_at >= $1 AND c.created_at < $2
+        GROUP BY i.id
+        ORDER BY comment_count DESC, i.created_at ASC
+        LIMIT ${DIGEST_HIGHLIGHTS}
+      `, params),
+      pool.query(`
+        SELECT i.category, COUNT(*) FILTER (WHERE i.created_at >= $1) as new_count, COUNT(*) as total
+        FROM ideas i
+        WHERE ${scope} AND i.created_at < $2
+        GROUP BY i.category
+        HAVING COUNT(*) FILTER (WHERE i.created_at >= $1) > 0
+        ORDER BY new_count DESC, total DESC
+      `, params)
+    ]);
+
+    logWithContext('info', 'Fetched digest data', { requestId, newIdeas: newIdeas.rows.length, eventId });
+
+    return {
+      periodStart,
+      periodEnd,
+      newIdeas: newIdeas.rows,
+      mostVoted: mostVoted.rows,
+      mostDiscussed: mostDiscussed.rows,
+      categories: categories.rows
     };
-    
-    const leaderboardBlocks = {
-      "blocks": [
-        {
-          "type": "header",
-          "text": {
-            "type": "plain_text",
-            "text": "🏆 Hackathon Leaderboard",
-            "emoji": true
-          }
-        },
-        {
-          "type": "section",
-          "text": {
-            "type": "mrkdwn",
-            "text": "_Live ranking af idé-generatorer! 🚀_"
-          }
-        },
+  });
+};
+
+const isDigestEmpty = (digest) => digest.newIdeas.length === 0 && digest.mostVoted.length === 0 && digest.mostDiscussed.length === 0;
+
+// Permalinks for every idea shown in the digest - an idea without one is listed without a link
+const getDigestPermalinks = async (client, digest, requestId) => {
+  const ideas = [...digest.newIdeas.slice(0, CONFIG.digestMaxIdeas), ...digest.mostVoted, ...digest.mostDiscussed];
+  const permalinks = new Map();
+
+  for (const idea of ideas) {
+    if (permalinks.has(idea.id) || !idea.channel_id || !idea.message_ts) continue;
+
+    try {
+      const { permalink } = await client.chat.getPermalink({ channel: idea.channel_id, message_ts: idea.message_ts });
+      permalinks.set(idea.id, permalink);
+    } catch (error) {
+      logWithContext('warn', 'Could not get idea permalink for digest', { requestId, ideaId: idea.id, error: error.message });
+    }
+  }
+
+  return permalinks;
+};
+
+// Slack section text is capped at 3000 characters, so long lists are split over several sections
+const mrkdwnSections = (lines) => {
+  const sections = [];
+  let current = '';
+
+  for (const line of lines) {
+    if (current && current.length + line.length + 1 > 3000) {
+      sections.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n${line}` : line;
+  }
+
+  if (current) sections.push(current);
+  return sections.map(text => ({ "type": "section", "text": { "type": "mrkdwn", "text": text } }));
+};
+
+const buildDigestBlocks = (digest, permalinks, language) => {
+  const ideaLink = (idea) => {
+    const title = ideaTitle(idea).substring(0, 80).replace(/[<>|]/g, '');
+    return permalinks.has(idea.id) ? `<${permalinks.get(idea.id)}|#${idea.id} ${title}>` : `#${idea.id} ${title}`;
+  };
+  const formatDate = (date) => new Date(date).toLocaleDateString(getLocale(language).dateLocale, { timeZone: CONFIG.digestTimezone, day: 'numeric', month: 'short' });
+  const shownIdeas = digest.newIdeas.slice(0, CONFIG.digestMaxIdeas);
+
+  const blocks = [
+    {
+      "type": "header",
+      "text": {
+        "type": "plain_text",
+        "text": t(language, 'digest.header', { eventLabel: eventLabel(activeEvent) }).substring(0, 150),
+        "emoji": true
+      }
+    },
+    {
+      "type": "context",
+      "elements": [
         {
-          "type": "divider"
-        }
-      ]
-    };
-    
-    leaderboard.forEach((user, index) => {
-      const trophy = getTrophy(index);
-      const lastIdea = new Date(user.last_idea);
-      const timeAgo = getTimeAgo(lastIdea);
-      
-      leaderboardBlocks.blocks.push({
-        "type": "section",
-        "text": {
           "type": "mrkdwn",
-          "text": `${trophy} *${index + 1}. ${user.username}*\n📊 ${user.idea_count} idéer • 🏷️ ${user.categories}\n⏰ Seneste: ${timeAgo} • 💬 Ø ${parseFloat(user.avg_reactions || 0).toFixed(1)} reaktioner`
+          "text": t(language, 'digest.period', { from: formatDate(digest.periodStart), to: formatDate(digest.periodEnd), count: digest.newIdeas.length })
         }
-      });
-    });
-    
-    const motivationMessages = [
-      "🚀 Kom i gang med: `Ide: Din fantastiske idé her`",
-      "💡 Brug `/hackathon-help` for at se alle commands",
-      "🎯 Mål: 50+ idéer til hackathon!",
-      "⚡ Jo flere idéer, jo bedre hackathon!"
-    ];
-    
-    leaderboardBlocks.blocks.push(
-      {
-        "type": "divider"
-      },
-      {
-        "type": "section",
-        "text": {
-          "type": "mrkdwn",
-          "text": motivationMessages[Math.floor(Math.random() * motivationMessages.length)]
-        }
-      },
-      {
-        "type": "context",
-        "elements": [
-          {
-            "type": "mrkdwn",
-            "text": `🔄 Opdateret: ${new Date().toLocaleTimeString('da-DK', {timeZone: 'Europe/Copenhagen'})} | Brug \`/leaderboard\` for at opdatere`
-          }
-        ]
+      ]
+    },
+    {
+      "type": "section",
+      "text": { "type": "mrkdwn", "text": t(language, 'digest.new_ideas', { count: digest.newIdeas.length }) }
+    }
+  ];
+
+  if (shownIdeas.length > 0) {
+    blocks.push(...mrkdwnSections([
+      ...shownIdeas.map(idea => t(language, 'digest.idea_line', { link: ideaLink(idea), username: idea.username, category: idea.category })),
+      ...(digest.newIdeas.length > shownIdeas.length ? [t(language, 'digest.more', { count: digest.newIdeas.length - shownIdeas.length })] : [])
+    ]));
+  }
+
+  if (digest.mostVoted.length > 0) {
+    blocks.push({ "type": "divider" }, ...mrkdwnSections([
+      t(language, 'digest.most_voted'),
+      ...digest.mostVoted.map((idea, index) => t(language, 'digest.voted_line', { rank: index + 1, link: ideaLink(idea), count: parseInt(idea.vote_count) }))
+    ]));
+  }
+
+  if (digest.mostDiscussed.length > 0) {
+    blocks.push({ "type": "divider" }, ...mrkdwnSections([
+      t(language, 'digest.most_discussed'),
+      ...digest.mostDiscussed.map((idea, index) => t(language, 'digest.discussed_line', { rank: index + 1, link: ideaLink(idea), count: parseInt(idea.comment_count) }))
+    ]));
+  }
+
+  if (digest.categories.length > 0) {
+    blocks.push({ "type": "divider" }, ...mrkdwnSections([
+      t(language, 'digest.growing'),
+      ...digest.categories.map(entry => t(language, 'digest.growing_line', { category: entry.category, added: parseInt(entry.new_count), total: parseInt(entry.total) }))
+    ]));
+  }
+
+  blocks.push(
+    { "type": "divider" },
+    { "type": "context", "elements": [{ "type": "mrkdwn", "text": t(language, 'digest.footer') }] }
+  );
+
+  return blocks;
+};
+
+// The digest for the current period without recording anything - used by /digest preview
+const previewDigest = async (client, requestId) => {
+  const lastRun = await getLastDigestRun(currentEventId(), requestId);
+  const periodStart = lastRun ? lastRun.period_end : new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+  const digest = await getDigestData(periodStart, new Date(), currentEventId(), requestId);
+  const permalinks = isDigestEmpty(digest) ? new Map() : await getDigestPermalinks(client, digest, requestId);
+
+  return { digest, permalinks };
+};
+
+// Returns { status, run } - status is 'sent', 'empty', 'duplicate', 'skipped' or 'failed'
+const runDigest = async ({ triggeredBy = 'cron' } = {}) => {
+  const requestId = generateRequestId();
+  // Every early return below is a skip - counted once in finally
+  let status = 'skipped';
+  let run = null;
+
+  try {
+    logWithContext('info', 'Digest job triggered', { requestId, triggeredBy });
+
+    const channel = getHackathonChannelId();
+
+    if (!channel) {
+      logWithContext('warn', 'No HACKATHON_CHANNEL_ID set, skipping digest', { requestId });
+      return { status, run };
+    }
+
+    const eventId = currentEventId();
+    const lastRun = await getLastDigestRun(eventId, requestId);
+    const periodStart = lastRun ? lastRun.period_end : new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+
+    run = await claimDigestRun(eventId, periodStart, triggeredBy, requestId);
+
+    if (!run) {
+      status = 'duplicate';
+      logWithContext('info', 'Digest for this week already sent, skipping', { requestId, eventId });
+      return { status, run };
+    }
+
+    const digest = await getDigestData(run.period_start, run.period_end, eventId, requestId);
+
+    if (isDigestEmpty(digest)) {
+      status = 'empty';
+      await finishDigestRun(run.id, { status }, requestId);
+      logWithContext('info', 'Nothing new since the last digest', { requestId, runId: run.id });
+      return { status, run };
+    }
+
+    const permalinks = await getDigestPermalinks(app.client, digest, requestId);
+    const blocksByLanguage = new Map();
+    const blocksFor = (language) => {
+      if (!blocksByLanguage.has(language)) {
+        blocksByLanguage.set(language, buildDigestBlocks(digest, permalinks, language));
       }
-    );
-    
-    await respond({
-      "response_type": "in_channel",
-      ...leaderboardBlocks
-    });
-    
-    logWithContext('info', 'Leaderboard displayed', { 
-      requestId,
-      totalUsers: leaderboard.length,
-      topUser: leaderboard[0]?.username
+      return blocksByLanguage.get(language);
+    };
+
+    const posted = await app.client.chat.postMessage({
+      channel,
+      text: t(broadcastLanguage, 'digest.fallback', { count: digest.newIdeas.length }),
+      blocks: blocksFor(broadcastLanguage),
+      unfurl_links: false
     });
-    
+
+    // One subscriber's closed DMs shouldn't stop the rest
+    let dmCount = 0;
+    for (const userId of await getDigestSubscribers(requestId)) {
+      try {
+        const language = await getUserLanguage(userId, requestId);
+        const dm = await app.client.conversations.open({ users: userId });
+
+        await app.client.chat.postMessage({
+          channel: dm.channel.id,
+          text: t(language, 'digest.fallback', { count: digest.newIdeas.length }),
+          blocks: blocksFor(language),
+          unfurl_links: false
+        });
+        dmCount++;
+      } catch (error) {
+        logWithContext('warn', 'Could not send digest DM', { requestId, userId, error: error.message });
+      }
+    }
+
+    status = 'sent';
+    await finishDigestRun(run.id, { status, ideaCount: digest.newIdeas.length, channelId: channel, messageTs: posted.ts, dmCount }, requestId);
+    return { status, run: { ...run, idea_count: digest.newIdeas.length, dm_count: dmCount } };
+
   } catch (error) {
-    logWithContext('error', 'Leaderboard failed', { requestId, error: error.message });
-    await respond({
-      text: `❌ Leaderboard kunne ikke indlæses: ${error.message}`,
-      response_type: 'ephemeral'
-    });
+    status = 'failed';
+    logWithContext('error', 'Digest job failed', { requestId, runId: run && run.id, error: error.message, stack: error.stack });
+
+    if (run) {
+      await finishDigestRun(run.id, { status, error: error.message }, requestId).catch(finishError =>
+        logWithContext('error', 'Could not record failed digest run', { requestId, runId: run.id, error: finishError.message })
+      );
+    }
+
+    return { status, run, error };
+  } finally {
+    cronRunsTotal.inc({ job: 'digest', status });
   }
-});
+};
 
-// Show ideas command
-app.command('/show-ideas', async ({ command, ack, respond }) => {
+const scheduleDigest = (requestId) => {
+  if (digestTask) digestTask.stop();
+
+  if (!cron.validate(CONFIG.digestCron) || !isValidTimezone(CONFIG.digestTimezone)) {
+    logWithContext('warn', 'Invalid DIGEST_CRON or DIGEST_TIMEZONE, no weekly digest will be sent', { requestId, cronExpression: CONFIG.digestCron, timezone: CONFIG.digestTimezone });
+    digestTask = null;
+    return;
+  }
+
+  digestTask = cron.schedule(CONFIG.digestCron, () => runDigest({ triggeredBy: 'cron' }), { timezone: CONFIG.digestTimezone });
+  logWithContext('info', 'Weekly digest scheduled', { requestId, cronExpression: CONFIG.digestCron, timezone: CONFIG.digestTimezone });
+};
+
+// Digest command - /digest [on|off|preview] for everyone, /digest send|history for admins and organizers
+app.command('/digest', async ({ command, ack, respond, client }) => {
   const requestId = generateRequestId();
   await ack();
-  
+  const lang = await getUserLanguage(command.user_id, requestId);
+
   try {
-    if (command.user_id !== CONFIG.adminUserId) {
+    const subcommand = command.text.trim().toLowerCase();
+
+    if (subcommand === 'on' || subcommand === 'off') {
+      await setDigestOptIn(command.user_id, subcommand === 'on', requestId);
+      await respond({ text: t(lang, subcommand === 'on' ? 'digest.opted_in' : 'digest.opted_out'), response_type: 'ephemeral' });
+      return;
+    }
+
+    if (subcommand === '') {
+      const [optedIn, lastRun] = await Promise.all([
+        getDigestOptIn(command.user_id, requestId),
+        getLastDigestRun(currentEventId(), requestId)
+      ]);
+      const nextRun = digestTask ? getNextCronRun(CONFIG.digestCron, CONFIG.digestTimezone) : null;
+
       await respond({
-        text: '❌ Kun admin kan vise alle idéer!',
+        text: t(lang, 'digest.status', {
+          optedIn,
+          lastRun: lastRun ? formatReminderTime(lastRun.period_end, CONFIG.digestTimezone, lang) : null,
+          nextRun: nextRun ? formatReminderTime(nextRun, CONFIG.digestTimezone, lang) : null
+        }),
         response_type: 'ephemeral'
       });
       return;
     }
-    
-    logWithContext('info', 'Visual ideas export requested', { requestId, adminId: command.user_id });
-    
+
+    if (subcommand === 'preview') {
+      const rateLimit = await checkRateLimit(command.user_id, 'stats', requestId);
+
+      if (rateLimit.limited) {
+        await respond({ text: rateLimitText(rateLimit, lang), response_type: 'ephemeral' });
+        return;
+      }
+
+      const { digest, permalinks } = await previewDigest(client, requestId);
+
+      if (isDigestEmpty(digest)) {
+        await respond({ text: t(lang, 'digest.preview_empty'), response_type: 'ephemeral' });
+        return;
+      }
+
+      await respond({
+        "response_type": "ephemeral",
+        "text": t(lang, 'digest.fallback', { count: digest.newIdeas.length }),
+        "blocks": buildDigestBlocks(digest, permalinks, lang)
+      });
+      return;
+    }
+
+    if (subcommand === 'send' || subcommand === 'history') {
+      if (!(await hasPermission(command.user_id, 'motivation.send', requestId))) {
+        logWithContext('warn', 'Permission denied', { requestId, userId: command.user_id, permission: 'motivation.send' });
+        await respond({ text: t(lang, 'digest.no_permission'), response_type: 'ephemeral' });
+        return;
+      }
+
+      if (subcommand === 'history') {
+        const runs = await getDigestRuns(10, requestId);
+
+        await respond({
+          text: runs.length > 0 ?
+            `${t(lang, 'digest.history_header')}\n${runs.map(run => t(lang, 'digest.history_line', {
+              id: run.id,
+              time: formatReminderTime(run.started_at, CONFIG.digestTimezone, lang),
+              status: run.status,
+              ideas: run.idea_count,
+              dms: run.dm_count,
+              triggeredBy: run.triggered_by === 'cron' ? 'cron' : `<@${run.triggered_by}>`
+            })).join('\n')}` :
+            t(lang, 'digest.history_empty'),
+          response_type: 'ephemeral'
+        });
+        return;
+      }
+
+      const result = await runDigest({ triggeredBy: command.user_id });
+
+      await respond({
+        text: t(lang, `digest.send_${result.status}`, {
+          ideas: result.run ? result.run.idea_count : 0,
+          dms: result.run ? result.run.dm_count : 0,
+          error: result.error ? result.error.message : ''
+        }),
+        response_type: 'ephemeral'
+      });
+      return;
+    }
+
+    await respond({ text: t(lang, 'digest.usage'), response_type: 'ephemeral' });
+
+  } catch (error) {
+    logWithContext('error', 'Digest command failed', { requestId, error: error.message });
     await respond({
-      text: '🎨 Genererer visuelt overblik... ⏳',
+      text: t(lang, 'digest.failed', { error: error.message }),
       response_type: 'ephemeral'
     });
-    
-    const ideasQuery = `
-      SELECT 
-        i.id,
-        i.username,
-        i.idea_text,
-        i.category,
-        i.created_at,
-        COUNT(r.id) as reaction_count
-      FROM ideas i
-      LEFT JOIN reactions r ON i.id = r.idea_id
-      GROUP BY i.id, i.username, i.idea_text, i.category, i.created_at
-      ORDER BY i.created_at DESC
+  }
+});
+
+// Personal nudges - channel members who haven't shared an idea in the active event get a friendly DM
+// with a few of their colleagues' ideas, at most once per interval. Anyone can opt out with /nudges off.
+// The interval is per event and loaded on startup and after every /event change - 0 turns nudges off
+let nudgeTask = null;
+let nudgeIntervalDays = CONFIG.nudgeIntervalDays;
+
+const NUDGE_EXAMPLES = 3;
+
+const loadNudgeInterval = async (requestId) => {
+  const stored = await getEventSetting('nudge_interval_days');
+
+  nudgeIntervalDays = stored !== null ? parseInt(stored) : CONFIG.nudgeIntervalDays;
+  logWithContext('info', 'Nudge interval loaded', { requestId, intervalDays: nudgeIntervalDays, eventId: currentEventId() });
+  return nudgeIntervalDays;
+};
+
+const setNudgeInterval = async (days, requestId) => {
+  await setEventSetting('nudge_interval_days', days);
+
+  nudgeIntervalDays = days;
+  logWithContext('info', 'Nudge interval changed', { requestId, intervalDays: days, eventId: currentEventId() });
+};
+
+const setNudgeOptOut = async (userId, optOut, requestId) => {
+  return executeWithRetry(async () => {
+    const query = `
+      INSERT INTO user_preferences (user_id, nudge_opt_out, updated_at)
+      VALUES ($1, $2, NOW())
+      ON CONFLICT (user_id)
+      DO UPDATE SET nudge_opt_out = $2, updated_at = NOW()
     `;
-    
-    const result = await executeWithRetry(async () => {
-      return await pool.query(ideasQuery);
-    });
-    
-    const ideas = result.rows;
-    
-    if (ideas.length === 0) {
-      await respond({
-        text: '⚠️ Ingen idéer at vise endnu!',
-        response_type: 'ephemeral',
-        replace_original: true
-      });
-      return;
+    await pool.query(query, [userId, optOut]);
+    logWithContext('info', 'Nudge opt-out changed', { requestId, userId, optOut });
+  });
+};
+
+const getNudgeStatus = async (userId, requestId) => {
+  return executeWithRetry(async () => {
+    const query = `
+      SELECT
+        COALESCE((SELECT nudge_opt_out FROM user_preferences WHERE user_id = $1), FALSE) as opted_out,
+        (SELECT MAX(sent_at) FROM nudges WHERE user_id = $1) as last_nudge
+    `;
+    const result = await pool.query(query, [userId]);
+    return result.rows[0];
+  });
+};
+
+// Recorded before the DM goes out - the per-user advisory lock makes the "not nudged within the interval"
+// check and the insert atomic, so overlapping runs (cron on every instance, /nudges send) DM each person once.
+// Returns the nudge id, or null when another run got there first
+const claimNudge = async (userId, eventId, channelId, triggeredBy, intervalDays, requestId) => {
+  return executeWithRetry(async () => {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query(`SELECT pg_advisory_xact_lock(hashtext('nudge:' || $1::text))`, [userId]);
+
+      const result = await client.query(
+        `INSERT INTO nudges (user_id, event_id, channel_id, triggered_by)
+         SELECT $1::varchar, $2::int, $3::varchar, $4::varchar
+         WHERE NOT EXISTS (SELECT 1 FROM nudges WHERE user_id = $1 AND sent_at > NOW() - make_interval(days => $5))
+         RETURNING id`,
+        [userId, eventId, channelId, triggeredBy, intervalDays]
+      );
+
+      await client.query('COMMIT');
+      return result.rows[0] ? result.rows[0].id : null;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
     }
-    
-    const totalIdeas = ideas.length;
-    const uniqueUsers = new Set(ideas.map(i => i.username)).size;
-    const totalReactions = ideas.reduce((sum, idea) => sum + parseInt(idea.reaction_count), 0);
-    
-    const categoryStats = ideas.reduce((acc, idea) => {
-      acc[idea.category] = (acc[idea.category] || 0) + 1;
-      return acc;
-    }, {});
-    
-    const userStats = ideas.reduce((acc, idea) => {
-      acc[idea.username] = (acc[idea.username] || 0) + 1;
-      return acc;
-    }, {});
-    
-    const topUsers = Object.entries(userStats)
-      .sort(([,a], [,b]) => b - a)
-      .slice(0, 5);
-    
-    const dailyStats = ideas.reduce((acc, idea) => {
-      const date = new Date(idea.created_at).toLocaleDateString('da-DK');
-      acc[date] = (acc[date] || 0) + 1;
-      return acc;
-    }, {});
-    
-    const visualOverview = {
-      "blocks": [
-        {
-          "type": "header",
-          "text": {
-            "type": "plain_text",
-            "text": "🚀 Forteil Hackathon - Idé Overblik",
-            "emoji": true
-          }
-        },
-        {
-          "type": "section",
-          "fields": [
-            {
-              "type": "mrkdwn",
-              "text": `*📊 Total Idéer:*\n${totalIdeas}`
-            },
-            {
-              "type": "mrkdwn",
-              "text": `*👥 Aktive Brugere:*\n${uniqueUsers}`
-            },
-            {
-              "type": "mrkdwn",
-              "text": `*💬 Total Reaktioner:*\n${totalReactions}`
-            },
-            {
-              "type": "mrkdwn",
-              "text": `*📈 Gennemsnit per Bruger:*\n${(totalIdeas / uniqueUsers).toFixed(1)}`
-            }
-          ]
-        },
-        {
-          "type": "divider"
-        },
-        {
-          "type": "section",
-          "text": {
-            "type": "mrkdwn",
-            "text": `*🏷️ Kategori Fordeling:*\n${Object.entries(categoryStats)
-              .sort(([,a], [,b]) => b - a)
-              .map(([cat, count]) => `${cat}: ${count} idéer (${Math.round(count/totalIdeas*100)}%)`)
-              .join('\n')}`
-          }
-        },
-        {
-          "type": "divider"
-        },
-        {
-          "type": "section",
-          "text": {
-            "type": "mrkdwn",
-            "text": `*🏆 Top Idé-Generatorer:*\n${topUsers
-              .map(([user, count], index) => `${index + 1}. *${user}*: ${count} idéer`)
-              .join('\n')}`
-          }
-        },
-        {
-          "type": "divider"
-        },
+  });
+};
+
+// A DM that couldn't be sent gives the claim back, so the next run tries again
+const releaseNudge = async (nudgeId, requestId) => {
+  return executeWithRetry(async () => {
+    await pool.query('DELETE FROM nudges WHERE id = $1', [nudgeId]);
+  });
+};
+
+// Every member of the channel except the bot itself - conversations.members is paginated
+const getChannelMembers = async (client, channel, requestId) => {
+  const members = [];
+  let cursor;
+
+  do {
+    const result = await client.conversations.members({ channel, limit: 200, cursor });
+    members.push(...result.members);
+    cursor = result.response_metadata && result.response_metadata.next_cursor;
+  } while (cursor);
+
+  logWithContext('info', 'Fetched channel members', { requestId, channel, count: members.length });
+  return members.filter(userId => userId !== slackAuthState.botUserId);
+};
+
+// Splits the channel members into who has posted in the active event and who hasn't.
+// Without includeAnonymous, anonymous ideas count for nobody - reports for people who may not know
+// the real authors would otherwise point them out as "posted" without a named idea
+const getParticipation = async (client, channel, { includeAnonymous = true } = {}, requestId) => {
+  const members = await getChannelMembers(client, channel, requestId);
+
+  const result = await executeWithRetry(async () => {
+    const query = `
+      SELECT
+        ARRAY(
+          SELECT DISTINCT COALESCE(anonymous_author_id, user_id) FROM ideas
+          WHERE deleted_at IS NULL AND ($1::int IS NULL OR event_id = $1) AND ($3 OR NOT anonymous)
+        ) as posters,
+        ARRAY(SELECT user_id FROM user_preferences WHERE nudge_opt_out) as opted_out,
+        ARRAY(SELECT DISTINCT user_id FROM nudges WHERE sent_at > NOW() - make_interval(days => $2)) as recently_nudged,
+        (SELECT COUNT(*) FROM nudges WHERE $1::int IS NULL OR event_id = $1) as nudges_sent,
+        (
+          SELECT COUNT(DISTINCT n.user_id)
+          FROM nudges n
+          WHERE ($1::int IS NULL OR n.event_id = $1) AND EXISTS (
+            SELECT 1 FROM ideas i
+            WHERE COALESCE(i.anonymous_author_id, i.user_id) = n.user_id AND i.created_at > n.sent_at AND i.deleted_at IS NULL
+              AND ($1::int IS NULL OR i.event_id = $1) AND ($3 OR NOT i.anonymous)
+          )
+        ) as converted
+    `;
+    return pool.query(query, [currentEventId(), nudgeIntervalDays, includeAnonymous]);
+  });
+
+  const { posters, opted_out: optedOut, recently_nudged: recentlyNudged, nudges_sent: nudgesSent, converted } = result.rows[0];
+  const posted = members.filter(userId => posters.includes(userId));
+  const notPosted = members.filter(userId => !posters.includes(userId));
+
+  return {
+    members,
+    posted,
+    notPosted,
+    optedOut: notPosted.filter(userId => optedOut.includes(userId)),
+    recentlyNudged: notPosted.filter(userId => recentlyNudged.includes(userId)),
+    eligible: notPosted.filter(userId => !optedOut.includes(userId) && !recentlyNudged.includes(userId)),
+    nudgesSent: parseInt(nudgesSent),
+    converted: parseInt(converted)
+  };
+};
+
+// The most voted and discussed ideas, shuffled among equals so the same three don't show up every time
+const getNudgeExamples = async (eventId, requestId) => {
+  return executeWithRetry(async () => {
+    const query = `
+      SELECT i.id, i.title, i.idea_text, i.username, i.channel_id, i.message_ts
+      FROM ideas i
+      WHERE i.deleted_at IS NULL AND ($1::int IS NULL OR i.event_id = $1)
+      ORDER BY
+        (SELECT COUNT(DISTINCT v.user_id) FROM idea_votes v WHERE v.idea_id = i.id) +
+        (SELECT COUNT(*) FROM idea_comments c WHERE c.idea_id = i.id) DESC,
+        RANDOM()
+      LIMIT ${NUDGE_EXAMPLES}
+    `;
+    const result = await pool.query(query, [eventId]);
+    return result.rows;
+  });
+};
+
+const buildNudgeBlocks = (examples, permalinks, language) => {
+  const exampleLines = examples.map(idea => {
+    const title = ideaTitle(idea).substring(0, 80).replace(/[<>|]/g, '');
+    const link = permalinks.has(idea.id) ? `<${permalinks.get(idea.id)}|${title}>` : title;
+    return t(language, 'nudge.example', { link, username: idea.username });
+  });
+
+  return [
+    {
+      "type": "section",
+      "text": { "type": "mrkdwn", "text": t(language, 'nudge.intro', { channel: getHackathonChannelId(), eventLabel: eventLabel(activeEvent) }) }
+    },
+    ...(exampleLines.length > 0 ? [{
+      "type": "section",
+      "text": { "type": "mrkdwn", "text": `${t(language, 'nudge.examples')}\n${exampleLines.join('\n')}` }
+    }] : []),
+    {
+      "type": "section",
+      "text": { "type": "mrkdwn", "text": t(language, 'nudge.how_to') }
+    },
+    {
+      "type": "actions",
+      "elements": [
         {
-          "type": "section",
-          "text": {
-            "type": "mrkdwn",
-            "text": `*📅 Daglig Aktivitet:*\n${Object.entries(dailyStats)
-              .sort(([a], [b]) => new Date(a.split('.').reverse().join('-')) - new Date(b.split('.').reverse().join('-')))
-              .map(([date, count]) => `${date}: ${count} idéer`)
-              .join('\n')}`
-          }
+          "type": "button",
+          "action_id": "nudge_share_idea",
+          "text": { "type": "plain_text", "text": t(language, 'nudge.share_button'), "emoji": true },
+          "style": "primary"
         },
         {
-          "type": "divider"
+          "type": "button",
+          "action_id": "nudge_opt_out",
+          "text": { "type": "plain_text", "text": t(language, 'nudge.opt_out_button'), "emoji": true }
         }
       ]
-    };
-    
-    const recentIdeas = ideas.slice(0, 10);
-    
-    visualOverview.blocks.push({
-      "type": "section",
-      "text": {
-        "type": "mrkdwn",
-        "text": `*💡 Seneste ${Math.min(10, ideas.length)} Idéer:*`
+    },
+    {
+      "type": "context",
+      "elements": [{ "type": "mrkdwn", "text": t(language, 'nudge.footer') }]
+    }
+  ];
+};
+
+// Returns { status, sent, eligible } - status is 'sent', 'skipped' or 'failed'
+const runNudges = async ({ triggeredBy = 'cron' } = {}) => {
+  const requestId = generateRequestId();
+  // Every early return below is a skip - counted once in finally
+  let status = 'skipped';
+  let sent = 0;
+
+  try {
+    logWithContext('info', 'Nudge job triggered', { requestId, triggeredBy });
+
+    const channel = getHackathonChannelId();
+
+    if (!channel || nudgeIntervalDays <= 0 || !isPhaseAllowed('ideas') || isEventOver(activeEvent)) {
+      logWithContext('info', 'Nudges not active right now, skipping', { requestId, channel, intervalDays: nudgeIntervalDays, phase: currentPhase });
+      return { status, sent, reason: !channel ? 'no_channel' : nudgeIntervalDays <= 0 ? 'disabled' : 'phase' };
+    }
+
+    const participation = await getParticipation(app.client, channel, { includeAnonymous: true }, requestId);
+    const candidates = participation.eligible.slice(0, CONFIG.nudgeMaxPerRun);
+
+    if (candidates.length === 0) {
+      logWithContext('info', 'Nobody to nudge', { requestId, members: participation.members.length, posted: participation.posted.length });
+      return { status, sent, eligible: 0, reason: 'nobody' };
+    }
+
+    const examples = await getNudgeExamples(currentEventId(), requestId);
+    const permalinks = new Map();
+
+    for (const idea of examples) {
+      try {
+        const { permalink } = await app.client.chat.getPermalink({ channel: idea.channel_id, message_ts: idea.message_ts });
+        permalinks.set(idea.id, permalink);
+      } catch (error) {
+        logWithContext('warn', 'Could not get idea permalink for nudge', { requestId, ideaId: idea.id, error: error.message });
       }
-    });
-    
-    recentIdeas.forEach((idea, index) => {
-      const date = new Date(idea.created_at);
-      const timeAgo = getTimeAgo(date);
-      
-      visualOverview.blocks.push({
-        "type": "section",
-        "text": {
-          "type": "mrkdwn",
-          "text": `*${index + 1}.* ${idea.idea_text.substring(0, 100)}${idea.idea_text.length > 100 ? '...' : ''}\n_${idea.category} • ${idea.username} • ${timeAgo} • ${idea.reaction_count} reaktioner_`
+    }
+
+    // One closed DM or deactivated account shouldn't stop the rest
+    for (const userId of candidates) {
+      let nudgeId = null;
+
+      try {
+        const { user } = await app.client.users.info({ user: userId });
+
+        if (user.is_bot || user.deleted || userId === 'USLACKBOT') continue;
+
+        nudgeId = await claimNudge(userId, currentEventId(), channel, triggeredBy, nudgeIntervalDays, requestId);
+
+        if (!nudgeId) {
+          logWithContext('info', 'Nudge already claimed by another run', { requestId, userId });
+          continue;
+        }
+
+        const language = await getUserLanguage(userId, requestId);
+        const dm = await app.client.conversations.open({ users: userId });
+
+        await app.client.chat.postMessage({
+          channel: dm.channel.id,
+          text: t(language, 'nudge.fallback'),
+          blocks: buildNudgeBlocks(examples, permalinks, language),
+          unfurl_links: false
+        });
+        sent++;
+      } catch (error) {
+        logWithContext('warn', 'Could not send nudge', { requestId, userId, error: error.message });
+
+        if (nudgeId) {
+          await releaseNudge(nudgeId, requestId).catch(releaseError =>
+            logWithContext('error', 'Could not release nudge claim', { requestId, userId, nudgeId, error: releaseError.message }));
         }
-      });
-    });
-    
-    visualOverview.blocks.push(
-      {
-        "type": "divider"
-      },
-      {
-        "type": "context",
-        "elements": [
-          {
-            "type": "mrkdwn",
-            "text": `📊 Genereret: ${new Date().toLocaleString('da-DK', {timeZone: 'Europe/Copenhagen'})} | 🤖 Forteil Hackathon Bot v2.1`
-          }
-        ]
       }
-    );
-    
-    await respond({
-      "replace_original": true,
-      "response_type": "ephemeral",
-      ...visualOverview
-    });
-    
-    logWithContext('info', 'Visual ideas export completed', { 
-      requestId, 
-      totalIdeas,
-      uniqueUsers,
-      totalReactions
-    });
-    
+    }
+
+    status = 'sent';
+    logWithContext('info', 'Nudges sent', { requestId, sent, eligible: participation.eligible.length });
+    return { status, sent, eligible: participation.eligible.length };
+
   } catch (error) {
-    logWithContext('error', 'Visual ideas export failed', { requestId, error: error.message });
-    await respond({
-      text: `❌ **Visuelt overblik fejlede:**\n\n\`\`\`${error.message}\`\`\``,
-      response_type: 'ephemeral',
-      replace_original: true
+    status = 'failed';
+    logWithContext('error', 'Nudge job failed', { requestId, error: error.message, stack: error.stack });
+    return { status, sent, error };
+  } finally {
+    cronRunsTotal.inc({ job: 'nudge', status });
+  }
+};
+
+const scheduleNudges = (requestId) => {
+  if (nudgeTask) nudgeTask.stop();
+
+  if (!cron.validate(CONFIG.nudgeCron) || !isValidTimezone(CONFIG.nudgeTimezone)) {
+    logWithContext('warn', 'Invalid NUDGE_CRON or NUDGE_TIMEZONE, no nudges will be sent', { requestId, cronExpression: CONFIG.nudgeCron, timezone: CONFIG.nudgeTimezone });
+    nudgeTask = null;
+    return;
+  }
+
+  nudgeTask = cron.schedule(CONFIG.nudgeCron, () => runNudges({ triggeredBy: 'cron' }), { timezone: CONFIG.nudgeTimezone });
+  logWithContext('info', 'Nudges scheduled', { requestId, cronExpression: CONFIG.nudgeCron, timezone: CONFIG.nudgeTimezone });
+};
+
+const NUDGE_REPORT_MAX_MENTIONS = 30;
+
+const buildParticipationReport = (participation, language) => {
+  const total = participation.members.length;
+  const rate = total > 0 ? Math.round((participation.posted.length / total) * 100) : 0;
+  const missing = participation.notPosted.slice(0, NUDGE_REPORT_MAX_MENTIONS).map(userId => `<@${userId}>`).join(' ');
+  const nextRun = nudgeTask && nudgeIntervalDays > 0 ? getNextCronRun(CONFIG.nudgeCron, CONFIG.nudgeTimezone) : null;
+
+  return t(language, 'nudge.report', {
+    channel: getHackathonChannelId(),
+    eventLabel: eventLabel(activeEvent),
+    members: total,
+    posted: participation.posted.length,
+    rate,
+    notPosted: participation.notPosted.length,
+    optedOut: participation.optedOut.length,
+    recentlyNudged: participation.recentlyNudged.length,
+    eligible: participation.eligible.length,
+    nudgesSent: participation.nudgesSent,
+    converted: participation.converted,
+    intervalDays: nudgeIntervalDays,
+    nextRun: nextRun ? formatReminderTime(nextRun, CONFIG.nudgeTimezone, language) : null,
+    missing: participation.notPosted.length > NUDGE_REPORT_MAX_MENTIONS ?
+      `${missing} ${t(language, 'nudge.report_more', { count: participation.notPosted.length - NUDGE_REPORT_MAX_MENTIONS })}` :
+      missing
+  });
+};
+
+app.action('nudge_share_idea', async ({ body, ack, client, respond }) => {
+  const requestId = generateRequestId();
+  await ack();
+  const lang = await getUserLanguage(body.user.id, requestId);
+
+  try {
+    if (!isPhaseAllowed('ideas')) {
+      await respond({ text: phaseClosedText('ideas', lang), replace_original: false });
+      return;
+    }
+
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: buildIdeaModal('', lang)
     });
+
+    logWithContext('info', 'Idea modal opened', { requestId, userId: body.user.id, source: 'nudge' });
+
+  } catch (error) {
+    logWithContext('error', 'Idea modal failed to open', { requestId, error: error.message });
+    await respond({ text: t(lang, 'idea.modal_failed', { error: error.message }), replace_original: false });
   }
 });
 
-// Daily motivation cron with toggle check
-cron.schedule('0 9 * * *', async () => {
+app.action('nudge_opt_out', async ({ body, ack, respond }) => {
   const requestId = generateRequestId();
-  
+  await ack();
+  const lang = await getUserLanguage(body.user.id, requestId);
+
   try {
-    logWithContext('info', 'Daily cron job triggered', { requestId });
-    
-    const isEnabled = await getDailyReminderStatus(requestId);
-    
-    if (!isEnabled) {
-      logWithContext('info', 'Daily reminders disabled, skipping cron job', { requestId });
+    await setNudgeOptOut(body.user.id, true, requestId);
+    await respond({ text: t(lang, 'nudge.opted_out'), replace_original: false });
+  } catch (error) {
+    logWithContext('error', 'Nudge opt-out failed', { requestId, error: error.message });
+    await respond({ text: t(lang, 'nudge.failed', { error: error.message }), replace_original: false });
+  }
+});
+
+// Nudges command - /nudges [on|off] for everyone, /nudges report|send|interval for admins and organizers
+app.command('/nudges', async ({ command, ack, respond, client }) => {
+  const requestId = generateRequestId();
+  await ack();
+  const lang = await getUserLanguage(command.user_id, requestId);
+
+  try {
+    const [subcommand = '', argument] = command.text.trim().toLowerCase().split(/\s+/);
+
+    if (subcommand === 'on' || subcommand === 'off') {
+      await setNudgeOptOut(command.user_id, subcommand === 'off', requestId);
+      await respond({ text: t(lang, subcommand === 'off' ? 'nudge.opted_out' : 'nudge.opted_in'), response_type: 'ephemeral' });
       return;
     }
-    
-    if (!process.env.HACKATHON_CHANNEL_ID) {
-      logWithContext('warn', 'No HACKATHON_CHANNEL_ID set, skipping daily post', { requestId });
+
+    if (subcommand === '') {
+      const status = await getNudgeStatus(command.user_id, requestId);
+
+      await respond({
+        text: t(lang, 'nudge.status', {
+          optedOut: status.opted_out,
+          lastNudge: status.last_nudge ? formatReminderTime(status.last_nudge, CONFIG.nudgeTimezone, lang) : null,
+          intervalDays: nudgeIntervalDays
+        }),
+        response_type: 'ephemeral'
+      });
       return;
     }
-    
-    const stats = await getIdeaStats(requestId);
-    
-    if (!stats || stats.total === 0) {
-      logWithContext('info', 'No ideas available, skipping daily post', { requestId });
+
+    if (!['report', 'send', 'interval'].includes(subcommand)) {
+      await respond({ text: t(lang, 'nudge.usage'), response_type: 'ephemeral' });
       return;
     }
-    
-    const dailyMessage = generateMotivationalMessage(stats);
-    
-    await app.client.chat.postMessage({
-      channel: process.env.HACKATHON_CHANNEL_ID,
-      text: dailyMessage
-    });
-    
-    logWithContext('info', 'Daily motivational message sent successfully', { 
-      requestId, 
-      totalIdeas: stats.total 
+
+    if (!(await hasPermission(command.user_id, 'nudges.manage', requestId))) {
+      logWithContext('warn', 'Permission denied', { requestId, userId: command.user_id, permission: 'nudges.manage' });
+      await respond({ text: t(lang, 'nudge.no_permission'), response_type: 'ephemeral' });
+      return;
+    }
+
+    if (subcommand === 'interval') {
+      const days = Number(argument);
+
+      if (argument === undefined || !Number.isInteger(days) || days < 0) {
+        await respond({ text: t(lang, 'nudge.usage'), response_type: 'ephemeral' });
+        return;
+      }
+
+      await setNudgeInterval(days, requestId);
+      await respond({ text: t(lang, 'nudge.interval_set', { intervalDays: days, eventLabel: eventLabel(activeEvent) }), response_type: 'ephemeral' });
+      return;
+    }
+
+    const channel = getHackathonChannelId();
+
+    if (!channel) {
+      await respond({ text: t(lang, 'common.no_channel'), response_type: 'ephemeral' });
+      return;
+    }
+
+    if (subcommand === 'report') {
+      const includeAnonymous = await hasPermission(command.user_id, 'ideas.view_anonymous', requestId);
+      const participation = await getParticipation(client, channel, { includeAnonymous }, requestId);
+      await respond({ text: buildParticipationReport(participation, lang), response_type: 'ephemeral' });
+      return;
+    }
+
+    const result = await runNudges({ triggeredBy: command.user_id });
+
+    await respond({
+      text: result.status === 'sent' ?
+        t(lang, 'nudge.send_sent', { sent: result.sent, eligible: result.eligible }) :
+        result.status === 'failed' ?
+          t(lang, 'nudge.failed', { error: result.error.message }) :
+          t(lang, `nudge.send_${result.reason}`, { label: phaseLabel(currentPhase, lang) }),
+      response_type: 'ephemeral'
     });
-    
+
   } catch (error) {
-    logWithContext('error', 'Daily cron job failed', { 
-      requestId, 
-      error: error.message,
-      stack: error.stack
+    logWithContext('error', 'Nudges command failed', { requestId, error: error.message });
+    await respond({
+      text: t(lang, 'nudge.failed', { error: error.message }),
+      response_type: 'ephemeral'
     });
-    
-    try {
-      if (process.env.HACKATHON_CHANNEL_ID) {
-        await app.client.chat.postMessage({
-          channel: CONFIG.adminUserId,
-          text: `🚨 **Daily Motivation Cron Failed**\n\nTime: ${new Date().toISOString()}\nError: ${error.message}\n\nRequest ID: ${requestId}`
-        });
-      }
-    } catch (alertError) {
-      logWithContext('error', 'Failed to send admin alert', { requestId, error: alertError.message });
-    }
   }
-}, {
-  timezone: "Europe/Copenhagen"
 });
 
 // Database initialization
@@ -1168,54 +7312,8 @@ const initDB = async () => {
   try {
     logWithContext('info', 'Initializing database');
     
-    const createIdeasTable = `
-      CREATE TABLE IF NOT EXISTS ideas (
-        id SERIAL PRIMARY KEY,
-        user_id VARCHAR(255) NOT NULL,
-        username VARCHAR(255) NOT NULL,
-        idea_text TEXT NOT NULL,
-        category VARCHAR(255) NOT NULL,
-        message_ts VARCHAR(255) NOT NULL,
-        channel_id VARCHAR(255) NOT NULL,
-        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-        
-        CONSTRAINT ideas_message_ts_unique UNIQUE(message_ts, channel_id)
-      )
-    `;
-    
-    const createReactionsTable = `
-      CREATE TABLE IF NOT EXISTS reactions (
-        id SERIAL PRIMARY KEY,
-        idea_id INTEGER REFERENCES ideas(id) ON DELETE CASCADE,
-        reaction_type VARCHAR(50) NOT NULL,
-        response_text TEXT,
-        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-      )
-    `;
-
-    const createSettingsTable = `
-      CREATE TABLE IF NOT EXISTS bot_settings (
-        id SERIAL PRIMARY KEY,
-        setting_key VARCHAR(255) UNIQUE NOT NULL,
-        setting_value TEXT NOT NULL,
-        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-      )
-    `;
-    
-    const createIndexes = `
-      CREATE INDEX IF NOT EXISTS idx_ideas_created_at ON ideas(created_at);
-      CREATE INDEX IF NOT EXISTS idx_ideas_category ON ideas(category);
-      CREATE INDEX IF NOT EXISTS idx_ideas_user_id ON ideas(user_id);
-      CREATE INDEX IF NOT EXISTS idx_reactions_idea_id ON reactions(idea_id);
-      CREATE INDEX IF NOT EXISTS idx_bot_settings_key ON bot_settings(setting_key);
-    `;
-    
-    await pool.query(createIdeasTable);
-    await pool.query(createReactionsTable);
-    await pool.query(createSettingsTable);
-    await pool.query(createIndexes);
-    
-    logWithContext('info', 'Database tables and indexes created/verified');
+    // Default categories and the first reminder are seeded by the baseline migration, once, under its lock
+    await migrateUp(pool, { logger: logWithContext });
     
     await pool.query('SELECT 1');
     logWithContext('info', 'Database connection test successful');
@@ -1230,61 +7328,106 @@ const initDB = async () => {
 };
 
 // Startup
-(async () => {
+// Offline mode (used by replay.js) leaves out the HTTP server and the reminder cron jobs
+const startBot = async ({ offline = false } = {}) => {
+  logWithContext('info', 'Starting Forteil Hackathon Bot v2.1.0 with Daily Reminder Toggle');
+  
+  const requiredEnvVars = ['SLACK_BOT_TOKEN', 'SLACK_SIGNING_SECRET', 'DATABASE_URL'];
+  const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
+  
+  if (missingVars.length > 0) {
+    throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
+  }
+  
+  followUpDelaysEnabled = !offline;
+  
+  await initDB();
+  
   try {
-    logWithContext('info', 'Starting Forteil Hackathon Bot v2.1.0 with Daily Reminder Toggle');
-    
-    const requiredEnvVars = ['SLACK_BOT_TOKEN', 'SLACK_SIGNING_SECRET', 'DATABASE_URL'];
-    const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
-    
-    if (missingVars.length > 0) {
-      throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
-    }
-    
-    await initDB();
-    
+    await loadActiveEvent('startup');
+  } catch (error) {
+    logWithContext('warn', 'Could not load active event, running without one', { error: error.message });
+  }
+  
+  try {
+    await loadPhase('startup');
+  } catch (error) {
+    logWithContext('warn', 'Could not load hackathon phase, using default', { error: error.message, phase: currentPhase });
+  }
+  
+  try {
+    await loadBroadcastLanguage('startup');
+  } catch (error) {
+    logWithContext('warn', 'Could not load broadcast language, using default', { error: error.message, language: broadcastLanguage });
+  }
+  
+  try {
+    await loadLeaderboardScoring('startup');
+  } catch (error) {
+    logWithContext('warn', 'Could not load leaderboard scoring, using defaults', { error: error.message, scoring: leaderboardScoring });
+  }
+  
+  try {
+    await loadNudgeInterval('startup');
+  } catch (error) {
+    logWithContext('warn', 'Could not load nudge interval, using default', { error: error.message, intervalDays: nudgeIntervalDays });
+  }
+  
+  if (!offline) {
     try {
-      dailyReminderEnabled = await getDailyReminderStatus('startup');
-      logWithContext('info', 'Daily reminder status loaded', { 
-        enabled: dailyReminderEnabled 
-      });
+      await loadReminderSchedules('startup');
     } catch (error) {
-      logWithContext('warn', 'Could not load daily reminder status, using default', { 
-        error: error.message,
-        defaultEnabled: dailyReminderEnabled
-      });
+      logWithContext('warn', 'Could not load reminder schedules, no reminders will be sent', { error: error.message });
     }
     
-    await app.start();
-    
-    logWithContext('info', 'Forteil Hackathon Bot started successfully', {
-      port: process.env.PORT || 3000,
-      environment: process.env.NODE_ENV || 'development',
-      adminUser: CONFIG.adminUserId,
-      dadJokeChance: CONFIG.dadJokeChance,
-      dailyRemindersEnabled: dailyReminderEnabled
+    scheduleDigest('startup');
+    scheduleNudges('startup');
+  }
+  
+  try {
+    await loadCategories('startup');
+  } catch (error) {
+    logWithContext('warn', 'Could not load categories, using defaults', { error: error.message });
+  }
+  
+  try {
+    dailyReminderEnabled = await getDailyReminderStatus('startup');
+    logWithContext('info', 'Daily reminder status loaded', { 
+      enabled: dailyReminderEnabled 
     });
-    
   } catch (error) {
+    logWithContext('warn', 'Could not load daily reminder status, using default', { 
+      error: error.message,
+      defaultEnabled: dailyReminderEnabled
+    });
+  }
+  
+  if (offline) {
+    logWithContext('info', 'Forteil Hackathon Bot ready in offline mode');
+    return;
+  }
+  
+  await app.start();
+  await checkSlackAuth('startup');
+  botReady = true;
+  
+  logWithContext('info', 'Forteil Hackathon Bot started successfully', {
+    port: process.env.PORT || 3000,
+    environment: process.env.NODE_ENV || 'development',
+    adminUser: CONFIG.adminUserId,
+    dadJokeChance: CONFIG.dadJokeChance,
+    dailyRemindersEnabled: dailyReminderEnabled
+  });
+};
+
+if (require.main === module) {
+  startBot().catch(error => {
     logWithContext('error', 'Failed to start application', { 
       error: error.message,
       stack: error.stack 
     });
     process.exit(1);
-  }
-})();
-
-module.exports = { app, pool };
+  });
+}
 
-// Periodic cleanup of rate limit store
-setInterval(() => {
-  const now = Date.now();
-  for (const [userId, timestamps] of rateLimitStore.entries()) {
-    const validTimestamps = timestamps.filter(time => now - time < CONFIG.rateLimitWindow);
-    if (validTimestamps.length === 0) {
-      rateLimitStore.delete(userId);
-    } else {
-      rateLimitStore.set(userId, validTimestamps);
-    }
-  }
-}, CONFIG.rateLimitWindow);
\ No newline at end of file
+module.exports = { app, pool, startBot, waitForFollowUps };
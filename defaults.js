@@ -0,0 +1,37 @@
+// Seed data - written into the database once by the baseline migration, and the fallback
+// app.js uses while the categories table is still empty. Admins manage the live data with
+// /category and /reminders, so changing these only affects new databases.
+
+// Seed data for the categories table - admins manage the live list with /category
+const DEFAULT_CATEGORIES = [
+  {
+    name: '🤖 AI & Automatisering',
+    emoji: 'robot_face',
+    keywords: ['ai:2', 'chatbot:2', 'automatiser', 'machine learning:2', 'intelligent', 'smart']
+  },
+  {
+    name: '🔗 Integrationer',
+    emoji: 'link',
+    keywords: ['slack', 'integration:2', 'api', 'connect', 'sync', 'webhook:2']
+  },
+  {
+    name: '⚙️ Procesoptimering',
+    emoji: 'gear',
+    keywords: ['process', 'workflow', 'effektiv', 'optimering', 'automation', 'streamline']
+  },
+  {
+    name: '📊 Data & Visualisering',
+    emoji: 'bar_chart',
+    keywords: ['dashboard:2', 'rapport', 'data', 'analytics', 'metrics', 'visualisering', 'visualization']
+  },
+  {
+    name: '🎨 UI/UX Forbedringer',
+    emoji: 'art',
+    keywords: ['interface', 'design', 'bruger', 'frontend', 'ui', 'ux', 'mobile']
+  }
+];
+
+// First reminder schedule, seeded into a new reminders table
+const DEFAULT_REMINDER = { cronExpression: '0 9 * * *', timezone: 'Europe/Copenhagen' };
+
+module.exports = { DEFAULT_CATEGORIES, DEFAULT_REMINDER };
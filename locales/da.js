@@ -0,0 +1,694 @@
+// Danish message catalog - the default language and the fallback for keys missing in other locales
+module.exports = {
+  name: 'Dansk',
+  dateLocale: 'da-DK',
+
+  motivationalMessages: [
+    (total) => `🌅 God morgen, idé-maskiner, alle jer vidunderlige Forteilees! Vi har ${total} fantastiske idéer indtil nu!`,
+    (total) => `☕ Kaffe-tid! Vores idé-tæller står på ${total} - skal vi runde op, kære Forteilees?`,
+    (total) => `🧠 Dagens brainstorm-update: ${total} idéer og counting, fantastiske Forteilees!`,
+    (total) => `⚡ Lynrunde! Vi har ${total} idéer - hvad kommer der næst, dygtige Forteilees?`,
+    (total) => `🎯 Målrettet opdatering: ${total} idéer på tavlen, vidunderlige Forteilees!`
+  ],
+
+  funnyResponses: [
+    "🚀 Den idé fik lige min indre nørd til at juble!",
+    "💡 *Chef's kiss* - det er simpelt og smart!",
+    "🤖 Beep boop! Min algoritme siger: GENIAL!",
+    "⚡ Den idé sparkler som fresh commits på fredag eftermiddag!",
+    "🎯 Bulls-eye! Det rammer lige i Forteil-filosofien!",
+    "🔥 Hot take alert! Den her idé er 🔥🔥🔥",
+    "🎪 *Standing ovation fra alle mine virtuelle personligheder*",
+    "💎 Rare gem spotted! Den her går direkte til favorit-listen!",
+    "🎨 Kreativitet level: Over 9000!",
+    "🍕 Den idé fortjener pizza som belønning!"
+  ],
+
+  dadJokes: [
+    "Hvorfor elsker programmører mørke? Fordi lys tiltrækker bugs! 🐛",
+    "Hvad siger en AI når den er træt? 'Jeg trænger til at reboote!' 💤",
+    "Hvorfor gik API'et til tandlægen? Det havde dårlige endpoints! 🦷",
+    "Hvad kalder man en hacker der laver kaffe? En Java developer! ☕",
+    "Hvorfor blev robotten fyret? Den havde for mange glitches i sin performance review! 🤖",
+    "Hvad er forskellen på en programmør og en almindelig person? Programmøren tænker der er 10 typer mennesker i verden!",
+    "Hvorfor gik udvikler til psykologen? Hun havde for mange issues!",
+    "Hvad siger en database til en anden? Skal vi JOIN sammen?"
+  ],
+
+  phases: {
+    idea_collection: {
+      label: '💡 Idé-indsamling',
+      description: 'Del jeres idéer med "Ide: ..." eller `/idea` - og stem på de bedste med emojis!'
+    },
+    voting: {
+      label: '🗳️ Afstemning',
+      description: 'Idé-indsamlingen er lukket. Stem på jeres favoritter med emoji-reaktioner - se `/top-ideas`.'
+    },
+    team_forming: {
+      label: '👥 Holddannelse',
+      description: 'Find dit hold! Brug `/join-idea <id>` eller "Join team"-knappen - se `/teams`.'
+    },
+    hacking: {
+      label: '💻 Hacking',
+      description: 'Holdene er låst - nu bygger vi! God fornøjelse 🚀'
+    },
+    judging: {
+      label: '⚖️ Bedømmelse',
+      description: 'Dommerne bedømmer projekterne med `/judge`. Spændingen stiger!'
+    },
+    closed: {
+      label: '🏁 Afsluttet',
+      description: 'Hackathon er slut - tak for jeres idéer og energi! 🎉'
+    }
+  },
+
+  messages: {
+    'common.cancel': 'Annullér',
+    'common.ok': 'OK',
+    'common.no_channel': '❌ HACKATHON_CHANNEL_ID ikke konfigureret!',
+    'common.permission_denied': ({ roles }) => `❌ Du har ikke adgang til det her (kræver rolle: ${roles.join(' eller ')}).`,
+    'common.event_not_found': ({ id }) => `❌ Event ${id} findes ikke. Se \`/event list\``,
+
+    'time.just_now': 'lige nu',
+    'time.minutes_ago': ({ count }) => `${count} min siden`,
+    'time.hours_ago': ({ count }) => `${count} timer siden`,
+    'time.days_ago': ({ count }) => `${count} dage siden`,
+    'time.seconds': ({ count }) => `${count} sek.`,
+    'time.minutes': ({ count }) => `${count} min.`,
+    'time.wait_until': ({ wait, time }) => `${wait} (kl. ${time})`,
+
+    'rate_limit.text': ({ retry }) => `⏳ Hov, du er lidt for hurtig! Du kan prøve igen om ${retry}.`,
+
+    'phase.closed': ({ what, label, description }) => `🚪 ${what} er lukket i fasen *${label}*.\n_${description}_`,
+    'phase.closed.ideas': 'Idé-indsamlingen',
+    'phase.closed.teams': 'Holddannelsen',
+    'phase.closed.judging': 'Bedømmelsen',
+    'phase.show': ({ eventLabel, label, description, overview }) =>
+      `*🧭 Hackathon-fase${eventLabel}:* ${label}\n_${description}_\n\n${overview}\n\n_Skift fase med \`/phase set <fase>\` (navn eller nummer)_`,
+    'phase.no_permission': '❌ Du har ikke adgang til at skifte fase.',
+    'phase.unknown': ({ phase, overview }) => `❌ Ukendt fase: \`${phase}\`\n\n${overview}`,
+    'phase.already': ({ label }) => `ℹ️ Hackathon er allerede i fasen *${label}*.`,
+    'phase.announcement': ({ label }) => `🧭 Ny fase: ${label}`,
+    'phase.changed_by': ({ from, to, userId }) => `${from} ➡️ ${to} • skiftet af <@${userId}>`,
+    'phase.set': ({ label, announced }) => `✅ Fasen er nu *${label}*${announced ? ' og er annonceret i kanalen' : ''}.`,
+    'phase.failed': ({ error }) => `❌ Fase-kommando fejlede: ${error}`,
+
+    'idea.not_saved_hint': 'Din idé er ikke gemt - post den igen derefter 💡',
+    'idea.similar': ({ id, username, percent, permalink }) =>
+      `👀 Den her ligner idé #${id} af ${username} (${percent}% match): <${permalink}|se idéen>\nMåske I skal slå jer sammen? 🤝`,
+    'idea.join_button': '🙋 Join team',
+    'idea.dad_joke': ({ joke }) => `Bonus dad joke: ${joke}`,
+    'idea.modal_failed': ({ error }) => `❌ Kunne ikke åbne idé-formularen: ${error}`,
+    'idea.modal_no_channel': 'HACKATHON_CHANNEL_ID er ikke konfigureret - kontakt admin.',
+    'idea.modal_closed': ({ label }) => `Idé-indsamlingen er lukket (${label}).`,
+    'idea.save_failed': ({ title, error }) => `❌ Din idé "${title}" kunne ikke gemmes: ${error}`,
+    'idea.posted_fallback': ({ title, userId }) => `Ide: ${title} (delt af <@${userId}>)`,
+    'idea.posted_anonymously_fallback': ({ title }) => `Ide: ${title} (delt anonymt)`,
+
+    'anonymous.username': 'Anonym',
+    'anonymous.dm_help': '🕶️ Skriv "Ide: ..." her, så poster jeg idéen anonymt i hackathon-kanalen. Kun admins kan se, at det er dig.',
+    'anonymous.posted': ({ id, permalink }) => `🕶️ Din idé #${id} er delt anonymt: <${permalink}|se idéen>\nKun admins kan se, at det er dig.`,
+
+    'idea_modal.title': '💡 Ny idé',
+    'idea_modal.submit': 'Del idé',
+    'idea_modal.title_label': 'Titel',
+    'idea_modal.title_placeholder': 'Fx: AI chatbot til HR-spørgsmål',
+    'idea_modal.problem_label': 'Problem',
+    'idea_modal.problem_placeholder': 'Hvilket problem løser idéen?',
+    'idea_modal.solution_label': 'Løsningsforslag',
+    'idea_modal.solution_placeholder': 'Hvordan vil du løse det?',
+    'idea_modal.category_label': 'Kategori',
+    'idea_modal.category_placeholder': 'Vælg kategori (ellers automatisk)',
+    'idea_modal.skills_label': 'Kompetencer vi mangler',
+    'idea_modal.skills_placeholder': 'Fx: frontend, data, design',
+    'idea_modal.anonymous_label': 'Anonymitet',
+    'idea_modal.anonymous_option': '🕶️ Del anonymt - kun admins kan se, at det er dig',
+
+    'idea_blocks.problem': '*🧩 Problem:*',
+    'idea_blocks.solution': '*🛠️ Løsningsforslag:*',
+    'idea_blocks.skills': '*🧠 Kompetencer vi mangler:*',
+    'idea_blocks.shared_by': ({ userId, category }) => `Delt af <@${userId}> • ${category}`,
+    'idea_blocks.builds_on': ({ id }) => `🌱 Bygger videre på idé #${id}`,
+    'idea_blocks.shared_anonymously': ({ category }) => `🕶️ Delt anonymt • ${category}`,
+
+    'stats.secondary': ({ count }) => ` (+${count} som sekundær)`,
+    'stats.no_categories': 'Ingen kategorier endnu',
+    'stats.no_users': 'Ingen brugere endnu',
+    'stats.user_line': ({ rank, username, count }) => `${rank}. ${username}: ${count} idéer`,
+    'stats.status_ready': 'Vi er klar til at rocke hackathon! 🚀',
+    'stats.status_need_more': 'Vi har brug for flere idéer! Kom nu, folk! <!channel>',
+    'stats.message': ({ eventLabel, total, categories, users, status }) => `
+🎯 *Hackathon Idé-Status${eventLabel}*
+
+📈 *Total idéer:* ${total}
+
+📊 *Kategorier:*
+${categories}
+
+🏆 *Top Idé-Generatorer:*
+${users}
+
+💪 *Status:* ${status}
+
+_Fortsæt med at dele idéer i #hackathon-ideas!_
+    `,
+    'stats.db_error': '❌ Kunne ikke hente statistikker. Database fejl - kontakt admin.',
+    'stats.failed': '❌ Ups! Noget gik galt ved hentning af statistikker. Prøv igen om lidt! 🤖',
+
+    'motivation.top_category': ({ category, count }) => `\n🏆 Mest populære kategori: ${category} (${count} idéer)`,
+    'motivation.footer': '\n\n💡 Brug /hackathon-stats for fuld oversigt!\n\n<!channel> Få delt flere idéer! 🚀',
+    'motivation.voting': ({ total }) =>
+      `🗳️ Afstemningen er i gang! ${total} idéer venter på jeres stemmer.\n\nReager med en emoji på jeres favoritter og se stillingen med /top-ideas 🏆`,
+    'motivation.team_forming': '👥 Har du fundet dit hold? Se holdene med /teams og join med /join-idea <id>.\n\n<!channel> Snart går hacking i gang! 🚀',
+    'motivation.hacking': '💻 God hacking-dag! Husk at committe tidligt og ofte - og hold pauser 🍕',
+    'motivation.no_top_category': 'ingen endnu',
+
+    'motivate.rate_limited_hint': 'Kanalen skal ikke drukne i motivationsbeskeder 😉',
+    'motivate.phase_blocked': ({ label }) => `⚠️ Der sendes ingen motivation i fasen *${label}*.`,
+    'motivate.no_ideas': '⚠️ Ingen idéer i database endnu - post nogle "Ide:" beskeder først!',
+    'motivate.sent': ({ total, time }) =>
+      `✅ **Manuel motivationsbesked sendt!**\n\n📊 Stats: ${total} idéer\n🕐 Tid: ${time}\n🎯 Besked sendt til #hackathon-ideas`,
+    'motivate.failed': ({ error }) => `❌ **Fejl ved afsendelse:**\n\n\`\`\`${error}\`\`\``,
+
+    'reminder.enabled_announcement': ({ next }) => `🔔 Påmindelser er nu aktiveret! ${next} 🌅`,
+    'reminder.disabled_announcement': '🔕 Daglige påmindelser er nu deaktiveret. Brug `/motivate-now` for manuel motivation 💪',
+    'reminder.next': ({ time, timezone, id }) => `Næste påmindelse: ${time} (${timezone}, skema #${id})`,
+    'reminder.none_scheduled': 'Ingen aktive påmindelses-skemaer - se `/reminders`',
+    'reminder.header': '🔔 Daglige Påmindelser',
+    'reminder.status_on': 'AKTIVERET',
+    'reminder.status_off': 'DEAKTIVERET',
+    'reminder.none_sent': 'Ingen automatiske påmindelser sendes',
+    'reminder.none_planned': 'Ingen automatiske påmindelser planlagt',
+    'reminder.toggle_status': ({ emoji, status, next }) =>
+      `${emoji} **Status: ${status}**\n\n📅 ${next}\n\n_Brug \`/toggle-daily-reminder\` for at skifte igen_`,
+    'reminder.admin_info': ({ userId, time, channel }) =>
+      `*⚙️ Admin Info:*\n• Ændret af: <@${userId}>\n• Tidspunkt: ${time}\n• Kanal: ${channel}`,
+    'reminder.channel_missing': 'Ikke konfigureret',
+    'reminder.toggle_failed': ({ error }) =>
+      `❌ **Fejl ved ændring af påmindelser:**\n\n\`\`\`${error}\`\`\`\n\nPrøv igen eller kontakt tech support.`,
+    'reminder.admin_hint': '\n\n🔧 _Som admin kan du bruge `/toggle-daily-reminder` for at ændre status og `/reminders` for at styre skemaerne_',
+    'reminder.status_message': ({ emoji, status, next, adminInfo }) =>
+      `🔔 **Daglige Påmindelser**\n\n${emoji} Status: **${status}**\n📅 ${next}${adminInfo}`,
+    'reminder.status_failed': ({ error }) => `❌ Kunne ikke hente påmindelse status: ${error}`,
+
+    'help.message': ({ phaseLabel, phaseDescription, phaseKeys, categories }) => `
+🤖 **Forteil Hackathon Bot - Hjælp**
+
+**🧭 Fase lige nu:** ${phaseLabel} - ${phaseDescription}
+
+**📝 Sådan Poster Du en Idé:**
+Start din besked med "Ide:" efterfulgt af din idé:
+\`Ide: AI chatbot til HR-spørgsmål\`
+Eller brug \`/idea\` for en formular med problem, løsning og kompetencer
+Vil du være anonym? Skriv \`Ide: ...\` i en DM til botten eller sæt flueben i formularen
+
+**🎯 Bot Reaktioner:**
+- 2 emoji reactions (random + kategori)
+- Vittigt svar i thread
+- 25% chance for bonus dad joke
+- Automatisk kategorisering (primær kategori + sekundære tags) og database lagring
+
+**🗳️ Afstemning:**
+Reager med en emoji på en idé for at stemme på den (egne idéer tæller ikke)
+
+**📊 Kommandoer:**
+- \`/hackathon-stats\` - Se alle statistikker
+- \`/hackathon-help\` - Denne hjælp besked
+- \`/leaderboard [week] [category:<id>]\` - Live rangliste med point (alle kan se)
+- \`/top-ideas\` - Idéer med flest stemmer
+- \`/idea-tree <id>\` - Se hvilke idéer der bygger videre på hinanden
+- \`/digest [on|off|preview]\` - Ugentlig digest af nye idéer, også som DM
+- \`/nudges [on|off]\` - Personlig påmindelse, hvis du ikke har delt en idé
+- \`/language [da|en|auto]\` - Vælg dit sprog (\`/language channel <da|en>\` for kanalens sprog)
+- \`/motivate-now\` - Admin/arrangør: Send motivation nu
+- \`/show-ideas\` - Admin/arrangør/dommer: Visuelt overblik (\`/show-ideas deleted\` for slettede)
+- \`/similar-ideas\` - Admin/arrangør: Mulige dublet-idéer
+- \`/export-ideas [csv|json|md]\` - Admin/arrangør: Eksportér alle idéer som fil (filtre: \`category:<id>\`, \`from:\`, \`to:\`)
+- \`/roles grant|revoke|list\` - Admin: Administrér roller (admin, organizer, judge)
+- \`/api-tokens create|list|revoke\` - Admin: Tokens til REST API'et (/api/ideas, /api/stats, /api/leaderboard)
+- \`/rate-limits [@bruger] | reset @bruger [handling]\` - Admin: Se og nulstil rate limits
+- \`/leaderboard scoring [nøgle=vægt ...|reset]\` - Admin/arrangør: Point for idéer, stemmer, kommentarer og hold
+- \`/digest send|history\` - Admin/arrangør: Send ugens digest nu eller se tidligere digests
+- \`/nudges report|send|interval <dage>\` - Admin/arrangør: Deltagelsesrapport og personlige påmindelser
+
+**👥 Hold:**
+- \`/join-idea <id>\` - Join holdet bag en idé (eller tryk "Join team" i tråden)
+- \`/leave-idea [id]\` - Forlad dit hold
+- \`/teams\` - Se alle hold
+
+**⚖️ Bedømmelse:**
+- \`/judge [id]\` - Dommer: Bedøm idéer og hold ud fra rubric'en
+- \`/judging rubric|criterion|assign|results|publish\` - Admin/arrangør: Rubric, dommere og resultater
+
+**🧭 Faser:**
+- \`/phase\` - Se den aktuelle fase (${phaseKeys})
+- \`/phase set <fase>\` - Admin/arrangør: Skift fase og annoncér det i kanalen
+
+**📅 Events:**
+- \`/event list\` - Se alle hackathon-events
+- \`/event create|activate|archive\` - Admin/arrangør: Administrér events
+- Tilføj \`event:<id>\` til stats, leaderboard, top-ideas, teams og show-ideas for at se et tidligere event
+
+**🏷️ Kategori Commands:**
+- \`/category list\` - Se kategorier og keywords
+- \`/category add|edit|remove|recategorize\` - Admin: Administrér kategorier
+
+**🔔 Reminder Commands:**
+- \`/toggle-daily-reminder\` - Admin/arrangør: Skru daglige påmindelser til/fra
+- \`/reminder-status\` - Se status for daglige påmindelser
+- \`/reminders list\` - Se påmindelses-skemaer og næste afsendelse
+- \`/reminders add|pause|resume|remove\` - Admin/arrangør: Styr skemaer (cron, tidszone, kanal, skabelon)
+
+**🏷️ Kategorier:**
+${categories}
+
+**💡 Tips:**
+- Vær specifik i dine idé-beskrivelser
+- Byg videre på andres idéer - svar i tråden eller skriv 'bygger på #id'
+- Brug /hackathon-stats for at se fremgang
+- Check /leaderboard for at se din ranking
+
+**🚀 Ready to innovate? Start med "Ide:" og lad kreativiteten flyde!**
+  `,
+
+    'leaderboard.empty': '📊 Ingen data til leaderboard endnu!\n\nStart med at poste en idé: `Ide: Min fantastiske idé`',
+    'leaderboard.header': ({ eventLabel }) => `🏆 Hackathon Leaderboard${eventLabel}`,
+    'leaderboard.subtitle': '_Live ranking af idé-generatorer! 🚀_',
+    'leaderboard.scoring': ({ idea, vote, comment, comment_received, team, half_life }) =>
+      `Point: 💡 idé ${idea} • 🗳️ stemme ${vote} • 🗨️ kommentar ${comment} (modtaget ${comment_received}) • 👥 hold ${team}${half_life > 0 ? ` • ⏳ halveres efter ${half_life} dage` : ''}`,
+    'leaderboard.view_week': 'Denne uge',
+    'leaderboard.usage': ({ token }) =>
+      `❌ Ukendt filter: \`${token}\`\n\n*🏆 /leaderboard - Brug:*\n• \`/leaderboard\` - Hele eventet\n• \`/leaderboard week\` - Kun point optjent i denne uge\n• \`/leaderboard category:<id>\` - Kun idéer i en kategori, se \`/category list\`\n• \`event:<id>\` - Et tidligere event`,
+    'leaderboard.entry': ({ trophy, rank, username, points, count, votes, commentsWritten, commentsReceived, onTeam, categories, timeAgo }) =>
+      `${trophy} *${rank}. ${username}* - *${points} point*\n📊 ${count} idéer • 🗳️ ${votes} stemmer • 🗨️ ${commentsWritten} skrevet / ${commentsReceived} modtaget${onTeam ? ' • 👥 på et hold' : ''}\n${categories ? `🏷️ ${categories} • ` : ''}⏰ Seneste aktivitet: ${timeAgo}`,
+    'leaderboard.tips': [
+      "🚀 Kom i gang med: `Ide: Din fantastiske idé her`",
+      "💡 Brug `/hackathon-help` for at se alle commands",
+      "🎯 Mål: 50+ idéer til hackathon!",
+      "⚡ Jo flere idéer, jo bedre hackathon!"
+    ],
+    'leaderboard.updated': ({ time }) => `🔄 Opdateret: ${time} | Brug \`/leaderboard\` for at opdatere`,
+    'leaderboard.failed': ({ error }) => `❌ Leaderboard kunne ikke indlæses: ${error}`,
+
+    'scoring.key.idea': 'Idé postet',
+    'scoring.key.vote': 'Stemme modtaget',
+    'scoring.key.comment': 'Kommentar skrevet',
+    'scoring.key.comment_received': 'Kommentar modtaget',
+    'scoring.key.team': 'Med på et hold',
+    'scoring.key.half_life': ({ min }) => `Halveringstid i dage (0 = ingen decay, ellers mindst ${min})`,
+    'scoring.line': ({ key, label, value, defaultValue }) =>
+      `• \`${key}\` - ${label}: *${value}*${defaultValue !== null ? ` _(standard ${defaultValue})_` : ''}`,
+    'scoring.usage': `*🏆 /leaderboard scoring - Brug:*
+• \`/leaderboard scoring\` - Se vægtene for det aktive event
+• \`/leaderboard scoring idea=10 vote=3 half_life=7\` - Skift en eller flere vægte
+• \`/leaderboard scoring reset\` - Tilbage til standardvægtene`,
+    'scoring.denied': '❌ Du har ikke adgang til at ændre leaderboardets point.',
+    'scoring.current': ({ eventLabel, description, usage }) => `*🏆 Point for leaderboardet${eventLabel}:*\n${description}\n\n${usage}`,
+    'scoring.reset': ({ description }) => `🔄 Standardvægtene bruges igen:\n${description}`,
+    'scoring.invalid': ({ arg, min, usage }) =>
+      `❌ Ugyldig vægt: \`${arg}\` - vægte skal være 0 eller mere, og \`half_life\` 0 eller mindst ${min}.\n\n${usage}`,
+    'scoring.updated': ({ eventLabel, description }) => `✅ Leaderboardets point er opdateret${eventLabel}:\n${description}`,
+
+    'top_ideas.empty': '🗳️ Ingen stemmer endnu!\n\nStem på en idé ved at reagere med en emoji på idé-beskeden.',
+    'top_ideas.header': ({ eventLabel }) => `🗳️ Top Idéer${eventLabel}`,
+    'top_ideas.subtitle': '_Idéerne med flest stemmer - reager med en emoji for at stemme!_',
+    'top_ideas.votes': ({ count }) => `${count} ${parseInt(count) === 1 ? 'stemme' : 'stemmer'}`,
+    'top_ideas.updated': ({ time }) => `🔄 Opdateret: ${time} | Egne stemmer og bot-reaktioner tæller ikke`,
+    'top_ideas.failed': ({ error }) => `❌ Top idéer kunne ikke indlæses: ${error}`,
+
+    'teams.join_usage': '❓ Brug: `/join-idea <id>` - fx `/join-idea 42`. Se idé-numre med `/top-ideas` eller `/teams`.',
+    'teams.join_failed': ({ error }) => `❌ Kunne ikke tilmelde dig holdet: ${error}`,
+    'teams.idea_not_found': ({ id }) => `❌ Idé #${id} findes ikke.`,
+    'teams.already_member': ({ id }) => `👍 Du er allerede på holdet for idé #${id}.`,
+    'teams.in_other_team': ({ id }) => `⚠️ Du er allerede på holdet for idé #${id}. Brug \`/leave-idea ${id}\` først.`,
+    'teams.full': ({ id, max }) => `😬 Holdet for idé #${id} er fuldt (${max}/${max}).`,
+    'teams.joined_thread': ({ userId, count, max }) => `🙋 <@${userId}> er med på holdet! (${count}/${max})`,
+    'teams.joined': ({ id, count, max }) => `✅ Du er nu på holdet for idé #${id} (${count}/${max})!`,
+    'teams.not_in_team': '🤷 Du er ikke på noget hold endnu. Brug `/join-idea <id>` for at joine et.',
+    'teams.left_thread': ({ userId }) => `👋 <@${userId}> har forladt holdet.`,
+    'teams.left': ({ id }) => `👋 Du har forladt holdet for idé #${id}.`,
+    'teams.leave_failed': ({ error }) => `❌ Kunne ikke forlade holdet: ${error}`,
+    'teams.empty': '👥 Ingen hold endnu!\n\nJoin en idé med `/join-idea <id>` eller "Join team"-knappen i idéens tråd.',
+    'teams.header': ({ eventLabel }) => `👥 Hackathon Hold${eventLabel}`,
+    'teams.full_suffix': ' (fuldt)',
+    'teams.footer': ({ max }) => `Max ${max} per hold • Én person, ét hold • \`/join-idea <id>\` / \`/leave-idea\``,
+    'teams.failed': ({ error }) => `❌ Hold kunne ikke indlæses: ${error}`,
+
+    'judge.no_team': '_intet hold endnu_',
+    'judge.score_placeholder': ({ min, max }) => `Score ${min}-${max}`,
+    'judge.criterion_label': ({ name, weight }) => `${name} (vægt ${weight})`,
+    'judge.comment_label': ({ name }) => `Kommentar - ${name}`,
+    'judge.modal_title': ({ id }) => `⚖️ Bedøm #${id}`,
+    'judge.submit': 'Gem bedømmelse',
+    'judge.not_judge': '❌ Du er ikke tildelt som dommer for dette event.',
+    'judge.no_criteria': '⚠️ Der er ingen bedømmelseskriterier endnu. Bed en arrangør om at oprette dem med `/judging criterion add`.',
+    'judge.idea_not_found': ({ id }) => `❌ Idé #${id} findes ikke i dette event.`,
+    'judge.no_ideas': '⚖️ Der er ingen idéer at bedømme endnu.',
+    'judge.header': ({ eventLabel }) => `⚖️ Bedømmelse${eventLabel}`,
+    'judge.progress': ({ scored, total, criteria }) => `${scored}/${total} bedømt • ${criteria}`,
+    'judge.rescore_button': 'Ret bedømmelse',
+    'judge.score_button': 'Bedøm',
+    'judge.failed': ({ error }) => `❌ Kunne ikke starte bedømmelse: ${error}`,
+    'judge.open_failed': ({ error }) => `❌ Kunne ikke åbne bedømmelsen: ${error}`,
+    'judge.saved': ({ id }) => `✅ Din bedømmelse af idé #${id} er gemt. Brug \`/judge\` for at fortsætte.`,
+    'judge.save_failed': ({ id, error }) => `❌ Din bedømmelse af idé #${id} kunne ikke gemmes: ${error}`,
+
+    'home.header': '🚀 Forteil Hackathon',
+    'home.position': ({ position, total }) => `Du er nr. *${position}* af ${total} på leaderboardet 🏆`,
+    'home.not_on_leaderboard': 'Du er ikke på leaderboardet endnu - del din første idé! 🚀',
+    'home.total_ideas': ({ total }) => `*📊 Total Idéer:*\n${total}`,
+    'home.generators': ({ count }) => `*👥 Idé-Generatorer:*\n${count}`,
+    'home.top_category': ({ value }) => `*🏆 Top Kategori:*\n${value}`,
+    'home.none_yet': 'Ingen endnu',
+    'home.reminder': ({ value }) => `*🔔 Daglig Påmindelse:*\n${value}`,
+    'home.reminder_on': ({ next }) => `✅ Aktiveret\n_${next}_`,
+    'home.reminder_off': '❌ Deaktiveret',
+    'home.your_status': ({ text }) => `*🙋 Din Status*\n${text}`,
+    'home.your_ideas': ({ count }) => `*💡 Dine Idéer (${count})*`,
+    'home.no_ideas': 'Ingen idéer endnu. Start en besked med "Ide:" i hackathon-kanalen eller brug `/idea`.',
+    'home.idea_meta': ({ category, votes, reactions, timeAgo }) => `${category} • 🗳️ ${votes} stemmer • 💬 ${reactions} reaktioner • ${timeAgo}`,
+    'home.motivate_button': '📣 Send motivation nu',
+    'home.motivate_confirm_title': 'Send motivation?',
+    'home.motivate_confirm_text': 'Beskeden sendes til hele hackathon-kanalen.',
+    'home.send': 'Send',
+    'home.reminders_off_button': '🔕 Slå påmindelser fra',
+    'home.reminders_on_button': '🔔 Slå påmindelser til',
+    'home.admin': '*⚙️ Admin*',
+    'home.updated': ({ time }) => `🔄 Opdateret: ${time} • 🌐 \`/language\``,
+
+    'language.current': ({ language, source, channelLanguage }) =>
+      `🌐 Dit sprog er *${language}* (${source}).\nKanalens sprog er *${channelLanguage}*.\n\n_Skift med \`/language da\` eller \`/language en\` - \`/language auto\` følger din Slack-indstilling._`,
+    'language.source.preference': 'valgt af dig',
+    'language.source.slack': 'fra din Slack-indstilling',
+    'language.source.default': 'standard for kanalen',
+    'language.set': ({ language }) => `✅ Jeg skriver nu til dig på *${language}*.`,
+    'language.reset': ({ language }) => `✅ Jeg følger nu din Slack-indstilling (*${language}* lige nu).`,
+    'language.usage': ({ languages }) =>
+      `*🌐 /language - Brug:*\n• \`/language\` - Se dit sprog\n• \`/language <${languages}>\` - Vælg sprog\n• \`/language auto\` - Følg din Slack-indstilling\n• \`/language channel <${languages}>\` - Admin/arrangør: Sprog for beskeder i kanalen`,
+    'language.channel_set': ({ language, eventLabel }) => `✅ Beskeder i kanalen${eventLabel} sendes nu på *${language}*.`,
+    'language.channel_no_permission': '❌ Du har ikke adgang til at ændre kanalens sprog.',
+    'language.failed': ({ error }) => `❌ Sprog-kommando fejlede: ${error}`,
+
+    'lineage.linked': ({ id, parentId }) => `🌱 Idé #${id} bygger nu videre på idé #${parentId}. Se hele træet med \`/idea-tree ${id}\``,
+    'lineage.not_found': ({ parentId }) => `❌ Idé #${parentId} findes ikke - tjek nummeret.`,
+    'lineage.self': '❌ En idé kan ikke bygge videre på sig selv.',
+    'lineage.cycle': ({ id, parentId }) => `❌ Idé #${parentId} bygger allerede videre på idé #${id} - det ville give en løkke.`,
+    'lineage.not_an_idea': '❌ Den besked er ikke en idé - vælg en besked der starter med "Ide:".',
+    'lineage.modal_context': ({ id, title }) => `🌱 Bygger videre på idé #${id}: _${title}_`,
+
+    'tree.usage': '*🌳 /idea-tree - Brug:*\n• `/idea-tree <id>` - Se idéen, hvad den bygger på og hvad der bygger videre på den',
+    'tree.not_found': ({ id }) => `❌ Idé #${id} findes ikke.`,
+    'tree.header': ({ id }) => `*🌳 Idé-træ for #${id}*`,
+    'tree.node': ({ id, title, username, comments }) => `*#${id}* ${title} - ${username} • 🗨️ ${comments}`,
+    'tree.deleted': ' _(slettet)_',
+    'tree.more': ({ count }) => `_...og ${count} mere_`,
+    'tree.failed': ({ error }) => `❌ Kunne ikke hente idé-træet: ${error}`,
+
+    'digest.header': ({ eventLabel }) => `📬 Ugens idéer${eventLabel}`,
+    'digest.period': ({ from, to, count }) => `${from} - ${to} • ${count} nye idéer`,
+    'digest.new_ideas': ({ count }) => count > 0 ? `*💡 Nye idéer siden sidste digest (${count}):*` : '*💡 Ingen nye idéer siden sidste digest* - men der er stadig liv i de gamle:',
+    'digest.idea_line': ({ link, username, category }) => `• ${link} - ${username} • ${category}`,
+    'digest.more': ({ count }) => `_...og ${count} mere - se dem alle med \`/show-ideas\` eller i kanalen_`,
+    'digest.most_voted': '*🗳️ Flest stemmer i ugen:*',
+    'digest.voted_line': ({ rank, link, count }) => `${rank}. ${link} - ${count} ${count === 1 ? 'stemme' : 'stemmer'}`,
+    'digest.most_discussed': '*🗨️ Mest diskuteret i ugen:*',
+    'digest.discussed_line': ({ rank, link, count }) => `${rank}. ${link} - ${count} ${count === 1 ? 'kommentar' : 'kommentarer'}`,
+    'digest.growing': '*📈 Kategorier i vækst:*',
+    'digest.growing_line': ({ category, added, total }) => `• ${category}: +${added} (nu ${total})`,
+    'digest.footer': '📬 Vil du have digesten som DM? Skriv `/digest on`',
+    'digest.fallback': ({ count }) => `📬 Ugens idéer: ${count} nye idéer siden sidste digest`,
+    'digest.status': ({ optedIn, lastRun, nextRun }) =>
+      `*📬 Ugentlig digest*\n• DM til dig: *${optedIn ? 'til' : 'fra'}* (\`/digest ${optedIn ? 'off' : 'on'}\` for at skifte)\n• Seneste digest: ${lastRun || 'ingen endnu'}\n• Næste digest: ${nextRun || 'ikke planlagt'}\n\n_Se hvad næste digest indeholder med \`/digest preview\`_`,
+    'digest.opted_in': '✅ Du får nu den ugentlige digest som DM. Slå den fra med `/digest off`.',
+    'digest.opted_out': '🔕 Du får ikke længere den ugentlige digest som DM. Den bliver stadig postet i kanalen.',
+    'digest.preview_empty': '📭 Intet nyt siden sidste digest endnu.',
+    'digest.usage': '*📬 /digest - Brug:*\n• `/digest` - Se status\n• `/digest on|off` - Få digesten som DM\n• `/digest preview` - Se næste digest nu\n• `/digest send` - Admin/arrangør: Send ugens digest nu\n• `/digest history` - Admin/arrangør: Tidligere digests',
+    'digest.no_permission': '❌ Du har ikke adgang til at sende digests.',
+    'digest.send_sent': ({ ideas, dms }) => `✅ Digesten er sendt med ${ideas} nye idéer (${dms} DM'er).`,
+    'digest.send_empty': '📭 Intet nyt siden sidste digest - der blev ikke sendt noget.',
+    'digest.send_duplicate': '⚠️ Ugens digest er allerede sendt (eller ved at blive sendt). Se `/digest history`.',
+    'digest.send_skipped': 'HACKATHON_CHANNEL_ID er ikke konfigureret - kontakt admin.',
+    'digest.send_failed': ({ error }) => `❌ Digesten fejlede: ${error}\nPrøv igen med \`/digest send\`.`,
+    'digest.history_header': '*📬 Seneste digests:*',
+    'digest.history_line': ({ id, time, status, ideas, dms, triggeredBy }) => `• #${id} ${time} - *${status}* • ${ideas} idéer • ${dms} DM'er • ${triggeredBy}`,
+    'digest.history_empty': '📭 Der er ikke sendt nogen digests endnu.',
+    'digest.failed': ({ error }) => `❌ Digest-kommando fejlede: ${error}`,
+
+    'nudge.intro': ({ channel, eventLabel }) => `👋 Hej! Vi mangler stadig din idé til hackathonet${eventLabel} i <#${channel}>. Den behøver ikke være færdig - en halv idé er et godt sted at starte 💡`,
+    'nudge.examples': '*Til inspiration har dine kolleger fx foreslået:*',
+    'nudge.example': ({ link, username }) => `• ${link} - ${username}`,
+    'nudge.how_to': 'Skriv en besked der starter med `Ide:` i kanalen, eller tryk på knappen her 👇',
+    'nudge.share_button': '💡 Del en idé',
+    'nudge.opt_out_button': '🔕 Ingen flere påmindelser',
+    'nudge.footer': 'Du får højst én påmindelse pr. periode og ingen, når du har delt en idé. Slå dem fra med `/nudges off`.',
+    'nudge.fallback': '👋 Vi mangler stadig din idé til hackathonet!',
+    'nudge.opted_out': '🔕 Du får ikke flere personlige påmindelser. Slå dem til igen med `/nudges on`.',
+    'nudge.opted_in': '🔔 Du får igen en personlig påmindelse, hvis du ikke har delt en idé.',
+    'nudge.status': ({ optedOut, lastNudge, intervalDays }) =>
+      `*🔔 Personlige påmindelser*\n• Til dig: *${optedOut ? 'fra' : 'til'}* (\`/nudges ${optedOut ? 'on' : 'off'}\` for at skifte)\n• Seneste påmindelse: ${lastNudge || 'ingen'}\n• Højst én påmindelse hver ${intervalDays > 0 ? `${intervalDays}. dag` : '- slået fra for eventet'}`,
+    'nudge.usage': '*🔔 /nudges - Brug:*\n• `/nudges` - Se status\n• `/nudges on|off` - Personlige påmindelser, hvis du ikke har delt en idé\n• `/nudges report` - Admin/arrangør: Deltagelse i kanalen\n• `/nudges send` - Admin/arrangør: Send påmindelser nu\n• `/nudges interval <dage>` - Admin/arrangør: Dage mellem påmindelser til samme person (0 = slået fra)',
+    'nudge.no_permission': '❌ Du har ikke adgang til at styre påmindelser.',
+    'nudge.interval_set': ({ intervalDays, eventLabel }) => intervalDays > 0 ?
+      `✅ Hver person får nu højst én påmindelse hver ${intervalDays}. dag${eventLabel}.` :
+      `🔕 Personlige påmindelser er slået fra${eventLabel}.`,
+    'nudge.report': ({ channel, eventLabel, members, posted, rate, notPosted, optedOut, recentlyNudged, eligible, nudgesSent, converted, intervalDays, nextRun, missing }) =>
+      `*📊 Deltagelse i <#${channel}>${eventLabel}*\n• Medlemmer: *${members}*\n• Har delt en idé: *${posted}* (${rate}%)\n• Mangler: *${notPosted}* - heraf ${optedOut} fravalgt og ${recentlyNudged} mindet om for nylig\n• Næste kørsel rammer: *${eligible}*\n• Påmindelser sendt: *${nudgesSent}* - ${converted} har delt en idé bagefter\n• Interval: ${intervalDays > 0 ? `${intervalDays} dage` : 'slået fra'} • Næste kørsel: ${nextRun || 'ikke planlagt'}${missing ? `\n\n*Mangler:*\n${missing}` : ''}`,
+    'nudge.report_more': ({ count }) => `_...og ${count} mere_`,
+    'nudge.send_sent': ({ sent, eligible }) => `✅ Sendte ${sent} påmindelser (${eligible} manglede en påmindelse).`,
+    'nudge.send_no_channel': '❌ HACKATHON_CHANNEL_ID ikke konfigureret!',
+    'nudge.send_disabled': '🔕 Personlige påmindelser er slået fra - brug `/nudges interval <dage>`.',
+    'nudge.send_phase': ({ label }) => `⏸️ Der sendes ikke påmindelser nu (${label}).`,
+    'nudge.send_nobody': '🎉 Alle i kanalen har delt en idé, fravalgt påmindelser eller fået en for nylig.',
+    'nudge.failed': ({ error }) => `❌ Påmindelser fejlede: ${error}`,
+
+    'reminders.usage': ({ timezone }) => `*⏰ /reminders - Brug:*
+• \`/reminders list\`
+• \`/reminders add <cron> [| <tidszone>] [| #kanal] [| <skabelon>]\`
+• \`/reminders pause <id>\` / \`/reminders resume <id>\`
+• \`/reminders remove <id>\`
+
+_Cron: minut time dag måned ugedag, fx \`0 9 * * 1-5\` (hverdage kl. 9). Standard-tidszone er ${timezone}._
+_Skabelon-felter: {motivation}, {total}, {top_category}, {phase}, {event}. Uden skabelon sendes fasens normale påmindelse._`,
+    'reminders.default_channel': 'hackathon-kanalen',
+    'reminders.paused': 'Sat på pause',
+    'reminders.next': ({ time }) => `Næste: ${time}`,
+    'reminders.never': 'aldrig',
+    'reminders.list': ({ lines, allOff }) =>
+      `*⏰ Påmindelses-skemaer${allOff ? ' (alle slået fra med /toggle-daily-reminder)' : ''}:*\n\n${lines}`,
+    'reminders.empty': ({ usage }) => `⏰ Ingen påmindelses-skemaer.\n\n${usage}`,
+    'reminders.no_permission': '❌ Du har ikke adgang til at ændre påmindelser.',
+    'reminders.invalid_cron': ({ error, usage }) => `❌ Ugyldigt cron-udtryk: ${error}\n\n${usage}`,
+    'reminders.invalid': ({ usage }) => `❌ Ugyldigt cron-udtryk, tidszone eller kanal.\n\n${usage}`,
+    'reminders.created': ({ id, cron, timezone, first }) =>
+      `✅ Påmindelse *#${id}* oprettet: \`${cron}\` (${timezone})\n📅 Første gang: ${first}`,
+    'reminders.not_found': ({ id }) => `❌ Påmindelse #${id} findes ikke.`,
+    'reminders.done.pause': ({ id }) => `⏸️ Påmindelse #${id} er sat på pause.`,
+    'reminders.done.resume': ({ id }) => `▶️ Påmindelse #${id} kører igen.`,
+    'reminders.done.remove': ({ id }) => `🗑️ Påmindelse #${id} er fjernet.`,
+    'reminders.failed': ({ error }) => `❌ Påmindelses-kommando fejlede: ${error}`,
+    'reminders.failed_alert': ({ id, time, error, requestId }) =>
+      `🚨 *Påmindelses-cron fejlede* (skema #${id})\n\nTidspunkt: ${time}\nFejl: ${error}\n\nRequest ID: ${requestId}`,
+
+    'category.usage': `*🏷️ /category - Brug:*
+• \`/category list\`
+• \`/category add <navn> | <emoji> | <keyword1, keyword2:vægt> [| <sortering>]\`
+• \`/category edit <id> | <navn> | <emoji> | <keywords> [| <sortering>]\` _(tomme felter beholdes)_
+• \`/category remove <id>\`
+• \`/category recategorize\` - Kør alle eksisterende idéer igennem kategoriseringen igen
+
+_Keywords matcher hele ord og bøjninger (automatisering/automatiseret). Vægt angives som \`keyword:2\` (standard 1)._`,
+    'category.no_permission': '❌ Du har ikke adgang til at ændre kategorier!',
+    'category.line': ({ id, name, emoji, sortOrder, keywords }) => `*${id}.* ${name} :${emoji}: (sortering ${sortOrder})\n_${keywords}_`,
+    'category.none': 'Ingen kategorier',
+    'category.list': ({ lines, fallback }) => `*🏷️ Kategorier:*\n\n${lines}\n\n_Fallback: ${fallback}_`,
+    'category.added': ({ id, name, emoji }) => `✅ Kategori *${name}* :${emoji}: tilføjet (id ${id}). Gælder for nye idéer med det samme.`,
+    'category.updated': ({ id }) => `✅ Kategori ${id} opdateret. Brug \`/category recategorize\` for at opdatere eksisterende idéer.`,
+    'category.not_found': ({ id }) => `❌ Kategori ${id} findes ikke.`,
+    'category.removed': ({ name }) => `🗑️ Kategori *${name}* fjernet. Eksisterende idéer beholder deres kategori indtil \`/category recategorize\`.`,
+    'category.recategorized': ({ changed, total }) => `🔄 Rekategorisering færdig: ${changed} af ${total} ${parseInt(total) === 1 ? 'idé' : 'idéer'} fik ny kategori.`,
+    'category.failed': ({ error }) => `❌ Kategori-kommando fejlede: ${error}`,
+
+    'similar.none': ({ threshold }) => `✨ Ingen mulige dubletter fundet (grænse: ${threshold}% match).`,
+    'similar.header': ({ count }) => `👯 Mulige Dubletter (${count} ${parseInt(count) === 1 ? 'gruppe' : 'grupper'})`,
+    'similar.group': ({ number, lines }) => `*Gruppe ${number}:*\n${lines}`,
+    'similar.footer': ({ threshold }) => `Grænse: ${threshold}% match (SIMILARITY_THRESHOLD) • % er bedste match inden for gruppen`,
+    'similar.failed': ({ error }) => `❌ Dublet-rapporten fejlede: ${error}`,
+
+    'roles.usage': ({ roles }) => `*🔑 /roles - Brug:*
+• \`/roles list\`
+• \`/roles grant @bruger <rolle>\`
+• \`/roles revoke @bruger <rolle>\`
+
+_Roller: ${roles}_`,
+    'roles.none': '_ingen_',
+    'roles.list': ({ lines }) => `*🔑 Roller:*\n\n${lines}`,
+    'roles.granted': ({ userId, role }) => `✅ <@${userId}> har nu rollen *${role}*.`,
+    'roles.already_granted': ({ userId, role }) => `ℹ️ <@${userId}> havde allerede rollen *${role}*.`,
+    'roles.admin_protected': '⚠️ ADMIN_USER_ID er altid admin og kan ikke fratages rollen her.',
+    'roles.revoked': ({ userId, role }) => `🗑️ <@${userId}> har ikke længere rollen *${role}*.`,
+    'roles.not_granted': ({ userId, role }) => `ℹ️ <@${userId}> havde ikke rollen *${role}*.`,
+    'roles.failed': ({ error }) => `❌ Rolle-kommando fejlede: ${error}`,
+
+    'event.usage': `*📅 /event - Brug:*
+• \`/event list\`
+• \`/event create <navn> | <start YYYY-MM-DD> | <slut YYYY-MM-DD> [| #kanal]\`
+• \`/event activate <id>\` - Nye idéer, stats og påmindelser gælder dette event
+• \`/event archive <id>\`
+
+_Se tidligere events med \`event:<id>\` på /hackathon-stats, /leaderboard, /top-ideas, /teams og /show-ideas._`,
+    'event.status.planned': '🗓️ planlagt',
+    'event.status.active': '🟢 aktiv',
+    'event.status.archived': '📦 arkiveret',
+    'event.empty': ({ usage }) => `📅 Ingen events endnu.\n\n${usage}`,
+    'event.line': ({ id, name, status, from, to, ideas, channel }) =>
+      `*${id}.* ${name} - ${status}\n   _${from} → ${to} • ${ideas} ${parseInt(ideas) === 1 ? 'idé' : 'idéer'}${channel ? ` • <#${channel}>` : ''}_`,
+    'event.list': ({ lines }) => `*📅 Hackathon Events:*\n\n${lines}`,
+    'event.no_permission': '❌ Du har ikke adgang til at administrere events.',
+    'event.invalid': ({ usage }) => `❌ Ugyldigt event.\n\n${usage}`,
+    'event.end_before_start': '❌ Slutdatoen ligger før startdatoen.',
+    'event.created': ({ id, name, from, to, adoptedIdeas }) =>
+      `✅ Event *${id}. ${name}* oprettet (${from} → ${to}).` +
+      (adoptedIdeas > 0 ? `\n📥 ${adoptedIdeas} eksisterende idéer er flyttet til eventet.` : '') +
+      `\n\nAktivér det med \`/event activate ${id}\``,
+    'event.announcement': ({ name, from, to }) => `🚀 *${name}* er i gang! Del jeres idéer her fra ${from} til ${to} 💡`,
+    'event.activated': ({ name }) => `🟢 *${name}* er nu det aktive event. Nye idéer, stats og påmindelser gælder dette event.`,
+    'event.archived': ({ id, name, noActive }) =>
+      `📦 *${name}* er arkiveret.${noActive ? ' Der er ikke noget aktivt event lige nu.' : ''}\nDet kan stadig ses med \`event:${id}\`.`,
+    'event.failed': ({ error }) => `❌ Event-kommando fejlede: ${error}`,
+
+    'judging.usage': `*⚖️ /judging - Brug:*
+• \`/judging rubric\` - Se kriterier og dommere
+• \`/judging criterion add <navn> | <vægt> [| <beskrivelse>]\`
+• \`/judging criterion remove <id>\`
+• \`/judging assign @bruger\` / \`/judging unassign @bruger\`
+• \`/judging results\` - Forhåndsvis resultater og afvigende dommere
+• \`/judging publish\` - Offentliggør vinderne i hackathon-kanalen`,
+    'judging.criterion_line': ({ id, name, weight, percent, description }) =>
+      `*${id}.* ${name} - vægt ${weight} (${percent}%)${description ? `\n   _${description}_` : ''}`,
+    'judging.no_criteria': '_Ingen kriterier endnu_',
+    'judging.no_judges': '_ingen_',
+    'judging.rubric': ({ eventLabel, criteria, judges, usage }) =>
+      `*⚖️ Rubric${eventLabel}:*\n\n${criteria}\n\n*👩‍⚖️ Dommere:* ${judges}\n\n${usage}`,
+    'judging.criterion_invalid': ({ usage }) => `❌ Angiv navn og en positiv vægt.\n\n${usage}`,
+    'judging.criterion_added': ({ id, name, weight }) => `✅ Kriterie *${id}. ${name}* (vægt ${weight}) tilføjet.`,
+    'judging.criterion_removed': ({ name }) => `🗑️ Kriterie *${name}* og dets scores er fjernet.`,
+    'judging.criterion_not_found': ({ id }) => `❌ Kriterie ${id} findes ikke.`,
+    'judging.assigned_dm': ({ eventLabel }) => `⚖️ Du er udpeget som dommer${eventLabel}! Brug \`/judge\` for at bedømme idéerne.`,
+    'judging.assigned': ({ userId }) => `✅ <@${userId}> er nu dommer.`,
+    'judging.already_assigned': ({ userId }) => `ℹ️ <@${userId}> var allerede dommer.`,
+    'judging.unassigned': ({ userId }) => `🗑️ <@${userId}> er ikke længere dommer. Eksisterende scores bevares.`,
+    'judging.not_assigned': ({ userId }) => `ℹ️ <@${userId}> var ikke dommer.`,
+    'judging.no_scores': '⚖️ Der er ingen scores endnu.',
+    'judging.result_line': ({ rank, id, title, score, judges }) => `${rank}. *#${id} ${title}* - ${score} _(${judges} ${parseInt(judges) === 1 ? 'dommer' : 'dommere'})_`,
+    'judging.deviation_line': ({ outlier, userId, deviation, ideas }) =>
+      `${outlier ? '⚠️' : '✅'} <@${userId}>: ${deviation} i snit over ${ideas} ${parseInt(ideas) === 1 ? 'idé' : 'idéer'}`,
+    'judging.deviation_needs_two': '_Kræver mindst to dommere på samme idé_',
+    'judging.results': ({ eventLabel, min, max, ranking, threshold, judges }) =>
+      `*⚖️ Foreløbige resultater${eventLabel}* _(vægtet snit, skala ${min}-${max})_\n\n${ranking}\n\n` +
+      `*🔍 Afvigelse fra dommerpanelets median* _(⚠️ ved ±${threshold})_\n${judges}\n\n_Offentliggør med \`/judging publish\`_`,
+    'judging.winners_header': ({ eventLabel }) => `🏆 Vinderne${eventLabel}`,
+    'judging.winners_intro': ({ criteria }) => `Dommerne har talt! Bedømt på ${criteria}.`,
+    'judging.winner': ({ medal, id, title, team, score }) => `${medal} *#${id} ${title}*\n👥 ${team}\n⭐ ${score} point`,
+    'judging.winners_thanks': ({ count }) => `🎉 Tak til alle ${count} bedømte ${parseInt(count) === 1 ? 'idé' : 'idéer'} og holdene bag dem!`,
+    'judging.winners_fallback': ({ id, title }) => `🏆 Vinderne er fundet! 1. plads: #${id} ${title}`,
+    'judging.published': '✅ Resultaterne er offentliggjort i hackathon-kanalen.',
+    'judging.failed': ({ error }) => `❌ Judging-kommando fejlede: ${error}`,
+
+    'show_ideas.anonymous': '🕶️ anonym',
+    'show_ideas.deleted_empty': '🗑️ Ingen slettede idéer.',
+    'show_ideas.deleted_header': ({ count }) => `🗑️ Slettede Idéer (${count})`,
+    'show_ideas.deleted_meta': ({ category, author, timeAgo, edits }) => `${category} • ${author} • slettet ${timeAgo} • ${edits} ${parseInt(edits) === 1 ? 'redigering' : 'redigeringer'}`,
+    'show_ideas.generating': '🎨 Genererer visuelt overblik... ⏳',
+    'show_ideas.empty': '⚠️ Ingen idéer at vise endnu!',
+    'show_ideas.header': ({ name }) => `🚀 ${name} - Idé Overblik`,
+    'show_ideas.total': ({ value }) => `*📊 Total Idéer:*\n${value}`,
+    'show_ideas.users': ({ value }) => `*👥 Aktive Brugere:*\n${value}`,
+    'show_ideas.reactions': ({ value }) => `*💬 Total Reaktioner:*\n${value}`,
+    'show_ideas.average': ({ value }) => `*📈 Gennemsnit per Bruger:*\n${value}`,
+    'show_ideas.comments': ({ value }) => `*🗨️ Kommentarer:*\n${value}`,
+    'show_ideas.builds_on': ({ value }) => `*🌱 Bygger videre på andre:*\n${value}`,
+    'show_ideas.categories': ({ lines }) => `*🏷️ Kategori Fordeling:*\n${lines}`,
+    'show_ideas.category_line': ({ category, count, percent, tagged }) =>
+      `${category}: ${count} ${parseInt(count) === 1 ? 'idé' : 'idéer'} (${percent}%)${tagged > 0 ? ` +${tagged} sekundær` : ''}`,
+    'show_ideas.top_users': ({ lines }) => `*🏆 Top Idé-Generatorer:*\n${lines}`,
+    'show_ideas.user_line': ({ rank, user, count }) => `${rank}. *${user}*: ${count} ${parseInt(count) === 1 ? 'idé' : 'idéer'}`,
+    'show_ideas.daily': ({ lines }) => `*📅 Daglig Aktivitet:*\n${lines}`,
+    'show_ideas.day_line': ({ date, count }) => `${date}: ${count} ${parseInt(count) === 1 ? 'idé' : 'idéer'}`,
+    'show_ideas.most_discussed': ({ lines }) => `*🗨️ Mest Diskuterede:*\n${lines}`,
+    'show_ideas.discussed_line': ({ rank, id, text, count }) => `${rank}. *#${id}* ${text} - ${count} ${parseInt(count) === 1 ? 'kommentar' : 'kommentarer'}`,
+    'show_ideas.recent': ({ count }) => `*💡 Seneste ${count} ${parseInt(count) === 1 ? 'Idé' : 'Idéer'}:*`,
+    'show_ideas.idea_meta': ({ category, tags, author, timeAgo, reactions, comments, edits, parentId }) =>
+      `${category}${tags ? ` (+ ${tags})` : ''} • ${author} • ${timeAgo} • ${reactions} ${parseInt(reactions) === 1 ? 'reaktion' : 'reaktioner'} • 🗨️ ${comments}` +
+      `${edits > 0 ? ` • ✏️ redigeret ${edits}x` : ''}${parentId ? ` • 🌱 bygger på #${parentId}` : ''}`,
+    'show_ideas.footer': ({ time }) => `📊 Genereret: ${time} | 📤 Alle idéer: \`/export-ideas\` | 🤖 Forteil Hackathon Bot v2.1`,
+    'show_ideas.failed': ({ error }) => `❌ **Visuelt overblik fejlede:**\n\n\`\`\`${error}\`\`\``,
+
+    'export.usage': `*📤 /export-ideas - Brug:*
+• \`/export-ideas [csv|json|md]\` _(standard: csv)_
+• \`category:<id>\` - Kun idéer i kategorien (primær eller sekundær), se \`/category list\`
+• \`from:YYYY-MM-DD\` / \`to:YYYY-MM-DD\` - Datointerval (begge dage inklusive)
+• \`event:<id>\` - Et andet event end det aktive
+
+_Eksempel: \`/export-ideas md category:2 from:2026-03-01\`_`,
+    'export.unknown_filter': ({ token, usage }) => `❌ Ukendt filter: \`${token}\`\n\n${usage}`,
+    'export.filters': ({ event, category, from, to }) => [
+      event ? `event: ${event}` : null,
+      category ? `kategori: ${category}` : null,
+      from ? `fra ${from}` : null,
+      to ? `til ${to}` : null
+    ].filter(Boolean).join(', ') || 'alle idéer',
+    'export.no_match': ({ filters }) => `⚠️ Ingen idéer matcher (${filters}).`,
+    'export.file_title': ({ filters }) => `Hackathon idéer (${filters})`,
+    'export.file_comment': ({ count, filters }) => `📤 Her er din eksport: ${count} ${parseInt(count) === 1 ? 'idé' : 'idéer'} (${filters})`,
+    'export.sent': ({ count, filename }) => `✅ Eksport med ${count} ${parseInt(count) === 1 ? 'idé' : 'idéer'} er sendt til dig som \`${filename}\` i en DM.`,
+    'export.failed': ({ error }) => `❌ Eksport fejlede: ${error}`,
+    'export.md.title': 'Hackathon Idéer',
+    'export.md.summary': ({ count, filters, time }) => `${count} ${parseInt(count) === 1 ? 'idé' : 'idéer'} • ${filters} • eksporteret ${time}`,
+    'export.md.author': 'Forfatter',
+    'export.md.created': 'Oprettet',
+    'export.md.category': 'Kategori',
+    'export.md.votes': 'Stemmer',
+    'export.md.bot_reactions': 'Bot-reaktioner',
+    'export.md.event': 'Event',
+    'export.md.problem': 'Problem',
+    'export.md.solution': 'Løsning',
+    'export.md.skills': 'Kompetencer',
+
+    'api_tokens.usage': `*🔐 /api-tokens - Brug:*
+• \`/api-tokens list\`
+• \`/api-tokens create <navn>\` - Tokenet vises kun én gang
+• \`/api-tokens revoke <id>\`
+
+_Brug tokenet som \`Authorization: Bearer <token>\` mod /api/ideas, /api/ideas/:id, /api/stats og /api/leaderboard._`,
+    'api_tokens.line': ({ id, name, userId, created, lastUsed }) =>
+      `*${id}.* ${name} - oprettet af <@${userId}> ${created} • ${lastUsed ? `sidst brugt ${lastUsed}` : 'aldrig brugt'}`,
+    'api_tokens.list': ({ lines }) => `*🔐 API Tokens:*\n\n${lines}`,
+    'api_tokens.empty': ({ usage }) => `🔐 Ingen aktive API tokens.\n\n${usage}`,
+    'api_tokens.created': ({ id, name, token }) =>
+      `✅ API token *${id}. ${name}* oprettet:\n\n\`${token}\`\n\n⚠️ Gem det nu - det kan ikke vises igen.`,
+    'api_tokens.revoked': ({ name }) => `🗑️ API token *${name}* er tilbagekaldt.`,
+    'api_tokens.not_found': ({ id }) => `❌ Aktivt API token ${id} findes ikke.`,
+    'api_tokens.failed': ({ error }) => `❌ API token-kommando fejlede: ${error}`,
+
+    'rate_limits.policy.idea_post': 'Idéer',
+    'rate_limits.policy.stats': 'Statistik',
+    'rate_limits.policy.leaderboard': 'Leaderboard/top-idéer',
+    'rate_limits.policy.admin_broadcast': 'Admin-beskeder til kanalen',
+    'rate_limits.policy_line': ({ action, label, max, window }) => `• \`${action}\` - ${label}: ${max} pr. ${window}`,
+    'rate_limits.usage': ({ policies }) => `*⏳ /rate-limits - Brug:*
+• \`/rate-limits\` - Alle aktive vinduer
+• \`/rate-limits @bruger\` - Én brugers vinduer
+• \`/rate-limits reset @bruger [handling]\` - Nulstil (alle handlinger hvis ingen angives)
+
+*Politikker:*
+${policies}`,
+    'rate_limits.unknown_action': ({ action, usage }) => `❌ Ukendt handling \`${action}\`.\n\n${usage}`,
+    'rate_limits.reset': ({ userId, label }) => `🔄 Rate limits for <@${userId}> er nulstillet${label ? ` (${label})` : ''}.`,
+    'rate_limits.nothing_to_reset': ({ userId }) => `ℹ️ <@${userId}> havde ingen rate limits at nulstille.`,
+    'rate_limits.window_line': ({ userId, label, count, max, blocked, retry }) =>
+      `• <@${userId}> - ${label}: ${count}/${max}${blocked ? ' 🚫' : ''} • nulstilles om ${retry}`,
+    'rate_limits.list': ({ lines }) => `*⏳ Aktive rate limits:*\n\n${lines}`,
+    'rate_limits.empty': ({ userId, usage }) => `⏳ Ingen aktive rate limits${userId ? ` for <@${userId}>` : ''}.\n\n${usage}`,
+    'rate_limits.failed': ({ error }) => `❌ Rate limit-kommando fejlede: ${error}`
+  }
+};
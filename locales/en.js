@@ -0,0 +1,694 @@
+// English message catalog - keys missing here fall back to Danish
+module.exports = {
+  name: 'English',
+  dateLocale: 'en-GB',
+
+  motivationalMessages: [
+    (total) => `🌅 Good morning, idea machines and all you wonderful Forteilees! We have ${total} fantastic ideas so far!`,
+    (total) => `☕ Coffee time! Our idea counter is at ${total} - shall we round it up, dear Forteilees?`,
+    (total) => `🧠 Today's brainstorm update: ${total} ideas and counting, fantastic Forteilees!`,
+    (total) => `⚡ Lightning round! We have ${total} ideas - what comes next, clever Forteilees?`,
+    (total) => `🎯 Targeted update: ${total} ideas on the board, wonderful Forteilees!`
+  ],
+
+  funnyResponses: [
+    "🚀 That idea just made my inner nerd cheer!",
+    "💡 *Chef's kiss* - simple and smart!",
+    "🤖 Beep boop! My algorithm says: BRILLIANT!",
+    "⚡ That idea sparkles like fresh commits on a Friday afternoon!",
+    "🎯 Bulls-eye! Right at the heart of the Forteil philosophy!",
+    "🔥 Hot take alert! This idea is 🔥🔥🔥",
+    "🎪 *Standing ovation from all my virtual personalities*",
+    "💎 Rare gem spotted! This one goes straight to the favourites list!",
+    "🎨 Creativity level: Over 9000!",
+    "🍕 That idea deserves pizza as a reward!"
+  ],
+
+  dadJokes: [
+    "Why do programmers prefer dark mode? Because light attracts bugs! 🐛",
+    "What does a tired AI say? 'I need a reboot!' 💤",
+    "Why did the API go to the dentist? It had bad endpoints! 🦷",
+    "What do you call a hacker who makes coffee? A Java developer! ☕",
+    "Why was the robot fired? Too many glitches in its performance review! 🤖",
+    "There are 10 types of people in the world: those who understand binary and those who don't!",
+    "Why did the developer go to therapy? She had too many issues!",
+    "What did one database say to the other? Shall we JOIN up?"
+  ],
+
+  phases: {
+    idea_collection: {
+      label: '💡 Idea collection',
+      description: 'Share your ideas with "Ide: ..." or `/idea` - and vote for the best ones with emojis!'
+    },
+    voting: {
+      label: '🗳️ Voting',
+      description: 'Idea collection is closed. Vote for your favourites with emoji reactions - see `/top-ideas`.'
+    },
+    team_forming: {
+      label: '👥 Team forming',
+      description: 'Find your team! Use `/join-idea <id>` or the "Join team" button - see `/teams`.'
+    },
+    hacking: {
+      label: '💻 Hacking',
+      description: 'Teams are locked - time to build! Have fun 🚀'
+    },
+    judging: {
+      label: '⚖️ Judging',
+      description: 'The judges are scoring the projects with `/judge`. The tension is rising!'
+    },
+    closed: {
+      label: '🏁 Closed',
+      description: 'The hackathon is over - thank you for all your ideas and energy! 🎉'
+    }
+  },
+
+  messages: {
+    'common.cancel': 'Cancel',
+    'common.ok': 'OK',
+    'common.no_channel': '❌ HACKATHON_CHANNEL_ID is not configured!',
+    'common.permission_denied': ({ roles }) => `❌ You don't have access to this (requires role: ${roles.join(' or ')}).`,
+    'common.event_not_found': ({ id }) => `❌ Event ${id} does not exist. See \`/event list\``,
+
+    'time.just_now': 'just now',
+    'time.minutes_ago': ({ count }) => `${count} min ago`,
+    'time.hours_ago': ({ count }) => `${count} hours ago`,
+    'time.days_ago': ({ count }) => `${count} days ago`,
+    'time.seconds': ({ count }) => `${count} sec`,
+    'time.minutes': ({ count }) => `${count} min`,
+    'time.wait_until': ({ wait, time }) => `${wait} (at ${time})`,
+
+    'rate_limit.text': ({ retry }) => `⏳ Whoa, slow down a little! You can try again in ${retry}.`,
+
+    'phase.closed': ({ what, label, description }) => `🚪 ${what} is closed in the *${label}* phase.\n_${description}_`,
+    'phase.closed.ideas': 'Idea collection',
+    'phase.closed.teams': 'Team forming',
+    'phase.closed.judging': 'Judging',
+    'phase.show': ({ eventLabel, label, description, overview }) =>
+      `*🧭 Hackathon phase${eventLabel}:* ${label}\n_${description}_\n\n${overview}\n\n_Change phase with \`/phase set <phase>\` (name or number)_`,
+    'phase.no_permission': "❌ You don't have access to change the phase.",
+    'phase.unknown': ({ phase, overview }) => `❌ Unknown phase: \`${phase}\`\n\n${overview}`,
+    'phase.already': ({ label }) => `ℹ️ The hackathon is already in the *${label}* phase.`,
+    'phase.announcement': ({ label }) => `🧭 New phase: ${label}`,
+    'phase.changed_by': ({ from, to, userId }) => `${from} ➡️ ${to} • changed by <@${userId}>`,
+    'phase.set': ({ label, announced }) => `✅ The phase is now *${label}*${announced ? ' and has been announced in the channel' : ''}.`,
+    'phase.failed': ({ error }) => `❌ Phase command failed: ${error}`,
+
+    'idea.not_saved_hint': 'Your idea was not saved - post it again after that 💡',
+    'idea.similar': ({ id, username, percent, permalink }) =>
+      `👀 This looks like idea #${id} by ${username} (${percent}% match): <${permalink}|see the idea>\nMaybe you should team up? 🤝`,
+    'idea.join_button': '🙋 Join team',
+    'idea.dad_joke': ({ joke }) => `Bonus dad joke: ${joke}`,
+    'idea.modal_failed': ({ error }) => `❌ Could not open the idea form: ${error}`,
+    'idea.modal_no_channel': 'HACKATHON_CHANNEL_ID is not configured - contact an admin.',
+    'idea.modal_closed': ({ label }) => `Idea collection is closed (${label}).`,
+    'idea.save_failed': ({ title, error }) => `❌ Your idea "${title}" could not be saved: ${error}`,
+    'idea.posted_fallback': ({ title, userId }) => `Idea: ${title} (shared by <@${userId}>)`,
+    'idea.posted_anonymously_fallback': ({ title }) => `Idea: ${title} (shared anonymously)`,
+
+    'anonymous.username': 'Anonymous',
+    'anonymous.dm_help': '🕶️ Write "Ide: ..." here and I will post the idea anonymously in the hackathon channel. Only admins can see it was you.',
+    'anonymous.posted': ({ id, permalink }) => `🕶️ Your idea #${id} was shared anonymously: <${permalink}|see the idea>\nOnly admins can see it was you.`,
+
+    'idea_modal.title': '💡 New idea',
+    'idea_modal.submit': 'Share idea',
+    'idea_modal.title_label': 'Title',
+    'idea_modal.title_placeholder': 'E.g.: AI chatbot for HR questions',
+    'idea_modal.problem_label': 'Problem',
+    'idea_modal.problem_placeholder': 'Which problem does the idea solve?',
+    'idea_modal.solution_label': 'Proposed solution',
+    'idea_modal.solution_placeholder': 'How would you solve it?',
+    'idea_modal.category_label': 'Category',
+    'idea_modal.category_placeholder': 'Pick a category (otherwise automatic)',
+    'idea_modal.skills_label': 'Skills we need',
+    'idea_modal.skills_placeholder': 'E.g.: frontend, data, design',
+    'idea_modal.anonymous_label': 'Anonymity',
+    'idea_modal.anonymous_option': '🕶️ Share anonymously - only admins can see it was you',
+
+    'idea_blocks.problem': '*🧩 Problem:*',
+    'idea_blocks.solution': '*🛠️ Proposed solution:*',
+    'idea_blocks.skills': '*🧠 Skills we need:*',
+    'idea_blocks.shared_by': ({ userId, category }) => `Shared by <@${userId}> • ${category}`,
+    'idea_blocks.builds_on': ({ id }) => `🌱 Builds on idea #${id}`,
+    'idea_blocks.shared_anonymously': ({ category }) => `🕶️ Shared anonymously • ${category}`,
+
+    'stats.secondary': ({ count }) => ` (+${count} as secondary)`,
+    'stats.no_categories': 'No categories yet',
+    'stats.no_users': 'No users yet',
+    'stats.user_line': ({ rank, username, count }) => `${rank}. ${username}: ${count} ideas`,
+    'stats.status_ready': "We're ready to rock this hackathon! 🚀",
+    'stats.status_need_more': 'We need more ideas! Come on, folks! <!channel>',
+    'stats.message': ({ eventLabel, total, categories, users, status }) => `
+🎯 *Hackathon Idea Status${eventLabel}*
+
+📈 *Total ideas:* ${total}
+
+📊 *Categories:*
+${categories}
+
+🏆 *Top Idea Generators:*
+${users}
+
+💪 *Status:* ${status}
+
+_Keep sharing ideas in #hackathon-ideas!_
+    `,
+    'stats.db_error': '❌ Could not fetch statistics. Database error - contact an admin.',
+    'stats.failed': '❌ Oops! Something went wrong while fetching statistics. Try again in a moment! 🤖',
+
+    'motivation.top_category': ({ category, count }) => `\n🏆 Most popular category: ${category} (${count} ideas)`,
+    'motivation.footer': '\n\n💡 Use /hackathon-stats for the full overview!\n\n<!channel> Share more ideas! 🚀',
+    'motivation.voting': ({ total }) =>
+      `🗳️ Voting is open! ${total} ideas are waiting for your votes.\n\nReact with an emoji on your favourites and check the standings with /top-ideas 🏆`,
+    'motivation.team_forming': '👥 Have you found your team? See the teams with /teams and join with /join-idea <id>.\n\n<!channel> Hacking starts soon! 🚀',
+    'motivation.hacking': '💻 Happy hacking day! Remember to commit early and often - and take breaks 🍕',
+    'motivation.no_top_category': 'none yet',
+
+    'motivate.rate_limited_hint': "Let's not drown the channel in motivation 😉",
+    'motivate.phase_blocked': ({ label }) => `⚠️ No motivation is sent in the *${label}* phase.`,
+    'motivate.no_ideas': '⚠️ No ideas in the database yet - post some "Ide:" messages first!',
+    'motivate.sent': ({ total, time }) =>
+      `✅ **Manual motivation message sent!**\n\n📊 Stats: ${total} ideas\n🕐 Time: ${time}\n🎯 Message sent to #hackathon-ideas`,
+    'motivate.failed': ({ error }) => `❌ **Sending failed:**\n\n\`\`\`${error}\`\`\``,
+
+    'reminder.enabled_announcement': ({ next }) => `🔔 Reminders are now enabled! ${next} 🌅`,
+    'reminder.disabled_announcement': '🔕 Daily reminders are now disabled. Use `/motivate-now` for manual motivation 💪',
+    'reminder.next': ({ time, timezone, id }) => `Next reminder: ${time} (${timezone}, schedule #${id})`,
+    'reminder.none_scheduled': 'No active reminder schedules - see `/reminders`',
+    'reminder.header': '🔔 Daily Reminders',
+    'reminder.status_on': 'ENABLED',
+    'reminder.status_off': 'DISABLED',
+    'reminder.none_sent': 'No automatic reminders are sent',
+    'reminder.none_planned': 'No automatic reminders planned',
+    'reminder.toggle_status': ({ emoji, status, next }) =>
+      `${emoji} **Status: ${status}**\n\n📅 ${next}\n\n_Use \`/toggle-daily-reminder\` to switch again_`,
+    'reminder.admin_info': ({ userId, time, channel }) =>
+      `*⚙️ Admin Info:*\n• Changed by: <@${userId}>\n• Time: ${time}\n• Channel: ${channel}`,
+    'reminder.channel_missing': 'Not configured',
+    'reminder.toggle_failed': ({ error }) =>
+      `❌ **Changing reminders failed:**\n\n\`\`\`${error}\`\`\`\n\nTry again or contact tech support.`,
+    'reminder.admin_hint': '\n\n🔧 _As an admin you can use `/toggle-daily-reminder` to change the status and `/reminders` to manage the schedules_',
+    'reminder.status_message': ({ emoji, status, next, adminInfo }) =>
+      `🔔 **Daily Reminders**\n\n${emoji} Status: **${status}**\n📅 ${next}${adminInfo}`,
+    'reminder.status_failed': ({ error }) => `❌ Could not fetch reminder status: ${error}`,
+
+    'help.message': ({ phaseLabel, phaseDescription, phaseKeys, categories }) => `
+🤖 **Forteil Hackathon Bot - Help**
+
+**🧭 Current phase:** ${phaseLabel} - ${phaseDescription}
+
+**📝 How to Post an Idea:**
+Start your message with "Ide:" followed by your idea:
+\`Ide: AI chatbot for HR questions\`
+Or use \`/idea\` for a form with problem, solution and skills
+Want to stay anonymous? Write \`Ide: ...\` in a DM to the bot or tick the box in the form
+
+**🎯 Bot Reactions:**
+- 2 emoji reactions (random + category)
+- Witty reply in the thread
+- 25% chance of a bonus dad joke
+- Automatic categorisation (primary category + secondary tags) and database storage
+
+**🗳️ Voting:**
+React with an emoji on an idea to vote for it (your own ideas don't count)
+
+**📊 Commands:**
+- \`/hackathon-stats\` - See all statistics
+- \`/hackathon-help\` - This help message
+- \`/leaderboard [week] [category:<id>]\` - Live ranking with points (visible to everyone)
+- \`/top-ideas\` - Ideas with the most votes
+- \`/idea-tree <id>\` - See which ideas build on each other
+- \`/digest [on|off|preview]\` - Weekly digest of new ideas, also as a DM
+- \`/nudges [on|off]\` - A personal reminder if you haven't shared an idea
+- \`/language [da|en|auto]\` - Pick your language (\`/language channel <da|en>\` for the channel language)
+- \`/motivate-now\` - Admin/organizer: Send motivation now
+- \`/show-ideas\` - Admin/organizer/judge: Visual overview (\`/show-ideas deleted\` for deleted ideas)
+- \`/similar-ideas\` - Admin/organizer: Possible duplicate ideas
+- \`/export-ideas [csv|json|md]\` - Admin/organizer: Export all ideas as a file (filters: \`category:<id>\`, \`from:\`, \`to:\`)
+- \`/roles grant|revoke|list\` - Admin: Manage roles (admin, organizer, judge)
+- \`/api-tokens create|list|revoke\` - Admin: Tokens for the REST API (/api/ideas, /api/stats, /api/leaderboard)
+- \`/rate-limits [@user] | reset @user [action]\` - Admin: View and reset rate limits
+- \`/leaderboard scoring [key=weight ...|reset]\` - Admin/organizer: Points for ideas, votes, comments and teams
+- \`/digest send|history\` - Admin/organizer: Send this week's digest now or see previous digests
+- \`/nudges report|send|interval <days>\` - Admin/organizer: Participation report and personal reminders
+
+**👥 Teams:**
+- \`/join-idea <id>\` - Join the team behind an idea (or press "Join team" in the thread)
+- \`/leave-idea [id]\` - Leave your team
+- \`/teams\` - See all teams
+
+**⚖️ Judging:**
+- \`/judge [id]\` - Judge: Score ideas and teams against the rubric
+- \`/judging rubric|criterion|assign|results|publish\` - Admin/organizer: Rubric, judges and results
+
+**🧭 Phases:**
+- \`/phase\` - See the current phase (${phaseKeys})
+- \`/phase set <phase>\` - Admin/organizer: Change phase and announce it in the channel
+
+**📅 Events:**
+- \`/event list\` - See all hackathon events
+- \`/event create|activate|archive\` - Admin/organizer: Manage events
+- Add \`event:<id>\` to stats, leaderboard, top-ideas, teams and show-ideas to see an earlier event
+
+**🏷️ Category Commands:**
+- \`/category list\` - See categories and keywords
+- \`/category add|edit|remove|recategorize\` - Admin: Manage categories
+
+**🔔 Reminder Commands:**
+- \`/toggle-daily-reminder\` - Admin/organizer: Turn daily reminders on/off
+- \`/reminder-status\` - See the status of daily reminders
+- \`/reminders list\` - See reminder schedules and the next run
+- \`/reminders add|pause|resume|remove\` - Admin/organizer: Manage schedules (cron, timezone, channel, template)
+
+**🏷️ Categories:**
+${categories}
+
+**💡 Tips:**
+- Be specific in your idea descriptions
+- Build on other people's ideas - reply in the thread or write 'builds on #id'
+- Use /hackathon-stats to follow the progress
+- Check /leaderboard to see your ranking
+
+**🚀 Ready to innovate? Start with "Ide:" and let the creativity flow!**
+  `,
+
+    'leaderboard.empty': '📊 No leaderboard data yet!\n\nStart by posting an idea: `Ide: My fantastic idea`',
+    'leaderboard.header': ({ eventLabel }) => `🏆 Hackathon Leaderboard${eventLabel}`,
+    'leaderboard.subtitle': '_Live ranking of idea generators! 🚀_',
+    'leaderboard.scoring': ({ idea, vote, comment, comment_received, team, half_life }) =>
+      `Points: 💡 idea ${idea} • 🗳️ vote ${vote} • 🗨️ comment ${comment} (received ${comment_received}) • 👥 team ${team}${half_life > 0 ? ` • ⏳ halved after ${half_life} days` : ''}`,
+    'leaderboard.view_week': 'This week',
+    'leaderboard.usage': ({ token }) =>
+      `❌ Unknown filter: \`${token}\`\n\n*🏆 /leaderboard - Usage:*\n• \`/leaderboard\` - The whole event\n• \`/leaderboard week\` - Only points earned this week\n• \`/leaderboard category:<id>\` - Only ideas in one category, see \`/category list\`\n• \`event:<id>\` - A previous event`,
+    'leaderboard.entry': ({ trophy, rank, username, points, count, votes, commentsWritten, commentsReceived, onTeam, categories, timeAgo }) =>
+      `${trophy} *${rank}. ${username}* - *${points} points*\n📊 ${count} ideas • 🗳️ ${votes} votes • 🗨️ ${commentsWritten} written / ${commentsReceived} received${onTeam ? ' • 👥 on a team' : ''}\n${categories ? `🏷️ ${categories} • ` : ''}⏰ Latest activity: ${timeAgo}`,
+    'leaderboard.tips': [
+      "🚀 Get started with: `Ide: Your fantastic idea here`",
+      "💡 Use `/hackathon-help` to see all commands",
+      "🎯 Goal: 50+ ideas for the hackathon!",
+      "⚡ The more ideas, the better the hackathon!"
+    ],
+    'leaderboard.updated': ({ time }) => `🔄 Updated: ${time} | Use \`/leaderboard\` to refresh`,
+    'leaderboard.failed': ({ error }) => `❌ The leaderboard could not be loaded: ${error}`,
+
+    'scoring.key.idea': 'Idea posted',
+    'scoring.key.vote': 'Vote received',
+    'scoring.key.comment': 'Comment written',
+    'scoring.key.comment_received': 'Comment received',
+    'scoring.key.team': 'On a team',
+    'scoring.key.half_life': ({ min }) => `Half-life in days (0 = no decay, otherwise at least ${min})`,
+    'scoring.line': ({ key, label, value, defaultValue }) =>
+      `• \`${key}\` - ${label}: *${value}*${defaultValue !== null ? ` _(default ${defaultValue})_` : ''}`,
+    'scoring.usage': `*🏆 /leaderboard scoring - Usage:*
+• \`/leaderboard scoring\` - See the weights for the active event
+• \`/leaderboard scoring idea=10 vote=3 half_life=7\` - Change one or more weights
+• \`/leaderboard scoring reset\` - Back to the default weights`,
+    'scoring.denied': "❌ You don't have access to change the leaderboard points.",
+    'scoring.current': ({ eventLabel, description, usage }) => `*🏆 Leaderboard points${eventLabel}:*\n${description}\n\n${usage}`,
+    'scoring.reset': ({ description }) => `🔄 The default weights are used again:\n${description}`,
+    'scoring.invalid': ({ arg, min, usage }) =>
+      `❌ Invalid weight: \`${arg}\` - weights must be 0 or more, and \`half_life\` 0 or at least ${min}.\n\n${usage}`,
+    'scoring.updated': ({ eventLabel, description }) => `✅ The leaderboard points are updated${eventLabel}:\n${description}`,
+
+    'top_ideas.empty': '🗳️ No votes yet!\n\nVote for an idea by reacting with an emoji on the idea message.',
+    'top_ideas.header': ({ eventLabel }) => `🗳️ Top Ideas${eventLabel}`,
+    'top_ideas.subtitle': '_The ideas with the most votes - react with an emoji to vote!_',
+    'top_ideas.votes': ({ count }) => `${count} ${parseInt(count) === 1 ? 'vote' : 'votes'}`,
+    'top_ideas.updated': ({ time }) => `🔄 Updated: ${time} | Own votes and bot reactions don't count`,
+    'top_ideas.failed': ({ error }) => `❌ Top ideas could not be loaded: ${error}`,
+
+    'teams.join_usage': '❓ Usage: `/join-idea <id>` - e.g. `/join-idea 42`. Find idea numbers with `/top-ideas` or `/teams`.',
+    'teams.join_failed': ({ error }) => `❌ Could not add you to the team: ${error}`,
+    'teams.idea_not_found': ({ id }) => `❌ Idea #${id} does not exist.`,
+    'teams.already_member': ({ id }) => `👍 You're already on the team for idea #${id}.`,
+    'teams.in_other_team': ({ id }) => `⚠️ You're already on the team for idea #${id}. Use \`/leave-idea ${id}\` first.`,
+    'teams.full': ({ id, max }) => `😬 The team for idea #${id} is full (${max}/${max}).`,
+    'teams.joined_thread': ({ userId, count, max }) => `🙋 <@${userId}> joined the team! (${count}/${max})`,
+    'teams.joined': ({ id, count, max }) => `✅ You're now on the team for idea #${id} (${count}/${max})!`,
+    'teams.not_in_team': "🤷 You're not on a team yet. Use `/join-idea <id>` to join one.",
+    'teams.left_thread': ({ userId }) => `👋 <@${userId}> left the team.`,
+    'teams.left': ({ id }) => `👋 You left the team for idea #${id}.`,
+    'teams.leave_failed': ({ error }) => `❌ Could not leave the team: ${error}`,
+    'teams.empty': '👥 No teams yet!\n\nJoin an idea with `/join-idea <id>` or the "Join team" button in the idea thread.',
+    'teams.header': ({ eventLabel }) => `👥 Hackathon Teams${eventLabel}`,
+    'teams.full_suffix': ' (full)',
+    'teams.footer': ({ max }) => `Max ${max} per team • One person, one team • \`/join-idea <id>\` / \`/leave-idea\``,
+    'teams.failed': ({ error }) => `❌ Teams could not be loaded: ${error}`,
+
+    'judge.no_team': '_no team yet_',
+    'judge.score_placeholder': ({ min, max }) => `Score ${min}-${max}`,
+    'judge.criterion_label': ({ name, weight }) => `${name} (weight ${weight})`,
+    'judge.comment_label': ({ name }) => `Comment - ${name}`,
+    'judge.modal_title': ({ id }) => `⚖️ Score #${id}`,
+    'judge.submit': 'Save scores',
+    'judge.not_judge': "❌ You're not assigned as a judge for this event.",
+    'judge.no_criteria': '⚠️ There are no judging criteria yet. Ask an organizer to add them with `/judging criterion add`.',
+    'judge.idea_not_found': ({ id }) => `❌ Idea #${id} does not exist in this event.`,
+    'judge.no_ideas': '⚖️ There are no ideas to judge yet.',
+    'judge.header': ({ eventLabel }) => `⚖️ Judging${eventLabel}`,
+    'judge.progress': ({ scored, total, criteria }) => `${scored}/${total} scored • ${criteria}`,
+    'judge.rescore_button': 'Edit scores',
+    'judge.score_button': 'Score',
+    'judge.failed': ({ error }) => `❌ Could not start judging: ${error}`,
+    'judge.open_failed': ({ error }) => `❌ Could not open the scoring form: ${error}`,
+    'judge.saved': ({ id }) => `✅ Your scores for idea #${id} are saved. Use \`/judge\` to continue.`,
+    'judge.save_failed': ({ id, error }) => `❌ Your scores for idea #${id} could not be saved: ${error}`,
+
+    'home.header': '🚀 Forteil Hackathon',
+    'home.position': ({ position, total }) => `You're number *${position}* of ${total} on the leaderboard 🏆`,
+    'home.not_on_leaderboard': "You're not on the leaderboard yet - share your first idea! 🚀",
+    'home.total_ideas': ({ total }) => `*📊 Total Ideas:*\n${total}`,
+    'home.generators': ({ count }) => `*👥 Idea Generators:*\n${count}`,
+    'home.top_category': ({ value }) => `*🏆 Top Category:*\n${value}`,
+    'home.none_yet': 'None yet',
+    'home.reminder': ({ value }) => `*🔔 Daily Reminder:*\n${value}`,
+    'home.reminder_on': ({ next }) => `✅ Enabled\n_${next}_`,
+    'home.reminder_off': '❌ Disabled',
+    'home.your_status': ({ text }) => `*🙋 Your Status*\n${text}`,
+    'home.your_ideas': ({ count }) => `*💡 Your Ideas (${count})*`,
+    'home.no_ideas': 'No ideas yet. Start a message with "Ide:" in the hackathon channel or use `/idea`.',
+    'home.idea_meta': ({ category, votes, reactions, timeAgo }) => `${category} • 🗳️ ${votes} votes • 💬 ${reactions} reactions • ${timeAgo}`,
+    'home.motivate_button': '📣 Send motivation now',
+    'home.motivate_confirm_title': 'Send motivation?',
+    'home.motivate_confirm_text': 'The message is sent to the whole hackathon channel.',
+    'home.send': 'Send',
+    'home.reminders_off_button': '🔕 Turn reminders off',
+    'home.reminders_on_button': '🔔 Turn reminders on',
+    'home.admin': '*⚙️ Admin*',
+    'home.updated': ({ time }) => `🔄 Updated: ${time} • 🌐 \`/language\``,
+
+    'language.current': ({ language, source, channelLanguage }) =>
+      `🌐 Your language is *${language}* (${source}).\nThe channel language is *${channelLanguage}*.\n\n_Change it with \`/language da\` or \`/language en\` - \`/language auto\` follows your Slack setting._`,
+    'language.source.preference': 'chosen by you',
+    'language.source.slack': 'from your Slack setting',
+    'language.source.default': 'channel default',
+    'language.set': ({ language }) => `✅ I'll now write to you in *${language}*.`,
+    'language.reset': ({ language }) => `✅ I'll now follow your Slack setting (*${language}* right now).`,
+    'language.usage': ({ languages }) =>
+      `*🌐 /language - Usage:*\n• \`/language\` - See your language\n• \`/language <${languages}>\` - Pick a language\n• \`/language auto\` - Follow your Slack setting\n• \`/language channel <${languages}>\` - Admin/organizer: Language for messages in the channel`,
+    'language.channel_set': ({ language, eventLabel }) => `✅ Messages in the channel${eventLabel} are now sent in *${language}*.`,
+    'language.channel_no_permission': "❌ You don't have access to change the channel language.",
+    'language.failed': ({ error }) => `❌ Language command failed: ${error}`,
+
+    'lineage.linked': ({ id, parentId }) => `🌱 Idea #${id} now builds on idea #${parentId}. See the whole tree with \`/idea-tree ${id}\``,
+    'lineage.not_found': ({ parentId }) => `❌ Idea #${parentId} doesn't exist - check the number.`,
+    'lineage.self': '❌ An idea can\'t build on itself.',
+    'lineage.cycle': ({ id, parentId }) => `❌ Idea #${parentId} already builds on idea #${id} - that would create a loop.`,
+    'lineage.not_an_idea': '❌ That message isn\'t an idea - pick a message starting with "Ide:".',
+    'lineage.modal_context': ({ id, title }) => `🌱 Builds on idea #${id}: _${title}_`,
+
+    'tree.usage': '*🌳 /idea-tree - Usage:*\n• `/idea-tree <id>` - See the idea, what it builds on and what builds on it',
+    'tree.not_found': ({ id }) => `❌ Idea #${id} doesn't exist.`,
+    'tree.header': ({ id }) => `*🌳 Idea tree for #${id}*`,
+    'tree.node': ({ id, title, username, comments }) => `*#${id}* ${title} - ${username} • 🗨️ ${comments}`,
+    'tree.deleted': ' _(deleted)_',
+    'tree.more': ({ count }) => `_...and ${count} more_`,
+    'tree.failed': ({ error }) => `❌ Couldn't load the idea tree: ${error}`,
+
+    'digest.header': ({ eventLabel }) => `📬 This week's ideas${eventLabel}`,
+    'digest.period': ({ from, to, count }) => `${from} - ${to} • ${count} new ideas`,
+    'digest.new_ideas': ({ count }) => count > 0 ? `*💡 New ideas since the last digest (${count}):*` : '*💡 No new ideas since the last digest* - but the older ones are still alive:',
+    'digest.idea_line': ({ link, username, category }) => `• ${link} - ${username} • ${category}`,
+    'digest.more': ({ count }) => `_...and ${count} more - see them all with \`/show-ideas\` or in the channel_`,
+    'digest.most_voted': '*🗳️ Most votes this week:*',
+    'digest.voted_line': ({ rank, link, count }) => `${rank}. ${link} - ${count} ${count === 1 ? 'vote' : 'votes'}`,
+    'digest.most_discussed': '*🗨️ Most discussed this week:*',
+    'digest.discussed_line': ({ rank, link, count }) => `${rank}. ${link} - ${count} ${count === 1 ? 'comment' : 'comments'}`,
+    'digest.growing': '*📈 Growing categories:*',
+    'digest.growing_line': ({ category, added, total }) => `• ${category}: +${added} (now ${total})`,
+    'digest.footer': '📬 Want the digest as a DM? Type `/digest on`',
+    'digest.fallback': ({ count }) => `📬 This week's ideas: ${count} new ideas since the last digest`,
+    'digest.status': ({ optedIn, lastRun, nextRun }) =>
+      `*📬 Weekly digest*\n• DM to you: *${optedIn ? 'on' : 'off'}* (\`/digest ${optedIn ? 'off' : 'on'}\` to switch)\n• Latest digest: ${lastRun || 'none yet'}\n• Next digest: ${nextRun || 'not scheduled'}\n\n_See what the next digest contains with \`/digest preview\`_`,
+    'digest.opted_in': '✅ You\'ll now get the weekly digest as a DM. Turn it off with `/digest off`.',
+    'digest.opted_out': '🔕 You won\'t get the weekly digest as a DM anymore. It\'s still posted in the channel.',
+    'digest.preview_empty': '📭 Nothing new since the last digest yet.',
+    'digest.usage': '*📬 /digest - Usage:*\n• `/digest` - See the status\n• `/digest on|off` - Get the digest as a DM\n• `/digest preview` - See the next digest now\n• `/digest send` - Admin/organizer: Send this week\'s digest now\n• `/digest history` - Admin/organizer: Previous digests',
+    'digest.no_permission': '❌ You don\'t have access to send digests.',
+    'digest.send_sent': ({ ideas, dms }) => `✅ The digest was sent with ${ideas} new ideas (${dms} DMs).`,
+    'digest.send_empty': '📭 Nothing new since the last digest - nothing was sent.',
+    'digest.send_duplicate': '⚠️ This week\'s digest was already sent (or is being sent). See `/digest history`.',
+    'digest.send_skipped': 'HACKATHON_CHANNEL_ID isn\'t configured - contact an admin.',
+    'digest.send_failed': ({ error }) => `❌ The digest failed: ${error}\nTry again with \`/digest send\`.`,
+    'digest.history_header': '*📬 Latest digests:*',
+    'digest.history_line': ({ id, time, status, ideas, dms, triggeredBy }) => `• #${id} ${time} - *${status}* • ${ideas} ideas • ${dms} DMs • ${triggeredBy}`,
+    'digest.history_empty': '📭 No digests have been sent yet.',
+    'digest.failed': ({ error }) => `❌ Digest command failed: ${error}`,
+
+    'nudge.intro': ({ channel, eventLabel }) => `👋 Hi! We're still missing your idea for the hackathon${eventLabel} in <#${channel}>. It doesn't have to be finished - half an idea is a great place to start 💡`,
+    'nudge.examples': '*For inspiration, your colleagues have suggested:*',
+    'nudge.example': ({ link, username }) => `• ${link} - ${username}`,
+    'nudge.how_to': 'Write a message starting with `Ide:` in the channel, or press the button below 👇',
+    'nudge.share_button': '💡 Share an idea',
+    'nudge.opt_out_button': '🔕 No more reminders',
+    'nudge.footer': 'You get at most one reminder per period and none once you\'ve shared an idea. Turn them off with `/nudges off`.',
+    'nudge.fallback': '👋 We\'re still missing your idea for the hackathon!',
+    'nudge.opted_out': '🔕 You won\'t get any more personal reminders. Turn them back on with `/nudges on`.',
+    'nudge.opted_in': '🔔 You\'ll get a personal reminder again if you haven\'t shared an idea.',
+    'nudge.status': ({ optedOut, lastNudge, intervalDays }) =>
+      `*🔔 Personal reminders*\n• For you: *${optedOut ? 'off' : 'on'}* (\`/nudges ${optedOut ? 'on' : 'off'}\` to switch)\n• Latest reminder: ${lastNudge || 'none'}\n• At most one reminder ${intervalDays > 0 ? `every ${intervalDays} days` : '- turned off for the event'}`,
+    'nudge.usage': '*🔔 /nudges - Usage:*\n• `/nudges` - See the status\n• `/nudges on|off` - Personal reminders if you haven\'t shared an idea\n• `/nudges report` - Admin/organizer: Participation in the channel\n• `/nudges send` - Admin/organizer: Send reminders now\n• `/nudges interval <days>` - Admin/organizer: Days between reminders to the same person (0 = off)',
+    'nudge.no_permission': '❌ You don\'t have access to manage reminders.',
+    'nudge.interval_set': ({ intervalDays, eventLabel }) => intervalDays > 0 ?
+      `✅ Each person now gets at most one reminder every ${intervalDays} days${eventLabel}.` :
+      `🔕 Personal reminders are turned off${eventLabel}.`,
+    'nudge.report': ({ channel, eventLabel, members, posted, rate, notPosted, optedOut, recentlyNudged, eligible, nudgesSent, converted, intervalDays, nextRun, missing }) =>
+      `*📊 Participation in <#${channel}>${eventLabel}*\n• Members: *${members}*\n• Shared an idea: *${posted}* (${rate}%)\n• Missing: *${notPosted}* - ${optedOut} opted out and ${recentlyNudged} reminded recently\n• The next run reaches: *${eligible}*\n• Reminders sent: *${nudgesSent}* - ${converted} shared an idea afterwards\n• Interval: ${intervalDays > 0 ? `${intervalDays} days` : 'off'} • Next run: ${nextRun || 'not scheduled'}${missing ? `\n\n*Missing:*\n${missing}` : ''}`,
+    'nudge.report_more': ({ count }) => `_...and ${count} more_`,
+    'nudge.send_sent': ({ sent, eligible }) => `✅ Sent ${sent} reminders (${eligible} were due a reminder).`,
+    'nudge.send_no_channel': '❌ HACKATHON_CHANNEL_ID is not configured!',
+    'nudge.send_disabled': '🔕 Personal reminders are turned off - use `/nudges interval <days>`.',
+    'nudge.send_phase': ({ label }) => `⏸️ No reminders are sent right now (${label}).`,
+    'nudge.send_nobody': '🎉 Everyone in the channel has shared an idea, opted out or been reminded recently.',
+    'nudge.failed': ({ error }) => `❌ Reminders failed: ${error}`,
+
+    'reminders.usage': ({ timezone }) => `*⏰ /reminders - Usage:*
+• \`/reminders list\`
+• \`/reminders add <cron> [| <timezone>] [| #channel] [| <template>]\`
+• \`/reminders pause <id>\` / \`/reminders resume <id>\`
+• \`/reminders remove <id>\`
+
+_Cron: minute hour day month weekday, e.g. \`0 9 * * 1-5\` (weekdays at 9). The default timezone is ${timezone}._
+_Template fields: {motivation}, {total}, {top_category}, {phase}, {event}. Without a template the phase's normal reminder is sent._`,
+    'reminders.default_channel': 'the hackathon channel',
+    'reminders.paused': 'Paused',
+    'reminders.next': ({ time }) => `Next: ${time}`,
+    'reminders.never': 'never',
+    'reminders.list': ({ lines, allOff }) =>
+      `*⏰ Reminder schedules${allOff ? ' (all turned off with /toggle-daily-reminder)' : ''}:*\n\n${lines}`,
+    'reminders.empty': ({ usage }) => `⏰ No reminder schedules.\n\n${usage}`,
+    'reminders.no_permission': "❌ You don't have access to change reminders.",
+    'reminders.invalid_cron': ({ error, usage }) => `❌ Invalid cron expression: ${error}\n\n${usage}`,
+    'reminders.invalid': ({ usage }) => `❌ Invalid cron expression, timezone or channel.\n\n${usage}`,
+    'reminders.created': ({ id, cron, timezone, first }) =>
+      `✅ Reminder *#${id}* created: \`${cron}\` (${timezone})\n📅 First run: ${first}`,
+    'reminders.not_found': ({ id }) => `❌ Reminder #${id} does not exist.`,
+    'reminders.done.pause': ({ id }) => `⏸️ Reminder #${id} is paused.`,
+    'reminders.done.resume': ({ id }) => `▶️ Reminder #${id} is running again.`,
+    'reminders.done.remove': ({ id }) => `🗑️ Reminder #${id} has been removed.`,
+    'reminders.failed': ({ error }) => `❌ Reminder command failed: ${error}`,
+    'reminders.failed_alert': ({ id, time, error, requestId }) =>
+      `🚨 *Reminder cron failed* (schedule #${id})\n\nTime: ${time}\nError: ${error}\n\nRequest ID: ${requestId}`,
+
+    'category.usage': `*🏷️ /category - Usage:*
+• \`/category list\`
+• \`/category add <name> | <emoji> | <keyword1, keyword2:weight> [| <sort order>]\`
+• \`/category edit <id> | <name> | <emoji> | <keywords> [| <sort order>]\` _(empty fields are kept)_
+• \`/category remove <id>\`
+• \`/category recategorize\` - Run all existing ideas through the categorisation again
+
+_Keywords match whole words and inflections (automation/automated). Give a weight as \`keyword:2\` (default 1)._`,
+    'category.no_permission': "❌ You don't have access to change categories!",
+    'category.line': ({ id, name, emoji, sortOrder, keywords }) => `*${id}.* ${name} :${emoji}: (sort order ${sortOrder})\n_${keywords}_`,
+    'category.none': 'No categories',
+    'category.list': ({ lines, fallback }) => `*🏷️ Categories:*\n\n${lines}\n\n_Fallback: ${fallback}_`,
+    'category.added': ({ id, name, emoji }) => `✅ Category *${name}* :${emoji}: added (id ${id}). It applies to new ideas right away.`,
+    'category.updated': ({ id }) => `✅ Category ${id} updated. Use \`/category recategorize\` to update existing ideas.`,
+    'category.not_found': ({ id }) => `❌ Category ${id} does not exist.`,
+    'category.removed': ({ name }) => `🗑️ Category *${name}* removed. Existing ideas keep their category until \`/category recategorize\`.`,
+    'category.recategorized': ({ changed, total }) => `🔄 Recategorisation done: ${changed} of ${total} ${parseInt(total) === 1 ? 'idea' : 'ideas'} got a new category.`,
+    'category.failed': ({ error }) => `❌ Category command failed: ${error}`,
+
+    'similar.none': ({ threshold }) => `✨ No possible duplicates found (threshold: ${threshold}% match).`,
+    'similar.header': ({ count }) => `👯 Possible Duplicates (${count} ${parseInt(count) === 1 ? 'group' : 'groups'})`,
+    'similar.group': ({ number, lines }) => `*Group ${number}:*\n${lines}`,
+    'similar.footer': ({ threshold }) => `Threshold: ${threshold}% match (SIMILARITY_THRESHOLD) • % is the best match within the group`,
+    'similar.failed': ({ error }) => `❌ The duplicate report failed: ${error}`,
+
+    'roles.usage': ({ roles }) => `*🔑 /roles - Usage:*
+• \`/roles list\`
+• \`/roles grant @user <role>\`
+• \`/roles revoke @user <role>\`
+
+_Roles: ${roles}_`,
+    'roles.none': '_none_',
+    'roles.list': ({ lines }) => `*🔑 Roles:*\n\n${lines}`,
+    'roles.granted': ({ userId, role }) => `✅ <@${userId}> now has the *${role}* role.`,
+    'roles.already_granted': ({ userId, role }) => `ℹ️ <@${userId}> already had the *${role}* role.`,
+    'roles.admin_protected': '⚠️ ADMIN_USER_ID is always an admin and can\'t lose the role here.',
+    'roles.revoked': ({ userId, role }) => `🗑️ <@${userId}> no longer has the *${role}* role.`,
+    'roles.not_granted': ({ userId, role }) => `ℹ️ <@${userId}> didn't have the *${role}* role.`,
+    'roles.failed': ({ error }) => `❌ Role command failed: ${error}`,
+
+    'event.usage': `*📅 /event - Usage:*
+• \`/event list\`
+• \`/event create <name> | <start YYYY-MM-DD> | <end YYYY-MM-DD> [| #channel]\`
+• \`/event activate <id>\` - New ideas, stats and reminders apply to this event
+• \`/event archive <id>\`
+
+_See earlier events with \`event:<id>\` on /hackathon-stats, /leaderboard, /top-ideas, /teams and /show-ideas._`,
+    'event.status.planned': '🗓️ planned',
+    'event.status.active': '🟢 active',
+    'event.status.archived': '📦 archived',
+    'event.empty': ({ usage }) => `📅 No events yet.\n\n${usage}`,
+    'event.line': ({ id, name, status, from, to, ideas, channel }) =>
+      `*${id}.* ${name} - ${status}\n   _${from} → ${to} • ${ideas} ${parseInt(ideas) === 1 ? 'idea' : 'ideas'}${channel ? ` • <#${channel}>` : ''}_`,
+    'event.list': ({ lines }) => `*📅 Hackathon Events:*\n\n${lines}`,
+    'event.no_permission': "❌ You don't have access to manage events.",
+    'event.invalid': ({ usage }) => `❌ Invalid event.\n\n${usage}`,
+    'event.end_before_start': '❌ The end date is before the start date.',
+    'event.created': ({ id, name, from, to, adoptedIdeas }) =>
+      `✅ Event *${id}. ${name}* created (${from} → ${to}).` +
+      (adoptedIdeas > 0 ? `\n📥 ${adoptedIdeas} existing ideas have been moved to the event.` : '') +
+      `\n\nActivate it with \`/event activate ${id}\``,
+    'event.announcement': ({ name, from, to }) => `🚀 *${name}* has started! Share your ideas here from ${from} to ${to} 💡`,
+    'event.activated': ({ name }) => `🟢 *${name}* is now the active event. New ideas, stats and reminders apply to this event.`,
+    'event.archived': ({ id, name, noActive }) =>
+      `📦 *${name}* is archived.${noActive ? ' There is no active event right now.' : ''}\nIt can still be seen with \`event:${id}\`.`,
+    'event.failed': ({ error }) => `❌ Event command failed: ${error}`,
+
+    'judging.usage': `*⚖️ /judging - Usage:*
+• \`/judging rubric\` - See criteria and judges
+• \`/judging criterion add <name> | <weight> [| <description>]\`
+• \`/judging criterion remove <id>\`
+• \`/judging assign @user\` / \`/judging unassign @user\`
+• \`/judging results\` - Preview the results and judges who deviate
+• \`/judging publish\` - Announce the winners in the hackathon channel`,
+    'judging.criterion_line': ({ id, name, weight, percent, description }) =>
+      `*${id}.* ${name} - weight ${weight} (${percent}%)${description ? `\n   _${description}_` : ''}`,
+    'judging.no_criteria': '_No criteria yet_',
+    'judging.no_judges': '_none_',
+    'judging.rubric': ({ eventLabel, criteria, judges, usage }) =>
+      `*⚖️ Rubric${eventLabel}:*\n\n${criteria}\n\n*👩‍⚖️ Judges:* ${judges}\n\n${usage}`,
+    'judging.criterion_invalid': ({ usage }) => `❌ Give a name and a positive weight.\n\n${usage}`,
+    'judging.criterion_added': ({ id, name, weight }) => `✅ Criterion *${id}. ${name}* (weight ${weight}) added.`,
+    'judging.criterion_removed': ({ name }) => `🗑️ Criterion *${name}* and its scores have been removed.`,
+    'judging.criterion_not_found': ({ id }) => `❌ Criterion ${id} does not exist.`,
+    'judging.assigned_dm': ({ eventLabel }) => `⚖️ You've been assigned as a judge${eventLabel}! Use \`/judge\` to score the ideas.`,
+    'judging.assigned': ({ userId }) => `✅ <@${userId}> is now a judge.`,
+    'judging.already_assigned': ({ userId }) => `ℹ️ <@${userId}> was already a judge.`,
+    'judging.unassigned': ({ userId }) => `🗑️ <@${userId}> is no longer a judge. Existing scores are kept.`,
+    'judging.not_assigned': ({ userId }) => `ℹ️ <@${userId}> wasn't a judge.`,
+    'judging.no_scores': '⚖️ There are no scores yet.',
+    'judging.result_line': ({ rank, id, title, score, judges }) => `${rank}. *#${id} ${title}* - ${score} _(${judges} ${parseInt(judges) === 1 ? 'judge' : 'judges'})_`,
+    'judging.deviation_line': ({ outlier, userId, deviation, ideas }) =>
+      `${outlier ? '⚠️' : '✅'} <@${userId}>: ${deviation} on average over ${ideas} ${parseInt(ideas) === 1 ? 'idea' : 'ideas'}`,
+    'judging.deviation_needs_two': '_Needs at least two judges on the same idea_',
+    'judging.results': ({ eventLabel, min, max, ranking, threshold, judges }) =>
+      `*⚖️ Preliminary results${eventLabel}* _(weighted average, scale ${min}-${max})_\n\n${ranking}\n\n` +
+      `*🔍 Deviation from the judging panel's median* _(⚠️ at ±${threshold})_\n${judges}\n\n_Publish with \`/judging publish\`_`,
+    'judging.winners_header': ({ eventLabel }) => `🏆 The Winners${eventLabel}`,
+    'judging.winners_intro': ({ criteria }) => `The judges have spoken! Scored on ${criteria}.`,
+    'judging.winner': ({ medal, id, title, team, score }) => `${medal} *#${id} ${title}*\n👥 ${team}\n⭐ ${score} points`,
+    'judging.winners_thanks': ({ count }) => `🎉 Thanks to all ${count} judged ${parseInt(count) === 1 ? 'idea' : 'ideas'} and the teams behind them!`,
+    'judging.winners_fallback': ({ id, title }) => `🏆 The winners have been found! 1st place: #${id} ${title}`,
+    'judging.published': '✅ The results have been published in the hackathon channel.',
+    'judging.failed': ({ error }) => `❌ Judging command failed: ${error}`,
+
+    'show_ideas.anonymous': '🕶️ anonymous',
+    'show_ideas.deleted_empty': '🗑️ No deleted ideas.',
+    'show_ideas.deleted_header': ({ count }) => `🗑️ Deleted Ideas (${count})`,
+    'show_ideas.deleted_meta': ({ category, author, timeAgo, edits }) => `${category} • ${author} • deleted ${timeAgo} • ${edits} ${parseInt(edits) === 1 ? 'edit' : 'edits'}`,
+    'show_ideas.generating': '🎨 Generating visual overview... ⏳',
+    'show_ideas.empty': '⚠️ No ideas to show yet!',
+    'show_ideas.header': ({ name }) => `🚀 ${name} - Idea Overview`,
+    'show_ideas.total': ({ value }) => `*📊 Total Ideas:*\n${value}`,
+    'show_ideas.users': ({ value }) => `*👥 Active Users:*\n${value}`,
+    'show_ideas.reactions': ({ value }) => `*💬 Total Reactions:*\n${value}`,
+    'show_ideas.average': ({ value }) => `*📈 Average per User:*\n${value}`,
+    'show_ideas.comments': ({ value }) => `*🗨️ Comments:*\n${value}`,
+    'show_ideas.builds_on': ({ value }) => `*🌱 Building on others:*\n${value}`,
+    'show_ideas.categories': ({ lines }) => `*🏷️ Category Distribution:*\n${lines}`,
+    'show_ideas.category_line': ({ category, count, percent, tagged }) =>
+      `${category}: ${count} ${parseInt(count) === 1 ? 'idea' : 'ideas'} (${percent}%)${tagged > 0 ? ` +${tagged} secondary` : ''}`,
+    'show_ideas.top_users': ({ lines }) => `*🏆 Top Idea Generators:*\n${lines}`,
+    'show_ideas.user_line': ({ rank, user, count }) => `${rank}. *${user}*: ${count} ${parseInt(count) === 1 ? 'idea' : 'ideas'}`,
+    'show_ideas.daily': ({ lines }) => `*📅 Daily Activity:*\n${lines}`,
+    'show_ideas.day_line': ({ date, count }) => `${date}: ${count} ${parseInt(count) === 1 ? 'idea' : 'ideas'}`,
+    'show_ideas.most_discussed': ({ lines }) => `*🗨️ Most Discussed:*\n${lines}`,
+    'show_ideas.discussed_line': ({ rank, id, text, count }) => `${rank}. *#${id}* ${text} - ${count} ${parseInt(count) === 1 ? 'comment' : 'comments'}`,
+    'show_ideas.recent': ({ count }) => `*💡 Latest ${count} ${parseInt(count) === 1 ? 'Idea' : 'Ideas'}:*`,
+    'show_ideas.idea_meta': ({ category, tags, author, timeAgo, reactions, comments, edits, parentId }) =>
+      `${category}${tags ? ` (+ ${tags})` : ''} • ${author} • ${timeAgo} • ${reactions} ${parseInt(reactions) === 1 ? 'reaction' : 'reactions'} • 🗨️ ${comments}` +
+      `${edits > 0 ? ` • ✏️ edited ${edits}x` : ''}${parentId ? ` • 🌱 builds on #${parentId}` : ''}`,
+    'show_ideas.footer': ({ time }) => `📊 Generated: ${time} | 📤 All ideas: \`/export-ideas\` | 🤖 Forteil Hackathon Bot v2.1`,
+    'show_ideas.failed': ({ error }) => `❌ **Visual overview failed:**\n\n\`\`\`${error}\`\`\``,
+
+    'export.usage': `*📤 /export-ideas - Usage:*
+• \`/export-ideas [csv|json|md]\` _(default: csv)_
+• \`category:<id>\` - Only ideas in the category (primary or secondary), see \`/category list\`
+• \`from:YYYY-MM-DD\` / \`to:YYYY-MM-DD\` - Date range (both days included)
+• \`event:<id>\` - Another event than the active one
+
+_Example: \`/export-ideas md category:2 from:2026-03-01\`_`,
+    'export.unknown_filter': ({ token, usage }) => `❌ Unknown filter: \`${token}\`\n\n${usage}`,
+    'export.filters': ({ event, category, from, to }) => [
+      event ? `event: ${event}` : null,
+      category ? `category: ${category}` : null,
+      from ? `from ${from}` : null,
+      to ? `to ${to}` : null
+    ].filter(Boolean).join(', ') || 'all ideas',
+    'export.no_match': ({ filters }) => `⚠️ No ideas match (${filters}).`,
+    'export.file_title': ({ filters }) => `Hackathon ideas (${filters})`,
+    'export.file_comment': ({ count, filters }) => `📤 Here is your export: ${count} ${parseInt(count) === 1 ? 'idea' : 'ideas'} (${filters})`,
+    'export.sent': ({ count, filename }) => `✅ An export with ${count} ${parseInt(count) === 1 ? 'idea' : 'ideas'} has been sent to you as \`${filename}\` in a DM.`,
+    'export.failed': ({ error }) => `❌ Export failed: ${error}`,
+    'export.md.title': 'Hackathon Ideas',
+    'export.md.summary': ({ count, filters, time }) => `${count} ${parseInt(count) === 1 ? 'idea' : 'ideas'} • ${filters} • exported ${time}`,
+    'export.md.author': 'Author',
+    'export.md.created': 'Created',
+    'export.md.category': 'Category',
+    'export.md.votes': 'Votes',
+    'export.md.bot_reactions': 'Bot reactions',
+    'export.md.event': 'Event',
+    'export.md.problem': 'Problem',
+    'export.md.solution': 'Solution',
+    'export.md.skills': 'Skills',
+
+    'api_tokens.usage': `*🔐 /api-tokens - Usage:*
+• \`/api-tokens list\`
+• \`/api-tokens create <name>\` - The token is only shown once
+• \`/api-tokens revoke <id>\`
+
+_Use the token as \`Authorization: Bearer <token>\` against /api/ideas, /api/ideas/:id, /api/stats and /api/leaderboard._`,
+    'api_tokens.line': ({ id, name, userId, created, lastUsed }) =>
+      `*${id}.* ${name} - created by <@${userId}> ${created} • ${lastUsed ? `last used ${lastUsed}` : 'never used'}`,
+    'api_tokens.list': ({ lines }) => `*🔐 API Tokens:*\n\n${lines}`,
+    'api_tokens.empty': ({ usage }) => `🔐 No active API tokens.\n\n${usage}`,
+    'api_tokens.created': ({ id, name, token }) =>
+      `✅ API token *${id}. ${name}* created:\n\n\`${token}\`\n\n⚠️ Save it now - it can't be shown again.`,
+    'api_tokens.revoked': ({ name }) => `🗑️ API token *${name}* has been revoked.`,
+    'api_tokens.not_found': ({ id }) => `❌ Active API token ${id} does not exist.`,
+    'api_tokens.failed': ({ error }) => `❌ API token command failed: ${error}`,
+
+    'rate_limits.policy.idea_post': 'Ideas',
+    'rate_limits.policy.stats': 'Statistics',
+    'rate_limits.policy.leaderboard': 'Leaderboard/top ideas',
+    'rate_limits.policy.admin_broadcast': 'Admin messages to the channel',
+    'rate_limits.policy_line': ({ action, label, max, window }) => `• \`${action}\` - ${label}: ${max} per ${window}`,
+    'rate_limits.usage': ({ policies }) => `*⏳ /rate-limits - Usage:*
+• \`/rate-limits\` - All active windows
+• \`/rate-limits @user\` - One user's windows
+• \`/rate-limits reset @user [action]\` - Reset (all actions if none is given)
+
+*Policies:*
+${policies}`,
+    'rate_limits.unknown_action': ({ action, usage }) => `❌ Unknown action \`${action}\`.\n\n${usage}`,
+    'rate_limits.reset': ({ userId, label }) => `🔄 Rate limits for <@${userId}> have been reset${label ? ` (${label})` : ''}.`,
+    'rate_limits.nothing_to_reset': ({ userId }) => `ℹ️ <@${userId}> had no rate limits to reset.`,
+    'rate_limits.window_line': ({ userId, label, count, max, blocked, retry }) =>
+      `• <@${userId}> - ${label}: ${count}/${max}${blocked ? ' 🚫' : ''} • resets in ${retry}`,
+    'rate_limits.list': ({ lines }) => `*⏳ Active rate limits:*\n\n${lines}`,
+    'rate_limits.empty': ({ userId, usage }) => `⏳ No active rate limits${userId ? ` for <@${userId}>` : ''}.\n\n${usage}`,
+    'rate_limits.failed': ({ error }) => `❌ Rate limit command failed: ${error}`
+  }
+};
@@ -0,0 +1,114 @@
+// Prometheus metrics - counters, gauges and histograms rendered in the text exposition format
+//
+// Used by app.js for the /metrics endpoint. Every metric registers itself in one registry, so
+// renderMetrics() always outputs all of them, including series that haven't been touched yet.
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds - tuned for Slack API calls and slash commands, which should answer within 3 seconds
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = new Map();
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+// { command: '/idea' } -> '{command="/idea"}', labels are always written in the declared order
+const formatLabels = (labelNames, labels, extra = {}) => {
+  const pairs = [
+    ...labelNames.map(name => [name, labels[name] === undefined ? '' : labels[name]]),
+    ...Object.entries(extra)
+  ];
+
+  return pairs.length > 0 ? `{${pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}` : '';
+};
+
+const seriesKey = (labelNames, labels) => JSON.stringify(labelNames.map(name => labels[name] === undefined ? '' : String(labels[name])));
+
+const register = (name, metric) => {
+  if (registry.has(name)) {
+    throw new Error(`Metric ${name} is already registered`);
+  }
+
+  registry.set(name, metric);
+  return metric;
+};
+
+const counter = (name, help, labelNames = []) => {
+  const series = new Map();
+
+  return register(name, {
+    inc: (labels = {}, value = 1) => {
+      const key = seriesKey(labelNames, labels);
+      const entry = series.get(key) || { labels, value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    },
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} counter`,
+      ...(series.size === 0 && labelNames.length === 0 ? [`${name} 0`] : []),
+      ...[...series.values()].map(entry => `${name}${formatLabels(labelNames, entry.labels)} ${entry.value}`)
+    ]
+  });
+};
+
+// collect is called on every scrape and returns a number or a list of { labels, value }
+const gauge = (name, help, labelNames, collect) => {
+  return register(name, {
+    render: () => {
+      const collected = collect();
+      const values = typeof collected === 'number' ? [{ labels: {}, value: collected }] : collected;
+
+      return [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} gauge`,
+        ...values.map(entry => `${name}${formatLabels(labelNames, entry.labels)} ${entry.value}`)
+      ];
+    }
+  });
+};
+
+const histogram = (name, help, labelNames = [], buckets = DEFAULT_BUCKETS) => {
+  const series = new Map();
+
+  const observe = (labels = {}, value) => {
+    const key = seriesKey(labelNames, labels);
+    const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+
+    buckets.forEach((bound, index) => {
+      if (value <= bound) entry.counts[index]++;
+    });
+    entry.sum += value;
+    entry.count++;
+    series.set(key, entry);
+  };
+
+  // const end = histogram.startTimer({ method }); ... end({ status: 'ok' }) - labels given to end are merged in
+  const startTimer = (labels = {}) => {
+    const start = process.hrtime.bigint();
+
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  };
+
+  return register(name, {
+    observe,
+    startTimer,
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} histogram`,
+      ...[...series.values()].flatMap(entry => [
+        ...buckets.map((bound, index) => `${name}_bucket${formatLabels(labelNames, entry.labels, { le: bound })} ${entry.counts[index]}`),
+        `${name}_bucket${formatLabels(labelNames, entry.labels, { le: '+Inf' })} ${entry.count}`,
+        `${name}_sum${formatLabels(labelNames, entry.labels)} ${entry.sum}`,
+        `${name}_count${formatLabels(labelNames, entry.labels)} ${entry.count}`
+      ])
+    ]
+  });
+};
+
+const renderMetrics = () => [...registry.values()].flatMap(metric => metric.render()).join('\n') + '\n';
+
+module.exports = { counter, gauge, histogram, renderMetrics, CONTENT_TYPE };
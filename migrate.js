@@ -0,0 +1,205 @@
+// Schema migrations - ordered files in ./migrations, applied versions tracked in schema_migrations
+//
+// Used by app.js at startup and as a CLI:
+//   node migrate.js up              - apply all pending migrations
+//   node migrate.js down [steps]    - roll back the latest migration(s), default 1
+//   node migrate.js status          - show applied and pending migrations
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Same key for every instance so only one of them migrates at a time
+const MIGRATION_LOCK_KEY = 7312001;
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+const defaultLogger = (level, message, context = {}) => {
+  console.log(`[${new Date().toISOString()}] ${level.toUpperCase()}: ${message}`, context);
+};
+
+// Migration files sorted by version: 001_initial_schema.js -> { version: '001', name: 'initial_schema' }
+const loadMigrations = () => {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up and down functions`);
+      }
+
+      return { version: match[1], name: match[2], file, ...migration };
+    })
+    .sort((a, b) => parseInt(a.version) - parseInt(b.version));
+};
+
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(50) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    )
+  `);
+};
+
+const getAppliedMigrations = async (client) => {
+  const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows;
+};
+
+// Runs work on a dedicated connection holding the advisory lock - other instances wait here
+const withMigrationLock = async (pool, work) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    await ensureMigrationsTable(client);
+    return await work(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+};
+
+// Each migration runs in its own transaction together with its schema_migrations row
+const runInTransaction = async (client, work) => {
+  await client.query('BEGIN');
+
+  try {
+    await work();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+};
+
+const migrateUp = async (pool, { logger = defaultLogger } = {}) => {
+  return withMigrationLock(pool, async (client) => {
+    const applied = new Set((await getAppliedMigrations(client)).map(row => row.version));
+    const pending = loadMigrations().filter(migration => !applied.has(migration.version));
+
+    for (const migration of pending) {
+      logger('info', 'Applying migration', { version: migration.version, name: migration.name });
+
+      try {
+        await runInTransaction(client, async () => {
+          await migration.up(client);
+          await client.query(
+            'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+            [migration.version, migration.name]
+          );
+        });
+      } catch (error) {
+        logger('error', 'Migration failed, rolled back', { version: migration.version, name: migration.name, error: error.message });
+        throw error;
+      }
+    }
+
+    logger('info', 'Database migrations up to date', { applied: pending.length, total: applied.size + pending.length });
+    return pending;
+  });
+};
+
+const migrateDown = async (pool, { steps = 1, logger = defaultLogger } = {}) => {
+  return withMigrationLock(pool, async (client) => {
+    const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+    const toRollback = (await getAppliedMigrations(client)).reverse().slice(0, steps);
+    const rolledBack = [];
+
+    // Checked before anything runs, so "down 10" can't roll back half the way and then stop at the baseline
+    const irreversible = toRollback.find(row => migrations.has(row.version) && migrations.get(row.version).irreversible);
+
+    if (irreversible) {
+      throw new Error(`Migration ${irreversible.version}_${irreversible.name} is irreversible - roll back fewer steps`);
+    }
+
+    for (const row of toRollback) {
+      const migration = migrations.get(row.version);
+
+      if (!migration) {
+        throw new Error(`Migration file for version ${row.version} (${row.name}) is missing`);
+      }
+
+      logger('info', 'Rolling back migration', { version: migration.version, name: migration.name });
+
+      await runInTransaction(client, async () => {
+        await migration.down(client);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      });
+
+      rolledBack.push(migration);
+    }
+
+    return rolledBack;
+  });
+};
+
+// Every known version with applied_at (null while pending) - applied versions without a file are flagged missing
+const getMigrationStatus = async (pool) => {
+  return withMigrationLock(pool, async (client) => {
+    const applied = new Map((await getAppliedMigrations(client)).map(row => [row.version, row]));
+    const migrations = loadMigrations();
+    const known = new Set(migrations.map(migration => migration.version));
+
+    return [
+      ...migrations.map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null,
+        missing: false
+      })),
+      ...[...applied.values()]
+        .filter(row => !known.has(row.version))
+        .map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at, missing: true }))
+    ];
+  });
+};
+
+const runCli = async (command, argument) => {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+    max: 1
+  });
+
+  try {
+    if (command === 'up') {
+      const applied = await migrateUp(pool);
+      console.log(applied.length > 0
+        ? `✅ Applied ${applied.length} migration(s): ${applied.map(m => `${m.version}_${m.name}`).join(', ')}`
+        : '✅ Nothing to migrate');
+    } else if (command === 'down') {
+      const steps = parseInt(argument) || 1;
+      const rolledBack = await migrateDown(pool, { steps });
+      console.log(rolledBack.length > 0
+        ? `↩️  Rolled back ${rolledBack.length} migration(s): ${rolledBack.map(m => `${m.version}_${m.name}`).join(', ')}`
+        : '↩️  Nothing to roll back');
+    } else if (command === 'status') {
+      const status = await getMigrationStatus(pool);
+      status.forEach(migration => {
+        const state = migration.missing ? 'missing file' : migration.appliedAt ? `applied ${new Date(migration.appliedAt).toISOString()}` : 'pending';
+        console.log(`${migration.appliedAt ? '✅' : '⏳'} ${migration.version}_${migration.name} - ${state}`);
+      });
+    } else {
+      console.log('Usage: node migrate.js up | down [steps] | status');
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(`❌ Migration command failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+};
+
+if (require.main === module) {
+  runCli(process.argv[2], process.argv[3]);
+}
+
+module.exports = { migrateUp, migrateDown, getMigrationStatus, loadMigrations };
@@ -0,0 +1,282 @@
+// Baseline schema - everything initDB used to create with CREATE TABLE IF NOT EXISTS.
+// Every statement is idempotent so databases created before migrations existed can run it
+// and simply get recorded in schema_migrations.
+const { DEFAULT_CATEGORIES, DEFAULT_REMINDER } = require('../defaults');
+
+// Default categories and the first reminder go only into tables created here - databases from before
+// migrations were seeded at startup already, and whatever admins removed since stays removed
+const seedDefaults = async (client, { seedCategories, seedReminder }) => {
+  if (seedCategories) {
+    for (const [index, category] of DEFAULT_CATEGORIES.entries()) {
+      await client.query(
+        'INSERT INTO categories (name, emoji, keywords, sort_order) VALUES ($1, $2, $3, $4) ON CONFLICT (name) DO NOTHING',
+        [category.name, category.emoji, category.keywords, index + 1]
+      );
+    }
+  }
+
+  if (seedReminder) {
+    await client.query(
+      'INSERT INTO reminders (cron_expression, timezone) VALUES ($1, $2)',
+      [DEFAULT_REMINDER.cronExpression, DEFAULT_REMINDER.timezone]
+    );
+  }
+};
+
+const up = async (client) => {
+  const existing = await client.query(
+    "SELECT to_regclass('categories') IS NOT NULL as categories, to_regclass('reminders') IS NOT NULL as reminders"
+  );
+
+  const createIdeasTable = `
+    CREATE TABLE IF NOT EXISTS ideas (
+      id SERIAL PRIMARY KEY,
+      user_id VARCHAR(255) NOT NULL,
+      username VARCHAR(255) NOT NULL,
+      idea_text TEXT NOT NULL,
+      category VARCHAR(255) NOT NULL,
+      message_ts VARCHAR(255) NOT NULL,
+      channel_id VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      
+      CONSTRAINT ideas_message_ts_unique UNIQUE(message_ts, channel_id)
+    )
+  `;
+  
+  const createReactionsTable = `
+    CREATE TABLE IF NOT EXISTS reactions (
+      id SERIAL PRIMARY KEY,
+      idea_id INTEGER REFERENCES ideas(id) ON DELETE CASCADE,
+      reaction_type VARCHAR(50) NOT NULL,
+      response_text TEXT,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    )
+  `;
+
+  const alterIdeasTable = `
+    ALTER TABLE ideas ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE;
+    ALTER TABLE ideas ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+    ALTER TABLE ideas ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+    ALTER TABLE ideas ADD COLUMN IF NOT EXISTS title TEXT;
+    ALTER TABLE ideas ADD COLUMN IF NOT EXISTS problem TEXT;
+    ALTER TABLE ideas ADD COLUMN IF NOT EXISTS solution TEXT;
+    ALTER TABLE ideas ADD COLUMN IF NOT EXISTS skills TEXT;
+    ALTER TABLE ideas ADD COLUMN IF NOT EXISTS source VARCHAR(50) NOT NULL DEFAULT 'message';
+    ALTER TABLE ideas ADD COLUMN IF NOT EXISTS event_id INTEGER REFERENCES events(id);
+  `;
+  
+  const createIdeaEditsTable = `
+    CREATE TABLE IF NOT EXISTS idea_edits (
+      id SERIAL PRIMARY KEY,
+      idea_id INTEGER REFERENCES ideas(id) ON DELETE CASCADE,
+      previous_text TEXT NOT NULL,
+      previous_category VARCHAR(255) NOT NULL,
+      new_text TEXT NOT NULL,
+      new_category VARCHAR(255) NOT NULL,
+      edited_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    )
+  `;
+  
+  const createVotesTable = `
+    CREATE TABLE IF NOT EXISTS idea_votes (
+      id SERIAL PRIMARY KEY,
+      idea_id INTEGER REFERENCES ideas(id) ON DELETE CASCADE,
+      user_id VARCHAR(255) NOT NULL,
+      emoji VARCHAR(100) NOT NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+      CONSTRAINT idea_votes_unique UNIQUE(idea_id, user_id, emoji)
+    )
+  `;
+
+  const createEventsTable = `
+    CREATE TABLE IF NOT EXISTS events (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      starts_on DATE,
+      ends_on DATE,
+      channel_id VARCHAR(255),
+      status VARCHAR(20) NOT NULL DEFAULT 'planned',
+      created_by VARCHAR(255),
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+      CONSTRAINT events_status_check CHECK (status IN ('planned', 'active', 'archived'))
+    )
+  `;
+
+  const createTeamsTable = `
+    CREATE TABLE IF NOT EXISTS teams (
+      id SERIAL PRIMARY KEY,
+      idea_id INTEGER NOT NULL REFERENCES ideas(id) ON DELETE CASCADE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+      CONSTRAINT teams_idea_id_unique UNIQUE(idea_id)
+    )
+  `;
+
+  const createTeamMembersTable = `
+    CREATE TABLE IF NOT EXISTS team_members (
+      id SERIAL PRIMARY KEY,
+      team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+      user_id VARCHAR(255) NOT NULL,
+      username VARCHAR(255) NOT NULL,
+      joined_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+      CONSTRAINT team_members_user_unique UNIQUE(user_id)
+    )
+  `;
+
+  // Team membership is unique per event instead of globally
+  const alterTeamMembersTable = `
+    ALTER TABLE team_members ADD COLUMN IF NOT EXISTS event_id INTEGER REFERENCES events(id);
+    ALTER TABLE team_members DROP CONSTRAINT IF EXISTS team_members_user_unique;
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_team_members_user_event ON team_members(user_id, COALESCE(event_id, 0));
+  `;
+
+  const createCategoriesTable = `
+    CREATE TABLE IF NOT EXISTS categories (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) UNIQUE NOT NULL,
+      emoji VARCHAR(100) NOT NULL,
+      keywords TEXT[] NOT NULL DEFAULT '{}',
+      sort_order INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    )
+  `;
+
+  const createRolesTable = `
+    CREATE TABLE IF NOT EXISTS user_roles (
+      id SERIAL PRIMARY KEY,
+      user_id VARCHAR(255) NOT NULL,
+      role VARCHAR(50) NOT NULL,
+      granted_by VARCHAR(255),
+      granted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+      CONSTRAINT user_roles_unique UNIQUE(user_id, role)
+    )
+  `;
+
+  const createJudgingTables = `
+    CREATE TABLE IF NOT EXISTS judging_criteria (
+      id SERIAL PRIMARY KEY,
+      event_id INTEGER REFERENCES events(id) ON DELETE CASCADE,
+      name VARCHAR(255) NOT NULL,
+      description TEXT,
+      weight NUMERIC(6, 2) NOT NULL DEFAULT 1 CHECK (weight > 0),
+      sort_order INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS judge_assignments (
+      id SERIAL PRIMARY KEY,
+      event_id INTEGER REFERENCES events(id) ON DELETE CASCADE,
+      user_id VARCHAR(255) NOT NULL,
+      assigned_by VARCHAR(255),
+      assigned_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS judge_scores (
+      id SERIAL PRIMARY KEY,
+      idea_id INTEGER NOT NULL REFERENCES ideas(id) ON DELETE CASCADE,
+      judge_id VARCHAR(255) NOT NULL,
+      criterion_id INTEGER NOT NULL REFERENCES judging_criteria(id) ON DELETE CASCADE,
+      score INTEGER NOT NULL CHECK (score BETWEEN 1 AND 10),
+      comment TEXT,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+      CONSTRAINT judge_scores_unique UNIQUE(idea_id, judge_id, criterion_id)
+    );
+  `;
+
+  const createRemindersTable = `
+    CREATE TABLE IF NOT EXISTS reminders (
+      id SERIAL PRIMARY KEY,
+      cron_expression VARCHAR(100) NOT NULL,
+      timezone VARCHAR(100) NOT NULL DEFAULT 'Europe/Copenhagen',
+      channel_id VARCHAR(255),
+      template TEXT,
+      paused BOOLEAN NOT NULL DEFAULT false,
+      created_by VARCHAR(255),
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      last_run_at TIMESTAMP WITH TIME ZONE
+    )
+  `;
+
+  const createApiTokensTable = `
+    CREATE TABLE IF NOT EXISTS api_tokens (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      token_hash VARCHAR(64) UNIQUE NOT NULL,
+      created_by VARCHAR(255),
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      last_used_at TIMESTAMP WITH TIME ZONE,
+      revoked_at TIMESTAMP WITH TIME ZONE
+    )
+  `;
+
+  const createRateLimitsTable = `
+    CREATE TABLE IF NOT EXISTS rate_limits (
+      user_id VARCHAR(255) NOT NULL,
+      action VARCHAR(50) NOT NULL,
+      window_start TIMESTAMP WITH TIME ZONE NOT NULL,
+      count INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (user_id, action)
+    )
+  `;
+
+  const createSettingsTable = `
+    CREATE TABLE IF NOT EXISTS bot_settings (
+      id SERIAL PRIMARY KEY,
+      setting_key VARCHAR(255) UNIQUE NOT NULL,
+      setting_value TEXT NOT NULL,
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    )
+  `;
+  
+  const createIndexes = `
+    CREATE INDEX IF NOT EXISTS idx_ideas_created_at ON ideas(created_at);
+    CREATE INDEX IF NOT EXISTS idx_ideas_category ON ideas(category);
+    CREATE INDEX IF NOT EXISTS idx_ideas_user_id ON ideas(user_id);
+    CREATE INDEX IF NOT EXISTS idx_reactions_idea_id ON reactions(idea_id);
+    CREATE INDEX IF NOT EXISTS idx_bot_settings_key ON bot_settings(setting_key);
+    CREATE INDEX IF NOT EXISTS idx_idea_votes_idea_id ON idea_votes(idea_id);
+    CREATE INDEX IF NOT EXISTS idx_idea_edits_idea_id ON idea_edits(idea_id);
+    CREATE INDEX IF NOT EXISTS idx_team_members_team_id ON team_members(team_id);
+    CREATE INDEX IF NOT EXISTS idx_ideas_event_id ON ideas(event_id);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_events_single_active ON events(status) WHERE status = 'active';
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_judge_assignments_event_user ON judge_assignments(COALESCE(event_id, 0), user_id);
+    CREATE INDEX IF NOT EXISTS idx_judge_scores_idea_id ON judge_scores(idea_id);
+  `;
+
+  await client.query(createEventsTable);
+  await client.query(createIdeasTable);
+  await client.query(alterIdeasTable);
+  await client.query(createIdeaEditsTable);
+  await client.query(createReactionsTable);
+  await client.query(createVotesTable);
+  await client.query(createTeamsTable);
+  await client.query(createTeamMembersTable);
+  await client.query(alterTeamMembersTable);
+  await client.query(createSettingsTable);
+  await client.query(createCategoriesTable);
+  await client.query(createRolesTable);
+  await client.query(createApiTokensTable);
+  await client.query(createRateLimitsTable);
+  await client.query(createJudgingTables);
+  await client.query(createRemindersTable);
+  await client.query(createIndexes);
+
+  await seedDefaults(client, {
+    seedCategories: !existing.rows[0].categories,
+    seedReminder: !existing.rows[0].reminders
+  });
+};
+
+// Rolling back the baseline would drop every table and all data with it - restore a backup instead
+const down = async () => {
+  throw new Error('The baseline migration cannot be rolled back');
+};
+
+module.exports = { up, down, irreversible: true };
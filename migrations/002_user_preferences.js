@@ -0,0 +1,16 @@
+// Per-user settings - starts with the language picked with /language
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE user_preferences (
+      user_id VARCHAR(255) PRIMARY KEY,
+      language VARCHAR(10),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    )
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS user_preferences');
+};
+
+module.exports = { up, down };
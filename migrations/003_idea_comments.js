@@ -0,0 +1,30 @@
+// Thread replies on ideas are stored as comments, and an idea can build on an earlier one
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE idea_comments (
+      id SERIAL PRIMARY KEY,
+      idea_id INTEGER NOT NULL REFERENCES ideas(id) ON DELETE CASCADE,
+      user_id VARCHAR(255) NOT NULL,
+      username VARCHAR(255) NOT NULL,
+      comment_text TEXT NOT NULL,
+      message_ts VARCHAR(255) NOT NULL,
+      channel_id VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      updated_at TIMESTAMP WITH TIME ZONE,
+
+      CONSTRAINT idea_comments_message_unique UNIQUE(channel_id, message_ts)
+    )
+  `);
+
+  await client.query('CREATE INDEX idx_idea_comments_idea_id ON idea_comments(idea_id)');
+
+  await client.query('ALTER TABLE ideas ADD COLUMN parent_id INTEGER REFERENCES ideas(id) ON DELETE SET NULL');
+  await client.query('CREATE INDEX idx_ideas_parent_id ON ideas(parent_id)');
+};
+
+const down = async (client) => {
+  await client.query('ALTER TABLE ideas DROP COLUMN IF EXISTS parent_id');
+  await client.query('DROP TABLE IF EXISTS idea_comments');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,33 @@
+// Weekly digest - one row per event and week so a restart never sends the same week twice
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE digest_runs (
+      id SERIAL PRIMARY KEY,
+      event_id INTEGER REFERENCES events(id) ON DELETE CASCADE,
+      week_start DATE NOT NULL,
+      period_start TIMESTAMP WITH TIME ZONE NOT NULL,
+      period_end TIMESTAMP WITH TIME ZONE NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'sending',
+      idea_count INTEGER NOT NULL DEFAULT 0,
+      channel_id VARCHAR(255),
+      message_ts VARCHAR(255),
+      dm_count INTEGER NOT NULL DEFAULT 0,
+      error TEXT,
+      triggered_by VARCHAR(255),
+      started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      finished_at TIMESTAMP WITH TIME ZONE
+    )
+  `);
+
+  // event_id is NULL outside events, so the week is unique per COALESCE'd event
+  await client.query('CREATE UNIQUE INDEX idx_digest_runs_event_week ON digest_runs (COALESCE(event_id, 0), week_start)');
+
+  await client.query('ALTER TABLE user_preferences ADD COLUMN digest_opt_in BOOLEAN NOT NULL DEFAULT FALSE');
+};
+
+const down = async (client) => {
+  await client.query('ALTER TABLE user_preferences DROP COLUMN IF EXISTS digest_opt_in');
+  await client.query('DROP TABLE IF EXISTS digest_runs');
+};
+
+module.exports = { up, down };
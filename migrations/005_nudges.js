@@ -0,0 +1,24 @@
+// Personal nudges - a DM to channel members who haven't shared an idea yet, at most once per interval
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE nudges (
+      id SERIAL PRIMARY KEY,
+      user_id VARCHAR(255) NOT NULL,
+      event_id INTEGER REFERENCES events(id) ON DELETE CASCADE,
+      channel_id VARCHAR(255),
+      triggered_by VARCHAR(255),
+      sent_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    )
+  `);
+
+  await client.query('CREATE INDEX idx_nudges_user_sent_at ON nudges(user_id, sent_at)');
+
+  await client.query('ALTER TABLE user_preferences ADD COLUMN nudge_opt_out BOOLEAN NOT NULL DEFAULT FALSE');
+};
+
+const down = async (client) => {
+  await client.query('ALTER TABLE user_preferences DROP COLUMN IF EXISTS nudge_opt_out');
+  await client.query('DROP TABLE IF EXISTS nudges');
+};
+
+module.exports = { up, down };
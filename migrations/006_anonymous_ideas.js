@@ -0,0 +1,14 @@
+// Anonymous ideas are posted by the bot - user_id and username hold a placeholder and the real
+// author is kept in anonymous_author_id, which only admins get to see
+const up = async (client) => {
+  await client.query('ALTER TABLE ideas ADD COLUMN anonymous BOOLEAN NOT NULL DEFAULT FALSE');
+  await client.query('ALTER TABLE ideas ADD COLUMN anonymous_author_id VARCHAR(255)');
+  await client.query('CREATE INDEX idx_ideas_anonymous_author_id ON ideas(anonymous_author_id) WHERE anonymous_author_id IS NOT NULL');
+};
+
+const down = async (client) => {
+  await client.query('ALTER TABLE ideas DROP COLUMN IF EXISTS anonymous_author_id');
+  await client.query('ALTER TABLE ideas DROP COLUMN IF EXISTS anonymous');
+};
+
+module.exports = { up, down };
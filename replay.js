@@ -0,0 +1,205 @@
+// Offline replay - runs recorded Slack payloads through the real handlers without a workspace
+//
+//   node replay.js <events.jsonl> [--out transcript.jsonl] [--seed 1] [--fresh]
+//
+// Each input line is a payload as Slack sends it: an event_callback envelope (or just the
+// inner event), a slash command body ({ "command": "/leaderboard", "user_id": ... }) or an
+// interaction (block_actions, view_submission, shortcut). Every Web API call the bot makes
+// is recorded by a fake Slack client and written as one transcript line per input, so two
+// versions of the bot can be compared with a plain diff. Random replies are seeded; clock
+// times in messages ("Opdateret: 09.41.07") still differ between runs.
+//
+// Replay writes to REPLAY_DATABASE_URL (a local Postgres), never to DATABASE_URL from .env.
+// --fresh empties the replay database first so every run starts from scratch.
+const fs = require('fs');
+
+const REPLAY_TEAM_ID = 'T_REPLAY';
+const REPLAY_BOT = { user_id: 'U_REPLAY_BOT', bot_id: 'B_REPLAY_BOT', team_id: REPLAY_TEAM_ID };
+const REPLAY_RESPONSE_URL = 'https://replay.invalid/response';
+
+const parseArgs = (argv) => {
+  const args = { file: null, out: null, seed: 1, fresh: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') args.out = argv[++i];
+    else if (argv[i] === '--seed') args.seed = parseInt(argv[++i]) || 1;
+    else if (argv[i] === '--fresh') args.fresh = true;
+    else args.file = argv[i];
+  }
+
+  return args;
+};
+
+// mulberry32 - replaces Math.random so funny responses and dad jokes are the same on every run
+const seedRandom = (seed) => {
+  let state = seed >>> 0;
+  Math.random = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Fake Slack client - answers the Web API methods the bot reads from and records every call
+const createFakeSlack = () => {
+  const calls = [];
+  let tsCounter = 0;
+  const nextTs = () => `1700000000.${String(++tsCounter).padStart(6, '0')}`;
+
+  const fakeResponses = {
+    'auth.test': () => REPLAY_BOT,
+    'users.info': ({ user }) => ({ user: { id: user, name: user.toLowerCase(), real_name: `Replay ${user}` } }),
+    'chat.postMessage': ({ channel }) => ({ channel, ts: nextTs() }),
+    'chat.postEphemeral': () => ({ message_ts: nextTs() }),
+    'chat.getPermalink': ({ channel, message_ts }) => ({ permalink: `https://replay.slack.com/archives/${channel}/p${String(message_ts).replace('.', '')}` }),
+    'conversations.open': ({ users }) => ({ channel: { id: `D_${users}` } }),
+    'conversations.members': () => ({ members: [], response_metadata: { next_cursor: '' } })
+  };
+
+  const apiCall = async (method, options = {}) => {
+    const { token, ...args } = options;
+    calls.push({ method, args });
+    const response = fakeResponses[method] ? fakeResponses[method](args) : {};
+    return { ok: true, ...response };
+  };
+
+  // files.uploadV2 uploads to an external URL in several steps - record it as one call instead
+  const filesUploadV2 = async (options = {}) => {
+    const { token, file, ...args } = options;
+    calls.push({ method: 'files.uploadV2', args: { ...args, bytes: file ? Buffer.byteLength(file) : 0 } });
+    return { ok: true, files: [] };
+  };
+
+  return { calls, apiCall, filesUploadV2 };
+};
+
+// Fills in what Slack always sends but recordings often leave out
+const normalizePayload = (payload) => {
+  if (payload.command) {
+    return {
+      team_id: REPLAY_TEAM_ID,
+      channel_id: process.env.HACKATHON_CHANNEL_ID || 'C_REPLAY',
+      response_url: REPLAY_RESPONSE_URL,
+      trigger_id: 'replay-trigger',
+      text: '',
+      ...payload
+    };
+  }
+
+  if (['block_actions', 'view_submission', 'view_closed', 'shortcut', 'message_action'].includes(payload.type)) {
+    return { team: { id: REPLAY_TEAM_ID }, response_url: REPLAY_RESPONSE_URL, trigger_id: 'replay-trigger', ...payload };
+  }
+
+  const event = payload.type === 'event_callback' ? payload.event : payload;
+
+  return {
+    team_id: REPLAY_TEAM_ID,
+    api_app_id: 'A_REPLAY',
+    ...(payload.type === 'event_callback' ? payload : {}),
+    type: 'event_callback',
+    event: { event_ts: event.ts || '1700000000.000000', ...event }
+  };
+};
+
+const describePayload = (body) => {
+  if (body.command) return `${body.command} ${body.text}`.trim();
+  if (body.type === 'block_actions') return `block_actions ${body.actions.map(action => action.action_id).join(',')}`;
+  if (body.type === 'view_submission' || body.type === 'view_closed') return `${body.type} ${body.view.callback_id}`;
+  if (body.type === 'shortcut' || body.type === 'message_action') return `${body.type} ${body.callback_id}`;
+  return `event ${body.event.type}${body.event.subtype ? `/${body.event.subtype}` : ''}`;
+};
+
+const replay = async ({ file, out, seed, fresh }) => {
+  const lines = fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim());
+  const payloads = lines.map((line, index) => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Line ${index + 1} is not valid JSON: ${error.message}`);
+    }
+  });
+
+  process.env.DATABASE_URL = process.env.REPLAY_DATABASE_URL || 'postgres://localhost:5432/hackathon_replay';
+  process.env.SLACK_BOT_TOKEN = process.env.SLACK_BOT_TOKEN || 'xoxb-replay';
+  process.env.SLACK_SIGNING_SECRET = process.env.SLACK_SIGNING_SECRET || 'replay';
+  process.env.NODE_ENV = 'replay';
+
+  // The bot logs to stdout - keep stdout for the transcript
+  console.log = console.error;
+  seedRandom(seed);
+
+  const { WebClient } = require('@slack/web-api');
+  const fakeSlack = createFakeSlack();
+  WebClient.prototype.apiCall = fakeSlack.apiCall;
+  WebClient.prototype.filesUploadV2 = fakeSlack.filesUploadV2;
+
+  const { app, pool, startBot, waitForFollowUps } = require('./app');
+  const responses = [];
+  app.axios.post = async (url, data) => {
+    responses.push(data);
+    return { status: 200, data: { ok: true } };
+  };
+
+  try {
+    if (fresh) {
+      // The baseline migration can't be rolled back, so start over from an empty schema instead
+      await pool.query('DROP SCHEMA public CASCADE; CREATE SCHEMA public;');
+    }
+
+    await startBot({ offline: true });
+    // Bolt looks up the bot identity on the first event - leave that call out of the transcript
+    fakeSlack.calls.splice(0);
+
+    const transcript = [];
+
+    for (const [index, payload] of payloads.entries()) {
+      const body = normalizePayload(payload);
+      const acks = [];
+
+      await app.processEvent({
+        body,
+        ack: async (response) => {
+          acks.push(response === undefined ? null : response);
+        }
+      });
+      await waitForFollowUps();
+
+      transcript.push({
+        line: index + 1,
+        input: describePayload(body),
+        acks,
+        calls: fakeSlack.calls.splice(0).filter(call => call.method !== 'auth.test'),
+        responses: responses.splice(0)
+      });
+    }
+
+    const output = transcript.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+
+    if (out) {
+      fs.writeFileSync(out, output);
+      console.error(`✅ Replayed ${payloads.length} payload(s), transcript written to ${out}`);
+    } else {
+      process.stdout.write(output);
+    }
+  } finally {
+    await pool.end();
+  }
+};
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.file) {
+    console.error('Usage: node replay.js <events.jsonl> [--out transcript.jsonl] [--seed 1] [--fresh]');
+    process.exit(1);
+  }
+
+  replay(args).catch(error => {
+    console.error(`❌ Replay failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { replay, createFakeSlack, normalizePayload };